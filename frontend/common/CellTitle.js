@@ -0,0 +1,28 @@
+// Short names for cells, to find them in the command palette and the outline, and to label pinned outputs.
+
+const markdown_cell = /^\s*(?:Markdown\.)?mdx?(?:"""|")/
+
+/**
+ * The Markdown headings in a `md"..."` cell.
+ * @param {string} code
+ * @returns {Array<{ level: number, text: string }>}
+ */
+export const markdown_headings = (code) =>
+    markdown_cell.test(code)
+        ? [...code.matchAll(/^\s*(#{1,6})\s+(.+?)\s*#*\s*$/gm)].map((m) => ({ level: m[1].length, text: m[2].replace(/"""$/, "").trim() }))
+        : []
+
+/**
+ * A name for the cell: its first heading for a Markdown cell, the variables that it defines, or its first line of code.
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @param {string} cell_id
+ * @returns {string}
+ */
+export const cell_title = (notebook, cell_id) => {
+    const code = notebook.cell_inputs[cell_id]?.code ?? ""
+    const heading = markdown_headings(code)[0]
+    if (heading != null) return heading.text
+    const defined = Object.keys(notebook.cell_dependencies?.[cell_id]?.downstream_cells_map ?? {})
+    if (defined.length > 0) return defined.join(", ")
+    return (code.split("\n").find((line) => line.trim() !== "") ?? "").trim().slice(0, 80)
+}
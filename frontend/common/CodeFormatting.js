@@ -0,0 +1,93 @@
+import { line_hunks } from "./NotebookDiff.js"
+
+// Formatting cell code. Julia code is sent to the server (see `format_code` in `src/analysis/Formatting.jl`), which uses the formatters that are registered there. Cells that are just a Markdown or HTML string macro (`md"""..."""`) are formatted in the browser, with the formatters registered here.
+
+/**
+ * A formatter for the contents of a string macro. It gets the text between the quotes, and returns the formatted text.
+ * @typedef {(contents: string) => string} LocalFormatter
+ */
+
+/** @type {Map<string, LocalFormatter>} */
+const local_formatters = new Map()
+
+/**
+ * Use `formatter` for cells that consist of a single string macro with one of these names, like `md` for `md"""..."""`. This replaces the built-in formatter for that macro.
+ * @param {string[]} macro_names
+ * @param {LocalFormatter} formatter
+ */
+export const register_local_formatter = (macro_names, formatter) => macro_names.forEach((name) => local_formatters.set(name, formatter))
+
+const without_trailing_whitespace = (/** @type {string} */ text) => text.replace(/[ \t]+$/gm, "")
+const without_extra_blank_lines = (/** @type {string} */ text) => text.replace(/\n{3,}/g, "\n\n")
+
+register_local_formatter(["md", "mdx"], (contents) =>
+    without_extra_blank_lines(
+        without_trailing_whitespace(contents)
+            // One space after a heading marker: `##Title` → `## Title`
+            .replace(/^(#{1,6})(?=[^#\s])/gm, "$1 ")
+            // The same bullet for all lists
+            .replace(/^(\s*)[*+](?=\s)/gm, "$1-")
+    )
+)
+
+register_local_formatter(["html"], (contents) => without_extra_blank_lines(without_trailing_whitespace(contents)))
+
+const string_macro_cell = /^(\s*)([\w.]+)("""|")([\s\S]*)\3(\s*)$/
+
+/**
+ * @param {string} code
+ * @param {(code: string) => Promise<string>} request_server_format Format Julia code on the server. This should throw an `Error` with a message for the user if the code could not be formatted.
+ * @returns {Promise<string>} The formatted code.
+ */
+export const format_code = async (code, request_server_format) => {
+    const match = code.match(string_macro_cell)
+    const formatter = match == null ? null : local_formatters.get(match[2].split(".").pop() ?? "")
+    if (match != null && formatter != null && !match[4].includes(match[3])) {
+        const [, before, name, quote, contents, after] = match
+        return `${before}${name}${quote}${formatter(contents)}${quote}${after}`
+    }
+    return code.trim() === "" ? code : await request_server_format(code)
+}
+
+/**
+ * The smallest changes that turn `current` into `formatted`, as a CodeMirror change spec. Lines that stay the same are not touched, so that a cursor on those lines stays where it is.
+ * @param {string} current
+ * @param {string} formatted
+ * @returns {Array<{ from: number, to: number, insert: string }>}
+ */
+export const minimal_changes = (current, formatted) => {
+    const lines = current.split("\n")
+    const line_starts = lines.reduce((starts, line, i) => [...starts, starts[i] + line.length + 1], [0])
+    const line_end = (/** @type {number} */ i) => line_starts[i] + lines[i].length
+
+    return line_hunks(current, formatted).map(({ from, to, insert }) => {
+        if (insert.length === 0) {
+            // Remove whole lines, including one line break
+            return to < lines.length
+                ? { from: line_starts[from], to: line_starts[to], insert: "" }
+                : { from: from > 0 ? line_end(from - 1) : 0, to: current.length, insert: "" }
+        }
+        if (from === to) {
+            return to < lines.length
+                ? { from: line_starts[from], to: line_starts[from], insert: insert.join("\n") + "\n" }
+                : { from: current.length, to: current.length, insert: "\n" + insert.join("\n") }
+        }
+        // Replace lines, but leave out the characters at the start and end that did not change.
+        const old_text = current.slice(line_starts[from], line_end(to - 1))
+        const new_text = insert.join("\n")
+        let prefix = 0
+        while (prefix < old_text.length && prefix < new_text.length && old_text[prefix] === new_text[prefix]) prefix++
+        let suffix = 0
+        while (
+            suffix < old_text.length - prefix &&
+            suffix < new_text.length - prefix &&
+            old_text[old_text.length - 1 - suffix] === new_text[new_text.length - 1 - suffix]
+        )
+            suffix++
+        return {
+            from: line_starts[from] + prefix,
+            to: line_end(to - 1) - suffix,
+            insert: new_text.slice(prefix, new_text.length - suffix),
+        }
+    })
+}
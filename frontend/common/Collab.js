@@ -0,0 +1,132 @@
+import { ChangeSet, Text } from "../imports/CodemirrorPlutoSetup.js"
+
+// Real-time collaborative editing of cell code, see src/webserver/Collab.jl for how the server keeps track of the updates. The collab state is not part of the notebook state: it is kept up to date with `collab_cell` and `collab_presence` messages from the server (see `apply_collab_message`).
+//
+// Every browser tab is a *peer*. Peers are shown to each other with a name and a color: in the header (see PresenceAvatars.js), and as remote cursors inside the cell that they are editing (see CellInput/collab_plugin.js).
+
+/**
+ * A single edit to the unsubmitted code of a cell: a CodeMirror `ChangeSet`, in its JSON form.
+ * @typedef CollabUpdate
+ * @type {{
+ *  client_id: string,
+ *  changes: any,
+ * }}
+ */
+
+/**
+ * The collaborative editing session of one cell. The current text is `base`, with all `updates` applied in order of their version.
+ * @typedef CollabCellData
+ * @type {{
+ *  id: string,
+ *  base: string,
+ *  base_version: number,
+ *  updates: { [version: string]: CollabUpdate },
+ *  submitted_code?: string,
+ * }}
+ */
+
+/**
+ * @typedef CollabPeerData
+ * @type {{
+ *  name: string,
+ *  color: string,
+ *  cell_id: string?,
+ *  selection: Array<[number, number]>?,
+ * }}
+ */
+
+/**
+ * @typedef CollabData
+ * @type {{
+ *  cells: { [cell_id: string]: CollabCellData },
+ *  presence: { [peer_id: string]: CollabPeerData },
+ * }}
+ */
+
+/** @type {CollabData} */
+export const empty_collab_state = { cells: {}, presence: {} }
+
+/**
+ * The new collab state after a message from the server:
+ * - `collab_state` has the whole state, we get it when we connect.
+ * - `collab_cell` has a changed entry of a cell: the whole entry (with `base`), only the new updates, or `null` when it was removed.
+ * - `collab_presence` has a changed peer, or `null` when the peer left.
+ * @param {CollabData} collab
+ * @param {string} type
+ * @param {any} message
+ * @returns {CollabData}
+ */
+export const apply_collab_message = (collab, type, message) => {
+    switch (type) {
+        case "collab_state":
+            return { cells: message.cells ?? {}, presence: message.presence ?? {} }
+        case "collab_cell": {
+            const { cell_id, entry } = message
+            const { [cell_id]: old_entry, ...other_cells } = collab.cells
+            if (entry == null) {
+                return { ...collab, cells: other_cells }
+            }
+            if (entry.base != null) {
+                return { ...collab, cells: { ...other_cells, [cell_id]: entry } }
+            }
+            // Only the new updates: they belong to the entry that we have, unless we missed something. Then nothing changes, and we need to ask for the whole state again.
+            if (old_entry?.id !== entry.id || old_entry.base_version !== entry.base_version) {
+                return collab
+            }
+            return { ...collab, cells: { ...other_cells, [cell_id]: { ...old_entry, updates: { ...old_entry.updates, ...entry.updates } } } }
+        }
+        case "collab_presence": {
+            const { [message.peer_id]: _, ...other_peers } = collab.presence
+            return { ...collab, presence: message.peer == null ? other_peers : { ...other_peers, [message.peer_id]: message.peer } }
+        }
+        default:
+            return collab
+    }
+}
+
+/** Identifies this browser tab. It is also used as the CodeMirror collab client ID, so that we recognise our own updates when they come back from the server. */
+export const peer_id = crypto.getRandomValues(new Uint32Array(2)).reduce((acc, x) => acc + x.toString(36), "")
+
+const name_key = "pluto_collab_name"
+
+/** @returns {string} */
+export const get_peer_name = () => localStorage.getItem(name_key) ?? ""
+
+export const set_peer_name = (/** @type {string} */ name) => localStorage.setItem(name_key, name.trim())
+
+/** A color that is different for every peer, but the same for the same peer in every tab that sees it. */
+export const color_of_peer = (/** @type {string} */ id) => {
+    let hash = 0
+    for (let i = 0; i < id.length; i++) {
+        hash = (hash * 31 + id.charCodeAt(i)) | 0
+    }
+    return `hsl(${Math.abs(hash) % 360}, 70%, 45%)`
+}
+
+export const peer_color = color_of_peer(peer_id)
+
+/** The latest version of a collab cell: the number of updates since the session started. */
+export const collab_latest_version = (/** @type {CollabCellData} */ entry) => entry.base_version + Object.keys(entry.updates).length
+
+/**
+ * The updates of a collab cell that come after `version`, in order.
+ * @param {CollabCellData} entry
+ * @param {number} version
+ * @returns {CollabUpdate[]}
+ */
+export const collab_updates_since = (entry, version) => {
+    const result = []
+    for (let v = version + 1; v <= collab_latest_version(entry); v++) {
+        result.push(entry.updates[String(v)])
+    }
+    return result
+}
+
+/** The current text of a collab cell. */
+export const collab_text = (/** @type {CollabCellData} */ entry) =>
+    collab_updates_since(entry, entry.base_version)
+        .reduce((doc, update) => ChangeSet.fromJSON(update.changes).apply(doc), Text.of(entry.base.split("\n")))
+        .toString()
+
+/** Peers other than ourselves. */
+export const other_peers = (/** @type {CollabData?} */ collab) => Object.entries(collab?.presence ?? {}).filter(([id, _]) => id !== peer_id)
@@ -0,0 +1,68 @@
+// The grid layout of a dashboard, see `components/Dashboard.js`. It is stored in `notebook.metadata.dashboard`, which can be edited by hand, so we clean it up before using it.
+
+/**
+ * Positions are in grid units: `x` is the column (from 0 to `columns - w`), `y` is the row.
+ * @typedef DashboardItem
+ * @type {{
+ *  cell_id: string,
+ *  x: number,
+ *  y: number,
+ *  w: number,
+ *  h: number,
+ * }}
+ */
+
+/**
+ * @typedef DashboardLayout
+ * @type {{
+ *  columns: number,
+ *  items: DashboardItem[],
+ * }}
+ */
+
+export const default_columns = 12
+
+/**
+ * The dashboard layout of the notebook, without cells that were deleted since it was saved.
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @returns {DashboardLayout}
+ */
+export const dashboard_layout = (notebook) => {
+    const stored = notebook.metadata?.dashboard
+    const columns = Number.isInteger(stored?.columns) && stored.columns > 0 ? stored.columns : default_columns
+    const items = Array.isArray(stored?.items) ? stored.items : []
+    return {
+        columns,
+        items: items
+            .filter((item) => item != null && notebook.cell_inputs[item.cell_id] != null)
+            .map(({ cell_id, x, y, w, h }) => {
+                const width = Math.min(columns, Math.max(1, Math.round(w) || 1))
+                return {
+                    cell_id,
+                    x: Math.min(columns - width, Math.max(0, Math.round(x) || 0)),
+                    y: Math.max(0, Math.round(y) || 0),
+                    w: width,
+                    h: Math.max(1, Math.round(h) || 1),
+                }
+            }),
+    }
+}
+
+const overlaps = (/** @type {DashboardItem} */ a, /** @type {DashboardItem} */ b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h
+
+/**
+ * Make room for an item that was moved or resized: the items that it overlaps are pushed down. The result is sorted in reading order.
+ * @param {DashboardItem[]} items
+ * @param {DashboardItem} moved
+ * @returns {DashboardItem[]}
+ */
+export const place_item = (items, moved) => {
+    const placed = [moved]
+    const others = items.filter((item) => item.cell_id !== moved.cell_id).sort((a, b) => a.y - b.y || a.x - b.x)
+    for (const item of others) {
+        let y = item.y
+        while (placed.some((p) => overlaps(p, { ...item, y }))) y++
+        placed.push({ ...item, y })
+    }
+    return placed.sort((a, b) => a.y - b.y || a.x - b.x)
+}
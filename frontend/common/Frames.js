@@ -0,0 +1,146 @@
+import { unpack } from "./MsgPack.js"
+
+// Large messages from the server (e.g. a notebook_diff with a big plot) can arrive compressed and split into chunks, see `message_frames` in src/webserver/Frames.jl. A chunk is a MsgPack frame with a `pluto_frame` header:
+//
+// { pluto_frame: { id: 12, index: 0, count: 3, encoding: "deflate", size: 2500000 }, data: Uint8Array }
+//
+// Unpacking a huge message takes a while, so we do it in a Web Worker (FramesWorker.js). Otherwise typing in a CellInput would freeze while a big diff comes in.
+
+/**
+ * @typedef FrameProgress
+ * @type {{
+ *  id: number,
+ *  received: number,
+ *  total: number,
+ *  done: boolean,
+ * }}
+ */
+
+/**
+ * The frame encodings that we can decode. This list is sent to the server when we connect.
+ * @returns {string[]}
+ */
+export const supported_frame_encodings = () => (typeof DecompressionStream === "undefined" ? ["none"] : ["none", "deflate"])
+
+const concat = (/** @type {Uint8Array[]} */ chunks) => {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+    let offset = 0
+    for (const chunk of chunks) {
+        result.set(chunk, offset)
+        offset += chunk.length
+    }
+    return result
+}
+
+const decompress = async (/** @type {Uint8Array} */ data, /** @type {string} */ encoding) => {
+    if (encoding === "none") return data
+    // @ts-ignore
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(encoding))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Create a function that turns a frame into a message. For a chunk, the function returns `undefined`, except for the chunk that completes the message: that one returns the whole message.
+ * @param {(progress: FrameProgress) => void} on_progress Called for every chunk of a message that was split into multiple chunks.
+ * @returns {(frame: Uint8Array) => Promise<any>}
+ */
+export const create_frame_assembler = (on_progress) => {
+    /** @type {Map<number, { chunks: Uint8Array[], received_count: number, received_bytes: number }>} */
+    const partial_messages = new Map()
+
+    return async (frame) => {
+        const message = unpack(frame)
+        const header = message?.pluto_frame
+        if (header == null) return message
+
+        const { id, index, count, encoding, size } = header
+        const partial = partial_messages.get(id) ?? { chunks: new Array(count), received_count: 0, received_bytes: 0 }
+        partial.chunks[index] = message.data
+        partial.received_count += 1
+        partial.received_bytes += message.data.length
+
+        const done = partial.received_count === count
+        if (count > 1) on_progress({ id, received: partial.received_bytes, total: size, done })
+        if (!done) {
+            partial_messages.set(id, partial)
+            return undefined
+        }
+        partial_messages.delete(id)
+        return unpack(await decompress(concat(partial.chunks), encoding))
+    }
+}
+
+/**
+ * @typedef FrameDecoder
+ * @type {{
+ *  decode: (frame: Uint8Array) => Promise<any>,
+ *  close: () => void,
+ * }}
+ */
+
+/**
+ * Decode frames in a Web Worker. If the worker can't be started (e.g. because of a Content Security Policy), frames are decoded on the main thread instead.
+ * @param {{ on_progress?: (progress: FrameProgress) => void }} options
+ * @returns {FrameDecoder}
+ */
+export const create_frame_decoder = ({ on_progress = () => {} } = {}) => {
+    let assemble_here = null
+    const fallback = (/** @type {Uint8Array} */ frame) => {
+        assemble_here = assemble_here ?? create_frame_assembler(on_progress)
+        return assemble_here(frame)
+    }
+
+    /** @type {Worker?} */
+    let worker = null
+    try {
+        worker = new Worker(new URL("./FramesWorker.js", import.meta.url), { type: "module" })
+    } catch (e) {
+        console.warn("Could not start a Web Worker to decode messages, decoding on the main thread instead.", e)
+        return { decode: fallback, close: () => {} }
+    }
+
+    let next_frame_id = 0
+    /** Frames that were sent to the worker, and are waiting for a result. */
+    const pending = new Map()
+
+    worker.onmessage = (/** @type {MessageEvent} */ event) => {
+        const data = event.data
+        if (data.type === "progress") {
+            on_progress(data.progress)
+            return
+        }
+        const request = pending.get(data.frame_id)
+        if (request == null) return
+        pending.delete(data.frame_id)
+        if (data.type === "result") {
+            request.resolve(data.message)
+        } else {
+            request.reject(new Error(data.error))
+        }
+    }
+    worker.onerror = (event) => {
+        console.warn("The Web Worker for decoding messages failed, decoding on the main thread instead.", event)
+        event.preventDefault()
+        worker?.terminate()
+        worker = null
+        // Frames that the worker did not get to are decoded here, in their original order.
+        const waiting = [...pending.values()]
+        pending.clear()
+        waiting.forEach((request) => fallback(request.frame).then(request.resolve, request.reject))
+    }
+
+    return {
+        decode: (frame) => {
+            if (worker == null) return fallback(frame)
+            const frame_id = next_frame_id++
+            return new Promise((resolve, reject) => {
+                pending.set(frame_id, { frame, resolve, reject })
+                worker?.postMessage({ frame_id, frame })
+            })
+        },
+        close: () => {
+            worker?.terminate()
+            worker = null
+        },
+    }
+}
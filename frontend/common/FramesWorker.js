@@ -0,0 +1,19 @@
+// Web Worker that unpacks (and reassembles and decompresses) frames from the server, see Frames.js.
+
+import { create_frame_assembler } from "./Frames.js"
+
+const assemble = create_frame_assembler((progress) => postMessage({ type: "progress", progress }))
+
+// Frames are handled one at a time, so that chunks of the same message are assembled in order.
+let last_task = Promise.resolve()
+
+onmessage = (/** @type {MessageEvent} */ event) => {
+    const { frame_id, frame } = event.data
+    last_task = last_task.then(async () => {
+        try {
+            postMessage({ type: "result", frame_id, message: await assemble(frame) })
+        } catch (e) {
+            postMessage({ type: "error", frame_id, error: String(e?.stack ?? e) })
+        }
+    })
+}
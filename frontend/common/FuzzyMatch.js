@@ -0,0 +1,50 @@
+// Fuzzy matching for search boxes like the command palette: "rac" matches "Run all changed cells".
+
+/**
+ * @typedef FuzzyMatch
+ * @type {{ score: number, indices: number[] }}
+ * `indices` are the positions in the text of the characters that matched, to highlight them.
+ */
+
+const is_word_start = (/** @type {string} */ text, /** @type {number} */ i) =>
+    i === 0 || /[\s_\-.:/(#]/.test(text[i - 1]) || (/[a-z]/.test(text[i - 1]) && /[A-Z]/.test(text[i]))
+
+/**
+ * Does `query` match `text`? The characters of the query need to appear in the text in the same order, ignoring case. Matches at the start of words and consecutive characters give a higher score.
+ * @param {string} query
+ * @param {string} text
+ * @returns {FuzzyMatch?}
+ */
+export const fuzzy_match = (query, text) => {
+    const q = query.toLowerCase().replace(/\s+/g, " ").trim()
+    const s = text.toLowerCase()
+    if (q === "") return { score: 0, indices: [] }
+
+    // A substring match is always better than a scattered one.
+    const at = s.indexOf(q)
+    if (at !== -1) {
+        return {
+            score: 1000 + (is_word_start(text, at) ? 500 : 0) - at,
+            indices: Array.from({ length: q.length }, (_, i) => at + i),
+        }
+    }
+
+    const indices = []
+    let score = 0
+    let j = 0
+    for (let i = 0; i < s.length && j < q.length; i++) {
+        // Spaces in the query separate words, they don't need to match a character.
+        while (q[j] === " ") j++
+        // Prefer the start of the next word, if the character is there.
+        const next_word_start = [...s.slice(i)].findIndex((c, k) => c === q[j] && is_word_start(text, i + k))
+        const skip_to = next_word_start !== -1 && j > 0 && indices[indices.length - 1] !== i - 1 ? i + next_word_start : i
+        if (s[skip_to] === q[j]) {
+            score += (indices[indices.length - 1] === skip_to - 1 ? 10 : 0) + (is_word_start(text, skip_to) ? 20 : 1)
+            indices.push(skip_to)
+            i = skip_to
+            j++
+        }
+    }
+    if (j < q.length) return null
+    return { score: score - (indices[indices.length - 1] - indices[0]), indices }
+}
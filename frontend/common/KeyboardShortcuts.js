@@ -32,3 +32,207 @@ export let in_textarea_or_input = () => {
     const { tagName } = document.activeElement ?? {}
     return tagName === "INPUT" || tagName === "TEXTAREA" || in_footer || in_header || in_cm
 }
+
+///
+// COMMAND REGISTRY
+///
+
+// Every keyboard shortcut in the editor is a named command with default keys, which the user can change in the shortcut editor (see `components/ShortcutsDialog.js`). The notebook-wide commands are handled in `Editor.js`, the commands in a cell editor in `CellInput.js`.
+//
+// Keys are written like CodeMirror keys: modifiers and a key name, separated by `-`, e.g. `Ctrl-Shift-f` or `Alt-ArrowUp`. We don't use CodeMirror's `Mod-` here, because the defaults for mac and other platforms differ in more ways than that.
+
+/**
+ * @typedef ShortcutCommand
+ * @type {{
+ *  id: string,
+ *  description: string,
+ *  section: "run" | "edit" | "navigate" | "selection",
+ *  default_keys: string[],
+ *  fixed?: boolean,
+ * }}
+ * `description` is a key for `t()`. `fixed` commands are handled by the browser or by CodeMirror, they are only listed in the help.
+ */
+
+const mod = is_mac_keyboard ? "Cmd" : "Ctrl"
+/** Ctrl, and also Cmd on mac, like `has_ctrl_or_cmd_pressed`. */
+const ctrl_or_cmd = (/** @type {string} */ key) => (is_mac_keyboard ? [`Cmd-${key}`, `Ctrl-${key}`] : [`Ctrl-${key}`])
+
+/** @type {ShortcutCommand[]} */
+export const shortcut_commands = [
+    { id: "run_cell", description: "t_key_run", section: "run", default_keys: ["Shift-Enter"] },
+    { id: "run_cell_and_add", description: "t_key_run_add", section: "run", default_keys: ctrl_or_cmd("Enter") },
+    { id: "submit_all_changes", description: "t_key_submit_all_changes", section: "run", default_keys: ctrl_or_cmd("s") },
+    // This one can't be done as cmd+q on mac, because that closes chrome - Dral
+    { id: "interrupt", description: "t_key_ctrl_q", section: "run", default_keys: ["Ctrl-q"] },
+
+    { id: "toggle_comment", description: "t_key_ctrl_slash", section: "edit", default_keys: [`${mod}-/`] },
+    { id: "toggle_markdown", description: "t_key_ctrl_m", section: "edit", default_keys: ctrl_or_cmd("m") },
+    { id: "move_up", description: "t_key_alt_up", section: "edit", default_keys: ["Alt-ArrowUp"] },
+    { id: "move_down", description: "t_key_alt_down", section: "edit", default_keys: ["Alt-ArrowDown"] },
+    { id: "fold", description: "t_key_fold", section: "edit", default_keys: [is_mac_keyboard ? "Cmd-Alt-[" : "Ctrl-Shift-["] },
+    { id: "unfold", description: "t_key_unfold", section: "edit", default_keys: [is_mac_keyboard ? "Cmd-Alt-]" : "Ctrl-Shift-]"] },
+    { id: "rename_symbol", description: "t_key_rename", section: "edit", default_keys: ["F2"] },
+    { id: "find_references", description: "t_key_find_references", section: "edit", default_keys: ["Shift-F12"] },
+    { id: "format_cell", description: "t_key_format_cell", section: "edit", default_keys: ["Alt-Shift-f"] },
+    { id: "format_notebook", description: "t_key_format_notebook", section: "edit", default_keys: [`${mod}-Alt-Shift-f`] },
+
+    { id: "find_in_notebook", description: "t_key_find_in_notebook", section: "navigate", default_keys: ctrl_or_cmd("Shift-f") },
+    { id: "replace_in_notebook", description: "t_key_replace_in_notebook", section: "navigate", default_keys: ctrl_or_cmd("Shift-h") },
+    { id: "page_up", description: "t_key_page_up", section: "navigate", default_keys: ["PageUp"], fixed: true },
+    { id: "page_down", description: "t_key_page_down", section: "navigate", default_keys: ["PageDown"], fixed: true },
+    { id: "go_to_definition", description: "t_key_ctrl_click", section: "navigate", default_keys: ["Ctrl-Click"], fixed: true },
+    // On mac "cmd+shift+?" is used by chrome, so that is why this needs to be ctrl as well on mac
+    { id: "command_palette", description: "t_key_command_palette", section: "navigate", default_keys: ctrl_or_cmd("Shift-p") },
+    { id: "show_shortcuts", description: "t_key_show_shortcuts", section: "navigate", default_keys: ["F1", ...ctrl_or_cmd("?")] },
+
+    { id: "delete_selected_cells", description: "t_key_delete_or_backspace", section: "selection", default_keys: ["Delete", "Backspace"] },
+    { id: "deselect", description: "t_key_deselect", section: "selection", default_keys: ["Escape"] },
+    { id: "copy_cells", description: "t_key_ctrl_c", section: "selection", default_keys: [`${mod}-c`], fixed: true },
+    { id: "cut_cells", description: "t_key_ctrl_x", section: "selection", default_keys: [`${mod}-x`], fixed: true },
+    { id: "paste_cells", description: "t_key_ctrl_v", section: "selection", default_keys: [`${mod}-v`], fixed: true },
+]
+
+const KEY_BINDINGS_STORAGE_KEY = "PLUTO_KEY_BINDINGS"
+
+/** @type {{ [command_id: string]: string[] }} */
+let user_bindings = (() => {
+    try {
+        return JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY) ?? "{}") ?? {}
+    } catch (e) {
+        console.warn("Could not read custom keyboard shortcuts", e)
+        return {}
+    }
+})()
+
+/** The keys for a command: the user's own keys, or the default keys. */
+export const keys_for = (/** @type {string} */ command_id) =>
+    user_bindings[command_id] ?? shortcut_commands.find((c) => c.id === command_id)?.default_keys ?? []
+
+export const is_customized = (/** @type {string} */ command_id) => user_bindings[command_id] != null
+
+/**
+ * Change the keys for a command, or pass `null` to go back to the default keys. This is saved in the browser, and the editor uses the new keys right away (the `"pluto key bindings changed"` event).
+ * @param {string} command_id
+ * @param {string[]?} keys
+ */
+export const set_keys_for = (command_id, keys) => {
+    const { [command_id]: _old, ...others } = user_bindings
+    user_bindings = keys == null ? others : { ...others, [command_id]: keys }
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(user_bindings))
+    window.dispatchEvent(new CustomEvent("pluto key bindings changed"))
+}
+
+export const reset_all_keys = () => {
+    user_bindings = {}
+    localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY)
+    window.dispatchEvent(new CustomEvent("pluto key bindings changed"))
+}
+
+const modifier_names = /** @type {const} */ (["Alt", "Ctrl", "Meta", "Shift"])
+/** Like CodeMirror, modifier names are not case sensitive. */
+const modifier_aliases = {
+    alt: "Alt",
+    a: "Alt",
+    option: "Alt",
+    ctrl: "Ctrl",
+    control: "Ctrl",
+    c: "Ctrl",
+    cmd: "Meta",
+    meta: "Meta",
+    m: "Meta",
+    shift: "Shift",
+    s: "Shift",
+}
+
+const with_modifiers = (/** @type {Set<string>} */ modifiers, /** @type {string} */ name) =>
+    [...modifier_names.filter((m) => modifiers.has(m)), name === " " ? "Space" : /^[a-zA-Z]$/.test(name) ? name.toLowerCase() : name].join("-")
+
+/** The same key, written in one way: `Cmd-Shift-F` and `s-Meta-f` both become `Meta-Shift-f`. */
+export const normalize_key = (/** @type {string} */ key) => {
+    const parts = key.split(/-(?!$)/)
+    const name = parts.pop() ?? ""
+    return with_modifiers(new Set(parts.map((p) => modifier_aliases[p.toLowerCase()] ?? p)), name)
+}
+
+const key_name_from_code = (/** @type {string} */ code) =>
+    /^Key([A-Z])$/.exec(code)?.[1].toLowerCase() ??
+    /^Digit(\d)$/.exec(code)?.[1] ??
+    {
+        BracketLeft: "[",
+        BracketRight: "]",
+        Slash: "/",
+        Backslash: "\\",
+        Minus: "-",
+        Equal: "=",
+        Comma: ",",
+        Period: ".",
+        Semicolon: ";",
+        Quote: "'",
+        Backquote: "`",
+    }[code]
+
+/** @returns {x is string} */
+const is_string = (/** @type {unknown} */ x) => typeof x === "string"
+
+const event_modifiers = (/** @type {KeyboardEvent} */ event, /** @type {boolean} */ shift) =>
+    new Set([event.altKey && "Alt", event.ctrlKey && "Ctrl", event.metaKey && "Meta", shift && event.shiftKey && "Shift"].filter(is_string))
+
+/**
+ * The (normalized) keys that this event could mean. Like CodeMirror, we try both the typed character (`Ctrl-?`) and the physical key with Shift (`Ctrl-Shift-/`), because Shift and Alt change the character.
+ * @param {KeyboardEvent} event
+ */
+export const keys_of_event = (event) => {
+    const name = event.key ?? ""
+    const is_char = name.length === 1 && !/^[a-zA-Z]$/.test(name)
+    const from_typed = with_modifiers(event_modifiers(event, !is_char), name)
+    const code_name = key_name_from_code(event.code ?? "")
+    const from_code = code_name == null ? null : with_modifiers(event_modifiers(event, true), code_name)
+    return from_code == null || from_code === from_typed ? [from_typed] : [from_typed, from_code]
+}
+
+/** The key that was pressed, to record a new shortcut, or `null` if only a modifier key was pressed. */
+export const key_from_event = (/** @type {KeyboardEvent} */ event) => {
+    if (["Alt", "Control", "Meta", "Shift", "CapsLock", "OS", "AltGraph", "Dead"].includes(event.key)) return null
+    const keys = keys_of_event(event)
+    return keys[keys.length - 1]
+}
+
+/** The command (that is not `fixed`) that the keyboard event is a shortcut for, if any. */
+export const command_for_event = (/** @type {KeyboardEvent} */ event) => {
+    const pressed = keys_of_event(event)
+    return shortcut_commands.find((c) => !c.fixed && keys_for(c.id).some((key) => pressed.includes(normalize_key(key))))?.id ?? null
+}
+
+/**
+ * Other commands that use the same key.
+ * @param {string} command_id
+ * @param {string} key
+ * @returns {ShortcutCommand[]}
+ */
+export const conflicting_commands = (command_id, key) =>
+    shortcut_commands.filter((c) => c.id !== command_id && keys_for(c.id).some((k) => normalize_key(k) === normalize_key(key)))
+
+/**
+ * CodeMirror key bindings for commands, using the current keys. Also binds the capital letter, because CodeMirror doesn't like capslock.
+ * @param {{ [command_id: string]: (view: any) => boolean }} commands
+ * @returns {Array<{ key: string, run: (view: any) => boolean }>}
+ */
+export const codemirror_bindings = (commands) =>
+    Object.entries(commands).flatMap(([id, run]) =>
+        keys_for(id).flatMap((key) => {
+            const normalized = normalize_key(key)
+            const capslock =
+                /(^|-)[a-z]$/.test(normalized) && !normalized.includes("Shift-") ? [normalized.slice(0, -1) + normalized.slice(-1).toUpperCase()] : []
+            return [normalized, ...capslock].map((k) => ({ key: k, run }))
+        })
+    )
+
+const key_display_names = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Space: is_mac_keyboard ? "␣" : "Space", Escape: "Esc" }
+const modifier_display_names = is_mac_keyboard ? { Alt: "⌥", Ctrl: "⌃", Meta: "⌘", Shift: "⇧" } : { Alt: "Alt", Ctrl: "Ctrl", Meta: "Win", Shift: "Shift" }
+
+/** How to show a key to the user, e.g. `⌘ ⇧ F` on mac and `Ctrl+Shift+F` elsewhere. */
+export const format_key = (/** @type {string} */ key) => {
+    const parts = normalize_key(key).split(/-(?!$)/)
+    const name = parts.pop() ?? ""
+    return [...parts.map((p) => modifier_display_names[p] ?? p), key_display_names[name] ?? (name.length === 1 ? name.toUpperCase() : name)].join(and)
+}
@@ -1,3 +1,8 @@
+/** The level of logs that PlutoRunner uses for progress bars, like ProgressLogging.jl. */
+export const PROGRESS_LOG_LEVEL = "LogLevel(-1)"
+/** The level of logs that PlutoRunner uses for text that was printed to stdout. */
+export const STDOUT_LOG_LEVEL = "LogLevel(-555)"
+
 const log_functions = {
     Info: console.info,
     Error: console.error,
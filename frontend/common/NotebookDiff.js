@@ -0,0 +1,308 @@
+import _ from "../imports/lodash.js"
+
+// Compare two versions of a notebook, cell by cell. Cells are matched by their UUID (the `# ╔═╡ <uuid>` lines in the notebook file), so that a reordered or edited cell is still recognised as the same cell.
+//
+// The result is a list of *hunks*: small changes that turn the current notebook into the other version. Every hunk can be applied to the live notebook on its own, with `update_notebook`.
+
+/**
+ * A version of a notebook: the part of the notebook state that is saved to the file.
+ * @typedef NotebookVersion
+ * @type {{
+ *  cell_inputs: { [uuid: string]: import("../components/Editor.js").CellInputData },
+ *  cell_order: string[],
+ *  metadata: Record<string, any>,
+ * }}
+ */
+
+/**
+ * @typedef DiffLine
+ * @type {{ type: "equal" | "delete" | "insert", text: string }}
+ */
+
+/**
+ * @typedef DiffHunk
+ * @type {{
+ *  key: string,
+ *  kind: "added" | "deleted" | "code" | "moved" | "cell_metadata" | "notebook_metadata",
+ *  cell_id: string?,
+ *  lines: DiffLine[],
+ *  apply: (notebook: import("../components/Editor.js").NotebookData) => void,
+ *  run: string[]?,
+ * }}
+ */
+
+/**
+ * @typedef CellDiff
+ * @type {{
+ *  cell_id: string,
+ *  status: "added" | "deleted" | "moved" | "changed" | "unchanged",
+ *  code: string,
+ *  hunks: DiffHunk[],
+ * }}
+ */
+
+/** Above this many line comparisons, we don't look for the smallest diff, and show the whole cell as changed. */
+const max_diff_work = 4_000_000
+
+/**
+ * The longest common subsequence of two arrays, as a list of index pairs.
+ * @template T
+ * @param {T[]} a
+ * @param {T[]} b
+ * @returns {Array<[number, number]>}
+ */
+const longest_common_subsequence = (a, b) => {
+    if (a.length * b.length > max_diff_work) return []
+    // lengths[i][j] is the length of the LCS of a[i:] and b[j:]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+        }
+    }
+    /** @type {Array<[number, number]>} */
+    const result = []
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push([i, j])
+            i++
+            j++
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++
+        } else {
+            j++
+        }
+    }
+    return result
+}
+
+/**
+ * A line diff, grouped into hunks of changed lines. `from` and `to` are the lines of the current code that a hunk replaces.
+ * @param {string} current
+ * @param {string} other
+ * @returns {Array<{ from: number, to: number, insert: string[], lines: DiffLine[] }>}
+ */
+export const line_hunks = (current, other) => {
+    const a = current.split("\n")
+    const b = other.split("\n")
+    const common = [...longest_common_subsequence(a, b), /** @type {[number, number]} */ ([a.length, b.length])]
+
+    const hunks = []
+    let i = 0
+    let j = 0
+    for (const [next_i, next_j] of common) {
+        if (next_i > i || next_j > j) {
+            const deleted = a.slice(i, next_i)
+            const inserted = b.slice(j, next_j)
+            hunks.push({
+                from: i,
+                to: next_i,
+                insert: inserted,
+                lines: [
+                    ...deleted.map((text) => /** @type {DiffLine} */ ({ type: "delete", text })),
+                    ...inserted.map((text) => /** @type {DiffLine} */ ({ type: "insert", text })),
+                ],
+            })
+        }
+        i = next_i + 1
+        j = next_j + 1
+    }
+    return hunks
+}
+
+/**
+ * The index in the current cell order where a cell should go, to end up after the same cell as in the other version.
+ * @param {string} cell_id
+ * @param {string[]} current_order
+ * @param {string[]} other_order
+ */
+const index_after_same_neighbor = (cell_id, current_order, other_order) => {
+    const other_index = other_order.indexOf(cell_id)
+    for (let k = other_index - 1; k >= 0; k--) {
+        const neighbor_index = current_order.indexOf(other_order[k])
+        if (neighbor_index !== -1 && other_order[k] !== cell_id) return neighbor_index + 1
+    }
+    return 0
+}
+
+/**
+ * Set the properties of `target` to be equal to `source`, one key at a time. (The server only accepts changes to single metadata keys.)
+ * @param {Record<string, any>} target
+ * @param {Record<string, any>} source
+ */
+const assign_keys = (target, source) => {
+    for (const key of Object.keys(target)) {
+        if (!(key in source)) delete target[key]
+    }
+    for (const [key, value] of Object.entries(source)) {
+        if (!_.isEqual(target[key], value)) target[key] = _.cloneDeep(value)
+    }
+}
+
+const metadata_lines = (/** @type {Record<string, any>} */ current, /** @type {Record<string, any>} */ other) =>
+    _.uniq([...Object.keys(current), ...Object.keys(other)])
+        .filter((key) => !_.isEqual(current[key], other[key]))
+        .flatMap((key) => [
+            ...(key in current ? [/** @type {DiffLine} */ ({ type: "delete", text: `${key} = ${JSON.stringify(current[key])}` })] : []),
+            ...(key in other ? [/** @type {DiffLine} */ ({ type: "insert", text: `${key} = ${JSON.stringify(other[key])}` })] : []),
+        ])
+
+/**
+ * Compare the current notebook with another version.
+ * @param {NotebookVersion} current
+ * @param {NotebookVersion} other
+ * @returns {{ cells: CellDiff[], notebook_hunks: DiffHunk[] }}
+ */
+export const diff_notebooks = (current, other) => {
+    const common_ids = new Set(current.cell_order.filter((id) => other.cell_inputs[id] != null))
+
+    // Cells that are in both versions, but not in the same order. We keep the largest group of cells that did not move, and mark the rest as moved.
+    const current_common_order = current.cell_order.filter((id) => common_ids.has(id))
+    const other_common_order = other.cell_order.filter((id) => common_ids.has(id))
+    const unmoved = new Set(longest_common_subsequence(current_common_order, other_common_order).map(([i, _j]) => current_common_order[i]))
+    const moved =
+        current_common_order.length * other_common_order.length > max_diff_work ? new Set() : new Set(current_common_order.filter((id) => !unmoved.has(id)))
+
+    /** @type {(cell_id: string) => CellDiff} */
+    const diff_cell = (cell_id) => {
+        const mine = current.cell_inputs[cell_id]
+        const theirs = other.cell_inputs[cell_id]
+
+        if (mine == null) {
+            return {
+                cell_id,
+                status: "added",
+                code: theirs.code,
+                hunks: [
+                    {
+                        key: `added ${cell_id}`,
+                        kind: "added",
+                        cell_id,
+                        lines: theirs.code.split("\n").map((text) => ({ type: "insert", text })),
+                        apply: (notebook) => {
+                            if (notebook.cell_inputs[cell_id] != null) return
+                            notebook.cell_inputs[cell_id] = _.cloneDeep(theirs)
+                            const index = index_after_same_neighbor(cell_id, notebook.cell_order, other.cell_order)
+                            notebook.cell_order = [...notebook.cell_order.slice(0, index), cell_id, ...notebook.cell_order.slice(index)]
+                        },
+                        run: [cell_id],
+                    },
+                ],
+            }
+        }
+        if (theirs == null) {
+            return {
+                cell_id,
+                status: "deleted",
+                code: mine.code,
+                hunks: [
+                    {
+                        key: `deleted ${cell_id}`,
+                        kind: "deleted",
+                        cell_id,
+                        lines: mine.code.split("\n").map((text) => ({ type: "delete", text })),
+                        apply: (notebook) => {
+                            delete notebook.cell_inputs[cell_id]
+                            notebook.cell_order = notebook.cell_order.filter((id) => id !== cell_id)
+                        },
+                        run: [],
+                    },
+                ],
+            }
+        }
+
+        /** @type {DiffHunk[]} */
+        const hunks = []
+        if (moved.has(cell_id)) {
+            hunks.push({
+                key: `moved ${cell_id}`,
+                kind: "moved",
+                cell_id,
+                lines: [],
+                apply: (notebook) => {
+                    const without = notebook.cell_order.filter((id) => id !== cell_id)
+                    const index = index_after_same_neighbor(cell_id, without, other.cell_order)
+                    notebook.cell_order = [...without.slice(0, index), cell_id, ...without.slice(index)]
+                },
+                run: null,
+            })
+        }
+        for (const hunk of line_hunks(mine.code, theirs.code)) {
+            const expected_code = mine.code
+            hunks.push({
+                key: `code ${cell_id} ${hunk.from}-${hunk.to} ${hunk.insert.join("\n")}`,
+                kind: "code",
+                cell_id,
+                lines: hunk.lines,
+                apply: (notebook) => {
+                    const cell = notebook.cell_inputs[cell_id]
+                    // The hunk was computed for this code. If the cell changed in the meantime, the line numbers are no longer right.
+                    if (cell == null || cell.code !== expected_code) return
+                    const lines = cell.code.split("\n")
+                    cell.code = [...lines.slice(0, hunk.from), ...hunk.insert, ...lines.slice(hunk.to)].join("\n")
+                },
+                run: [cell_id],
+            })
+        }
+        const metadata_changes = metadata_lines(mine.metadata, theirs.metadata)
+        if (metadata_changes.length > 0 || mine.code_folded !== theirs.code_folded) {
+            hunks.push({
+                key: `cell_metadata ${cell_id} ${JSON.stringify(theirs.metadata)} ${theirs.code_folded}`,
+                kind: "cell_metadata",
+                cell_id,
+                lines: [
+                    ...metadata_changes,
+                    ...(mine.code_folded !== theirs.code_folded
+                        ? [
+                              /** @type {DiffLine} */ ({ type: "delete", text: `code_folded = ${mine.code_folded}` }),
+                              /** @type {DiffLine} */ ({ type: "insert", text: `code_folded = ${theirs.code_folded}` }),
+                          ]
+                        : []),
+                ],
+                apply: (notebook) => {
+                    const cell = notebook.cell_inputs[cell_id]
+                    if (cell == null) return
+                    assign_keys(cell.metadata, theirs.metadata)
+                    if (cell.code_folded !== theirs.code_folded) cell.code_folded = theirs.code_folded
+                },
+                // Disabling a cell only takes effect on its dependents when it runs.
+                run: mine.metadata.disabled !== theirs.metadata.disabled ? [cell_id] : null,
+            })
+        }
+
+        return {
+            cell_id,
+            status: moved.has(cell_id) ? "moved" : hunks.length > 0 ? "changed" : "unchanged",
+            code: mine.code,
+            hunks,
+        }
+    }
+
+    // Show the cells in the current order, with added cells next to where they would be inserted.
+    const order = [...current.cell_order]
+    for (const id of other.cell_order) {
+        if (current.cell_inputs[id] == null) {
+            order.splice(index_after_same_neighbor(id, order, other.cell_order), 0, id)
+        }
+    }
+
+    const notebook_metadata_changes = metadata_lines(current.metadata ?? {}, other.metadata ?? {})
+    /** @type {DiffHunk[]} */
+    const notebook_hunks =
+        notebook_metadata_changes.length > 0
+            ? [
+                  {
+                      key: `notebook_metadata ${JSON.stringify(other.metadata)}`,
+                      kind: "notebook_metadata",
+                      cell_id: null,
+                      lines: notebook_metadata_changes,
+                      apply: (notebook) => assign_keys(notebook.metadata, other.metadata ?? {}),
+                      run: null,
+                  },
+              ]
+            : []
+
+    return { cells: order.map(diff_cell), notebook_hunks }
+}
@@ -0,0 +1,120 @@
+// Search (and replace) in the code of all cells, and optionally in their outputs. Used by `FindReplace.js` and `FindReferences.js`.
+
+/**
+ * @typedef SearchOptions
+ * @type {{
+ *  query: string,
+ *  regex: boolean,
+ *  case_sensitive: boolean,
+ *  whole_word: boolean,
+ * }}
+ */
+
+/**
+ * @typedef SearchMatch
+ * @type {{
+ *  cell_id: string,
+ *  in: "code" | "output",
+ *  from: number,
+ *  to: number,
+ * }}
+ */
+
+/** The most matches we look for, to keep the search fast in big notebooks. */
+export const max_matches = 5000
+
+const escape_regexp = (/** @type {string} */ s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * The regular expression for a search. Throws a `SyntaxError` if `query` is not a valid regular expression.
+ * @param {SearchOptions} options
+ * @returns {RegExp?} `null` for an empty search.
+ */
+export const search_regexp = ({ query, regex, case_sensitive, whole_word }) => {
+    if (query === "") return null
+    const source = regex ? query : escape_regexp(query)
+    // `\b` does not work for names with unicode characters or `!`, so we use the same word characters as Julia identifiers.
+    const word_source = whole_word ? `(?<![\\p{L}\\p{N}_!])(?:${source})(?![\\p{L}\\p{N}_!])` : source
+    return new RegExp(word_source, `gmu${case_sensitive ? "" : "i"}`)
+}
+
+/**
+ * All matches of `re` in `text`.
+ * @param {string} text
+ * @param {RegExp} re A global regexp
+ * @param {number} limit
+ * @returns {Array<{ from: number, to: number }>}
+ */
+export const find_in_text = (text, re, limit = max_matches) => {
+    const result = []
+    for (const match of text.matchAll(re)) {
+        // Empty matches (like `^`) would match everywhere, and can not be replaced in a useful way.
+        if (match[0].length === 0) continue
+        result.push({ from: match.index ?? 0, to: (match.index ?? 0) + match[0].length })
+        if (result.length >= limit) break
+    }
+    return result
+}
+
+/**
+ * Search through the code (and optionally the output) of all cells, in notebook order.
+ * @param {{
+ *  cell_order: string[],
+ *  code_of: (cell_id: string) => string,
+ *  output_of: ((cell_id: string) => string?)?,
+ *  re: RegExp,
+ * }} props
+ * @returns {SearchMatch[]}
+ */
+export const find_in_notebook = ({ cell_order, code_of, output_of, re }) => {
+    /** @type {SearchMatch[]} */
+    const result = []
+    for (const cell_id of cell_order) {
+        for (const m of find_in_text(code_of(cell_id), re, max_matches - result.length)) {
+            result.push({ cell_id, in: "code", ...m })
+        }
+        const output = output_of?.(cell_id)
+        if (output != null) {
+            for (const m of find_in_text(output, re, max_matches - result.length)) {
+                result.push({ cell_id, in: "output", ...m })
+            }
+        }
+        if (result.length >= max_matches) break
+    }
+    return result
+}
+
+/**
+ * Replace the matches of `re` in `text`. In regex mode, the replacement can refer to groups with `$1`, `$<name>` etc., like `String.prototype.replace`.
+ * @param {string} text
+ * @param {RegExp} re A global regexp
+ * @param {string} replacement
+ * @param {boolean} regex Whether the search is a regex search
+ * @param {{ from: number, to: number }?} only Only replace the match at this position.
+ */
+export const replace_in_text = (text, re, replacement, regex, only = null) =>
+    text.replace(re, (...args) => {
+        const match = args[0]
+        const offset_index = args.findIndex((a, i) => i > 0 && typeof a === "number")
+        const offset = args[offset_index]
+        const captures = args.slice(1, offset_index)
+        const named_groups = args[offset_index + 2]
+        if (match.length === 0 || (only != null && offset !== only.from)) return match
+        // In a plain text search, the replacement is plain text too.
+        if (!regex) return replacement
+        return replacement.replace(/\$(\$|&|\d{1,2}|<[^>]*>)/g, (_, token) =>
+            token === "$" ? "$" : token === "&" ? match : token.startsWith("<") ? named_groups?.[token.slice(1, -1)] ?? "" : captures[Number(token) - 1] ?? ""
+        )
+    })
+
+/**
+ * The line and the column (`ch`) of a position in `text`, as the `cell_focus` event expects them.
+ * @param {string} text
+ * @param {number} index
+ * @returns {{ line: number, ch: number }}
+ */
+export const line_and_ch = (text, index) => {
+    const before = text.slice(0, index)
+    const line = before.split("\n").length - 1
+    return { line, ch: index - (before.lastIndexOf("\n") + 1) }
+}
@@ -0,0 +1,147 @@
+// When the websocket is down, we don't want to throw away the changes that the user makes to the notebook. Instead, outgoing `update_notebook` and `run_multiple_cells` messages are stored in this queue, and they are replayed (and rebased onto the server's fresh state) after reconnecting.
+//
+// The queue is stored in IndexedDB (keyed by notebook_id), so that it also survives a page refresh.
+
+import { applyPatches } from "../imports/immer.js"
+
+const db_name = "pluto_offline_queue"
+const store_name = "queues"
+
+/** Only these messages are put in the queue. Other messages (like autocomplete requests) are useless after reconnecting. */
+export const queueable_message_types = ["update_notebook", "run_multiple_cells"]
+
+/**
+ * The response that `send` returns for a message that went into the queue, instead of to the server.
+ */
+export const queued_response = Object.freeze({ type: "queued", message: null })
+
+/**
+ * @typedef QueuedMessage
+ * @type {{
+ *  message_type: string,
+ *  body: Record<string,any>,
+ *  metadata: Record<string,any>,
+ *  no_broadcast: boolean,
+ *  time: number,
+ * }}
+ */
+
+/**
+ * @typedef OfflineQueue
+ * @type {{
+ *  size: () => number,
+ *  push: (message: Omit<QueuedMessage, "time">) => Promise<void>,
+ *  replay: (handler: (message: QueuedMessage) => Promise<void>) => Promise<void>,
+ * }}
+ */
+
+/**
+ * Apply queued `update_notebook` patches to the current notebook state (an immer draft), which the server might have changed in the meantime. Patches that no longer apply (e.g. because another client deleted the cell) are dropped.
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @param {Array<import("../imports/immer.js").Patch>} patches
+ */
+export const rebase_patches = (notebook, patches) => {
+    for (const patch of patches) {
+        try {
+            applyPatches(notebook, [patch])
+        } catch (e) {
+            console.warn("Dropping offline change that no longer applies", patch, e)
+        }
+    }
+    notebook.cell_order = notebook.cell_order.filter((cell_id) => notebook.cell_inputs[cell_id] != null)
+}
+
+/** @returns {Promise<IDBDatabase>} */
+const open_db = () =>
+    new Promise((resolve, reject) => {
+        const request = indexedDB.open(db_name, 1)
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(store_name)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+
+/**
+ * @param {IDBDatabase} db
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+const with_store = (db, mode, fn) =>
+    new Promise((resolve, reject) => {
+        const transaction = db.transaction(store_name, mode)
+        const request = fn(transaction.objectStore(store_name))
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onerror = () => reject(transaction.error)
+    })
+
+/**
+ * Create a persistent queue of outgoing messages for one notebook. Messages stored during a previous page load are loaded automatically.
+ * @param {{
+ *  notebook_id: string,
+ *  on_change: (size: number) => void,
+ * }} options
+ * @returns {OfflineQueue}
+ */
+export const create_offline_queue = ({ notebook_id, on_change }) => {
+    /** @type {QueuedMessage[]} */
+    let messages = []
+
+    const db_promise = open_db().catch((e) => {
+        console.warn("IndexedDB is not available, offline changes will not survive a page refresh.", e)
+        return null
+    })
+
+    let last_write = Promise.resolve()
+    /** Store the queue. Resolves when the queue (and everything before it) is stored. */
+    const persist = () => {
+        const snapshot = messages
+        last_write = last_write
+            .then(async () => {
+                const db = await db_promise
+                if (db == null) return
+                await with_store(db, "readwrite", (store) => (snapshot.length === 0 ? store.delete(notebook_id) : store.put(snapshot, notebook_id)))
+            })
+            .catch((e) => console.error("Failed to store offline changes", e))
+        on_change(messages.length)
+        return last_write
+    }
+
+    const loaded = db_promise
+        .then(async (db) => {
+            if (db == null) return
+            const stored = await with_store(db, "readonly", (store) => store.get(notebook_id))
+            if (Array.isArray(stored) && stored.length > 0) {
+                messages = [...stored, ...messages]
+                persist()
+            }
+        })
+        .catch((e) => console.error("Failed to load offline changes", e))
+
+    let current_replay = null
+
+    return {
+        size: () => messages.length,
+        push: (message) => {
+            messages = [...messages, { ...message, time: Date.now() }]
+            return persist()
+        },
+        replay: (handler) => {
+            // Only one replay at a time. A message is removed from the queue after it was handled successfully, so if the connection drops during a replay, the remaining messages stay in the queue for the next one. Messages that get queued *during* the replay are also left for the next one.
+            if (current_replay == null) {
+                current_replay = (async () => {
+                    await loaded
+                    for (const message of messages) {
+                        await handler(message)
+                        messages = messages.filter((m) => m !== message)
+                        await persist()
+                    }
+                })().finally(() => {
+                    current_replay = null
+                })
+            }
+            return current_replay
+        },
+    }
+}
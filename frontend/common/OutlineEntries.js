@@ -0,0 +1,95 @@
+import { markdown_headings } from "./CellTitle.js"
+
+// The entries of the outline sidebar, see `components/Outline.js`.
+
+/** Deeper headings make the outline too busy. */
+const max_heading_level = 3
+
+/** Parsing HTML is not free, and the same output is rendered many times. */
+const headings_cache = new Map()
+
+const headings_in_html = (/** @type {string} */ body) => {
+    if (!/<h[1-6]/i.test(body)) return []
+    let result = headings_cache.get(body)
+    if (result == null) {
+        if (headings_cache.size > 500) headings_cache.clear()
+        const doc = new DOMParser().parseFromString(body, "text/html")
+        result = Array.from(doc.querySelectorAll("h1, h2, h3, h4, h5, h6"), (h) => ({ level: Number(h.tagName[1]), text: (h.textContent ?? "").trim() }))
+        headings_cache.set(body, result)
+    }
+    return result
+}
+
+/**
+ * The headings of a cell: from its HTML output, or from its code when the cell did not run yet.
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @param {string} cell_id
+ */
+const cell_headings = (notebook, cell_id) => {
+    const output = notebook.cell_results[cell_id]?.output
+    const headings =
+        output != null && output.mime === "text/html" && typeof output.body === "string" && output.body !== ""
+            ? headings_in_html(output.body)
+            : markdown_headings(notebook.cell_inputs[cell_id]?.code ?? "")
+    return headings.filter((h) => h.level <= max_heading_level && h.text !== "")
+}
+
+/**
+ * @typedef OutlineEntry
+ * @type {{
+ *  key: string,
+ *  cell_id: string,
+ *  depth: number,
+ *  heading?: { level: number, text: string, index: number },
+ *  names?: string[],
+ *  section: string[],
+ * }}
+ */
+
+/**
+ * One entry for every heading, and one for every other cell that defines global variables. The `section` of a heading are the cells up to the next heading of the same or a higher level: these move together when you drag the heading.
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @returns {OutlineEntry[]}
+ */
+export const outline_entries = (notebook) => {
+    const headings = notebook.cell_order.map((cell_id) => cell_headings(notebook, cell_id))
+    const section_of = (/** @type {number} */ i, /** @type {number} */ level) => {
+        let end = i + 1
+        while (end < notebook.cell_order.length && !headings[end].some((h) => h.level <= level)) end++
+        return notebook.cell_order.slice(i, end)
+    }
+
+    /** @type {OutlineEntry[]} */
+    const entries = []
+    let depth = 0
+    notebook.cell_order.forEach((cell_id, i) => {
+        headings[i].forEach((heading, index) => {
+            entries.push({
+                key: `${cell_id}-${index}`,
+                cell_id,
+                depth: heading.level - 1,
+                heading: { ...heading, index },
+                section: section_of(i, heading.level),
+            })
+            depth = heading.level
+        })
+        const names = Object.keys(notebook.cell_dependencies?.[cell_id]?.downstream_cells_map ?? {})
+        if (headings[i].length === 0 && names.length > 0) {
+            entries.push({ key: cell_id, cell_id, depth, names, section: [cell_id] })
+        }
+    })
+    return entries
+}
+
+/**
+ * Where to move the section of the `dragged` heading when it is dropped on the heading in `target_cell_id`, or at the end (`null`): the arguments for `move_remote_cells`. Returns `null` when the target is inside the section itself.
+ * @param {string[]} cell_order
+ * @param {OutlineEntry} dragged
+ * @param {string?} target_cell_id
+ * @returns {{ cell_ids: string[], index: number }?}
+ */
+export const section_move = (cell_order, dragged, target_cell_id) => {
+    if (target_cell_id == null) return { cell_ids: dragged.section, index: cell_order.length }
+    if (dragged.section.includes(target_cell_id)) return null
+    return { cell_ids: dragged.section, index: cell_order.indexOf(target_cell_id) }
+}
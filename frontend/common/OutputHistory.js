@@ -0,0 +1,85 @@
+// The previous outputs of each cell, so that you can compare the current output with an earlier one. This only lives in the browser tab: it is not part of the notebook state, so it is never sent to the server or saved in the notebook file.
+//
+// Outputs can be large (images, tables), so the history is bounded: a few outputs per cell, and a total size for all cells together. When we go over the limit, the oldest outputs of the whole notebook are forgotten first.
+
+/** @typedef {import("../components/Editor.js").CellResultData["output"]} CellOutputData */
+
+/**
+ * @typedef OutputHistoryEntry
+ * @type {{
+ *  output: CellOutputData,
+ *  errored: boolean,
+ *  size: number,
+ * }}
+ */
+
+export const max_outputs_per_cell = 8
+/** In bytes, roughly. */
+export const max_history_size = 32_000_000
+
+/** @type {Map<string, OutputHistoryEntry[]>} */
+const history = new Map()
+/** All entries, oldest first, to know what to forget. */
+let all_entries = /** @type {Array<{ cell_id: string, entry: OutputHistoryEntry }>} */ ([])
+let total_size = 0
+
+/** A rough estimate of the memory used by an output body. It only needs to be good enough to keep the history from growing without bounds. */
+const estimate_size = (/** @type {any} */ value, depth = 0) => {
+    if (value == null) return 8
+    if (typeof value === "string") return 2 * value.length
+    if (typeof value !== "object") return 8
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength
+    if (depth > 20) return 0
+    let size = 16
+    for (const key in value) size += 2 * key.length + estimate_size(value[key], depth + 1)
+    return size
+}
+
+const forget = (/** @type {string} */ cell_id, /** @type {OutputHistoryEntry} */ entry) => {
+    const entries = history.get(cell_id)
+    if (entries == null) return
+    const index = entries.indexOf(entry)
+    if (index === -1) return
+    entries.splice(index, 1)
+    total_size -= entry.size
+    if (entries.length === 0) history.delete(cell_id)
+}
+
+/**
+ * Add the output of a cell to its history, if it is new (a different `last_run_timestamp`).
+ * @param {string} cell_id
+ * @param {CellOutputData} output
+ * @param {boolean} errored
+ */
+export const record_output = (cell_id, output, errored) => {
+    if (output == null || !output.last_run_timestamp) return
+    const entries = history.get(cell_id) ?? []
+    if (entries.some((e) => e.output.last_run_timestamp === output.last_run_timestamp)) return
+
+    const entry = { output, errored, size: estimate_size(output.body) }
+    entries.push(entry)
+    history.set(cell_id, entries)
+    all_entries.push({ cell_id, entry })
+    total_size += entry.size
+
+    while (entries.length > max_outputs_per_cell) forget(cell_id, entries[0])
+    // Forget the oldest outputs, but never the current output of a cell: that one is also in the notebook state.
+    for (const old of all_entries) {
+        if (total_size <= max_history_size) break
+        if (history.get(old.cell_id)?.at(-1) !== old.entry) forget(old.cell_id, old.entry)
+    }
+    all_entries = all_entries.filter(({ cell_id, entry }) => history.get(cell_id)?.includes(entry) ?? false)
+}
+
+/**
+ * The outputs of a cell, oldest first. The last one is the current output.
+ * @param {string} cell_id
+ * @returns {OutputHistoryEntry[]}
+ */
+export const output_history = (cell_id) => history.get(cell_id) ?? []
+
+/** Forget the history of a cell, e.g. when it is deleted. */
+export const forget_cell = (/** @type {string} */ cell_id) => {
+    for (const entry of [...output_history(cell_id)]) forget(cell_id, entry)
+    all_entries = all_entries.filter((e) => e.cell_id !== cell_id)
+}
@@ -1,7 +1,9 @@
 import { Promises } from "../common/SetupCellEnvironment.js"
-import { pack, unpack } from "./MsgPack.js"
+import { create_frame_decoder, supported_frame_encodings } from "./Frames.js"
+import { queueable_message_types, queued_response } from "./OfflineQueue.js"
 import "./Polyfill.js"
 import { Stack } from "./Stack.js"
+import { create_negotiating_transport_factory } from "./Transports.js"
 import { with_query_params } from "./URLTools.js"
 
 const reconnect_after_close_delay = 500
@@ -15,17 +17,20 @@ const retry_after_connect_failure_delay = 5000
  * @template T
  * @param {Promise<T>} promise
  * @param {number} time_ms
+ * @param {() => Error} [make_error] Creates the error to reject with after a timeout.
  * @returns {Promise<T>}
  */
-export const timeout_promise = (promise, time_ms) =>
-    Promise.race([
+export const timeout_promise = (promise, time_ms, make_error = () => new Error("Promise timed out.")) => {
+    let handle
+    return Promise.race([
         promise,
         new Promise((resolve, reject) => {
-            setTimeout(() => {
-                reject(new Error("Promise timed out."))
+            handle = setTimeout(() => {
+                reject(make_error())
             }, time_ms)
         }),
-    ])
+    ]).finally(() => clearTimeout(handle))
+}
 
 /**
  * Keep calling @see f until it resolves, with a delay before each try.
@@ -59,128 +64,128 @@ export const resolvable_promise = () => {
 }
 
 /**
- * @returns {string}
+ * A request sent with `send` did not get a response. Catch this error (and its subclasses) to show something in the UI.
  */
-const get_unique_short_id = () => crypto.getRandomValues(new Uint32Array(1))[0].toString(36)
+export class PlutoRequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} message_type The type of the request that failed, e.g. `"nbpkg_available_versions"`.
+     */
+    constructor(message, message_type) {
+        super(message)
+        this.name = "PlutoRequestError"
+        this.message_type = message_type
+    }
+}
 
-const socket_is_alright = (socket) => socket.readyState == WebSocket.OPEN || socket.readyState == WebSocket.CONNECTING
+/** The server did not respond in time, see `request_policies`. */
+export class RequestTimeoutError extends PlutoRequestError {
+    constructor(/** @type {string} */ message_type, /** @type {number} */ timeout_ms) {
+        super(`Request ${message_type} timed out after ${timeout_ms} ms`, message_type)
+        this.name = "RequestTimeoutError"
+        this.timeout_ms = timeout_ms
+    }
+}
 
-const socket_is_alright_with_grace_period = (socket) =>
-    new Promise((res) => {
-        if (socket_is_alright(socket)) {
-            res(true)
-        } else {
-            setTimeout(() => {
-                res(socket_is_alright(socket))
-            }, 1000)
-        }
-    })
+/** The request was cancelled with an `AbortSignal`. */
+export class RequestAbortedError extends PlutoRequestError {
+    constructor(/** @type {string} */ message_type) {
+        super(`Request ${message_type} was aborted`, message_type)
+        this.name = "RequestAbortedError"
+    }
+}
 
-const try_close_socket_connection = (/** @type {WebSocket} */ socket) => {
-    socket.onopen = () => {
-        try_close_socket_connection(socket)
+/** The connection to the server was lost before the response arrived. */
+export class ConnectionLostError extends PlutoRequestError {
+    constructor(/** @type {string} */ message_type) {
+        super(`Connection lost while waiting for response to ${message_type}`, message_type)
+        this.name = "ConnectionLostError"
     }
-    socket.onmessage = socket.onclose = socket.onerror = null
-    try {
-        socket.close(1000, "byebye")
-    } catch (ex) {}
 }
 
 /**
- * Open a 'raw' websocket connection to an API with MessagePack serialization. The method is asynchonous, and resolves to a @see WebsocketConnection when the connection is established.
- * @typedef {{socket: WebSocket, send: Function}} WebsocketConnection
- * @param {string} address The WebSocket URL
- * @param {{on_message: Function, on_socket_close:Function}} callbacks
- * @param {number} timeout_s Timeout for creating the websocket connection (seconds)
- * @returns {Promise<WebsocketConnection>}
+ * @typedef RequestPolicy
+ * @type {{
+ *  timeout_ms: number?,
+ *  retries: number,
+ * }}
  */
-const create_ws_connection = (address, { on_message, on_socket_close }, timeout_s = 30) => {
-    return new Promise((resolve, reject) => {
-        const socket = new WebSocket(address)
 
-        let has_been_open = false
-
-        const timeout_handle = setTimeout(() => {
-            console.warn("Creating websocket timed out", new Date().toLocaleTimeString())
-            try_close_socket_connection(socket)
-            reject("Socket timeout")
-        }, timeout_s * 1000)
-
-        const send_encoded = (message) => {
-            const encoded = pack(message)
-            if (socket.readyState === WebSocket.CLOSED || socket.readyState === WebSocket.CLOSING) throw new Error("Socket is closed")
-            socket.send(encoded)
-        }
+/**
+ * How long `send` waits for a response to each message type, and how many times it retries after a timeout. Only requests without side effects are retried. A `timeout_ms` of `null` means: wait forever. This is the case for requests that can take arbitrarily long, like running code or resolving packages.
+ * @type {Record<string, RequestPolicy>}
+ */
+const request_policies = {
+    connect: { timeout_ms: 30_000, retries: 0 },
+    ping: { timeout_ms: 30_000, retries: 0 },
+    current_time: { timeout_ms: 10_000, retries: 2 },
+    complete: { timeout_ms: 10_000, retries: 0 },
+    complete_symbols: { timeout_ms: 30_000, retries: 1 },
+    completepath: { timeout_ms: 10_000, retries: 1 },
+    docs: { timeout_ms: 20_000, retries: 0 },
+    defined_names: { timeout_ms: 5_000, retries: 0 },
+    format_code: { timeout_ms: 30_000, retries: 0 },
+    get_all_notebooks: { timeout_ms: 20_000, retries: 1 },
+    nbpkg_available_versions: { timeout_ms: 60_000, retries: 1 },
+    all_registered_package_names: { timeout_ms: 60_000, retries: 1 },
+    nbpkg_get_project_toml: { timeout_ms: 30_000, retries: 1 },
+    update_notebook: { timeout_ms: 60_000, retries: 0 },
+}
+/** @type {RequestPolicy} */
+const default_request_policy = { timeout_ms: null, retries: 0 }
 
-        let last_task = Promise.resolve()
-        socket.onmessage = (event) => {
-            // we read and deserialize the incoming messages asynchronously
-            // they arrive in order (WS guarantees this), i.e. this socket.onmessage event gets fired with the message events in the right order
-            // but some message are read and deserialized much faster than others, because of varying sizes, so _after_ async read & deserialization, messages are no longer guaranteed to be in order
-            //
-            // the solution is a task queue, where each task includes the deserialization and the update handler
-            last_task = last_task.then(async () => {
-                try {
-                    const buffer = await event.data.arrayBuffer()
-                    const message = unpack(new Uint8Array(buffer))
-
-                    try {
-                        on_message(message)
-                    } catch (process_err) {
-                        console.error("Failed to process message from websocket", process_err, { message })
-                        // prettier-ignore
-                        alert(`Something went wrong! You might need to refresh the page.\n\nPlease open an issue on https://github.com/fonsp/Pluto.jl with this info:\n\nFailed to process update\n${process_err.message}\n\n${JSON.stringify(event)}`)
-                    }
-                } catch (unpack_err) {
-                    console.error("Failed to unpack message from websocket", unpack_err, { event })
+/**
+ * @returns {string}
+ */
+const get_unique_short_id = () => crypto.getRandomValues(new Uint32Array(1))[0].toString(36)
 
-                    // prettier-ignore
-                    alert(`Something went wrong! You might need to refresh the page.\n\nPlease open an issue on https://github.com/fonsp/Pluto.jl with this info:\n\nFailed to unpack message\n${unpack_err}\n\n${JSON.stringify(event)}`)
-                }
-            })
-        }
+let next_tick_promise = () => {
+    return new Promise((resolve) => setTimeout(resolve, 0))
+}
 
-        socket.onerror = async (e) => {
-            console.error(`Socket did an oopsie - ${e.type}`, new Date().toLocaleTimeString(), "was open:", has_been_open, e)
-
-            if (await socket_is_alright_with_grace_period(socket)) {
-                console.log("The socket somehow recovered from an error?! Onbegrijpelijk")
-                console.log(socket)
-                console.log(socket.readyState)
-            } else {
-                if (has_been_open) {
-                    on_socket_close()
-                    try_close_socket_connection(socket)
-                } else {
-                    reject(e)
-                }
-            }
-        }
-        socket.onclose = async (e) => {
-            console.warn(`Socket did an oopsie - ${e.type}`, new Date().toLocaleTimeString(), "was open:", has_been_open, e)
-
-            if (has_been_open) {
-                on_socket_close()
-                try_close_socket_connection(socket)
-            } else {
-                reject(e)
-            }
-        }
-        socket.onopen = () => {
-            console.log("Socket opened", new Date().toLocaleTimeString())
-            clearInterval(timeout_handle)
-            has_been_open = true
-            resolve({
-                socket: socket,
-                send: send_encoded,
-            })
+/**
+ * The options to send a batch of messages with, when each message came with its own `options`. The batch is cancelled when all of the messages are cancelled, and it uses the shortest timeout and the fewest retries.
+ * @param {string} message_type
+ * @param {import("./PlutoConnectionSendFn").SendOptions[]} all_options
+ * @returns {import("./PlutoConnectionSendFn").SendOptions}
+ */
+const combine_send_options = (message_type, all_options) => {
+    const policy = request_policies[message_type] ?? default_request_policy
+    const signals = all_options.map((o) => o.signal)
+    // `null` means: wait forever
+    const timeout_ms = Math.min(...all_options.map((o) => (o.timeout_ms === undefined ? policy.timeout_ms : o.timeout_ms) ?? Infinity))
+
+    let signal = null
+    if (signals.every((s) => s != null)) {
+        const controller = new AbortController()
+        const on_abort = () => {
+            if (signals.every((s) => s?.aborted)) controller.abort()
         }
-        console.log("Waiting for socket to open...", new Date().toLocaleTimeString())
-    })
+        signals.forEach((s) => s?.addEventListener("abort", on_abort))
+        signal = controller.signal
+    }
+    return {
+        signal,
+        timeout_ms: timeout_ms === Infinity ? null : timeout_ms,
+        retries: Math.min(...all_options.map((o) => o.retries ?? policy.retries)),
+    }
 }
 
-let next_tick_promise = () => {
-    return new Promise((resolve) => setTimeout(resolve, 0))
+/**
+ * Wait for `promise`, but reject with a `RequestAbortedError` as soon as `signal` is aborted. The promise itself keeps going.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal | null | undefined} signal
+ * @param {string} message_type
+ * @returns {Promise<T>}
+ */
+const unless_aborted = (promise, signal, message_type) => {
+    if (signal == null) return promise
+    return new Promise((resolve, reject) => {
+        const on_abort = () => reject(new RequestAbortedError(message_type))
+        signal.addEventListener("abort", on_abort)
+        promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", on_abort))
+    })
 }
 
 /**
@@ -196,31 +201,42 @@ let next_tick_promise = () => {
  */
 const batched_updates = (send) => {
     let current_combined_updates_promise = null
-    let current_combined_updates = []
+    /** @type {Array<{ updates: any[], options: import("./PlutoConnectionSendFn").SendOptions }>} */
+    let current_combined_messages = []
     let current_combined_notebook_id = null
 
-    let batched = async (message_type, body, metadata, no_broadcast) => {
+    let batched = async (message_type, body, metadata, no_broadcast, options = {}) => {
         if (message_type === "update_notebook") {
             if (current_combined_notebook_id != null && current_combined_notebook_id != metadata.notebook_id) {
                 // prettier-ignore
                 throw new Error("Switched notebook inbetween same-tick updates??? WHAT?!?!")
             }
-            current_combined_updates = [...current_combined_updates, ...body.updates]
+            if (options.signal?.aborted) {
+                throw new RequestAbortedError(message_type)
+            }
+            current_combined_messages = [...current_combined_messages, { updates: body.updates, options }]
             current_combined_notebook_id = metadata.notebook_id
 
             if (current_combined_updates_promise == null) {
                 current_combined_updates_promise = next_tick_promise().then(async () => {
-                    let sending_current_combined_updates = current_combined_updates
+                    // Updates that were aborted before the end of the tick are not sent.
+                    let sending = current_combined_messages.filter((m) => !m.options.signal?.aborted)
                     current_combined_updates_promise = null
-                    current_combined_updates = []
+                    current_combined_messages = []
                     current_combined_notebook_id = null
-                    return await send(message_type, { updates: sending_current_combined_updates }, metadata, no_broadcast)
+                    if (sending.length === 0) return null
+                    const combined_options = combine_send_options(
+                        message_type,
+                        sending.map((m) => m.options)
+                    )
+                    return await send(message_type, { updates: sending.flatMap((m) => m.updates) }, metadata, no_broadcast, combined_options)
                 })
             }
 
-            return await current_combined_updates_promise
+            // Aborting one update does not cancel the other updates that are sent with it.
+            return await unless_aborted(current_combined_updates_promise, options.signal, message_type)
         } else {
-            return await send(message_type, body, metadata, no_broadcast)
+            return await send(message_type, body, metadata, no_broadcast, options)
         }
     }
 
@@ -257,7 +273,21 @@ const default_ws_address = () => ws_address_from_base(window.location.href)
  *      dismiss_update_notification: boolean,
  *  },
  *  notebook_exists: boolean,
- *  message_log: import("./Stack.js").Stack<any>,
+ *  message_log: import("./Stack.js").Stack<LoggedMessage>,
+ *  observe_messages: (observer: (entry: LoggedMessage) => void) => () => void,
+ * }}
+ */
+
+/**
+ * A message that was sent or received, for debugging. See `MessageInspectorTab`.
+ * @typedef LoggedMessage
+ * @type {{
+ *  direction: "sent" | "received",
+ *  time: number,
+ *  message_type: string,
+ *  request_id: string?,
+ *  size: number,
+ *  message: any,
  * }}
  */
 
@@ -277,6 +307,9 @@ const default_ws_address = () => ws_address_from_base(window.location.href)
  *  on_connection_status: (connection_status: boolean, hopeless: boolean) => void,
  *  connect_metadata?: Object,
  *  ws_address?: String,
+ *  offline_queue?: import("./OfflineQueue.js").OfflineQueue?,
+ *  transport_factory?: import("./Transports.js").TransportFactory,
+ *  on_receive_progress?: (progress: import("./Frames.js").FrameProgress) => void,
  * }} options
  * @return {Promise<PlutoConnection>}
  */
@@ -286,12 +319,28 @@ export const create_pluto_connection = async ({
     on_connection_status,
     connect_metadata = {},
     ws_address = default_ws_address(),
+    offline_queue = null,
+    transport_factory = create_negotiating_transport_factory(),
+    on_receive_progress = () => {},
 }) => {
-    let ws_connection = /** @type {WebsocketConnection?} */ (null) // will be defined later i promise
-    const message_log = new Stack(100)
+    let ws_connection = /** @type {import("./Transports.js").Transport?} */ (null) // will be defined later i promise
+    const message_log = /** @type {Stack<LoggedMessage>} */ (new Stack(100))
     // @ts-ignore
     window.pluto_get_message_log = () => message_log.get()
+    /** Unlike the `message_log`, observers see every message, e.g. to record a session trace. */
+    const message_observers = new Set()
+    const log_message = (/** @type {LoggedMessage} */ entry) => {
+        message_log.push(entry)
+        message_observers.forEach((observer) => observer(entry))
+    }
     let auto_reconnect = true
+    /** Every connection starts a new ping loop, which stops the previous one. */
+    let ping_loop = 0
+    let ping_timer = /** @type {ReturnType<typeof setTimeout>?} */ (null)
+    const stop_pinging = () => {
+        ping_loop++
+        if (ping_timer != null) clearTimeout(ping_timer)
+    }
 
     const client = {
         // send: null,
@@ -304,16 +353,34 @@ export const create_pluto_connection = async ({
         notebook_exists: true,
         // kill: null,
         message_log,
+        observe_messages: (observer) => {
+            message_observers.add(observer)
+            return () => {
+                message_observers.delete(observer)
+            }
+        },
     } // same
 
     const client_id = get_unique_short_id()
+    const frame_decoder = create_frame_decoder({ on_progress: on_receive_progress })
+    /**
+     * Requests that are waiting for a response.
+     * @type {Map<string, { message_type: string, on_response: (response_message: any) => void, reject: (error: any) => void }>}
+     */
     const sent_requests = new Map()
+    /**
+     * Requests that timed out or were aborted. If their response arrives later, we need to know whether it should still go to `on_unrequested_update`.
+     * @type {Map<string, boolean>} request_id => no_broadcast
+     */
+    const abandoned_requests = new Map()
 
-    /** @type {import("./PlutoConnectionSendFn").SendFn} */
-    const send = async (message_type, body = {}, metadata = {}, no_broadcast = true) => {
+    const send_once = async (message_type, body, metadata, no_broadcast, /** @type {AbortSignal?} */ signal, /** @type {number?} */ timeout_ms) => {
         if (ws_connection == null) {
             throw new Error("No connection established yet")
         }
+        if (signal?.aborted) {
+            throw new RequestAbortedError(message_type)
+        }
         const request_id = get_unique_short_id()
 
         // This data will be sent:
@@ -327,15 +394,70 @@ export const create_pluto_connection = async ({
 
         let p = resolvable_promise()
 
-        sent_requests.set(request_id, (response_message) => {
-            p.resolve(response_message)
-            if (no_broadcast === false) {
-                on_unrequested_update(response_message, true)
-            }
+        sent_requests.set(request_id, {
+            message_type,
+            on_response: (response_message) => {
+                p.resolve(response_message)
+                if (no_broadcast === false) {
+                    on_unrequested_update(response_message, true)
+                }
+            },
+            reject: p.reject,
         })
 
-        ws_connection.send(message)
-        return await p.current
+        const abandon = (error) => {
+            if (sent_requests.delete(request_id)) {
+                abandoned_requests.set(request_id, no_broadcast)
+                p.reject(error)
+            }
+        }
+        const on_abort = () => abandon(new RequestAbortedError(message_type))
+        signal?.addEventListener("abort", on_abort)
+
+        try {
+            const size = ws_connection.send(message)
+            log_message({ direction: "sent", time: Date.now(), message_type, request_id, size, message })
+            return await (timeout_ms == null ? p.current : timeout_promise(p.current, timeout_ms, () => new RequestTimeoutError(message_type, timeout_ms)))
+        } catch (e) {
+            abandon(e)
+            throw e
+        } finally {
+            signal?.removeEventListener("abort", on_abort)
+        }
+    }
+
+    /** @type {import("./PlutoConnectionSendFn").SendFn} */
+    const send = async (message_type, body = {}, metadata = {}, no_broadcast = true, { signal = null, timeout_ms = undefined, retries = undefined } = {}) => {
+        if (offline_queue != null && queueable_message_types.includes(message_type) && !ws_connection?.is_open()) {
+            // We are (temporarily) disconnected, the message will be sent after reconnecting.
+            offline_queue.push({ message_type, body, metadata, no_broadcast })
+            return queued_response
+        }
+
+        const policy = request_policies[message_type] ?? default_request_policy
+        const max_retries = retries ?? policy.retries
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await send_once(message_type, body, metadata, no_broadcast, signal, timeout_ms === undefined ? policy.timeout_ms : timeout_ms)
+            } catch (e) {
+                if (e instanceof RequestTimeoutError && attempt < max_retries) {
+                    console.warn(`${e.message}, retrying...`)
+                } else {
+                    throw e
+                }
+            }
+        }
+    }
+
+    /**
+     * The socket died, so we will never get a response to the requests that are still waiting. They are rejected with a `ConnectionLostError`. We don't put them in the offline queue: the server might have handled them already, and sending them again would run cells twice.
+     */
+    const reject_sent_requests = () => {
+        for (const [request_id, request] of sent_requests) {
+            sent_requests.delete(request_id)
+            request.reject(new ConnectionLostError(request.message_type))
+        }
+        abandoned_requests.clear()
     }
 
     client.send = batched_updates(send)
@@ -362,9 +484,17 @@ export const create_pluto_connection = async ({
         update_url_with_binder_token()
 
         try {
-            ws_connection = await create_ws_connection(String(ws_address), {
-                on_message: (update) => {
-                    message_log.push(update)
+            ws_connection = await transport_factory(String(ws_address), {
+                decode_frame: frame_decoder.decode,
+                on_message: (update, size) => {
+                    log_message({
+                        direction: "received",
+                        time: Date.now(),
+                        message_type: update.type,
+                        request_id: update.request_id ?? null,
+                        size,
+                        message: update,
+                    })
 
                     const by_me = update.initiator_id == client_id
                     const request_id = update.request_id
@@ -372,14 +502,21 @@ export const create_pluto_connection = async ({
                     if (by_me && request_id) {
                         const request = sent_requests.get(request_id)
                         if (request) {
-                            request(update)
+                            request.on_response(update)
                             sent_requests.delete(request_id)
                             return
                         }
+                        if (abandoned_requests.has(request_id)) {
+                            // We stopped waiting for this response. If it is a state update, it still needs to be applied.
+                            const no_broadcast = abandoned_requests.get(request_id)
+                            abandoned_requests.delete(request_id)
+                            if (no_broadcast !== false) return
+                        }
                     }
                     on_unrequested_update(update, by_me)
                 },
                 on_socket_close: async () => {
+                    reject_sent_requests()
                     on_connection_status(false, false)
                     if (!auto_reconnect) {
                         console.log("Auto-reconnect is disabled, so we're not reconnecting")
@@ -403,11 +540,15 @@ export const create_pluto_connection = async ({
 
             // let's say hello
             console.log("Hello?")
-            const u = await send("connect", {}, connect_metadata)
+            const u = await send("connect", { frame_encodings: supported_frame_encodings() }, connect_metadata)
             console.log("Hello!")
             client.kill = (allow_reconnect = true) => {
                 auto_reconnect = allow_reconnect
-                if (ws_connection) ws_connection.socket.close()
+                if (ws_connection) ws_connection.close()
+                if (!allow_reconnect) {
+                    stop_pinging()
+                    frame_decoder.close()
+                }
             }
             client.session_options = u.message.session_options
             client.version_info = u.message.version_info
@@ -421,13 +562,15 @@ export const create_pluto_connection = async ({
             }
             on_connection_status(true, false)
 
+            stop_pinging()
+            const this_ping_loop = ping_loop
             const ping = () => {
                 send("ping", {}, {})
-                    .then(() => {
-                        // Ping faster than timeout?
-                        setTimeout(ping, 28 * 1000)
+                    .catch((e) => console.warn("Ping failed:", e))
+                    .finally(() => {
+                        // Ping faster than timeout? We keep pinging after a failure, until a new connection starts its own ping loop, or the client is killed.
+                        if (this_ping_loop === ping_loop) ping_timer = setTimeout(ping, 28 * 1000)
                     })
-                    .catch(() => undefined)
             }
             ping()
 
@@ -9,4 +9,14 @@ export function SendFn (
      * If true (default), then the response will *only* go to you. This is useful for isolated requests, like "Please autocomplete `draw_rectang`".
      * @default true */
     skip_onupdate_callback?: boolean,
+    options?: SendOptions,
     ): Promise<Record<string,any>>
+
+export type SendOptions = {
+    /** Cancel the request. The promise rejects with a `RequestAbortedError`. */
+    signal?: AbortSignal | null,
+    /** Override the timeout for this message type (in milliseconds). `null` means: wait forever. When the timeout is reached, the promise rejects with a `RequestTimeoutError`. */
+    timeout_ms?: number | null,
+    /** Override the number of retries after a timeout for this message type. */
+    retries?: number,
+}
@@ -1,3 +1,5 @@
+import { STDOUT_LOG_LEVEL } from "./Logging.js"
+
 /**
  * Serialize an array of cells into a string form (similar to the .jl file).
  *
@@ -51,9 +53,323 @@ export function deserialize_repl(repl_session) {
         .filter((s) => s !== "")
 }
 
-export const detect_deserializer = (/** @type {string} */ topaste) =>
+// from our friends at https://stackoverflow.com/a/2117523
+// i checked it and it generates Julia-legal UUIDs and that's all we need -SNOF
+export const uuidv4 = () =>
+    //@ts-ignore
+    "10000000-1000-4000-8000-100000000000".replace(/[018]/g, (c) => (c ^ (crypto.getRandomValues(new Uint8Array(1))[0] & (15 >> (c / 4)))).toString(16))
+
+/**
+ * The contents of a Markdown cell (a cell that only contains a `md"..."` string without interpolation), or `null` if the cell is not a Markdown cell.
+ * @param {string} code
+ * @return {String?}
+ */
+export const markdown_cell_contents = (code) => {
+    const match = code.trim().match(/^md"""([\s\S]*)"""$/) ?? code.trim().match(/^md"((?:[^"\\\n]|\\.)*)"$/)
+    if (match == null || /(?<!\\)\$\(/.test(match[1]) || /(?<!\\)"""/.test(match[1])) return null
+    // Like in a raw string, the backslashes before a quote are escaped.
+    return match[1].replace(/(\\+)"/g, (_, backslashes) => `${"\\".repeat(Math.floor(backslashes.length / 2))}"`).trim()
+}
+
+/**
+ * The code of a Markdown cell that shows `text`. A `$` interpolates a Julia value in `md"..."`, so it is escaped, unless it is part of LaTeX math like `$x^2$`. The string is raw, so backslashes only need to be escaped before a quote.
+ * @param {string} text
+ * @return {String}
+ */
+export const markdown_cell = (text) => {
+    const escaped = text
+        .trim()
+        // Skip over escaped characters and math, and escape the other `$`s.
+        .replace(/\\[\s\S]|\$\$[\s\S]+?\$\$|\$(?=[^$\s])(?:[^$\n\\]|\\.)+?\$|\$/g, (m) => (m === "$" ? "\\$" : m))
+        .replace(/(\\*)"""/g, (_, backslashes) => `${backslashes}${backslashes}\\"\\"\\"`)
+    return `md"""\n${escaped}\n"""`
+}
+
+/**
+ * Parse the contents of a Jupyter notebook (`.ipynb`) file, or return `null` if it is not one.
+ * @param {String} text
+ * @return {{ cells: Array<{ cell_type: string, source: string | string[] }>, metadata?: Object }?}
+ */
+const parse_ipynb = (text) => {
+    if (!text.trimStart().startsWith("{")) return null
+    try {
+        const notebook = JSON.parse(text)
+        return notebook?.nbformat >= 4 && Array.isArray(notebook.cells) ? notebook : null
+    } catch (e) {
+        return null
+    }
+}
+
+/** Lines in IJulia cells that are not Julia code: shell mode (`;`), Pkg mode (`]`), help mode (`?`) and magics (`%`). They are commented out. */
+const IJULIA_MODE_LINE = /^[;\]?%]/
+
+/**
+ * Deserialize a Jupyter notebook (`.ipynb`).
+ *
+ * Markdown cells become `md"""..."""` cells, code cells become Julia cells, and raw cells become comments. Outputs are not imported.
+ *
+ * @param {String} ipynb
+ * @return {Array<String>}
+ */
+export function deserialize_ipynb(ipynb) {
+    const notebook = parse_ipynb(ipynb)
+    if (notebook == null) return []
+    return notebook.cells
+        .map((cell) => {
+            const source = (Array.isArray(cell.source) ? cell.source.join("") : cell.source ?? "").replace(/\r\n/g, "\n").trim()
+            if (source === "") return ""
+            switch (cell.cell_type) {
+                case "markdown":
+                    return markdown_cell(source)
+                case "code":
+                    return source
+                        .split("\n")
+                        .map((line) => (IJULIA_MODE_LINE.test(line) ? `# ${line}` : line))
+                        .join("\n")
+                default:
+                    return source
+                        .split("\n")
+                        .map((line) => `# ${line}`)
+                        .join("\n")
+            }
+        })
+        .filter((s) => s !== "")
+}
+
+/**
+ * Turn a Jupyter notebook (`.ipynb`) into the contents of a Pluto notebook file, so that it can be opened with `notebookupload`. Returns `null` if `ipynb` is not a Jupyter notebook.
+ * @param {String} ipynb
+ * @return {String?}
+ */
+export const ipynb_to_notebook_file = (ipynb) => {
+    if (parse_ipynb(ipynb) == null) return null
+    const cells = deserialize_ipynb(ipynb).map((code) => ({ cell_id: uuidv4(), code }))
+    return [
+        "### A Pluto.jl notebook ###",
+        "# v0.0.0",
+        "",
+        "using Markdown",
+        "using InteractiveUtils",
+        "",
+        ...cells.map((cell) => `# ╔═╡ ${cell.cell_id}\n${cell.code.replaceAll("# ╔═╡ ", "# ")}\n`),
+        "# ╔═╡ Cell order:",
+        ...cells.map((cell) => `# ╠═${cell.cell_id}`),
+        "",
+    ].join("\n")
+}
+
+/** Split text into lines that keep their newline, like the `source` and `text` fields in an `.ipynb` file. */
+const ipynb_lines = (/** @type {string} */ text) => text.split(/(?<=\n)/).filter((line) => line !== "")
+
+/**
+ * The outputs of a cell in the Jupyter format. Only text is exported: printed text (stdout), the output if it is `text/plain`, and errors.
+ * @param {import("../components/Editor.js").CellResultData?} result
+ */
+const ipynb_outputs = (result) => {
+    if (result == null) return []
+    const outputs = []
+
+    const stdout = (result.logs ?? [])
+        .filter((log) => String(log.level) === STDOUT_LOG_LEVEL)
+        .map((log) => log.msg[0])
+        .join("")
+    if (stdout !== "") {
+        outputs.push({ output_type: "stream", name: "stdout", text: ipynb_lines(stdout) })
+    }
+
+    const { mime, body } = result.output ?? {}
+    if (mime === "text/plain" && typeof body === "string" && body !== "") {
+        outputs.push({ output_type: "execute_result", execution_count: null, data: { "text/plain": ipynb_lines(body) }, metadata: {} })
+    } else if (mime === "application/vnd.pluto.stacktrace+object" && typeof body === "object") {
+        /** @type {{ msg: string, stacktrace: Array<{ call: string, file: string, line: number }> }} */
+        // @ts-ignore
+        const { msg, stacktrace } = body
+        const ename = msg.match(/^(\w+): /)?.[1]
+        outputs.push({
+            output_type: "error",
+            ename: ename ?? "Error",
+            evalue: ename == null ? msg : msg.slice(ename.length + 2),
+            traceback: [msg, ...(stacktrace ?? []).map((frame, i) => `[${i + 1}] ${frame.call} @ ${frame.file}:${frame.line}`)],
+        })
+    }
+    return outputs
+}
+
+/**
+ * Serialize a notebook as a Jupyter notebook (nbformat 4), in the notebook order. Markdown cells become Markdown cells, the other cells become Julia code cells with their text outputs.
+ *
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @return {String}
+ */
+export const serialize_ipynb = (notebook) =>
+    JSON.stringify(
+        {
+            cells: notebook.cell_order.map((cell_id) => {
+                const { code, code_folded } = notebook.cell_inputs[cell_id]
+                const markdown = markdown_cell_contents(code)
+                return markdown != null
+                    ? { cell_type: "markdown", id: cell_id, metadata: {}, source: ipynb_lines(markdown) }
+                    : {
+                          cell_type: "code",
+                          id: cell_id,
+                          metadata: code_folded ? { jupyter: { source_hidden: true } } : {},
+                          execution_count: null,
+                          source: ipynb_lines(code),
+                          outputs: ipynb_outputs(notebook.cell_results[cell_id]),
+                      }
+            }),
+            metadata: {
+                kernelspec: { display_name: "Julia", language: "julia", name: "julia" },
+                language_info: { name: "julia", file_extension: ".jl", mimetype: "application/julia" },
+            },
+            nbformat: 4,
+            nbformat_minor: 5,
+        },
+        null,
+        1
+    ) + "\n"
+
+/**
+ * A cell from a format that has more than just code, like Quarto. Deserializers return either code, or these.
+ * @typedef DeserializedCell
+ * @type {{
+ *  code: string,
+ *  code_folded?: boolean,
+ *  metadata?: Partial<import("../components/Editor.js").CellMetaData>,
+ * }}
+ */
+
+const QUARTO_CHUNK_START = /^(`{3,})\s*\{julia([^}]*)\}\s*$/
+const QUARTO_FRONT_MATTER = /^---\n[\s\S]*?\n---\n/
+const MARKDOWN_FILE_NAME = /\.(qmd|md|markdown)$/i
+
+/**
+ * Quarto chunk options for the cell metadata. Options that have their default value are left out.
+ * @param {import("../components/Editor.js").CellInputData} cell
+ */
+const quarto_chunk_options = ({ metadata, code_folded }) => [
+    ...(metadata.disabled ? ["#| eval: false"] : []),
+    ...(metadata.show_logs === false ? ["#| warning: false"] : []),
+    // Like `skip_as_script`, knitr's `purl: false` leaves the chunk out of the script.
+    ...(metadata.skip_as_script ? ["#| purl: false"] : []),
+    ...(code_folded ? ["#| code-fold: true"] : []),
+]
+
+/**
+ * Serialize a notebook as a Quarto document (`.qmd`), in the notebook order. Markdown cells become prose, the other cells become `{julia}` chunks, and the cell metadata becomes chunk options.
+ *
+ * @param {import("../components/Editor.js").NotebookData} notebook
+ * @return {String}
+ */
+export const serialize_qmd = (notebook) => {
+    const frontmatter = { engine: "julia", ...(notebook.metadata?.frontmatter ?? {}) }
+    // JSON values are also valid YAML.
+    const header = ["---", ...Object.entries(frontmatter).map(([key, value]) => `${key}: ${JSON.stringify(value)}`), "---"]
+
+    const blocks = notebook.cell_order.map((cell_id) => {
+        const cell = notebook.cell_inputs[cell_id]
+        const markdown = markdown_cell_contents(cell.code)
+        if (markdown != null) return markdown
+        // The fence needs to be longer than any backtick fence inside the code.
+        const longest_fence = Math.max(2, ...(cell.code.match(/^`{3,}/gm) ?? []).map((fence) => fence.length))
+        const fence = "`".repeat(longest_fence + 1)
+        return [`${fence}{julia}`, ...quarto_chunk_options(cell), cell.code, fence].join("\n")
+    })
+    return [header.join("\n"), ...blocks].join("\n\n") + "\n"
+}
+
+/**
+ * A cell with metadata from Quarto chunk options, from `#| key: value` lines or from the chunk header (`{julia, eval=false}`).
+ * @param {string} code
+ * @param {Record<string, string>} options
+ * @return {DeserializedCell}
+ */
+const cell_from_chunk_options = (code, options) => {
+    const is_false = (/** @type {string} */ key) => /^false$/i.test(options[key] ?? "")
+    const is_true = (/** @type {string} */ key) => /^true$/i.test(options[key] ?? "")
+    return {
+        code,
+        code_folded: is_true("code-fold") || is_false("echo"),
+        metadata: {
+            disabled: is_false("eval"),
+            show_logs: !is_false("warning"),
+            skip_as_script: is_false("purl"),
+        },
+    }
+}
+
+/**
+ * Deserialize a Quarto (`.qmd`) or Markdown document.
+ *
+ * `{julia}` chunks become code cells, and the prose between them becomes Markdown cells. The YAML header is skipped.
+ *
+ * @param {String} qmd
+ * @return {Array<DeserializedCell>}
+ */
+export function deserialize_qmd(qmd) {
+    const lines = qmd.replace(/\r\n/g, "\n").replace(QUARTO_FRONT_MATTER, "").split("\n")
+
+    /** @type {Array<DeserializedCell>} */
+    const cells = []
+    /** @type {string[]} */
+    let prose = []
+    const flush_prose = () => {
+        const text = prose.join("\n").trim()
+        if (text !== "") cells.push({ code: markdown_cell(text), code_folded: true })
+        prose = []
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const start = lines[i].match(QUARTO_CHUNK_START)
+        if (start == null) {
+            prose.push(lines[i])
+            continue
+        }
+        flush_prose()
+
+        /** @type {Record<string, string>} */
+        const options = {}
+        for (const [_, key, value] of start[2].matchAll(/([\w.-]+)\s*=\s*([^,\s]+)/g)) options[key] = value
+
+        const end = lines.findIndex((line, j) => j > i && line.trim().startsWith(start[1]) && /^`+$/.test(line.trim()))
+        const chunk = lines.slice(i + 1, end === -1 ? lines.length : end)
+        let first_code_line = 0
+        for (; first_code_line < chunk.length; first_code_line++) {
+            const option = chunk[first_code_line].match(/^#\|\s*([\w.-]+)\s*:\s*(.*?)\s*$/)
+            if (option == null) break
+            options[option[1]] = option[2]
+        }
+        const code = chunk.slice(first_code_line).join("\n").trim()
+        if (code !== "") cells.push(cell_from_chunk_options(code, options))
+
+        i = end === -1 ? lines.length : end
+    }
+    flush_prose()
+    return cells
+}
+
+/**
+ * Whether `text` looks like a Quarto document, and not like code that happens to contain a `{julia}` chunk (like a Markdown cell with an example). We need a YAML header and a chunk, or more than one chunk.
+ * @param {string} text
+ */
+const is_quarto_document = (text) => {
+    const normalized = text.replace(/\r\n/g, "\n")
+    const chunk_count = normalized.split("\n").filter((line) => QUARTO_CHUNK_START.test(line)).length
+    return chunk_count >= 2 || (chunk_count >= 1 && QUARTO_FRONT_MATTER.test(normalized))
+}
+
+/**
+ * The deserializer for pasted text or a dropped file, or `null` if it should be pasted as code.
+ * @param {string} topaste
+ * @param {{ file_name?: string }} options For a dropped file: its name. Markdown and Quarto files are always imported as a document, even if they have no code chunks.
+ */
+export const detect_deserializer = (topaste, { file_name } = {}) =>
     topaste.trim().startsWith(JULIA_REPL_PROMPT)
         ? deserialize_repl
         : topaste.match(/# ╔═╡ ........-....-....-....-............/g)?.length
         ? deserialize_cells
+        : parse_ipynb(topaste) != null
+        ? deserialize_ipynb
+        : (file_name != null && MARKDOWN_FILE_NAME.test(file_name)) || is_quarto_document(topaste)
+        ? deserialize_qmd
         : null
@@ -0,0 +1,107 @@
+import { pack, unpack } from "./MsgPack.js"
+
+// A session trace is a recording of the messages between the editor and the server: every message that we sent, and every `notebook_diff` that we received, with timestamps. Together with the notebook state at the start of the recording, this is enough to replay the session in an editor without a server, to reproduce sync bugs like "State update out of order".
+//
+// Unlike the recordings of `RecordingUI` (which only store the resulting patches, for playback with audio), a replay goes through the same code path as the real messages (`on_update` and `apply_notebook_patches` in Editor.js).
+
+const trace_format_version = 1
+
+/**
+ * @typedef SessionTraceEvent
+ * @type {{
+ *  time: number,
+ *  direction: "sent" | "received",
+ *  message_type: string,
+ *  request_id: string?,
+ *  message: any,
+ * }}
+ */
+
+/**
+ * @typedef SessionTrace
+ * @type {{
+ *  pluto_session_trace: number,
+ *  recorded_at: string,
+ *  version_info: Record<string,any>?,
+ *  initial_notebook: import("../components/Editor.js").NotebookData,
+ *  events: SessionTraceEvent[],
+ * }}
+ */
+
+/**
+ * @typedef SessionRecorder
+ * @type {{
+ *  record: (entry: import("./PlutoConnection.js").LoggedMessage) => void,
+ *  size: () => number,
+ *  finish: () => SessionTrace,
+ * }}
+ */
+
+/**
+ * Start recording a session. Feed every sent and received message to `record`, and call `finish` to get the trace.
+ * @param {{
+ *  initial_notebook: import("../components/Editor.js").NotebookData,
+ *  version_info?: Record<string,any>?,
+ * }} options
+ * @returns {SessionRecorder}
+ */
+export const create_session_recorder = ({ initial_notebook, version_info = null }) => {
+    const start_time = Date.now()
+    /** @type {SessionTraceEvent[]} */
+    const events = []
+
+    return {
+        record: ({ direction, time, message_type, request_id, message }) => {
+            if (direction === "sent" || message_type === "notebook_diff") {
+                events.push({ time: time - start_time, direction, message_type, request_id, message })
+            }
+        },
+        size: () => events.length,
+        finish: () => ({
+            pluto_session_trace: trace_format_version,
+            recorded_at: new Date(start_time).toISOString(),
+            version_info,
+            initial_notebook,
+            events,
+        }),
+    }
+}
+
+/** Traces are stored with MsgPack, so that binary data (like images in cell outputs) survives. */
+export const session_trace_to_blob = (/** @type {SessionTrace} */ trace) => new Blob([pack(trace)], { type: "application/octet-stream" })
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<SessionTrace>}
+ */
+export const read_session_trace = async (blob) => {
+    const trace = unpack(new Uint8Array(await blob.arrayBuffer()))
+    if (trace?.pluto_session_trace == null || !Array.isArray(trace.events) || trace.initial_notebook == null) {
+        throw new Error("This file is not a Pluto session trace.")
+    }
+    if (trace.pluto_session_trace > trace_format_version) {
+        throw new Error(`This session trace was made with a newer version of Pluto (trace format ${trace.pluto_session_trace}).`)
+    }
+    return trace
+}
+
+/**
+ * Feed the events of a trace back to the editor, with the original timing (divided by `speed`).
+ * @param {SessionTrace} trace
+ * @param {{
+ *  on_received: (message: any) => Promise<void> | void,
+ *  on_sent: (message: any) => Promise<void> | void,
+ *  speed?: number,
+ *  signal?: AbortSignal?,
+ * }} handlers
+ */
+export const replay_session_trace = async (trace, { on_received, on_sent, speed = 1, signal = null }) => {
+    let previous_time = 0
+    for (const event of trace.events) {
+        const wait = (event.time - previous_time) / speed
+        previous_time = event.time
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait))
+        if (signal?.aborted) return
+        await (event.direction === "received" ? on_received(event.message) : on_sent(event.message))
+    }
+}
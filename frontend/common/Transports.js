@@ -0,0 +1,326 @@
+import { pack, unpack } from "./MsgPack.js"
+import { with_query_params } from "./URLTools.js"
+
+// A transport carries MsgPack-encoded messages between PlutoConnection and the server. There are three:
+// - WebSocket: the default.
+// - HTTP long-polling: used when the WebSocket upgrade is blocked (e.g. by a corporate proxy). Messages to the server are POSTed, messages from the server are fetched with a GET request that waits until a message is available.
+// - In-memory: talks to a fake server in the same JS process, for tests.
+//
+// All three use the same framing: one message is one MsgPack-encoded frame. Large messages from the server can be split into multiple frames, see Frames.js.
+
+/**
+ * @typedef Transport
+ * @type {{
+ *  kind: TransportKind,
+ *  send: (message: any) => number,
+ *  is_open: () => boolean,
+ *  close: () => void,
+ * }}
+ */
+
+/**
+ * @typedef {"websocket" | "longpoll" | "memory"} TransportKind
+ */
+
+/**
+ * @typedef TransportCallbacks
+ * @type {{
+ *  on_message: (message: any, size: number) => void,
+ *  on_socket_close: () => void,
+ *  decode_frame?: (frame: Uint8Array) => Promise<any>,
+ * }}
+ */
+
+/**
+ * A function that opens a transport to `address`, and resolves when it is ready to send messages.
+ * @typedef {(address: string, callbacks: TransportCallbacks, timeout_s?: number) => Promise<Transport>} TransportFactory
+ */
+
+const unpack_frame = async (/** @type {Uint8Array} */ frame) => unpack(frame)
+
+/**
+ * We read and deserialize the incoming messages asynchronously. They arrive in order, but some message are read and deserialized much faster than others, because of varying sizes, so _after_ async read & deserialization, messages are no longer guaranteed to be in order.
+ *
+ * The solution is a task queue, where each task waits for the deserialization and then runs the update handler. The deserialization itself starts right away (possibly in a Web Worker, see Frames.js). A frame that decodes to `undefined` (a chunk of a larger message) is skipped, its size is counted towards the message that it is part of.
+ * @param {(message: any, size: number) => void} on_message
+ * @param {(frame: Uint8Array) => Promise<any>} decode_frame
+ * @returns {(read_frame: () => Promise<Uint8Array>) => void}
+ */
+const ordered_frame_handler = (on_message, decode_frame = unpack_frame) => {
+    let last_task = Promise.resolve()
+    let skipped_bytes = 0
+    return (read_frame) => {
+        const frame = read_frame()
+        const decoded = frame.then(decode_frame)
+        decoded.catch(() => {}) // handled below
+        last_task = last_task.then(async () => {
+            try {
+                const message = await decoded
+                const size = skipped_bytes + (await frame).length
+                skipped_bytes = message === undefined ? size : 0
+                if (message === undefined) return
+
+                try {
+                    on_message(message, size)
+                } catch (process_err) {
+                    console.error("Failed to process message from websocket", process_err, { message })
+                    // prettier-ignore
+                    alert(`Something went wrong! You might need to refresh the page.\n\nPlease open an issue on https://github.com/fonsp/Pluto.jl with this info:\n\nFailed to process update\n${process_err.message}\n\n${JSON.stringify(message?.type)}`)
+                }
+            } catch (unpack_err) {
+                console.error("Failed to unpack message from websocket", unpack_err)
+
+                // prettier-ignore
+                alert(`Something went wrong! You might need to refresh the page.\n\nPlease open an issue on https://github.com/fonsp/Pluto.jl with this info:\n\nFailed to unpack message\n${unpack_err}`)
+            }
+        })
+    }
+}
+
+const socket_is_alright = (socket) => socket.readyState == WebSocket.OPEN || socket.readyState == WebSocket.CONNECTING
+
+const socket_is_alright_with_grace_period = (socket) =>
+    new Promise((res) => {
+        if (socket_is_alright(socket)) {
+            res(true)
+        } else {
+            setTimeout(() => {
+                res(socket_is_alright(socket))
+            }, 1000)
+        }
+    })
+
+const try_close_socket_connection = (/** @type {WebSocket} */ socket) => {
+    socket.onopen = () => {
+        try_close_socket_connection(socket)
+    }
+    socket.onmessage = socket.onclose = socket.onerror = null
+    try {
+        socket.close(1000, "byebye")
+    } catch (ex) {}
+}
+
+/**
+ * Open a 'raw' websocket connection to an API with MessagePack serialization. The method is asynchonous, and resolves to a @see Transport when the connection is established.
+ * @type {TransportFactory}
+ */
+export const create_ws_transport = (address, { on_message, on_socket_close, decode_frame }, timeout_s = 30) => {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(address)
+
+        let has_been_open = false
+
+        const timeout_handle = setTimeout(() => {
+            console.warn("Creating websocket timed out", new Date().toLocaleTimeString())
+            try_close_socket_connection(socket)
+            reject("Socket timeout")
+        }, timeout_s * 1000)
+
+        const send_encoded = (message) => {
+            const encoded = pack(message)
+            if (socket.readyState === WebSocket.CLOSED || socket.readyState === WebSocket.CLOSING) throw new Error("Socket is closed")
+            socket.send(encoded)
+            return encoded.length
+        }
+
+        const handle_frame = ordered_frame_handler(on_message, decode_frame)
+        socket.onmessage = (event) => {
+            handle_frame(async () => new Uint8Array(await event.data.arrayBuffer()))
+        }
+
+        socket.onerror = async (e) => {
+            console.error(`Socket did an oopsie - ${e.type}`, new Date().toLocaleTimeString(), "was open:", has_been_open, e)
+
+            if (await socket_is_alright_with_grace_period(socket)) {
+                console.log("The socket somehow recovered from an error?! Onbegrijpelijk")
+                console.log(socket)
+                console.log(socket.readyState)
+            } else {
+                if (has_been_open) {
+                    on_socket_close()
+                    try_close_socket_connection(socket)
+                } else {
+                    reject(e)
+                }
+            }
+        }
+        socket.onclose = async (e) => {
+            console.warn(`Socket did an oopsie - ${e.type}`, new Date().toLocaleTimeString(), "was open:", has_been_open, e)
+
+            if (has_been_open) {
+                on_socket_close()
+                try_close_socket_connection(socket)
+            } else {
+                reject(e)
+            }
+        }
+        socket.onopen = () => {
+            console.log("Socket opened", new Date().toLocaleTimeString())
+            clearInterval(timeout_handle)
+            has_been_open = true
+            resolve({
+                kind: "websocket",
+                send: send_encoded,
+                is_open: () => socket.readyState === WebSocket.OPEN,
+                close: () => socket.close(),
+            })
+        }
+        console.log("Waiting for socket to open...", new Date().toLocaleTimeString())
+    })
+}
+
+export const longpoll_address_from_ws = (/** @type {string | URL} */ ws_url) => {
+    const url = new URL("./longpoll", ws_url)
+    url.protocol = url.protocol.replace("ws", "http")
+    return with_query_params(url, { secret: new URL(ws_url).searchParams.get("secret") })
+}
+
+/**
+ * Open a connection using HTTP long-polling, with the same MsgPack framing as the WebSocket. This works through proxies that block WebSocket upgrades.
+ *
+ * The server keeps a mailbox for every `stream_id`. We POST our messages to `./longpoll?stream_id=...`, and we keep a GET request to the same URL open. The server responds to the GET as soon as there are messages for us, as a MsgPack array of frames.
+ * @type {TransportFactory}
+ */
+export const create_longpoll_transport = async (address, { on_message, on_socket_close, decode_frame }, timeout_s = 30) => {
+    const stream_id = Array.from(crypto.getRandomValues(new Uint32Array(2)), (x) => x.toString(36)).join("")
+    const url = with_query_params(longpoll_address_from_ws(address), { stream_id })
+
+    let open = true
+    // Aborts the GET request that is waiting for messages, so that the server can forget about us.
+    const poll_controller = new AbortController()
+    const close = () => {
+        if (open) {
+            open = false
+            poll_controller.abort()
+            on_socket_close()
+        }
+    }
+
+    /** @returns {Promise<Uint8Array[]>} */
+    const fetch_frames = async (/** @type {boolean} */ wait, /** @type {AbortSignal?} */ signal = null) => {
+        const response = await fetch(with_query_params(url, { wait: wait ? "true" : "false" }), { cache: "no-store", signal })
+        if (!response.ok) throw response
+        return unpack(new Uint8Array(await response.arrayBuffer()))
+    }
+
+    // The first request does not wait for messages, it checks whether the server supports long-polling.
+    const timeout_controller = new AbortController()
+    const timeout_handle = setTimeout(() => timeout_controller.abort(), timeout_s * 1000)
+    try {
+        await fetch_frames(false, timeout_controller.signal)
+    } finally {
+        clearTimeout(timeout_handle)
+    }
+    console.log("Long-polling connection opened", new Date().toLocaleTimeString())
+
+    const handle_frame = ordered_frame_handler(on_message, decode_frame)
+    ;(async () => {
+        try {
+            while (open) {
+                const frames = await fetch_frames(true, poll_controller.signal)
+                if (!open) break
+                frames.forEach((frame) => handle_frame(async () => frame))
+            }
+        } catch (e) {
+            if (!open) return
+            console.warn("Long-polling connection lost", new Date().toLocaleTimeString(), e)
+            close()
+        }
+    })()
+
+    // POST requests are sent one at a time, so that the server processes our messages in order.
+    let last_post = Promise.resolve()
+    const send_encoded = (message) => {
+        if (!open) throw new Error("Socket is closed")
+        const encoded = pack(message)
+        last_post = last_post
+            .then(async () => {
+                const response = await fetch(url, { method: "POST", body: encoded, headers: { "Content-Type": "application/octet-stream" } })
+                if (!response.ok) throw response
+            })
+            .catch((e) => {
+                console.warn("Failed to send message with long-polling", e)
+                close()
+            })
+        return encoded.length
+    }
+
+    return {
+        kind: "longpoll",
+        send: send_encoded,
+        is_open: () => open,
+        close,
+    }
+}
+
+/**
+ * @typedef MemoryServer
+ * @type {{
+ *  on_frame: (frame: Uint8Array, reply: (frame: Uint8Array) => void) => void,
+ * }}
+ */
+
+/**
+ * Create a transport factory that talks to a fake server in the same JS process, instead of a real Pluto server. The server receives and sends MsgPack-encoded frames, just like a real server. Replies are delivered asynchronously, like they would be over a network.
+ *
+ * This is used in tests that don't have a Julia server.
+ * @param {MemoryServer} server
+ * @returns {TransportFactory}
+ */
+export const create_memory_transport_factory =
+    (server) =>
+    async (address, { on_message, on_socket_close, decode_frame }) => {
+        let open = true
+        const handle_frame = ordered_frame_handler(on_message, decode_frame)
+        const reply = (/** @type {Uint8Array} */ frame) => {
+            if (open) setTimeout(() => handle_frame(async () => frame), 0)
+        }
+        return {
+            kind: "memory",
+            send: (message) => {
+                if (!open) throw new Error("Socket is closed")
+                const encoded = pack(message)
+                server.on_frame(encoded, reply)
+                return encoded.length
+            },
+            is_open: () => open,
+            close: () => {
+                if (open) {
+                    open = false
+                    on_socket_close()
+                }
+            },
+        }
+    }
+
+/**
+ * Open a transport to the server. We try a WebSocket first, and fall back to HTTP long-polling if the WebSocket could not be opened. Once long-polling was needed, we keep using it for reconnects.
+ * @returns {TransportFactory}
+ */
+export const create_negotiating_transport_factory = () => {
+    /** @type {TransportKind?} */
+    let known_to_work = null
+
+    return async (address, callbacks, timeout_s = 30) => {
+        let ws_error = null
+        if (known_to_work !== "longpoll") {
+            try {
+                const transport = await create_ws_transport(address, callbacks, timeout_s)
+                known_to_work = "websocket"
+                return transport
+            } catch (e) {
+                if (known_to_work === "websocket") throw e
+                console.warn("Could not open a WebSocket, trying HTTP long-polling instead...", e)
+                ws_error = e
+            }
+        }
+        try {
+            const transport = await create_longpoll_transport(address, callbacks, timeout_s)
+            known_to_work = "longpoll"
+            return transport
+        } catch (e) {
+            // If neither works, the server is probably down. The WebSocket error is more informative in that case (see `alert_if_not_authenticated`).
+            throw ws_error ?? e
+        }
+    }
+}
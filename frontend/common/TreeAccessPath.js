@@ -0,0 +1,51 @@
+// The Julia code for a value in a tree output, see `components/TreeView.js`. It is computed from the HTML of the tree, so keys are written the way they are shown.
+
+const is_julia_identifier = (/** @type {string} */ name) => /^[\p{L}\p{Nl}\p{Sc}_][\p{L}\p{Nl}\p{Sc}\d_!]*$/u.test(name)
+
+/** A Julia string literal for `var"..."`, which is a raw string: only quotes and the backslashes before them are escaped. */
+const julia_raw_string = (/** @type {string} */ text) => `"${text.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, "$1$1")}"`
+
+/**
+ * The Julia code to get the value in a `p-v` element of a tree, starting from the cell output, like `x.field[3]["key"]`. Returns `null` for values that can not be indexed, like the elements of a `Set`.
+ * @param {Element} value_element
+ * @returns {string?}
+ */
+export const tree_access_path = (value_element) => {
+    let path = ""
+    let node = value_element
+    while (true) {
+        const row = node.parentElement
+        const container = row?.parentElement
+        if (row?.tagName !== "P-R" || container == null) return null
+        const key_element = row.querySelector(":scope > p-k")
+        const key = key_element?.textContent?.trim() ?? ""
+        if (container.tagName === "PLUTO-TREE-PAIR") {
+            path = (node.tagName === "P-K" ? ".first" : ".second") + path
+        } else if (node.tagName === "P-K") {
+            // A key of a Dict
+            return null
+        } else if (["Array", "Tuple", "Dict"].some((type) => container.classList.contains(type))) {
+            // A key that is shown as a tree, like a `Tuple`, can't be written from its text
+            if (key_element?.querySelector("pluto-tree, pluto-tree-pair") != null) return null
+            path = `[${key}]${path}`
+        } else if (["NamedTuple", "struct"].some((type) => container.classList.contains(type))) {
+            path = (is_julia_identifier(key) ? `.${key}` : `.var${julia_raw_string(key)}`) + path
+        } else {
+            return null
+        }
+
+        const tree = container.tagName === "PLUTO-TREE-PAIR" ? container : container.parentElement
+        const parent = tree?.parentElement?.closest("p-v, p-k, table, pluto-output")
+        if (parent == null || parent.tagName === "PLUTO-OUTPUT") {
+            const assignee =
+                parent
+                    ?.querySelector(":scope > assignee")
+                    ?.textContent?.replace(/^const\s+/, "")
+                    .trim() ?? ""
+            return assignee + path
+        }
+        // Trees inside a table cell
+        if (parent.tagName === "TABLE") return null
+        node = parent
+    }
+}
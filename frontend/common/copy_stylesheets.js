@@ -0,0 +1,15 @@
+/**
+ * Give an empty document (of a popup window or an iframe) the same stylesheets as this page.
+ * @param {Document} doc
+ */
+export const copy_stylesheets = (doc) => {
+    doc.documentElement.className = document.documentElement.className
+    doc.head.replaceChildren(
+        ...Array.from(document.querySelectorAll("link[rel=stylesheet], style"), (node) => {
+            const clone = /** @type {HTMLElement} */ (node.cloneNode(true))
+            // The document is about:blank, so relative URLs need to be made absolute.
+            if (clone instanceof HTMLLinkElement) clone.href = /** @type {HTMLLinkElement} */ (node).href
+            return doc.importNode(clone, true)
+        })
+    )
+}
@@ -23,6 +23,8 @@ export const parse_launch_params = () => {
         //@ts-ignore
         isolated_cell_ids: url_params.has("isolated_cell_id") ? url_params.getAll("isolated_cell_id") : window.pluto_isolated_cell_ids,
         //@ts-ignore
+        dashboard: url_params.has("dashboard") ? url_params.get("dashboard") !== "false" : !!window.pluto_dashboard,
+        //@ts-ignore
         binder_url: url_params.get("binder_url") ?? window.pluto_binder_url,
         //@ts-ignore
         pluto_server_url: url_params.get("pluto_server_url") ?? window.pluto_pluto_server_url,
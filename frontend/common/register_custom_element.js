@@ -0,0 +1,42 @@
+import register from "../imports/PreactCustomElement.js"
+
+/**
+ * Define a custom element that renders a Preact component, like `register` from `imports/PreactCustomElement.js`, but in any window. Outputs that are popped out into another window (see `PinnedOutputs.js`) need the elements that outputs use in that window too.
+ *
+ * A custom element class needs to extend the `HTMLElement` of the window where it is defined, and `register` always uses this window. So for another window, we let `register` create the element class, and copy its methods to a class that extends the `HTMLElement` of the other window.
+ * @param {any} Component
+ * @param {string} tag_name
+ * @param {string[]} prop_names
+ * @param {Window} win
+ */
+export const register_custom_element = (Component, tag_name, prop_names, win = window) => {
+    if (win.customElements.get(tag_name) != null) return
+    if (win === window) return register(Component, tag_name, prop_names)
+
+    let element_class = /** @type {any} */ (null)
+    const registry = window.customElements
+    registry.define = (/** @type {string} */ _name, /** @type {CustomElementConstructor} */ constructor) => {
+        element_class = constructor
+    }
+    try {
+        register(Component, tag_name, prop_names)
+    } finally {
+        // @ts-ignore
+        delete registry.define
+    }
+
+    class OtherWindowElement extends /** @type {typeof HTMLElement} */ (/** @type {any} */ (win).HTMLElement) {
+        constructor() {
+            super()
+            // The same fields as the constructor in `register` sets.
+            // @ts-ignore
+            this._vdomComponent = Component
+            // @ts-ignore
+            this._root = this
+        }
+        static observedAttributes = element_class.observedAttributes
+    }
+    const { constructor: _, ...methods } = Object.getOwnPropertyDescriptors(element_class.prototype)
+    Object.defineProperties(OtherWindowElement.prototype, methods)
+    win.customElements.define(tag_name, OtherWindowElement)
+}
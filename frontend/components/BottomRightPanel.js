@@ -2,6 +2,7 @@ import { html, useState, useRef, useEffect, useMemo } from "../imports/Preact.js
 import { cl } from "../common/ClassTable.js"
 
 import { LiveDocsTab } from "./LiveDocsTab.js"
+import { ENABLE_MESSAGE_INSPECTOR, MessageInspectorTab } from "./MessageInspectorTab.js"
 import { is_finished, StatusTab, total_done, total_tasks, useStatusItem } from "./StatusTab.js"
 import { useMyClockIsAheadBy } from "../common/clock sync.js"
 import { BackendLaunchPhase } from "../common/Binder.js"
@@ -10,7 +11,7 @@ import { t, th } from "../common/lang.js"
 
 /**
  * @typedef PanelTabName
- * @type {"docs" | "process" | null}
+ * @type {"docs" | "process" | "messages" | null}
  */
 
 export const open_bottom_right_panel = (/** @type {PanelTabName} */ tab) => window.dispatchEvent(new CustomEvent("open_bottom_right_panel", { detail: tab }))
@@ -24,6 +25,9 @@ export const open_bottom_right_panel = (/** @type {PanelTabName} */ tab) => wind
  * backend_launch_phase: number?,
  * backend_launch_logs: string?,
  * sanitize_html?: boolean,
+ * message_log?: import("../common/Stack.js").Stack<import("../common/PlutoConnection.js").LoggedMessage>?,
+ * observe_messages?: import("../common/PlutoConnection.js").PlutoConnection["observe_messages"]?,
+ * session_trace?: import("./MessageInspectorTab.js").SessionTraceControls?,
  * }} props
  */
 export let BottomRightPanel = ({
@@ -34,6 +38,9 @@ export let BottomRightPanel = ({
     backend_launch_phase,
     backend_launch_logs,
     sanitize_html = true,
+    message_log = null,
+    observe_messages = null,
+    session_trace = null,
 }) => {
     let container_ref = useRef()
 
@@ -128,6 +135,22 @@ export let BottomRightPanel = ({
                         <span class="tabicon"></span>
                         <span class="tabname">${t("t_panel_docs")}</span>
                     </button>
+                    ${ENABLE_MESSAGE_INSPECTOR || open_tab === "messages"
+                        ? html`<button
+                              title=${t("t_panel_messages_description")}
+                              class=${cl({
+                                  "helpbox-tab-key": true,
+                                  "helpbox-messages": true,
+                                  "active": open_tab === "messages",
+                              })}
+                              onClick=${() => {
+                                  set_open_tab(open_tab === "messages" ? null : "messages")
+                              }}
+                          >
+                              <span class="tabicon"></span>
+                              <span class="tabname">${t("t_panel_messages")}</span>
+                          </button>`
+                        : null}
                     <button
                         title=${t("t_panel_status")}
                         class=${cl({
@@ -186,6 +209,8 @@ export let BottomRightPanel = ({
                           my_clock_is_ahead_by=${my_clock_is_ahead_by}
                           status=${status}
                       />`
+                    : open_tab === "messages"
+                    ? html`<${MessageInspectorTab} message_log=${message_log} observe_messages=${observe_messages} session_trace=${session_trace} />`
                     : null}
             </pluto-helpbox>
         </aside>
@@ -2,6 +2,7 @@ import _ from "../imports/lodash.js"
 import { html, useState, useEffect, useMemo, useRef, useContext, useLayoutEffect, useErrorBoundary, useCallback } from "../imports/Preact.js"
 
 import { CellOutput } from "./CellOutput.js"
+import { OutputHistoryScrubber } from "./OutputHistoryScrubber.js"
 import { CellInput } from "./CellInput.js"
 import { Logs } from "./Logs.js"
 import { RunArea, useDebouncedTruth } from "./RunArea.js"
@@ -11,8 +12,9 @@ import { open_pluto_popup } from "../common/open_pluto_popup.js"
 import { SafePreviewOutput } from "./SafePreviewUI.js"
 import { useEventListener } from "../common/useEventListener.js"
 import { t, th } from "../common/lang.js"
+import { forget_cell, record_output } from "../common/OutputHistory.js"
 
-const useCellApi = (node_ref, published_object_keys, pluto_actions) => {
+export const useCellApi = (node_ref, published_object_keys, pluto_actions) => {
     const [cell_api_ready, set_cell_api_ready] = useState(false)
     const published_object_keys_ref = useRef(published_object_keys)
     published_object_keys_ref.current = published_object_keys
@@ -102,6 +104,9 @@ const on_jump = (hasBarrier, pluto_actions, cell_id) => () => {
  *  process_waiting_for_permission: boolean,
  *  sanitize_html: boolean,
  *  inspecting_hidden_code: boolean,
+ *  collab_data?: import("../common/Collab.js").CollabCellData?,
+ *  remote_selections?: import("./CellInput/collab_plugin.js").RemoteSelection[],
+ *  other_peers_present?: boolean,
  *  [key: string]: any,
  * }} props
  * */
@@ -122,6 +127,9 @@ export const Cell = ({
     global_definition_locations,
     is_first_cell,
     inspecting_hidden_code,
+    collab_data,
+    remote_selections,
+    other_peers_present,
 }) => {
     const { show_logs, disabled: running_disabled, skip_as_script } = metadata
     let pluto_actions = useContext(PlutoActionsContext)
@@ -180,7 +188,13 @@ export const Cell = ({
             if (e.detail.cell_id === cell_id) {
                 if (e.detail.line != null) {
                     const ch = e.detail.ch
-                    if (ch == null) {
+                    if (e.detail.to != null) {
+                        set_cm_forced_focus([
+                            { line: e.detail.line, ch: ch ?? 0 },
+                            { line: e.detail.to.line, ch: e.detail.to.ch },
+                            { scroll: true, focus: e.detail.focus ?? true },
+                        ])
+                    } else if (ch == null) {
                         set_cm_forced_focus([
                             { line: e.detail.line, ch: 0 },
                             { line: e.detail.line, ch: Infinity },
@@ -207,6 +221,13 @@ export const Cell = ({
     // We then toggle animation visibility using opacity. This saves a bunch of repaints.
     const activate_animation = useDebouncedTruth(running || queued || waiting_to_run)
 
+    // Keep previous outputs in the browser, to compare them with the current output.
+    const [comparing_outputs, set_comparing_outputs] = useState(false)
+    useEffect(() => {
+        if (output != null) record_output(cell_id, output, errored)
+    }, [output?.last_run_timestamp])
+    useEffect(() => () => forget_cell(cell_id), [cell_id])
+
     const class_code_differs = code !== (cell_input_local?.code ?? code)
     const no_output_yet = (output?.last_run_timestamp ?? 0) === 0
     const code_not_trusted_yet = process_waiting_for_permission && no_output_yet
@@ -315,6 +336,7 @@ export const Cell = ({
                 shrunk: Object.values(logs).length > 0,
                 hooked_up: output?.has_pluto_hook_features ?? false,
                 no_output_yet,
+                comparing_outputs,
             })}
             id=${cell_id}
         >
@@ -338,7 +360,22 @@ export const Cell = ({
             ${code_not_trusted_yet
                 ? html`<${SafePreviewOutput} />`
                 : cell_api_ready
-                ? html`<${CellOutput} errored=${errored} ...${output} sanitize_html=${sanitize_html} cell_id=${cell_id} />`
+                ? html`<${OutputHistoryScrubber} cell_id=${cell_id} output=${output} comparing=${comparing_outputs} set_comparing=${set_comparing_outputs} />
+                      <button
+                          class="pin_output"
+                          title=${t("t_pin_output")}
+                          onClick=${() => window.dispatchEvent(new CustomEvent("pluto pin output", { detail: { cell_id } }))}
+                      >
+                          <span></span>
+                      </button>
+                      <button
+                          class="pop_out_output"
+                          title=${t("t_pin_pop_out")}
+                          onClick=${() => window.dispatchEvent(new CustomEvent("pluto pop out output", { detail: { cell_id } }))}
+                      >
+                          <span></span>
+                      </button>
+                      <${CellOutput} errored=${errored} ...${output} sanitize_html=${sanitize_html} cell_id=${cell_id} />`
                 : html``}
             <${CellInput}
                 local_code=${cell_input_local?.code ?? code}
@@ -368,6 +405,9 @@ export const Cell = ({
                 cm_highlighted_line=${cm_highlighted_line}
                 cm_highlighted_range=${cm_highlighted_range}
                 cm_diagnostics=${cm_diagnostics}
+                collab_data=${collab_data}
+                remote_selections=${remote_selections}
+                other_peers_present=${other_peers_present}
                 onerror=${remount}
             />
             ${show_logs && cell_api_ready
@@ -53,9 +53,15 @@ import { pluto_paste_plugin } from "./CellInput/pluto_paste_plugin.js"
 import { bracketMatching } from "./CellInput/block_matcher_plugin.js"
 import { cl } from "../common/ClassTable.js"
 import { HighlightLineFacet, HighlightRangeFacet, highlightLinePlugin, highlightRangePlugin } from "./CellInput/highlight_line.js"
-import { commentKeymap } from "./CellInput/comment_mixed_parsers.js"
+import { commentKeymap, toggleComment } from "./CellInput/comment_mixed_parsers.js"
 import { ScopeStateField } from "./CellInput/scopestate_statefield.js"
+import { symbol_at } from "./CellInput/rename_symbol.js"
+import { RelintEffect, static_lint } from "./CellInput/static_lint.js"
+import { minimal_changes } from "../common/CodeFormatting.js"
 import { mod_d_command } from "./CellInput/mod_d_command.js"
+import { codemirror_bindings } from "../common/KeyboardShortcuts.js"
+import { vim_mode } from "./CellInput/vim_mode.js"
+import { emacs_mode } from "./CellInput/emacs_mode.js"
 import { open_bottom_right_panel } from "./BottomRightPanel.js"
 import { timeout_promise } from "../common/PlutoConnection.js"
 import { LastFocusWasForcedEffect, tab_help_plugin } from "./CellInput/tab_help_plugin.js"
@@ -64,12 +70,16 @@ import { moveLineDown } from "../imports/CodemirrorPlutoSetup.js"
 import { open_pluto_popup } from "../common/open_pluto_popup.js"
 import { AIContext } from "./AIContext.js"
 import { AiSuggestionPlugin } from "./CellInput/ai_suggestion.js"
+import { useCollab } from "./CellInput/collab_plugin.js"
 import { t } from "../common/lang.js"
 
 export const ENABLE_CM_MIXED_PARSER = window.localStorage.getItem("ENABLE_CM_MIXED_PARSER") === "true"
 export const ENABLE_CM_SPELLCHECK = window.localStorage.getItem("ENABLE_CM_SPELLCHECK") === "true"
 export const ENABLE_CM_AUTOCOMPLETE_ON_TYPE =
     (window.localStorage.getItem("ENABLE_CM_AUTOCOMPLETE_ON_TYPE") ?? (/Mac/.test(navigator.platform) ? "true" : "false")) === "true"
+export const ENABLE_CM_FORMAT_ON_SUBMIT = window.localStorage.getItem("ENABLE_CM_FORMAT_ON_SUBMIT") === "true"
+/** Extra keybindings for the cell editor: `"vim"`, `"emacs"` or `"default"` for none. */
+export const CM_KEYMAP_MODE = /** @type {"default" | "vim" | "emacs"} */ (window.localStorage.getItem("CM_KEYMAP_MODE") ?? "default")
 
 if (ENABLE_CM_MIXED_PARSER) {
     console.log(`YOU ENABLED THE CODEMIRROR MIXED LANGUAGE PARSER
@@ -98,6 +108,18 @@ window.PLUTO_TOGGLE_CM_AUTOCOMPLETE_ON_TYPE = (val = !ENABLE_CM_AUTOCOMPLETE_ON_
     window.location.reload()
 }
 
+// @ts-ignore
+window.PLUTO_SET_CM_KEYMAP_MODE = (/** @type {"default" | "vim" | "emacs"} */ val) => {
+    window.localStorage.setItem("CM_KEYMAP_MODE", val)
+    window.location.reload()
+}
+
+// @ts-ignore
+window.PLUTO_TOGGLE_CM_FORMAT_ON_SUBMIT = (val = !ENABLE_CM_FORMAT_ON_SUBMIT) => {
+    window.localStorage.setItem("ENABLE_CM_FORMAT_ON_SUBMIT", String(val))
+    window.location.reload()
+}
+
 const common_style_tags = [
     { tag: tags.comment, color: "var(--cm-color-comment)", fontStyle: "italic", filter: "none" },
     { tag: tags.variableName, color: "var(--cm-color-variable)", fontWeight: 700 },
@@ -226,6 +248,8 @@ export const LastRemoteCodeSetTimeFacet = Facet.define({
     compare: _.isEqual,
 })
 
+const no_remote_selections = []
+
 let line_and_ch_to_cm6_position = (/** @type {import("../imports/CodemirrorPlutoSetup.js").Text} */ doc, { line, ch }) => {
     let line_object = doc.line(_.clamp(line + 1, 1, doc.lines))
     let ch_clamped = _.clamp(ch, 0, line_object.length)
@@ -239,6 +263,9 @@ let line_and_ch_to_cm6_position = (/** @type {import("../imports/CodemirrorPluto
  *  scroll_into_view_after_creation: boolean,
  *  nbpkg: import("./Editor.js").NotebookPkgData?,
  *  global_definition_locations: { [variable_name: string]: string },
+ *  collab_data?: import("../common/Collab.js").CollabCellData?,
+ *  remote_selections?: import("./CellInput/collab_plugin.js").RemoteSelection[],
+ *  other_peers_present?: boolean,
  *  [key: string]: any,
  * }} props
  */
@@ -270,6 +297,9 @@ export const CellInput = ({
     metadata,
     global_definition_locations,
     cm_diagnostics,
+    collab_data = null,
+    remote_selections = no_remote_selections,
+    other_peers_present = false,
 }) => {
     let pluto_actions = useContext(PlutoActionsContext)
     const { disabled: running_disabled, skip_as_script } = metadata
@@ -286,6 +316,10 @@ export const CellInput = ({
     const newcm_ref = useRef(/** @type {EditorView?} */ (null))
     const dom_node_ref = useRef(/** @type {HTMLElement?} */ (null))
     const remote_code_ref = useRef(/** @type {string?} */ (null))
+    // The diagnostics from running the cell, which we show together with the diagnostics from `static_lint`.
+    const runtime_diagnostics_ref = useRef(cm_diagnostics ?? [])
+    const pluto_keymap_compartment = useMemo(() => new Compartment(), [])
+    const pluto_keymap_ref = useRef(() => /** @type {any[]} */ ([]))
 
     let nbpkg_compartment = useCompartment(newcm_ref, NotebookpackagesFacet.of(nbpkg))
     let global_definitions_compartment = useCompartment(newcm_ref, GlobalDefinitionsFacet.of(global_definition_locations))
@@ -297,6 +331,15 @@ export const CellInput = ({
         useMemo(() => LastRemoteCodeSetTimeFacet.of(Date.now()), [remote_code])
     )
 
+    const [collab_extension, on_collab_editor_created] = useCollab(newcm_ref, {
+        collab_data,
+        remote_selections,
+        other_peers_present,
+        remote_code,
+        push: (body) => pluto_actions.collab_push(cell_id, body),
+        on_selection: (ranges) => pluto_actions.collab_set_selection(cell_id, ranges),
+    })
+
     let on_change_compartment = useCompartment(
         newcm_ref,
         // Functions are hard to compare, so I useMemo manually
@@ -346,12 +389,54 @@ export const CellInput = ({
         if (show_static_fake) return
         if (dom_node_ref.current == null) return
 
+        let run = async (fn) => await fn()
+        /** Format the code in the editor. Resolves to whether that worked. */
+        const format_cell = async (/** @type {EditorView} */ cm, show_error = true) => {
+            const code = cm.state.doc.toString()
+            try {
+                const formatted = await pluto_actions.format_code(code)
+                // Don't overwrite what you typed while we were waiting.
+                if (cm.state.doc.toString() !== code) return false
+                if (formatted !== code) {
+                    cm.dispatch({ changes: minimal_changes(code, formatted), scrollIntoView: true })
+                    await pluto_actions.set_local_cell(cell_id, formatted)
+                }
+                return true
+            } catch (e) {
+                if (show_error) {
+                    open_pluto_popup({
+                        type: "warn",
+                        source_element: dom_node_ref.current,
+                        body: html`<p>${t("t_format_failed", { error: e.message })}</p>`,
+                    })
+                }
+                return false
+            }
+        }
+
         const keyMapSubmit = (/** @type {EditorView} */ cm) => {
             autocomplete.closeCompletion(cm)
-            on_submit()
+            if (ENABLE_CM_FORMAT_ON_SUBMIT && !cm.state.readOnly) {
+                // Code that can't be formatted (e.g. with a syntax error) is submitted as it is.
+                run(async () => {
+                    await format_cell(cm, false)
+                    on_submit()
+                })
+            } else {
+                on_submit()
+            }
+            return true
+        }
+        const keyMapFormat = (/** @type {EditorView} */ cm) => {
+            if (cm.state.readOnly) return false
+            run(() => format_cell(cm))
+            return true
+        }
+        const keyMapFormatNotebook = (/** @type {EditorView} */ cm) => {
+            if (cm.state.readOnly) return false
+            run(() => pluto_actions.format_cells(pluto_actions.get_notebook().cell_order))
             return true
         }
-        let run = async (fn) => await fn()
         const keyMapRun = (/** @type {EditorView} */ cm) => {
             autocomplete.closeCompletion(cm)
             run(async () => {
@@ -519,26 +604,50 @@ export const CellInput = ({
             return true
         }
 
-        const plutoKeyMaps = [
-            { key: "Shift-Enter", run: keyMapSubmit },
-            { key: "Ctrl-Enter", mac: "Cmd-Enter", run: keyMapRun },
-            { key: "Ctrl-Enter", run: keyMapRun },
+        const keyMapRename = (/** @type {EditorView} */ cm) => {
+            if (cm.state.readOnly) return false
+            const symbol = symbol_at(cm.state, cm.state.selection.main.head)
+            if (symbol == null) return false
+            window.dispatchEvent(new CustomEvent("open pluto rename symbol", { detail: { cell_id, ...symbol } }))
+            return true
+        }
+        const keyMapReferences = (/** @type {EditorView} */ cm) => {
+            const symbol = symbol_at(cm.state, cm.state.selection.main.head)
+            if (symbol == null) return false
+            window.dispatchEvent(new CustomEvent("open pluto find references", { detail: { cell_id, ...symbol } }))
+            return true
+        }
+
+        const keymap_mode_options = {
+            submit: keyMapSubmit,
+            focus_on_neighbor: ({ cell_delta, line, character }) => on_focus_neighbor(cell_id, cell_delta, line, character),
+        }
+
+        // The shortcuts that users can change are in the command registry, see KeyboardShortcuts.js.
+        const plutoKeyMaps = () => [
+            ...codemirror_bindings({
+                run_cell: keyMapSubmit,
+                run_cell_and_add: keyMapRun,
+                toggle_markdown: keyMapMD,
+                toggle_comment: toggleComment,
+                move_up: (x) => keyMapMoveLine(x, -1),
+                move_down: (x) => keyMapMoveLine(x, 1),
+                fold: (x) => keyMapFold(x, true),
+                unfold: (x) => keyMapFold(x, false),
+                rename_symbol: keyMapRename,
+                find_references: keyMapReferences,
+                format_cell: keyMapFormat,
+                format_notebook: keyMapFormatNotebook,
+            }),
             { key: "Tab", run: keyMapTab, shift: indentLess },
-            { key: "Ctrl-m", mac: "Cmd-m", run: keyMapMD },
-            { key: "Ctrl-m", run: keyMapMD },
-            // Codemirror6 doesn't like capslock
-            { key: "Ctrl-M", run: keyMapMD },
             // TODO Move Delete and backspace to cell movement plugin
             { key: "Delete", run: keyMapDelete },
             { key: "Ctrl-Delete", run: keyMapDelete },
             { key: "Backspace", run: keyMapBackspace },
             { key: "Ctrl-Backspace", run: keyMapBackspace },
-            { key: "Alt-ArrowUp", run: (x) => keyMapMoveLine(x, -1) },
-            { key: "Alt-ArrowDown", run: (x) => keyMapMoveLine(x, 1) },
-            { key: "Ctrl-Shift-[", mac: "Cmd-Alt-[", run: (x) => keyMapFold(x, true) },
-            { key: "Ctrl-Shift-]", mac: "Cmd-Alt-]", run: (x) => keyMapFold(x, false) },
             mod_d_command,
         ]
+        pluto_keymap_ref.current = plutoKeyMaps
 
         let DOCS_UPDATER_VERBOSE = false
         const docs_updater = EditorView.updateListener.of((update) => {
@@ -704,8 +813,9 @@ export const CellInput = ({
 
                     // I put plutoKeyMaps separately because I want make sure we have
                     // higher priority 😈
-                    keymap.of(plutoKeyMaps),
-                    keymap.of(commentKeymap),
+                    pluto_keymap_compartment.of(keymap.of(plutoKeyMaps())),
+                    keymap.of(commentKeymap.filter((binding) => binding.run !== toggleComment)),
+                    ...(CM_KEYMAP_MODE === "vim" ? [vim_mode(keymap_mode_options)] : CM_KEYMAP_MODE === "emacs" ? [emacs_mode(keymap_mode_options)] : []),
                     // Before default keymaps (because we override some of them)
                     // but after the autocomplete plugin, because we don't want to move cell when scrolling through autocomplete
                     cell_movement_plugin({
@@ -719,13 +829,22 @@ export const CellInput = ({
                     EditorView.lineWrapping,
                     awesome_line_wrapping,
 
-                    // Reset diagnostics on change
+                    static_lint({
+                        cell_id,
+                        get_notebook: () => pluto_actions.get_notebook(),
+                        get_unsubmitted_global_definitions: () => pluto_actions.get_unsubmitted_global_definitions(),
+                        get_runtime_diagnostics: () => runtime_diagnostics_ref.current,
+                        request_defined_names: async (names) => (await pluto_actions.request_defined_names(names)) ?? null,
+                    }),
+                    // Reset diagnostics from running the cell on change
                     EditorView.updateListener.of((update) => {
-                        if (!update.docChanged) return
+                        if (!update.docChanged || runtime_diagnostics_ref.current.length === 0) return
+                        runtime_diagnostics_ref.current = []
                         update.view.dispatch(setDiagnostics(update.state, []))
                     }),
 
                     on_change_compartment,
+                    collab_extension,
 
                     // This is my weird-ass extension that checks the AST and shows you where
                     // there're missing nodes.. I'm not sure if it's a good idea to have it
@@ -747,6 +866,8 @@ export const CellInput = ({
             parent: dom_node_ref.current,
         }))
 
+        on_collab_editor_created()
+
         // For use from useDropHandler
         // @ts-ignore
         newcm.dom.CodeMirror = {
@@ -795,8 +916,10 @@ export const CellInput = ({
         if (newcm_ref.current == null) return
         const cm = newcm_ref.current
         const diagnostics = cm_diagnostics
+        runtime_diagnostics_ref.current = diagnostics
 
-        cm.dispatch(setDiagnostics(cm.state, diagnostics))
+        // Show them right away, and bring back the static diagnostics after the next lint.
+        cm.dispatch(setDiagnostics(cm.state, diagnostics), { effects: RelintEffect.of(null) })
     }, [cm_diagnostics])
 
     // Effect to apply "remote_code" to the cell when it changes...
@@ -812,11 +935,34 @@ export const CellInput = ({
             return
         }
         remote_code_ref.current = remote_code
+        // When the cell is edited collaboratively, the code is kept in sync by the collab plugin instead. Unless the cell got different code since the collab session started: then the new code wins (and the server will end the collab session).
+        if (collab_data != null && remote_code === collab_data.submitted_code) return
         if (current_value !== remote_code) {
             setValue6(newcm_ref.current, remote_code)
         }
     }, [remote_code])
 
+    // Apply changed shortcuts from the shortcut editor right away
+    useEventListener(
+        window,
+        "pluto key bindings changed",
+        () => newcm_ref.current?.dispatch({ effects: pluto_keymap_compartment.reconfigure(keymap.of(pluto_keymap_ref.current())) }),
+        []
+    )
+
+    // Other parts of the editor (like renaming a variable) can change the code of this cell as an unsubmitted change, that can be undone.
+    useEventListener(
+        window,
+        "pluto set local code",
+        (/** @type {CustomEvent} */ e) => {
+            const cm = newcm_ref.current
+            if (e.detail.cell_id !== cell_id || cm == null) return
+            const current = getValue6(cm)
+            if (current !== e.detail.code) cm.dispatch({ changes: minimal_changes(current, e.detail.code) })
+        },
+        [cell_id]
+    )
+
     useEffect(() => {
         const cm = newcm_ref.current
         if (cm == null) return
@@ -853,7 +999,7 @@ export const CellInput = ({
                 // block: "center",
             })
 
-            cm.focus()
+            if (cm_forced_focus[2]?.focus !== false) cm.focus()
             cm.dispatch({
                 scrollIntoView: true,
                 selection: new_selection,
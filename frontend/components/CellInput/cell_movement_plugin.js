@@ -25,10 +25,11 @@ import { EditorView, autocomplete, EditorState, keymap } from "../../imports/Cod
  */
 
 /**
+ * The commands behind the cell movement keys, also used by the Vim and Emacs modes.
  * @param {object} options
  * @param {FocusOnNeighborFunction} options.focus_on_neighbor
  */
-let cell_movement_keys = ({ focus_on_neighbor }) => {
+export let cell_movement_commands = ({ focus_on_neighbor }) => {
     // All arrows do basically the same now:
     // - Check if the cursor would have moved normally
     // - If it would have moved normally, don't do anything so codemirror can move the cursor
@@ -103,6 +104,16 @@ let cell_movement_keys = ({ focus_on_neighbor }) => {
         return true
     }
 
+    return { CellArrowLeft, CellArrowRight, CellArrowUp, CellArrowDown, CellPageUp, CellPageDown }
+}
+
+/**
+ * @param {object} options
+ * @param {FocusOnNeighborFunction} options.focus_on_neighbor
+ */
+let cell_movement_keys = ({ focus_on_neighbor }) => {
+    const { CellArrowLeft, CellArrowRight, CellArrowUp, CellArrowDown, CellPageUp, CellPageDown } = cell_movement_commands({ focus_on_neighbor })
+
     return keymap.of([
         { key: "PageUp", run: CellPageUp },
         { key: "PageDown", run: CellPageDown },
@@ -0,0 +1,274 @@
+import { useEffect, useRef } from "../../imports/Preact.js"
+import {
+    ChangeSet,
+    Compartment,
+    Decoration,
+    EditorView,
+    StateEffect,
+    StateField,
+    WidgetType,
+    collab,
+    getSyncedVersion,
+    receiveUpdates,
+    sendableUpdates,
+} from "../../imports/CodemirrorPlutoSetup.js"
+import { collab_updates_since, peer_id } from "../../common/Collab.js"
+
+// Real-time collaborative editing of a single cell, using CodeMirror's `collab` extension. The server decides the order of updates (see src/webserver/Collab.jl), and we get them back through the collab state that the Editor keeps (`collab.cells[cell_id]`, see `apply_collab_message`).
+//
+// A cell only becomes collaborative when someone edits it while other people are connected. Until then, the collab extension is not active, and the cell behaves like it always did.
+
+/**
+ * The smallest single change that turns `from` into `to`.
+ * @param {string} from
+ * @param {string} to
+ */
+const minimal_change = (from, to) => {
+    let start = 0
+    while (start < from.length && start < to.length && from[start] === to[start]) start++
+    let end = 0
+    while (end < from.length - start && end < to.length - start && from[from.length - 1 - end] === to[to.length - 1 - end]) end++
+    return { from: start, to: from.length - end, insert: to.slice(start, to.length - end) }
+}
+
+const new_entry_id = () => crypto.getRandomValues(new Uint32Array(2)).reduce((acc, x) => acc + x.toString(36), "")
+
+/**
+ * @typedef RemoteSelection
+ * @type {{ peer_id: string, name: string, color: string, ranges: Array<[number, number]> }}
+ */
+
+/** @type {import("../../imports/CodemirrorPlutoSetup.js").StateEffectType<RemoteSelection[]>} */
+const SetRemoteSelectionsEffect = StateEffect.define()
+
+class RemoteCursorWidget extends WidgetType {
+    constructor(/** @type {string} */ name, /** @type {string} */ color) {
+        super()
+        this.name = name
+        this.color = color
+    }
+    eq(other) {
+        return other.name === this.name && other.color === this.color
+    }
+    toDOM() {
+        const cursor = document.createElement("span")
+        cursor.className = "cm-remote-cursor"
+        cursor.style.borderColor = this.color
+        const label = cursor.appendChild(document.createElement("span"))
+        label.className = "cm-remote-cursor-name"
+        label.style.backgroundColor = this.color
+        label.textContent = this.name
+        return cursor
+    }
+    ignoreEvent() {
+        return true
+    }
+}
+
+const selection_decorations = (/** @type {RemoteSelection[]} */ selections, /** @type {number} */ doc_length) => {
+    const decorations = []
+    for (const { name, color, ranges } of selections) {
+        for (const [anchor, head] of ranges) {
+            const from = Math.min(Math.max(0, Math.min(anchor, head)), doc_length)
+            const to = Math.min(Math.max(0, Math.max(anchor, head)), doc_length)
+            if (from < to) {
+                decorations.push(
+                    Decoration.mark({
+                        class: "cm-remote-selection",
+                        attributes: { style: `background-color: color-mix(in srgb, ${color} 25%, transparent)` },
+                    }).range(from, to)
+                )
+            }
+            decorations.push(
+                Decoration.widget({
+                    widget: new RemoteCursorWidget(name, color),
+                    side: 1,
+                }).range(Math.min(Math.max(0, head), doc_length))
+            )
+        }
+    }
+    return Decoration.set(decorations, true)
+}
+
+/** Cursors and selections of other people in this cell. They move along with local edits until the next presence update arrives. */
+const RemoteSelectionsField = StateField.define({
+    create: () => Decoration.none,
+    update: (decorations, tr) => {
+        for (const effect of tr.effects) {
+            if (effect.is(SetRemoteSelectionsEffect)) {
+                return selection_decorations(effect.value, tr.state.doc.length)
+            }
+        }
+        return decorations.map(tr.changes)
+    },
+    provide: (field) => EditorView.decorations.from(field),
+})
+
+/**
+ * Make a CellInput collaborative. Returns the extension to add to the editor, and a function to call when the editor was created after the first render (the CellInput is rendered lazily).
+ *
+ * @param {import("../../imports/Preact.js").Ref<EditorView?>} codemirror_ref
+ * @param {{
+ *  collab_data: import("../../common/Collab.js").CollabCellData?,
+ *  remote_selections: RemoteSelection[],
+ *  other_peers_present: boolean,
+ *  remote_code: string,
+ *  push: (body: { entry_id: string, version: number, updates: import("../../common/Collab.js").CollabUpdate[], base?: string }) => Promise<boolean>,
+ *  on_selection: (ranges: Array<[number, number]>) => void,
+ * }} props
+ */
+export const useCollab = (codemirror_ref, { collab_data, remote_selections, other_peers_present, remote_code, push, on_selection }) => {
+    const compartment = useRef(new Compartment())
+
+    /** The collab entry that the editor is currently synced with. */
+    const synced_entry_id = useRef(/** @type {string?} */ (null))
+    /** The collab entry that we asked the server to create. */
+    const requested_entry_id = useRef(/** @type {string?} */ (null))
+    const push_in_flight = useRef(false)
+    const resetting = useRef(false)
+    const resets = useRef(0)
+
+    const props = useRef({ collab_data, remote_selections, other_peers_present, remote_code, push, on_selection })
+    props.current = { collab_data, remote_selections, other_peers_present, remote_code, push, on_selection }
+
+    const maybe_push = () => {
+        const view = codemirror_ref.current
+        if (view == null || push_in_flight.current || resetting.current) return
+        const { collab_data, other_peers_present, remote_code, push } = props.current
+
+        let body
+        if (synced_entry_id.current != null) {
+            if (collab_data?.id !== synced_entry_id.current) return
+            const updates = sendableUpdates(view.state)
+            if (updates.length === 0) return
+            body = {
+                entry_id: synced_entry_id.current,
+                version: getSyncedVersion(view.state),
+                updates: updates.map((u) => ({ client_id: u.clientID, changes: u.changes.toJSON() })),
+            }
+        } else {
+            // Start collaborating on this cell when we have unsubmitted changes that other people should see.
+            const text = view.state.doc.toString()
+            if (collab_data != null || !other_peers_present || text === remote_code || requested_entry_id.current != null) return
+            requested_entry_id.current = new_entry_id()
+            body = { entry_id: requested_entry_id.current, version: 0, updates: [], base: text }
+        }
+
+        push_in_flight.current = true
+        const pushed_version = body.version
+        Promise.resolve(push(body))
+            .catch(() => false)
+            .then((accepted) => {
+                push_in_flight.current = false
+                if (!accepted && body.base != null) requested_entry_id.current = null
+                // If the updates that made our push outdated were already received, try again. Otherwise, we will try again when they arrive.
+                const view = codemirror_ref.current
+                if (view != null && synced_entry_id.current != null && getSyncedVersion(view.state) !== pushed_version) maybe_push()
+            })
+    }
+
+    /**
+     * Start over from the server's version of the cell. With `keep_local`, our unsubmitted changes are kept, and merged with the changes from the server.
+     * @param {EditorView} view
+     * @param {import("../../common/Collab.js").CollabCellData} entry
+     * @param {boolean} keep_local
+     */
+    const reset = (view, entry, keep_local) => {
+        const local = view.state.doc.toString()
+        resetting.current = true
+        try {
+            view.dispatch({
+                effects: compartment.current.reconfigure([]),
+                changes: minimal_change(local, entry.base),
+            })
+            // A new client ID, so that our updates from before the reset are not mistaken for the ones after.
+            view.dispatch({
+                effects: compartment.current.reconfigure(collab({ startVersion: entry.base_version, clientID: `${peer_id}-${resets.current++}` })),
+            })
+            if (keep_local && local !== entry.base) {
+                view.dispatch({ changes: minimal_change(entry.base, local) })
+            }
+            receive(view, entry)
+        } finally {
+            resetting.current = false
+        }
+    }
+
+    const receive = (/** @type {EditorView} */ view, /** @type {import("../../common/Collab.js").CollabCellData} */ entry) => {
+        const updates = collab_updates_since(entry, getSyncedVersion(view.state))
+        if (updates.length > 0) {
+            view.dispatch(
+                receiveUpdates(
+                    view.state,
+                    updates.map((u) => ({ clientID: u.client_id, changes: ChangeSet.fromJSON(u.changes) }))
+                )
+            )
+        }
+    }
+
+    /** Bring the editor up to date with the collab state from the server. */
+    const sync = () => {
+        const view = codemirror_ref.current
+        if (view == null) return
+        const { collab_data, remote_code } = props.current
+
+        if (collab_data == null) {
+            if (synced_entry_id.current != null) {
+                // The collab session was stopped by the server, because the cell's code was set (by someone submitting the cell, or by a change in the notebook file). The `remote_code` will be set on the editor.
+                synced_entry_id.current = null
+                view.dispatch({ effects: compartment.current.reconfigure([]) })
+            }
+        } else if (synced_entry_id.current !== collab_data.id) {
+            const we_started_it = requested_entry_id.current === collab_data.id
+            const has_local_changes = view.state.doc.toString() !== remote_code
+            reset(view, collab_data, we_started_it || has_local_changes)
+            synced_entry_id.current = collab_data.id
+            requested_entry_id.current = null
+        } else if (getSyncedVersion(view.state) < collab_data.base_version) {
+            // We fell behind so much that the updates we need have been folded into the base text.
+            console.warn("Collab: fell behind, resetting the cell to the latest version.")
+            reset(view, collab_data, false)
+        } else {
+            try {
+                receive(view, collab_data)
+            } catch (e) {
+                console.error("Collab: could not apply remote updates, resetting the cell to the latest version.", e)
+                reset(view, collab_data, false)
+            }
+        }
+        maybe_push()
+    }
+
+    useEffect(sync, [collab_data])
+
+    const show_remote_selections = () => {
+        codemirror_ref.current?.dispatch({ effects: SetRemoteSelectionsEffect.of(props.current.remote_selections) })
+    }
+
+    useEffect(show_remote_selections, [remote_selections])
+
+    useEffect(() => {
+        if (other_peers_present) maybe_push()
+    }, [other_peers_present])
+
+    const extension = useRef(
+        /** @type {any[]} */ ([
+            compartment.current.of([]),
+            RemoteSelectionsField,
+            EditorView.updateListener.of((update) => {
+                if (update.docChanged) {
+                    maybe_push()
+                }
+                if ((update.docChanged || update.selectionSet) && update.view.hasFocus && props.current.other_peers_present) {
+                    props.current.on_selection(update.state.selection.ranges.map((r) => [r.anchor, r.head]))
+                }
+            }),
+        ])
+    )
+    const on_editor_created = () => {
+        sync()
+        show_remote_selections()
+    }
+
+    return /** @type {[any[], () => void]} */ ([extension.current, on_editor_created])
+}
@@ -0,0 +1,133 @@
+import { EditorSelection, EditorView, Prec, ViewPlugin, defaultKeymap, historyKeymap, keymap } from "../../imports/CodemirrorPlutoSetup.js"
+import { cell_movement_commands } from "./cell_movement_plugin.js"
+import { t } from "../../common/lang.js"
+
+/**
+ * Emacs mode for the cell editor. CodeMirror already has the Emacs-style bindings on macOS (`Ctrl-a`, `Ctrl-e`, `Ctrl-k`, ...), we enable them on all platforms and add `Alt` word movement, a kill ring and `Ctrl-x Ctrl-s` to submit.
+ *
+ * `Ctrl-n` and `Ctrl-p` move to the next or previous cell at the edge of a cell, like the arrow keys do in `cell_movement_plugin.js`.
+ */
+
+/** The kill ring is shared between cells, so you can kill in one cell and yank in another. */
+let kill_ring = /** @type {string[]} */ ([])
+/** The end of the last kill, so that consecutive `Ctrl-k` presses add to the same kill. */
+let last_kill = /** @type {{ view: EditorView, pos: number }?} */ (null)
+
+const kill = (/** @type {EditorView} */ view, /** @type {number} */ from, /** @type {number} */ to) => {
+    if (from === to) return true
+    const text = view.state.sliceDoc(from, to)
+    if (last_kill != null && last_kill.view === view && last_kill.pos === from && kill_ring.length > 0) {
+        kill_ring[0] += text
+    } else {
+        kill_ring = [text, ...kill_ring].slice(0, 30)
+    }
+    view.dispatch({ changes: { from, to }, selection: EditorSelection.cursor(from), userEvent: "delete.cut", scrollIntoView: true })
+    last_kill = { view, pos: from }
+    return true
+}
+
+const run_of = (/** @type {string} */ key) => defaultKeymap.find((b) => b.key === key)?.run ?? (() => false)
+
+/**
+ * @param {{
+ *  submit: (view: EditorView) => boolean,
+ *  focus_on_neighbor: import("./cell_movement_plugin.js").FocusOnNeighborFunction,
+ * }} options
+ */
+export const emacs_mode = ({ submit, focus_on_neighbor }) => {
+    const { CellArrowUp, CellArrowDown, CellArrowLeft, CellArrowRight } = cell_movement_commands({ focus_on_neighbor })
+
+    // The macOS-only Emacs bindings from the default keymap, like `{ mac: "Ctrl-b", run: cursorCharLeft }`.
+    const builtin = defaultKeymap.filter((b) => b.key == null && b.mac?.startsWith("Ctrl-")).map((b) => ({ key: b.mac, run: b.run, shift: b.shift }))
+    /** At the edge of the cell, go to the neighboring cell. */
+    const or_to_neighbor = (/** @type {string} */ key, /** @type {(view: EditorView) => boolean} */ cell_command) => {
+        const binding = builtin.find((b) => b.key === key)
+        return { key, run: (/** @type {EditorView} */ view) => cell_command(view) || (binding?.run?.(view) ?? false), shift: binding?.shift }
+    }
+
+    const undo = historyKeymap.find((b) => b.key === "Mod-z")?.run ?? (() => false)
+
+    /** @type {typeof defaultKeymap} */
+    const bindings = [
+        or_to_neighbor("Ctrl-n", CellArrowDown),
+        or_to_neighbor("Ctrl-p", CellArrowUp),
+        or_to_neighbor("Ctrl-f", CellArrowRight),
+        or_to_neighbor("Ctrl-b", CellArrowLeft),
+        ...builtin.filter((b) => !["Ctrl-n", "Ctrl-p", "Ctrl-f", "Ctrl-b", "Ctrl-k"].includes(b.key ?? "")),
+        { key: "Alt-f", run: run_of("Mod-ArrowRight") },
+        { key: "Alt-b", run: run_of("Mod-ArrowLeft") },
+        { key: "Alt-d", run: run_of("Mod-Delete") },
+        { key: "Alt-Backspace", run: run_of("Mod-Backspace") },
+        { key: "Alt-<", run: run_of("Mod-Home") },
+        { key: "Alt->", run: run_of("Mod-End") },
+        {
+            key: "Ctrl-k",
+            run: (view) => {
+                const pos = view.state.selection.main.head
+                const line = view.state.doc.lineAt(pos)
+                // At the end of a line, kill the line break.
+                return kill(view, pos, pos === line.to ? Math.min(view.state.doc.length, pos + 1) : line.to)
+            },
+        },
+        {
+            key: "Ctrl-w",
+            run: (view) => {
+                const { from, to } = view.state.selection.main
+                last_kill = null
+                return kill(view, from, to)
+            },
+        },
+        {
+            key: "Alt-w",
+            run: (view) => {
+                const { from, to } = view.state.selection.main
+                if (from !== to) kill_ring = [view.state.sliceDoc(from, to), ...kill_ring].slice(0, 30)
+                view.dispatch({ selection: EditorSelection.cursor(view.state.selection.main.head) })
+                return true
+            },
+        },
+        {
+            key: "Ctrl-y",
+            run: (view) => {
+                if (kill_ring.length === 0) return true
+                view.dispatch(view.state.replaceSelection(kill_ring[0]), { userEvent: "input.paste", scrollIntoView: true })
+                return true
+            },
+        },
+        {
+            key: "Ctrl-g",
+            run: (view) => {
+                view.dispatch({ selection: EditorSelection.cursor(view.state.selection.main.head) })
+                return true
+            },
+        },
+        { key: "Ctrl-/", run: undo },
+        { key: "Ctrl-_", run: undo },
+        { key: "Ctrl-x u", run: undo },
+        { key: "Ctrl-x Ctrl-s", run: submit },
+        { key: "Ctrl-x h", run: run_of("Mod-a") },
+    ]
+
+    const indicator = ViewPlugin.fromClass(
+        class {
+            constructor(/** @type {EditorView} */ view) {
+                this.dom = document.createElement("div")
+                this.dom.className = "cm-keymap-mode"
+                this.dom.textContent = t("t_emacs_mode")
+                view.dom.appendChild(this.dom)
+            }
+            destroy() {
+                this.dom.remove()
+            }
+        }
+    )
+
+    return [
+        Prec.highest(keymap.of(bindings)),
+        // Any other key ends a series of kills.
+        EditorView.updateListener.of((update) => {
+            if (last_kill?.view === update.view && update.selectionSet && update.state.selection.main.head !== last_kill.pos) last_kill = null
+        }),
+        indicator,
+    ]
+}
@@ -9,6 +9,7 @@ import { ENABLE_CM_AUTOCOMPLETE_ON_TYPE } from "../CellInput.js"
 import { GlobalDefinitionsFacet } from "./go_to_definition_plugin.js"
 import { STRING_NODE_NAMES } from "./mixedParsers.js"
 import { sub_charmap, sup_charmap } from "../../common/UnicodeTools.js"
+import { snippet_completion } from "./snippets.js"
 
 let { autocompletion, completionKeymap, completionStatus, acceptCompletion, selectedCompletion } = autocomplete
 
@@ -716,6 +717,7 @@ export let pluto_autocomplete = ({
                 superscript_subscript_completion(),
                 julia_code_completions_to_cm(memoize_last_request_autocomplete),
                 complete_keyword,
+                snippet_completion(section_regular),
                 complete_package_name(request_packages),
                 // complete_anyword,
                 local_variables_completion,
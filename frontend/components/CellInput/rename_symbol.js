@@ -0,0 +1,156 @@
+import { julia, Text } from "../../imports/CodemirrorPlutoSetup.js"
+import { explore_variable_usage, ScopeStateField } from "./scopestate_statefield.js"
+
+// Find and rename a variable, in one cell (for a local variable) or in every cell that defines or uses it (for a global variable). See `RenameSymbol.js` and `FindReferences.js`.
+
+/**
+ * @typedef {import("./scopestate_statefield.js").Range} Range
+ *
+ * @typedef SymbolAt
+ * @type {{
+ *  name: string,
+ *  local_definition: Range?,
+ * }}
+ *
+ * @typedef RenameTarget
+ * @type {SymbolAt & { cell_id: string }}
+ */
+
+const identifier_regex = /^[\p{L}\p{Nl}\p{Sc}\p{So}_][\p{L}\p{N}\p{Sc}\p{So}\p{Mn}\p{Mc}_!′]*$/u
+
+const julia_keywords = new Set(
+    "baremodule begin break catch const continue do else elseif end export false finally for function global if import let local macro module quote return struct true try using while abstract mutable primitive type where in isa".split(
+        " "
+    )
+)
+
+export const is_valid_identifier = (/** @type {string} */ name) => identifier_regex.test(name) && !julia_keywords.has(name)
+
+const contains = (/** @type {Range} */ range, /** @type {number} */ pos) => range.from <= pos && pos <= range.to
+
+/**
+ * The definition of the local variable `name` that the identifier at `range` refers to, or `null` if it is a global. When a local variable is assigned more than once in the same scope, the first assignment stands for all of them.
+ * @param {import("./scopestate_statefield.js").ScopeState["locals"]} locals
+ * @param {string} name
+ * @param {Range} range
+ * @returns {Range?}
+ */
+export const local_definition_at = (locals, name, range) =>
+    locals
+        .filter((l) => l.name === name && range.from >= l.validity.from && range.to <= l.validity.to)
+        // The innermost scope wins. `sort` is stable, so the first assignment in that scope comes first.
+        .sort((a, b) => a.validity.to - a.validity.from - (b.validity.to - b.validity.from))[0]?.definition ?? null
+
+/**
+ * The variable at the cursor, if there is one.
+ * @param {import("../../imports/CodemirrorPlutoSetup.js").EditorState} state
+ * @param {number} pos
+ * @returns {SymbolAt?}
+ */
+export const symbol_at = (state, pos) => {
+    const scopestate = state.field(ScopeStateField)
+
+    const range =
+        scopestate.usages.find((u) => contains(u.usage, pos))?.usage ??
+        scopestate.locals.find((l) => contains(l.definition, pos))?.definition ??
+        [...scopestate.definitions.values()].find((d) => contains(d, pos))
+    if (range == null) return null
+
+    const name = state.sliceDoc(range.from, range.to)
+    return is_valid_identifier(name) ? { name, local_definition: local_definition_at(scopestate.locals, name, range) } : null
+}
+
+/**
+ * Where `name` appears in `code` as a variable: as a global (`local_definition == null`), or as the local variable defined at `local_definition`. Locals that shadow the global, field names (`a.name`), keyword argument names (`f(name=1)`), symbols (`:name`), imports and quoted code are left out. `is_definition` marks the places where the variable is defined.
+ * @param {string} code
+ * @param {string} name
+ * @param {Range?} local_definition
+ * @returns {Array<Range & { is_definition: boolean }>}
+ */
+export const symbol_occurrences = (code, name, local_definition = null) => {
+    const tree = julia().language.parser.parse(code)
+    const doc = Text.of(code.split("\n"))
+    const scopestate = explore_variable_usage(tree.cursor(), doc, null)
+
+    const same_definition = (/** @type {Range?} */ a, /** @type {Range?} */ b) => (a == null ? b == null : b != null && a.from === b.from && a.to === b.to)
+
+    const global_definition = local_definition == null ? scopestate.definitions.get(name) ?? null : null
+
+    /** @type {Array<Range & { is_definition: boolean }>} */
+    const found = []
+    tree.cursor().iterate((cursor) => {
+        if (
+            cursor.name === "QuoteStatement" ||
+            cursor.name === "QuoteExpression" ||
+            cursor.name === "ImportStatement" ||
+            cursor.name === "UsingStatement" ||
+            cursor.name === "ModuleDefinition" ||
+            cursor.name === "Field" ||
+            cursor.name === "Symbol"
+        )
+            return false
+        if (cursor.name !== "Identifier" || doc.sliceString(cursor.from, cursor.to) !== name) return
+        // `f(name=1)`: a keyword, not a variable.
+        if (cursor.node.parent?.name === "KwArg" && cursor.node.prevSibling == null) return
+
+        const range = { from: cursor.from, to: cursor.to }
+        const defines_local = scopestate.locals.some((l) => l.name === name && same_definition(l.definition, range))
+        if (same_definition(local_definition_at(scopestate.locals, name, range), local_definition)) {
+            found.push({ ...range, is_definition: defines_local || (global_definition != null && same_definition(global_definition, range)) })
+        }
+    })
+    return found
+}
+
+/**
+ * Replace `ranges` in `code` by `new_name`.
+ * @param {string} code
+ * @param {Range[]} ranges
+ * @param {string} new_name
+ */
+export const replace_ranges = (code, ranges, new_name) =>
+    [...ranges].sort((a, b) => b.from - a.from).reduce((code, { from, to }) => code.slice(0, from) + new_name + code.slice(to), code)
+
+/**
+ * The cells that define or use the global `name`, according to the dependency graph, and the cells with unsubmitted code that mentions it.
+ * @param {import("../Editor.js").NotebookData} notebook
+ * @param {(cell_id: string) => string} code_of
+ * @param {string} name
+ */
+export const cells_using_global = (notebook, code_of, name) => {
+    const cells = new Set()
+    for (const [cell_id, deps] of Object.entries(notebook.cell_dependencies ?? {})) {
+        if (name in deps.downstream_cells_map) {
+            cells.add(cell_id)
+            deps.downstream_cells_map[name].forEach((id) => cells.add(id))
+        }
+        if (name in deps.upstream_cells_map) cells.add(cell_id)
+    }
+    for (const cell_id of notebook.cell_order) {
+        if (code_of(cell_id) !== notebook.cell_inputs[cell_id]?.code && code_of(cell_id).includes(name)) cells.add(cell_id)
+    }
+    return notebook.cell_order.filter((id) => cells.has(id))
+}
+
+/**
+ * The cells to change to rename `target`, with their current code and the places to rename. A local variable is only renamed in its own cell, a global in every cell that defines or uses it.
+ * @param {import("../Editor.js").NotebookData} notebook
+ * @param {(cell_id: string) => string} code_of
+ * @param {RenameTarget} target
+ * @returns {Array<{ cell_id: string, code: string, ranges: Range[] }>}
+ */
+export const rename_edits = (notebook, code_of, target) => {
+    const using = target.local_definition != null ? [] : cells_using_global(notebook, code_of, target.name)
+    return notebook.cell_order
+        .filter((cell_id) => cell_id === target.cell_id || using.includes(cell_id))
+        .map((cell_id) => {
+            const code = code_of(cell_id)
+            try {
+                return { cell_id, code, ranges: symbol_occurrences(code, target.name, target.local_definition) }
+            } catch (e) {
+                console.error("Could not find variables in cell", cell_id, e)
+                return { cell_id, code, ranges: [] }
+            }
+        })
+        .filter((edit) => edit.ranges.length > 0)
+}
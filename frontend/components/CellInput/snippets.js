@@ -0,0 +1,123 @@
+import { autocomplete } from "../../imports/CodemirrorPlutoSetup.js"
+import { STRING_NODE_NAMES } from "./mixedParsers.js"
+
+/**
+ * Snippets for common Pluto and Julia patterns, offered in the autocomplete list. The template uses the CodeMirror snippet syntax: `${1:name}` is a field with a placeholder, `${}` is an empty field, and you move between fields with Tab and Shift-Tab.
+ *
+ * Besides the built-in snippets, users can add their own. These are stored in `localStorage`, so they are available in all notebooks on this computer.
+ *
+ * @typedef Snippet
+ * @type {{
+ *  label: string,
+ *  detail?: string,
+ *  template: string,
+ * }}
+ */
+
+/** @type {Snippet[]} */
+export const builtin_snippets = [
+    { label: "@bind Slider", detail: "slider", template: "@bind ${1:x} Slider(${2:1:10})" },
+    { label: "@bind CheckBox", detail: "checkbox", template: "@bind ${1:x} CheckBox()" },
+    { label: "@bind TextField", detail: "text input", template: "@bind ${1:x} TextField()" },
+    { label: "@bind Select", detail: "dropdown", template: '@bind ${1:x} Select([${2:"a", "b"}])' },
+    { label: "@bind Button", detail: "button", template: '@bind ${1:x} Button("${2:Click me}")' },
+    { label: 'md"""', detail: "markdown cell", template: 'md"""\n${1:# Title}\n"""' },
+    { label: "begin", detail: "begin … end", template: "begin\n\t${}\nend" },
+    { label: "let", detail: "let … end", template: "let\n\t${}\nend" },
+    { label: "function", detail: "function … end", template: "function ${1:f}(${2:x})\n\t${}\nend" },
+    { label: "for", detail: "for … end", template: "for ${1:i} in ${2:1:10}\n\t${}\nend" },
+    { label: "try", detail: "try … catch … end", template: "try\n\t${1}\ncatch ${2:e}\n\t${}\nend" },
+    {
+        label: 'html"""<script>',
+        detail: "HTML with script",
+        template:
+            'html"""\n<div>${1}</div>\n<script>\nconst div = currentScript.previousElementSibling\n${2}\ninvalidation.then(() => {\n\t${3}\n})\n</script>\n"""',
+    },
+    {
+        label: "@htl <script>",
+        detail: "HypertextLiteral with script",
+        template:
+            '@htl("""\n<script>\nconst data = $(${1:data})\nconst el = document.createElement("div")\n${2}\ninvalidation.then(() => {\n\t${3}\n})\nreturn el\n</script>\n""")',
+    },
+    { label: "TableOfContents", detail: "PlutoUI", template: "TableOfContents()" },
+]
+
+const USER_SNIPPETS_STORAGE_KEY = "PLUTO_USER_SNIPPETS"
+
+/** The parsed user snippets, until they change. @type {Snippet[]?} */
+let user_snippets_cache = null
+/** The completions for all snippets, for every section. Creating them parses the templates, so we keep them until the user snippets change. */
+const snippet_options_cache = /** @type {Map<autocomplete.CompletionSection, autocomplete.Completion[]>} */ (new Map())
+
+/** @returns {Snippet[]} */
+export const get_user_snippets = () => {
+    if (user_snippets_cache == null) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(USER_SNIPPETS_STORAGE_KEY) ?? "[]")
+            user_snippets_cache = Array.isArray(stored) ? stored.filter((s) => typeof s?.label === "string" && typeof s?.template === "string") : []
+        } catch (e) {
+            user_snippets_cache = []
+        }
+    }
+    return user_snippets_cache
+}
+
+window.addEventListener("pluto snippets changed", () => {
+    user_snippets_cache = null
+    snippet_options_cache.clear()
+})
+// The user snippets can also change in another tab.
+window.addEventListener("storage", (e) => {
+    if (e.key === USER_SNIPPETS_STORAGE_KEY || e.key == null) window.dispatchEvent(new CustomEvent("pluto snippets changed"))
+})
+
+/** Replace the user snippets, and let the snippet editor know. */
+export const set_user_snippets = (/** @type {Snippet[]} */ snippets) => {
+    localStorage.setItem(USER_SNIPPETS_STORAGE_KEY, JSON.stringify(snippets))
+    window.dispatchEvent(new CustomEvent("pluto snippets changed"))
+}
+
+/** Add a user snippet, replacing an existing user snippet with the same label. For example: `PLUTO_ADD_SNIPPET("df", "DataFrame(${1:a} = ${2:[1, 2]})")` */
+// @ts-ignore
+window.PLUTO_ADD_SNIPPET = (/** @type {string} */ label, /** @type {string} */ template, /** @type {string?} */ detail = null) => {
+    set_user_snippets([...get_user_snippets().filter((s) => s.label !== label), detail == null ? { label, template } : { label, detail, template }])
+}
+
+const snippet_options = (/** @type {autocomplete.CompletionSection} */ section) => {
+    let options = snippet_options_cache.get(section)
+    if (options == null) {
+        const user = get_user_snippets()
+        const user_labels = new Set(user.map((s) => s.label))
+        const snippets = [...user, ...builtin_snippets.filter((s) => !user_labels.has(s.label))]
+        options = snippets.map((s) =>
+            autocomplete.snippetCompletion(s.template, {
+                label: s.label,
+                detail: s.detail,
+                type: "c_snippet",
+                section,
+                // Below variables and keywords with the same name
+                boost: -1,
+            })
+        )
+        snippet_options_cache.set(section, options)
+    }
+    return options
+}
+
+/**
+ * The completion source for snippets. Snippets are suggested when you type the start of their label, outside of strings and comments.
+ * @param {autocomplete.CompletionSection} section
+ */
+export const snippet_completion = (section) => (/** @type {autocomplete.CompletionContext} */ ctx) => {
+    const word = ctx.matchBefore(/@?[\p{L}_][\p{L}\p{Nl}\p{Sc}\d_!]*$/u)
+    if (word == null && !ctx.explicit) return null
+    if (ctx.tokenBefore([...STRING_NODE_NAMES, "LineComment", "BlockComment"]) != null) return null
+    // Don't offer snippets for field access, like `Base.f`
+    if (ctx.matchBefore(/\.@?[\p{L}_][\p{L}\p{Nl}\p{Sc}\d_!]*$/u) != null) return null
+
+    return {
+        from: word?.from ?? ctx.pos,
+        options: snippet_options(section),
+        validFor: /^@?[\p{L}_][\p{L}\p{Nl}\p{Sc}\d_!]*$/u,
+    }
+}
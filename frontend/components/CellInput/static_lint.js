@@ -0,0 +1,183 @@
+import { linter, StateEffect } from "../../imports/CodemirrorPlutoSetup.js"
+import { ScopeStateField } from "./scopestate_statefield.js"
+import { GlobalDefinitionsFacet } from "./go_to_definition_plugin.js"
+import { local_definition_at } from "./rename_symbol.js"
+import { t } from "../../common/lang.js"
+
+// Warnings that we can find before running the cell, using the same scope analysis as `ScopeStateField`: variables that no cell defines, variables that another cell also defines, unused local variables and local variables that shadow another variable.
+
+/**
+ * @typedef {import("./scopestate_statefield.js").Range} Range
+ * @typedef {import("../../imports/CodemirrorPlutoSetup.js").Diagnostic} Diagnostic
+ */
+
+/** Dispatch this to lint again, e.g. when the error diagnostics from running the cell change. */
+export const RelintEffect = StateEffect.define()
+
+/** Names that the notebook process told us are defined, like functions from `Base` or from imported packages. They will stay defined, so we remember them. */
+const known_defined = new Set()
+
+const same_range = (/** @type {Range} */ a, /** @type {Range} */ b) => a.from === b.from && a.to === b.to
+const contains = (/** @type {Range} */ outer, /** @type {Range} */ inner) => outer.from <= inner.from && inner.to <= outer.to
+
+const edit_distance = (/** @type {string} */ a, /** @type {string} */ b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+/** Up to three names from `candidates` that look like a typo of `name`. */
+const similar_names = (/** @type {string} */ name, /** @type {Iterable<string>} */ candidates) =>
+    [...new Set(candidates)]
+        .map((candidate) => ({ candidate, distance: edit_distance(name.toLowerCase(), candidate.toLowerCase()) }))
+        .filter(({ candidate, distance }) => candidate !== name && distance <= Math.min(2, Math.floor(name.length / 3)))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map(({ candidate }) => candidate)
+
+/**
+ * The global variables that every cell defines: what the server found when the cell last ran, or the unsubmitted code if the cell was changed since.
+ * @param {import("../Editor.js").NotebookData} notebook
+ * @param {{ [cell_id: string]: string[] }} unsubmitted
+ * @returns {{ [cell_id: string]: string[] }}
+ */
+const definitions_per_cell = (notebook, unsubmitted) =>
+    Object.fromEntries(
+        notebook.cell_order.map((cell_id) => [
+            cell_id,
+            unsubmitted[cell_id] ?? Object.keys(notebook.cell_dependencies?.[cell_id]?.downstream_cells_map ?? {}).filter((name) => !name.includes(".")),
+        ])
+    )
+
+/**
+ * @param {{
+ *  cell_id: string,
+ *  get_notebook: () => import("../Editor.js").NotebookData,
+ *  get_unsubmitted_global_definitions: () => { [cell_id: string]: string[] },
+ *  get_runtime_diagnostics: () => Diagnostic[],
+ *  request_defined_names: (names: string[]) => Promise<string[]?>,
+ * }} props
+ */
+export const static_lint = ({ cell_id, get_notebook, get_unsubmitted_global_definitions, get_runtime_diagnostics, request_defined_names }) =>
+    linter(
+        async (view) => {
+            const state = view.state
+            const { usages, definitions, locals } = state.field(ScopeStateField)
+
+            const notebook = get_notebook()
+            const per_cell = definitions_per_cell(notebook, get_unsubmitted_global_definitions())
+            const defined_elsewhere = new Map(
+                Object.entries(per_cell)
+                    .filter(([id]) => id !== cell_id)
+                    .flatMap(([id, names]) => names.map((name) => [name, id]))
+            )
+            const defined_anywhere = new Set([...defined_elsewhere.keys(), ...(per_cell[cell_id] ?? []), ...definitions.keys()])
+
+            /** @type {Diagnostic[]} */
+            const diagnostics = []
+
+            // Multiple definitions
+            for (const [name, range] of definitions) {
+                const other_cell = defined_elsewhere.get(name)
+                if (other_cell == null) continue
+                diagnostics.push({
+                    from: range.from,
+                    to: range.to,
+                    severity: "error",
+                    source: "pluto",
+                    message: t("t_lint_multiple_definitions", { name }),
+                    actions: [
+                        {
+                            name: t("t_lint_go_to_other_definition"),
+                            apply: () => window.dispatchEvent(new CustomEvent("cell_focus", { detail: { cell_id: other_cell, line: 0, definition_of: name } })),
+                        },
+                    ],
+                })
+            }
+
+            // Unused and shadowing local variables. A local variable that is assigned more than once is checked at its first assignment.
+            const first_assignments = locals.filter((local) =>
+                same_range(local_definition_at(locals, local.name, local.definition) ?? local.definition, local.definition)
+            )
+            for (const local of first_assignments) {
+                const { name, definition } = local
+                if (name.startsWith("_")) continue
+                const used = usages.some((u) => u.name === name && local_definition_at(locals, name, u.usage) === definition)
+                if (!used) {
+                    diagnostics.push({
+                        from: definition.from,
+                        to: definition.to,
+                        severity: "info",
+                        source: "pluto",
+                        message: t("t_lint_unused_local", { name }),
+                        actions: [
+                            {
+                                name: t("t_lint_prefix_underscore", { name: `_${name}` }),
+                                apply: (view, from, to) => view.dispatch({ changes: { from, to, insert: `_${name}` } }),
+                            },
+                        ],
+                    })
+                }
+                const shadows_local = locals.some(
+                    (outer) => outer.name === name && contains(outer.validity, local.validity) && !same_range(outer.validity, local.validity)
+                )
+                if (shadows_local || defined_anywhere.has(name)) {
+                    diagnostics.push({
+                        from: definition.from,
+                        to: definition.to,
+                        severity: "info",
+                        source: "pluto",
+                        message: shadows_local ? t("t_lint_shadows_local", { name }) : t("t_lint_shadows_global", { name }),
+                        actions: state.readOnly
+                            ? []
+                            : [
+                                  {
+                                      name: t("t_lint_rename"),
+                                      apply: () =>
+                                          window.dispatchEvent(
+                                              new CustomEvent("open pluto rename symbol", { detail: { cell_id, name, local_definition: definition } })
+                                          ),
+                                  },
+                              ],
+                    })
+                }
+            }
+
+            // Undefined variables. Names that no cell defines might still come from Julia or from a package, so we ask the notebook process.
+            const candidates = [
+                ...new Set(usages.filter((u) => u.definition == null && !defined_anywhere.has(u.name) && !known_defined.has(u.name)).map((u) => u.name)),
+            ].filter((name) => name !== "" && !name.includes("."))
+            const defined = candidates.length === 0 ? [] : await request_defined_names(candidates).catch(() => null)
+            if (defined != null) {
+                defined.forEach((name) => known_defined.add(name))
+                for (const usage of usages) {
+                    if (!candidates.includes(usage.name) || known_defined.has(usage.name)) continue
+                    diagnostics.push({
+                        from: usage.usage.from,
+                        to: usage.usage.to,
+                        severity: "warning",
+                        source: "pluto",
+                        message: t("t_lint_undefined", { name: usage.name }),
+                        actions: similar_names(usage.name, [...defined_anywhere, ...locals.map((l) => l.name)]).map((suggestion) => ({
+                            name: t("t_lint_did_you_mean", { name: suggestion }),
+                            apply: (view, from, to) => view.dispatch({ changes: { from, to, insert: suggestion } }),
+                        })),
+                    })
+                }
+            }
+
+            return [...get_runtime_diagnostics(), ...diagnostics]
+        },
+        {
+            delay: 500,
+            needsRefresh: (update) =>
+                update.startState.facet(GlobalDefinitionsFacet) !== update.state.facet(GlobalDefinitionsFacet) ||
+                update.transactions.some((tr) => tr.effects.some((e) => e.is(RelintEffect))),
+        }
+    )
@@ -0,0 +1,515 @@
+import { EditorSelection, EditorView, Prec, StateEffect, StateField, ViewPlugin, autocomplete, historyKeymap } from "../../imports/CodemirrorPlutoSetup.js"
+import { t } from "../../common/lang.js"
+
+/**
+ * Vim mode for the cell editor: Normal, Insert, Visual and Visual Line mode, with the common motions (`hjkl`, `w`, `b`, `e`, `0`, `^`, `$`, `gg`, `G`), operators (`d`, `c`, `y`, `>`, `<`) and counts.
+ *
+ * `j` and `k` on the last or first line move to the next or previous cell, like the arrow keys do in `cell_movement_plugin.js`, and `:w` submits the cell.
+ *
+ * The register is shared between cells, so you can `yy` in one cell and `p` in another.
+ */
+
+/**
+ * @typedef VimState
+ * @type {{
+ *  mode: "normal" | "insert" | "visual" | "visual line",
+ *  pending: string,
+ *  anchor: number,
+ *  head: number,
+ *  message: string?,
+ * }}
+ */
+
+/** @type {import("../../imports/CodemirrorPlutoSetup.js").StateEffectType<Partial<VimState>>} */
+const SetVimState = StateEffect.define()
+
+export const VimStateField = StateField.define({
+    create: () => /** @type {VimState} */ ({ mode: "normal", pending: "", anchor: 0, head: 0, message: null }),
+    update: (value, tr) => {
+        let result = tr.docChanged ? { ...value, anchor: tr.changes.mapPos(value.anchor), head: tr.changes.mapPos(value.head) } : value
+        for (const effect of tr.effects) {
+            if (effect.is(SetVimState)) result = { ...result, ...effect.value }
+        }
+        return result
+    },
+})
+
+/** @type {{ text: string, linewise: boolean }} */
+let register = { text: "", linewise: false }
+
+// The CodeMirror bundle does not export the `undo` and `redo` commands, only the key bindings that run them.
+const undo = historyKeymap.find((b) => b.key === "Mod-z")?.run
+const redo = historyKeymap.find((b) => b.key === "Mod-y")?.run
+
+/**
+ * @typedef {import("../../imports/CodemirrorPlutoSetup.js").EditorState} EditorState
+ * @typedef {ReturnType<EditorState["doc"]["line"]>} Line
+ * @typedef {{ to: number, linewise?: boolean, inclusive?: boolean, from?: number }} MotionResult
+ * @typedef {(state: EditorState, pos: number, count: number, count_given: boolean) => MotionResult} Motion
+ */
+
+const char_class = (/** @type {string | undefined} */ ch) => (ch == null ? -1 : /\s/.test(ch) ? 0 : /[\p{L}\p{N}_!]/u.test(ch) ? 1 : 2)
+
+const next_word_start = (/** @type {string} */ text, /** @type {number} */ pos) => {
+    let p = pos
+    const c = char_class(text[p])
+    if (c > 0) while (p < text.length && char_class(text[p]) === c) p++
+    while (p < text.length && char_class(text[p]) === 0) p++
+    return p
+}
+const previous_word_start = (/** @type {string} */ text, /** @type {number} */ pos) => {
+    let p = pos
+    while (p > 0 && char_class(text[p - 1]) === 0) p--
+    const c = char_class(text[p - 1])
+    while (p > 0 && char_class(text[p - 1]) === c) p--
+    return p
+}
+const word_end = (/** @type {string} */ text, /** @type {number} */ pos) => {
+    let p = pos + 1
+    while (p < text.length && char_class(text[p]) === 0) p++
+    const c = char_class(text[p])
+    while (p + 1 < text.length && char_class(text[p + 1]) === c) p++
+    return Math.min(p, Math.max(0, text.length - 1))
+}
+/** The word (or the whitespace) around `pos`, for `iw` and `aw`. */
+const word_around = (/** @type {string} */ text, /** @type {number} */ pos, /** @type {boolean} */ with_space) => {
+    const c = char_class(text[pos])
+    let from = pos
+    let to = pos
+    while (from > 0 && char_class(text[from - 1]) === c && text[from - 1] !== "\n") from--
+    while (to < text.length && char_class(text[to]) === c && text[to] !== "\n") to++
+    if (with_space) while (to < text.length && (text[to] === " " || text[to] === "\t")) to++
+    return { from, to }
+}
+
+const first_non_blank = (/** @type {Line} */ line) => line.from + (/^\s*/.exec(line.text)?.[0].length ?? 0)
+
+/** In Normal mode, the cursor is on a character, not after the last one. */
+const clamp_normal = (/** @type {EditorState} */ state, /** @type {number} */ pos) => {
+    const line = state.doc.lineAt(pos)
+    return Math.max(line.from, Math.min(pos, line.length === 0 ? line.from : line.to - 1))
+}
+
+const vertical = (/** @type {EditorState} */ state, /** @type {number} */ pos, /** @type {number} */ delta) => {
+    const line = state.doc.lineAt(pos)
+    const target = state.doc.line(Math.max(1, Math.min(state.doc.lines, line.number + delta)))
+    return target.from + Math.min(pos - line.from, target.length)
+}
+
+const repeat =
+    (/** @type {(text: string, pos: number) => number} */ step) =>
+    (/** @type {EditorState} */ state, /** @type {number} */ pos, /** @type {number} */ count) => {
+        const text = state.doc.toString()
+        for (let i = 0; i < count; i++) pos = step(text, pos)
+        return pos
+    }
+
+/** @type {Record<string, Motion>} */
+const motions = {
+    "h": (state, pos, count) => ({ to: Math.max(state.doc.lineAt(pos).from, pos - count) }),
+    "l": (state, pos, count) => ({ to: Math.min(state.doc.lineAt(pos).to, pos + count) }),
+    "j": (state, pos, count) => ({ to: vertical(state, pos, count), linewise: true }),
+    "k": (state, pos, count) => ({ to: vertical(state, pos, -count), linewise: true }),
+    "w": (state, pos, count) => ({ to: repeat(next_word_start)(state, pos, count) }),
+    "b": (state, pos, count) => ({ to: repeat(previous_word_start)(state, pos, count) }),
+    "e": (state, pos, count) => ({ to: repeat(word_end)(state, pos, count), inclusive: true }),
+    "0": (state, pos) => ({ to: state.doc.lineAt(pos).from }),
+    "^": (state, pos) => ({ to: first_non_blank(state.doc.lineAt(pos)) }),
+    "$": (state, pos, count) => ({ to: state.doc.lineAt(vertical(state, pos, count - 1)).to }),
+    "gg": (state, pos, count, count_given) => ({ to: first_non_blank(state.doc.line(count_given ? Math.min(count, state.doc.lines) : 1)), linewise: true }),
+    "G": (state, pos, count, count_given) => ({
+        to: first_non_blank(state.doc.line(count_given ? Math.min(count, state.doc.lines) : state.doc.lines)),
+        linewise: true,
+    }),
+    "iw": (state, pos) => {
+        const { from, to } = word_around(state.doc.toString(), pos, false)
+        return { from, to }
+    },
+    "aw": (state, pos) => {
+        const { from, to } = word_around(state.doc.toString(), pos, true)
+        return { from, to }
+    },
+}
+
+const mode_labels = () => ({
+    "normal": t("t_vim_mode_normal"),
+    "insert": t("t_vim_mode_insert"),
+    "visual": t("t_vim_mode_visual"),
+    "visual line": t("t_vim_mode_visual_line"),
+})
+
+/**
+ * @param {{
+ *  submit: (view: EditorView) => boolean,
+ *  focus_on_neighbor: import("./cell_movement_plugin.js").FocusOnNeighborFunction,
+ * }} options
+ */
+export const vim_mode = ({ submit, focus_on_neighbor }) => {
+    /**
+     * @param {EditorView} view
+     * @param {Partial<VimState>} vim
+     * @param {Parameters<EditorView["dispatch"]>[0]} spec
+     */
+    const update = (view, vim, spec = {}) =>
+        view.dispatch({
+            ...spec,
+            effects: SetVimState.of({ pending: "", message: null, ...vim }),
+            scrollIntoView: spec.selection != null || spec.changes != null,
+        })
+
+    const enter_insert = (/** @type {EditorView} */ view, /** @type {number} */ pos, spec = {}) =>
+        update(view, { mode: "insert" }, { ...spec, selection: EditorSelection.cursor(pos) })
+
+    const visual_selection = (
+        /** @type {EditorState} */ state,
+        /** @type {VimState["mode"]} */ mode,
+        /** @type {number} */ anchor,
+        /** @type {number} */ head
+    ) => {
+        if (mode === "visual line") {
+            const from = state.doc.lineAt(Math.min(anchor, head)).from
+            const to = state.doc.lineAt(Math.max(anchor, head)).to
+            return head >= anchor ? EditorSelection.range(from, to) : EditorSelection.range(to, from)
+        }
+        const to = Math.min(state.doc.length, Math.max(anchor, head) + 1)
+        return head >= anchor ? EditorSelection.range(Math.min(anchor, head), to) : EditorSelection.range(to, Math.min(anchor, head))
+    }
+
+    /**
+     * Apply an operator to a range of the document.
+     * @param {EditorView} view
+     * @param {string} operator
+     * @param {number} from
+     * @param {number} to
+     * @param {boolean} linewise
+     */
+    const operate = (view, operator, from, to, linewise) => {
+        const state = view.state
+        const doc = state.doc
+        if (from > to) [from, to] = [to, from]
+        if (linewise) {
+            const first = doc.lineAt(from)
+            const last = doc.lineAt(to)
+            if (operator === ">" || operator === "<") {
+                const changes = []
+                for (let n = first.number; n <= last.number; n++) {
+                    const line = doc.line(n)
+                    if (operator === ">") {
+                        if (line.length > 0) changes.push({ from: line.from, insert: "\t" })
+                    } else {
+                        const indent = /^(\t| {1,4})/.exec(line.text)
+                        if (indent) changes.push({ from: line.from, to: line.from + indent[0].length })
+                    }
+                }
+                const changeset = state.changes(changes)
+                return update(
+                    view,
+                    { mode: "normal" },
+                    { changes: changeset, selection: EditorSelection.cursor(first_non_blank(changeset.apply(doc).line(first.number))) }
+                )
+            }
+            register = { text: doc.sliceString(first.from, last.to), linewise: true }
+            if (operator === "y") return update(view, { mode: "normal" }, { selection: EditorSelection.cursor(first.from) })
+            if (operator === "c") {
+                const indent = /^\s*/.exec(first.text)?.[0] ?? ""
+                return enter_insert(view, first.from + indent.length, { changes: { from: first.from, to: last.to, insert: indent } })
+            }
+            // `d`: remove the lines, and one line break
+            const [del_from, del_to] = last.to < doc.length ? [first.from, last.to + 1] : [Math.max(0, first.from - 1), last.to]
+            const changeset = state.changes({ from: del_from, to: del_to })
+            const new_doc = changeset.apply(doc)
+            const new_line = new_doc.lineAt(Math.min(del_from, new_doc.length))
+            return update(view, { mode: "normal" }, { changes: changeset, selection: EditorSelection.cursor(first_non_blank(new_line)) })
+        }
+
+        if (operator === ">" || operator === "<") return operate(view, operator, from, to, true)
+        register = { text: doc.sliceString(from, to), linewise: false }
+        if (operator === "y") return update(view, { mode: "normal" }, { selection: EditorSelection.cursor(from) })
+        if (operator === "c") return enter_insert(view, from, { changes: { from, to } })
+        const changeset = state.changes({ from, to })
+        const new_doc = changeset.apply(doc)
+        const new_pos = Math.min(from, new_doc.length)
+        const line = new_doc.lineAt(new_pos)
+        return update(
+            view,
+            { mode: "normal" },
+            { changes: changeset, selection: EditorSelection.cursor(Math.max(line.from, Math.min(new_pos, line.length === 0 ? line.from : line.to - 1))) }
+        )
+    }
+
+    const paste = (/** @type {EditorView} */ view, /** @type {boolean} */ before, /** @type {number} */ count) => {
+        const pos = view.state.selection.main.head
+        const line = view.state.doc.lineAt(pos)
+        const text = Array(count)
+            .fill(register.text)
+            .join(register.linewise ? "\n" : "")
+        if (register.linewise) {
+            const [at, insert, cursor] = before ? [line.from, text + "\n", line.from] : [line.to, "\n" + text, line.to + 1]
+            return update(view, {}, { changes: { from: at, insert }, selection: EditorSelection.cursor(cursor) })
+        }
+        const at = before ? pos : Math.min(line.to, pos + 1)
+        return update(view, {}, { changes: { from: at, insert: text }, selection: EditorSelection.cursor(Math.max(at, at + text.length - 1)) })
+    }
+
+    const join_lines = (/** @type {EditorView} */ view, /** @type {number} */ first_line, /** @type {number} */ count) => {
+        const doc = view.state.doc
+        const changes = []
+        let cursor = view.state.selection.main.head
+        for (let n = first_line; n < Math.min(doc.lines, first_line + Math.max(1, count - 1)); n++) {
+            const line = doc.line(n)
+            const next = doc.line(n + 1)
+            changes.push({ from: line.to, to: first_non_blank(next), insert: next.length === 0 ? "" : " " })
+            cursor = line.to
+        }
+        const changeset = view.state.changes(changes)
+        return update(view, {}, { changes: changeset, selection: EditorSelection.cursor(changeset.mapPos(cursor)) })
+    }
+
+    /**
+     * Commands without an operator in Normal mode.
+     * @type {Record<string, (view: EditorView, pos: number, count: number) => void>}
+     */
+    const normal_commands = {
+        "i": (view, pos) => enter_insert(view, pos),
+        "a": (view, pos) => enter_insert(view, Math.min(view.state.doc.lineAt(pos).to, pos + 1)),
+        "I": (view, pos) => enter_insert(view, first_non_blank(view.state.doc.lineAt(pos))),
+        "A": (view, pos) => enter_insert(view, view.state.doc.lineAt(pos).to),
+        "o": (view, pos) => {
+            const line = view.state.doc.lineAt(pos)
+            const indent = /^\s*/.exec(line.text)?.[0] ?? ""
+            enter_insert(view, line.to + 1 + indent.length, { changes: { from: line.to, insert: "\n" + indent } })
+        },
+        "O": (view, pos) => {
+            const line = view.state.doc.lineAt(pos)
+            const indent = /^\s*/.exec(line.text)?.[0] ?? ""
+            enter_insert(view, line.from + indent.length, { changes: { from: line.from, insert: indent + "\n" } })
+        },
+        "x": (view, pos, count) => {
+            const line = view.state.doc.lineAt(pos)
+            if (line.length > 0) operate(view, "d", pos, Math.min(line.to, pos + count), false)
+        },
+        "X": (view, pos, count) => operate(view, "d", Math.max(view.state.doc.lineAt(pos).from, pos - count), pos, false),
+        "s": (view, pos, count) => operate(view, "c", pos, Math.min(view.state.doc.lineAt(pos).to, pos + count), false),
+        "S": (view, pos, count) => operate(view, "c", pos, vertical(view.state, pos, count - 1), true),
+        "D": (view, pos, count) => operate(view, "d", pos, motions.$(view.state, pos, count, false).to, false),
+        "C": (view, pos, count) => operate(view, "c", pos, motions.$(view.state, pos, count, false).to, false),
+        "Y": (view, pos, count) => operate(view, "y", pos, vertical(view.state, pos, count - 1), true),
+        "p": (view, pos, count) => paste(view, false, count),
+        "P": (view, pos, count) => paste(view, true, count),
+        "J": (view, pos, count) => join_lines(view, view.state.doc.lineAt(pos).number, count),
+        "u": (view, pos, count) => {
+            for (let i = 0; i < count; i++) undo?.(view)
+            update(view, {})
+        },
+        "~": (view, pos, count) => {
+            const line = view.state.doc.lineAt(pos)
+            const to = Math.min(line.to, pos + count)
+            const text = view.state.sliceDoc(pos, to)
+            const toggled = [...text].map((c) => (c === c.toUpperCase() ? c.toLowerCase() : c.toUpperCase())).join("")
+            update(view, {}, { changes: { from: pos, to, insert: toggled }, selection: EditorSelection.cursor(clamp_normal(view.state, to)) })
+        },
+        "v": (view, pos) => update(view, { mode: "visual", anchor: pos, head: pos }, { selection: visual_selection(view.state, "visual", pos, pos) }),
+        "V": (view, pos) => update(view, { mode: "visual line", anchor: pos, head: pos }, { selection: visual_selection(view.state, "visual line", pos, pos) }),
+    }
+    const editing_commands = new Set(["i", "a", "I", "A", "o", "O", "x", "X", "s", "S", "D", "C", "p", "P", "J", "u", "~"])
+
+    /** Run an ex command, like `:w`. */
+    const ex_command = (/** @type {EditorView} */ view, /** @type {string} */ command) => {
+        if (["w", "wq", "x", "write"].includes(command.trim())) {
+            update(view, { mode: "normal" })
+            submit(view)
+        } else {
+            update(view, { message: t("t_vim_unknown_command", { command }) })
+        }
+    }
+
+    /**
+     * Handle the keys typed so far in Normal or Visual mode: run a command if they form one, or wait for more keys.
+     * @param {EditorView} view
+     * @param {string} keys
+     */
+    const run_keys = (view, keys) => {
+        const state = view.state
+        const vim = state.field(VimStateField)
+        const visual = vim.mode === "visual" || vim.mode === "visual line"
+        const pos = visual ? vim.head : state.selection.main.head
+
+        const match = /^([1-9]\d*)?([dcy<>])?([1-9]\d*)?(.*)$/s.exec(keys)
+        if (match == null) return update(view, {})
+        /** @type {(string | undefined)[]} */
+        let [, count1, operator, count2, rest] = match
+        // In Visual mode, operators apply to the selection right away.
+        if (visual && operator) [operator, count2, rest] = [undefined, undefined, operator + (count2 ?? "") + rest]
+        const count_given = count1 != null || count2 != null
+        const count = Number(count1 ?? 1) * Number(count2 ?? 1)
+
+        const wait = () => update(view, { pending: keys, message: vim.message })
+        if (rest === "" || rest === "g" || (operator && (rest === "i" || rest === "a")) || (!operator && !visual && rest === "r")) return wait()
+
+        const readonly = state.readOnly
+        const invalid = () => update(view, { message: t("t_vim_unknown_command", { command: keys }) })
+
+        // Visual mode
+        if (visual) {
+            const motion = motions[rest]
+            if (motion != null && !rest.startsWith("i") && !rest.startsWith("a")) {
+                const head = clamp_normal(state, motion(state, pos, count, count_given).to)
+                return update(view, { head }, { selection: visual_selection(state, vim.mode, vim.anchor, head) })
+            }
+            const linewise = vim.mode === "visual line"
+            const from = Math.min(vim.anchor, vim.head)
+            const to = linewise ? Math.max(vim.anchor, vim.head) : Math.min(state.doc.length, Math.max(vim.anchor, vim.head) + 1)
+            switch (rest) {
+                case "d":
+                case "x":
+                    return readonly ? invalid() : operate(view, "d", from, to, linewise)
+                case "c":
+                case "s":
+                    return readonly ? invalid() : operate(view, "c", from, to, linewise)
+                case "y":
+                    return operate(view, "y", from, to, linewise)
+                case ">":
+                case "<":
+                    return readonly ? invalid() : operate(view, rest, from, to, true)
+                case "J":
+                    return readonly
+                        ? invalid()
+                        : join_lines(view, state.doc.lineAt(from).number, state.doc.lineAt(to).number - state.doc.lineAt(from).number + 1)
+                case "o":
+                    return update(view, { anchor: vim.head, head: vim.anchor }, { selection: visual_selection(state, vim.mode, vim.head, vim.anchor) })
+                case "v":
+                case "V": {
+                    const mode = rest === "v" ? "visual" : "visual line"
+                    if (mode === vim.mode) return update(view, { mode: "normal" }, { selection: EditorSelection.cursor(vim.head) })
+                    return update(view, { mode }, { selection: visual_selection(state, mode, vim.anchor, vim.head) })
+                }
+                case ":":
+                    return update(view, { pending: ":" })
+            }
+            return invalid()
+        }
+
+        // Normal mode with an operator
+        if (operator) {
+            if (readonly && operator !== "y") return invalid()
+            if (rest === operator) return operate(view, operator, pos, vertical(state, pos, count - 1), true)
+            const motion = motions[rest === "w" && operator === "c" ? "e" : rest]
+            if (motion == null) return invalid()
+            const result = motion(state, pos, count, count_given)
+            let to = result.inclusive || (rest === "w" && operator === "c") ? Math.min(state.doc.length, result.to + 1) : result.to
+            // `dw` on the last word of a line does not join the lines.
+            if (rest === "w") to = Math.min(to, Math.max(state.doc.lineAt(pos).to, pos + 1))
+            return operate(view, operator, result.from ?? pos, to, result.linewise ?? false)
+        }
+
+        // Normal mode
+        if (rest === ":") return update(view, { pending: ":" })
+        if (rest.length === 2 && rest[0] === "r") {
+            const line = state.doc.lineAt(pos)
+            if (readonly || pos + count > line.to) return invalid()
+            return update(
+                view,
+                {},
+                { changes: { from: pos, to: pos + count, insert: rest[1].repeat(count) }, selection: EditorSelection.cursor(pos + count - 1) }
+            )
+        }
+        if ((rest === "j" || rest === "k") && !count_given) {
+            const line = state.doc.lineAt(pos)
+            // At the edge of the cell, go to the neighboring cell, like the arrow keys do.
+            if (rest === "j" && line.number === state.doc.lines) return focus_on_neighbor({ cell_delta: 1, line: 0, character: pos - line.from })
+            if (rest === "k" && line.number === 1) return focus_on_neighbor({ cell_delta: -1, line: Infinity, character: pos - line.from })
+        }
+        const motion = motions[rest]
+        if (motion != null && rest !== "iw" && rest !== "aw") {
+            return update(view, {}, { selection: EditorSelection.cursor(clamp_normal(state, motion(state, pos, count, count_given).to)) })
+        }
+        const command = normal_commands[rest]
+        if (command == null || (readonly && editing_commands.has(rest))) return invalid()
+        command(view, pos, count)
+    }
+
+    const keydown = (/** @type {KeyboardEvent} */ event, /** @type {EditorView} */ view) => {
+        if (event.isComposing) return false
+        const vim = view.state.field(VimStateField)
+        const escape = event.key === "Escape" || (event.ctrlKey && event.key === "[")
+
+        if (vim.mode === "insert") {
+            if (!escape) return false
+            autocomplete.closeCompletion(view)
+            const pos = view.state.selection.main.head
+            update(view, { mode: "normal" }, { selection: EditorSelection.cursor(Math.max(view.state.doc.lineAt(pos).from, pos - 1)) })
+            return true
+        }
+
+        // Typing a command like `:w`
+        if (vim.pending.startsWith(":")) {
+            if (escape) update(view, {})
+            else if (event.key === "Enter") ex_command(view, vim.pending.slice(1))
+            else if (event.key === "Backspace") update(view, { pending: vim.pending.slice(0, -1) })
+            else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey) update(view, { pending: vim.pending + event.key })
+            else return false
+            return true
+        }
+
+        if (escape) {
+            if (vim.mode !== "normal") {
+                update(view, { mode: "normal" }, { selection: EditorSelection.cursor(vim.head) })
+                return true
+            }
+            if (vim.pending === "" && vim.message == null) return false
+            update(view, {})
+            return true
+        }
+        if (event.ctrlKey && !event.metaKey && !event.altKey && event.key === "r") {
+            if (!view.state.readOnly) redo?.(view)
+            update(view, {})
+            return true
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey) return false
+
+        const key = event.key === "Enter" ? (event.shiftKey ? null : "j") : event.key === "Backspace" ? "h" : event.key === "Delete" ? "x" : event.key
+        // Shift+Enter, arrow keys, Tab etc. do what they always do.
+        if (key == null || key.length !== 1) return false
+
+        run_keys(view, vim.pending + key)
+        return true
+    }
+
+    const indicator = ViewPlugin.fromClass(
+        class {
+            constructor(/** @type {EditorView} */ view) {
+                this.dom = document.createElement("div")
+                this.dom.className = "cm-keymap-mode"
+                view.dom.appendChild(this.dom)
+                this.render(view)
+            }
+            update(/** @type {import("../../imports/CodemirrorPlutoSetup.js").ViewUpdate} */ update) {
+                if (update.startState.field(VimStateField) !== update.state.field(VimStateField)) this.render(update.view)
+            }
+            render(/** @type {EditorView} */ view) {
+                const vim = view.state.field(VimStateField)
+                this.dom.textContent = vim.message ?? (vim.pending.startsWith(":") ? vim.pending : `${mode_labels()[vim.mode]} ${vim.pending}`.trim())
+                this.dom.classList.toggle("error", vim.message != null)
+            }
+            destroy() {
+                this.dom.remove()
+            }
+        }
+    )
+
+    return [
+        VimStateField,
+        Prec.highest(EditorView.domEventHandlers({ keydown })),
+        indicator,
+        EditorView.editorAttributes.compute([VimStateField], (state) => ({ class: `cm-vim-${state.field(VimStateField).mode.replace(" ", "-")}` })),
+        // Clicking or selecting with the mouse in Insert mode keeps you in Insert mode, in Normal mode the cursor stays on a character.
+        EditorView.updateListener.of((update) => {
+            const vim = update.state.field(VimStateField)
+            if (vim.mode !== "normal" || !update.selectionSet || update.docChanged) return
+            const selection = update.state.selection.main
+            if (selection.empty && selection.head !== clamp_normal(update.state, selection.head)) {
+                update.view.dispatch({ selection: EditorSelection.cursor(clamp_normal(update.state, selection.head)) })
+            }
+        }),
+    ]
+}
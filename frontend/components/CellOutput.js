@@ -18,7 +18,7 @@ import { cl } from "../common/ClassTable.js"
 
 import { observablehq_for_cells } from "../common/SetupCellEnvironment.js"
 import { PlutoBondsContext, PlutoActionsContext, PlutoJSInitializingContext } from "../common/PlutoContext.js"
-import register from "../imports/PreactCustomElement.js"
+import { register_custom_element } from "../common/register_custom_element.js"
 
 import { EditorState, EditorView, defaultHighlightStyle, syntaxHighlighting } from "../imports/CodemirrorPlutoSetup.js"
 
@@ -213,7 +213,11 @@ export const OutputBody = ({ mime, body, cell_id, persist_js_state = false, last
     }
 }
 
-register(OutputBody, "pluto-display", ["mime", "body", "cell_id", "persist_js_state", "last_run_timestamp", "sanitize_html"])
+/** Define `<pluto-display>` (used by `PlutoRunner.embed_display`) in a window. Outputs that are popped out into a new window need it there too. */
+export const register_output_elements = (/** @type {Window} */ win) =>
+    register_custom_element(OutputBody, "pluto-display", ["mime", "body", "cell_id", "persist_js_state", "last_run_timestamp", "sanitize_html"], win)
+
+register_output_elements(window)
 
 let IframeContainer = ({ body }) => {
     let iframeref = useRef()
@@ -403,7 +407,8 @@ const execute_scripttags = async ({ root_node, script_nodes, previous_results_ma
                         node.parentElement?.insertBefore(old_result, node)
                     }
 
-                    const cell = root_node.closest("pluto-cell")
+                    // A pinned copy of the output lives in a `<pluto-pinned-output>` (see `PinnedOutputs.js`), which has the same API as the cell.
+                    const cell = /** @type {HTMLElement?} */ (root_node.closest("pluto-cell, pluto-pinned-output"))
                     let { node: new_node, result } = await execute_inside_script_tag_that_replaces(node, async (currentScript) => {
                         return await execute_dynamic_function({
                             environment: {
@@ -436,14 +441,14 @@ const execute_scripttags = async ({ root_node, script_nodes, previous_results_ma
                                     ? {}
                                     : {
                                           getCellMetadataExperimental: (key, { cell_id = null } = {}) =>
-                                              pluto_actions.get_notebook()?.cell_inputs?.[cell_id ?? cell.id]?.metadata?.[key],
+                                              pluto_actions.get_notebook()?.cell_inputs?.[cell_id ?? cell.dataset.cellId ?? cell.id]?.metadata?.[key],
                                           setCellMetadataExperimental: (key, value, { cell_id = null } = {}) =>
                                               pluto_actions.update_notebook((notebook) => {
-                                                  notebook.cell_inputs[cell_id ?? cell.id].metadata[key] = value
+                                                  notebook.cell_inputs[cell_id ?? cell.dataset.cellId ?? cell.id].metadata[key] = value
                                               }),
                                           deleteCellMetadataExperimental: (key, { cell_id = null } = {}) =>
                                               pluto_actions.update_notebook((notebook) => {
-                                                  delete notebook.cell_inputs[cell_id ?? cell.id].metadata[key]
+                                                  delete notebook.cell_inputs[cell_id ?? cell.dataset.cellId ?? cell.id].metadata[key]
                                               }),
                                       }),
 
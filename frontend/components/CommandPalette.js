@@ -0,0 +1,401 @@
+import { html, useContext, useEffect, useRef, useState } from "../imports/Preact.js"
+
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { is_noop_action } from "../common/SliderServerClient.js"
+import { format_key, keys_for } from "../common/KeyboardShortcuts.js"
+import { fuzzy_match } from "../common/FuzzyMatch.js"
+import { cell_title } from "../common/CellTitle.js"
+import { t } from "../common/lang.js"
+import { open_bottom_right_panel } from "./BottomRightPanel.js"
+
+/**
+ * @typedef PaletteCommand
+ * @type {{
+ *  id: string,
+ *  title: string,
+ *  run: () => any,
+ *  shortcut?: string,
+ *  uses?: string[],
+ *  edits?: boolean,
+ *  for_cells?: boolean,
+ *  enabled?: boolean,
+ * }}
+ * `uses` are the actions from `PlutoActionsContext` that the command needs: when they do nothing (like in a static export, see `nothing_actions`), the command is hidden. `edits` commands change or run the notebook, and are hidden when the notebook can't be edited. `for_cells` commands work on the selected cells, or the cell that had focus.
+ */
+
+const RECENT_COMMANDS_STORAGE_KEY = "PLUTO_RECENT_COMMANDS"
+const max_recent_commands = 5
+
+const get_recent_commands = () => {
+    try {
+        return /** @type {string[]} */ (JSON.parse(localStorage.getItem(RECENT_COMMANDS_STORAGE_KEY) ?? "[]"))
+    } catch (e) {
+        return []
+    }
+}
+const add_recent_command = (/** @type {string} */ id) =>
+    localStorage.setItem(RECENT_COMMANDS_STORAGE_KEY, JSON.stringify([id, ...get_recent_commands().filter((x) => x !== id)].slice(0, max_recent_commands)))
+
+const highlighted = (/** @type {string} */ text, /** @type {number[]} */ indices) => {
+    if (indices.length === 0) return text
+    const marked = new Set(indices)
+    return [...text].map((c, i) => (marked.has(i) ? html`<mark>${c}</mark>` : c))
+}
+
+/**
+ * The command palette (Ctrl+Shift+P): search all editor actions, and jump to a cell by typing its name or heading. Start with `#` to only search cells.
+ *
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  selected_cells: string[],
+ *  static_preview: boolean,
+ *  disable_input: boolean,
+ *  on_open_export: () => void,
+ * }} props
+ */
+export const CommandPalette = ({ notebook, selected_cells, static_preview, disable_input, on_open_export }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+    const [query, set_query] = useState("")
+    const [active_index, set_active_index] = useState(0)
+    /** The cell that had focus when the palette opened. */
+    const [focused_cell, set_focused_cell] = useState(/** @type {string?} */ (null))
+    const input_ref = useRef(/** @type {HTMLInputElement?} */ (null))
+    const list_ref = useRef(/** @type {HTMLElement?} */ (null))
+
+    useEventListener(
+        window,
+        "open pluto command palette",
+        () => {
+            set_focused_cell(document.activeElement?.closest("pluto-cell")?.id ?? null)
+            set_query("")
+            set_active_index(0)
+            open()
+            requestAnimationFrame(() => input_ref.current?.focus())
+        },
+        [open]
+    )
+
+    const target_cells = selected_cells.length > 0 ? selected_cells : focused_cell != null && notebook.cell_order.includes(focused_cell) ? [focused_cell] : []
+    const single_cell = target_cells.length === 1 ? target_cells[0] : null
+    const something_running = Object.values(notebook.cell_results).some((c) => c.running || c.queued)
+    const indices = target_cells.map((id) => notebook.cell_order.indexOf(id))
+    const dispatch = (/** @type {string} */ name, detail = {}) => window.dispatchEvent(new CustomEvent(name, { detail }))
+    const shortcut = (/** @type {string} */ id) => keys_for(id)[0]
+
+    /** @type {PaletteCommand[]} */
+    const all_commands = [
+        {
+            id: "run_all_changed",
+            title: t("t_palette_run_all_changed"),
+            shortcut: shortcut("submit_all_changes"),
+            uses: ["set_and_run_all_changed_remote_cells"],
+            edits: true,
+            run: () => pluto_actions.set_and_run_all_changed_remote_cells(),
+        },
+        {
+            id: "run_all",
+            title: t("t_palette_run_all"),
+            uses: ["set_and_run_multiple"],
+            edits: true,
+            run: () => pluto_actions.set_and_run_multiple(notebook.cell_order),
+        },
+        {
+            id: "interrupt",
+            title: t("t_palette_interrupt"),
+            shortcut: shortcut("interrupt"),
+            uses: ["interrupt_remote"],
+            edits: true,
+            enabled: something_running,
+            run: () => pluto_actions.interrupt_remote(),
+        },
+        {
+            id: "run_cells",
+            title: t("t_palette_run_cells", { count: Math.max(1, target_cells.length) }),
+            shortcut: shortcut("run_cell"),
+            uses: ["set_and_run_multiple"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.set_and_run_multiple(target_cells),
+        },
+        {
+            id: "add_cell_above",
+            title: t("t_palette_add_cell_above"),
+            uses: ["add_remote_cell"],
+            edits: true,
+            enabled: single_cell != null,
+            run: () => pluto_actions.add_remote_cell(single_cell, "before"),
+        },
+        {
+            id: "add_cell_below",
+            title: t("t_palette_add_cell_below"),
+            uses: ["add_remote_cell"],
+            edits: true,
+            enabled: single_cell != null,
+            run: () => pluto_actions.add_remote_cell(single_cell, "after"),
+        },
+        {
+            id: "add_cell_end",
+            title: t("t_palette_add_cell_end"),
+            uses: ["add_remote_cell_at"],
+            edits: true,
+            run: () => pluto_actions.add_remote_cell_at(notebook.cell_order.length),
+        },
+        {
+            id: "move_up",
+            title: t("t_palette_move_up"),
+            shortcut: shortcut("move_up"),
+            uses: ["move_remote_cells"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.move_remote_cells(target_cells, Math.min(...indices) - 1),
+        },
+        {
+            id: "move_down",
+            title: t("t_palette_move_down"),
+            shortcut: shortcut("move_down"),
+            uses: ["move_remote_cells"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.move_remote_cells(target_cells, Math.max(...indices) + 2),
+        },
+        {
+            id: "fold",
+            title: t("t_palette_fold"),
+            shortcut: shortcut("fold"),
+            uses: ["fold_remote_cells"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.fold_remote_cells(target_cells, true),
+        },
+        {
+            id: "unfold",
+            title: t("t_palette_unfold"),
+            shortcut: shortcut("unfold"),
+            uses: ["fold_remote_cells"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.fold_remote_cells(target_cells, false),
+        },
+        {
+            id: "fold_all",
+            title: t("t_palette_fold_all"),
+            uses: ["fold_remote_cells"],
+            edits: true,
+            run: () => pluto_actions.fold_remote_cells(notebook.cell_order, true),
+        },
+        {
+            id: "unfold_all",
+            title: t("t_palette_unfold_all"),
+            uses: ["fold_remote_cells"],
+            edits: true,
+            run: () => pluto_actions.fold_remote_cells(notebook.cell_order, false),
+        },
+        {
+            id: "wrap_begin",
+            title: t("t_palette_wrap_begin"),
+            uses: ["wrap_remote_cell"],
+            edits: true,
+            enabled: single_cell != null,
+            run: () => pluto_actions.wrap_remote_cell(single_cell, "begin"),
+        },
+        {
+            id: "wrap_let",
+            title: t("t_palette_wrap_let"),
+            uses: ["wrap_remote_cell"],
+            edits: true,
+            enabled: single_cell != null,
+            run: () => pluto_actions.wrap_remote_cell(single_cell, "let"),
+        },
+        {
+            id: "format_cells",
+            title: t("t_palette_format_cells", { count: Math.max(1, target_cells.length) }),
+            shortcut: shortcut("format_cell"),
+            uses: ["format_cells"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.format_cells(target_cells),
+        },
+        {
+            id: "format_notebook",
+            title: t("t_palette_format_notebook"),
+            shortcut: shortcut("format_notebook"),
+            uses: ["format_cells"],
+            edits: true,
+            run: () => pluto_actions.format_cells(notebook.cell_order),
+        },
+        {
+            id: "delete_cells",
+            title: t("t_palette_delete_cells", { count: Math.max(1, target_cells.length) }),
+            uses: ["confirm_delete_multiple"],
+            edits: true,
+            for_cells: true,
+            run: () => pluto_actions.confirm_delete_multiple(target_cells),
+        },
+        { id: "find", title: t("t_palette_find"), shortcut: shortcut("find_in_notebook"), run: () => dispatch("open pluto find", { replace: false }) },
+        {
+            id: "replace",
+            title: t("t_palette_replace"),
+            shortcut: shortcut("replace_in_notebook"),
+            edits: true,
+            run: () => dispatch("open pluto find", { replace: true }),
+        },
+        { id: "packages", title: t("t_palette_packages"), uses: ["send"], edits: true, run: () => dispatch("open pluto project toml editor") },
+        { id: "export", title: t("t_palette_export"), run: on_open_export },
+        { id: "frontmatter", title: t("t_edit_frontmatter"), edits: true, run: () => dispatch("open pluto frontmatter") },
+        { id: "compare", title: t("t_compare_with_ellipsis"), run: () => dispatch("open pluto notebook compare") },
+        {
+            id: "present",
+            title: t("t_start_presentation"),
+            // @ts-ignore
+            run: () => window.present(),
+        },
+        { id: "shortcuts", title: t("t_palette_shortcuts"), shortcut: shortcut("show_shortcuts"), run: () => dispatch("open pluto shortcuts") },
+        { id: "customize_shortcuts", title: t("t_palette_customize_shortcuts"), run: () => dispatch("open pluto shortcuts", { edit: true }) },
+        { id: "outline", title: t("t_palette_outline"), run: () => dispatch("pluto toggle outline") },
+        { id: "snippets", title: t("t_palette_snippets"), run: () => dispatch("open pluto snippets") },
+        { id: "dashboard", title: t("t_palette_dashboard"), run: () => dispatch("open pluto dashboard editor") },
+        { id: "messages", title: t("t_palette_messages"), uses: ["send"], run: () => open_bottom_right_panel("messages") },
+        {
+            id: "pin_output",
+            title: t("t_palette_pin_output", { count: Math.max(1, target_cells.length) }),
+            for_cells: true,
+            run: () => target_cells.forEach((cell_id) => dispatch("pluto pin output", { cell_id })),
+        },
+    ]
+
+    const available_commands = all_commands
+        .filter((c) => !(c.edits && (static_preview || disable_input)) && !(c.uses ?? []).some((name) => is_noop_action(pluto_actions[name])))
+        .map((c) => ({ ...c, enabled: (c.enabled ?? true) && (!c.for_cells || target_cells.length > 0) }))
+
+    const cells_only = query.startsWith("#")
+    const search = cells_only ? query.slice(1) : query
+
+    const command_results = cells_only
+        ? []
+        : search.trim() === ""
+        ? [
+              ...get_recent_commands()
+                  .map((id) => available_commands.find((c) => c.id === id))
+                  .filter((c) => c != null)
+                  .map((c) => ({ ...c, recent: true })),
+              ...available_commands,
+          ]
+              .filter((c, i, list) => list.findIndex((other) => other.id === c.id) === i)
+              .map((command) => ({ command, indices: [], score: 0 }))
+        : available_commands
+              .map((command) => ({ command, ...(fuzzy_match(search, command.title) ?? { score: -1, indices: [] }) }))
+              .filter(({ score }) => score >= 0)
+              .sort((a, b) => b.score - a.score)
+
+    const cell_results =
+        !cells_only && search.trim() === ""
+            ? []
+            : notebook.cell_order
+                  .map((cell_id, i) => {
+                      const title = cell_title(notebook, cell_id) || t("t_palette_cell_number", { number: i + 1 })
+                      return { cell_id, title, number: i + 1, ...(fuzzy_match(search, title) ?? { score: -1, indices: [] }) }
+                  })
+                  .filter(({ score }) => score >= 0)
+                  .sort((a, b) => b.score - a.score)
+                  .slice(0, cells_only ? 50 : 8)
+
+    /** @type {Array<{ key: string, run: () => any, enabled: boolean }>} */
+    const results = [
+        ...command_results.map(({ command }) => ({ key: `command-${command.id}`, enabled: command.enabled, run: () => run_command(command) })),
+        ...cell_results.map(({ cell_id }) => ({
+            key: `cell-${cell_id}`,
+            enabled: true,
+            run: () => window.dispatchEvent(new CustomEvent("cell_focus", { detail: { cell_id, line: 0 } })),
+        })),
+    ]
+    const active = Math.min(active_index, Math.max(0, results.length - 1))
+
+    const run_command = (/** @type {PaletteCommand} */ command) => {
+        add_recent_command(command.id)
+        command.run()
+    }
+
+    const run_result = (/** @type {number} */ index) => {
+        const result = results[index]
+        if (result == null || !result.enabled) return
+        close()
+        result.run()
+    }
+
+    useEffect(() => {
+        list_ref.current?.querySelector(".active")?.scrollIntoView({ block: "nearest" })
+    }, [active, currently_open])
+
+    const on_keydown = (/** @type {KeyboardEvent} */ e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            const delta = e.key === "ArrowDown" ? 1 : -1
+            set_active_index((active + delta + results.length) % Math.max(1, results.length))
+            e.preventDefault()
+        } else if (e.key === "Enter") {
+            run_result(active)
+            e.preventDefault()
+        }
+    }
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-command-palette" onClick=${(e) => e.target === dialog_ref.current && close()}>
+        ${currently_open
+            ? html`<input
+                      ref=${input_ref}
+                      type="text"
+                      class="palette-query"
+                      placeholder=${t("t_palette_placeholder")}
+                      aria-label=${t("t_palette_placeholder")}
+                      role="combobox"
+                      aria-expanded="true"
+                      aria-controls="palette-results"
+                      aria-activedescendant=${results[active]?.key}
+                      spellcheck=${false}
+                      value=${query}
+                      onInput=${(e) => {
+                          set_query(e.target.value)
+                          set_active_index(0)
+                      }}
+                      onKeyDown=${on_keydown}
+                  />
+                  <ul class="palette-results" id="palette-results" role="listbox" ref=${list_ref}>
+                      ${command_results.map(({ command, indices }, i) => {
+                          const result = results[i]
+                          return html`<li
+                              key=${result.key}
+                              id=${result.key}
+                              role="option"
+                              aria-selected=${i === active}
+                              aria-disabled=${!command.enabled}
+                              class=${[i === active ? "active" : "", command.enabled ? "" : "disabled"].join(" ")}
+                              onMouseMove=${() => i !== active && set_active_index(i)}
+                              onClick=${() => run_result(i)}
+                          >
+                              <span class="palette-title">${highlighted(command.title, indices)}</span>
+                              ${"recent" in command ? html`<span class="palette-tag">${t("t_palette_recent")}</span>` : null}
+                              ${command.shortcut != null ? html`<kbd>${format_key(command.shortcut)}</kbd>` : null}
+                          </li>`
+                      })}
+                      ${cell_results.map(({ cell_id, title, number, indices }, j) => {
+                          const i = command_results.length + j
+                          const result = results[i]
+                          return html`<li
+                              key=${result.key}
+                              id=${result.key}
+                              role="option"
+                              aria-selected=${i === active}
+                              class=${i === active ? "active cell-result" : "cell-result"}
+                              onMouseMove=${() => i !== active && set_active_index(i)}
+                              onClick=${() => run_result(i)}
+                          >
+                              <span class="palette-title">${highlighted(title, indices)}</span>
+                              <span class="palette-tag">${t("t_palette_cell_number", { number })}</span>
+                          </li>`
+                      })}
+                      ${results.length === 0 ? html`<li class="disabled">${t("t_palette_no_results")}</li>` : null}
+                  </ul>`
+            : null}
+    </dialog>`
+}
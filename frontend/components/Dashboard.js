@@ -0,0 +1,243 @@
+import { html, useContext, useRef, useState } from "../imports/Preact.js"
+
+import { IsolatedCell } from "./Cell.js"
+import { PinnedOutputBody } from "./PinnedOutputs.js"
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { cell_title } from "../common/CellTitle.js"
+import { dashboard_layout, default_columns, place_item } from "../common/DashboardLayout.js"
+import { t } from "../common/lang.js"
+
+// A dashboard shows a selection of cell outputs in a grid, without the code. The layout is stored in the notebook metadata (`notebook.metadata.dashboard`), so it is saved in the notebook file and it is part of a static export. Open the notebook with `?dashboard` in the URL (or export it with `generate_html(; dashboard=true)`) to see the dashboard instead of the notebook.
+
+/**
+ * @typedef {import("../common/DashboardLayout.js").DashboardItem} DashboardItem
+ * @typedef {import("../common/DashboardLayout.js").DashboardLayout} DashboardLayout
+ */
+
+/** In pixels. */
+export const row_height = 60
+/** In pixels, between rows and between columns. */
+const grid_gap = 8
+
+const grid_style = (/** @type {DashboardLayout} */ layout) =>
+    `--dashboard-columns: ${layout.columns}; --dashboard-row-height: ${row_height}px; --dashboard-gap: ${grid_gap}px;`
+
+const item_style = (/** @type {DashboardItem} */ item) => `--dashboard-column: ${item.x + 1} / span ${item.w}; --dashboard-row: ${item.y + 1} / span ${item.h};`
+
+/**
+ * The app view: the outputs of the dashboard cells in their grid, and nothing else. Other cells are rendered hidden, like in the isolated cell view, so that their scripts still run.
+ *
+ * `@bind` widgets work with the actions from `PlutoActionsContext`: those of the live server, or those of the slider server for a static export.
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  sanitize_html: boolean,
+ * }} props
+ */
+export const DashboardView = ({ notebook, sanitize_html }) => {
+    const layout = dashboard_layout(notebook)
+    const in_dashboard = new Set(layout.items.map((item) => item.cell_id))
+    const title = notebook.metadata?.frontmatter?.title
+
+    return html`<pluto-dashboard>
+        ${title ? html`<h1>${title}</h1>` : null} ${layout.items.length === 0 ? html`<p class="dashboard-empty">${t("t_dashboard_empty")}</p>` : null}
+        <div class="pluto-dashboard-grid" style=${grid_style(layout)}>
+            ${layout.items.map(
+                (item) => html`<div class="dashboard-item" key=${item.cell_id} style=${item_style(item)}>
+                    ${notebook.cell_results[item.cell_id] == null
+                        ? null
+                        : html`<${IsolatedCell}
+                              cell_input=${notebook.cell_inputs[item.cell_id]}
+                              cell_result=${notebook.cell_results[item.cell_id]}
+                              hidden=${false}
+                              sanitize_html=${sanitize_html}
+                          />`}
+                </div>`
+            )}
+        </div>
+        ${notebook.cell_order
+            .filter((cell_id) => !in_dashboard.has(cell_id) && notebook.cell_results[cell_id] != null)
+            .map(
+                (cell_id) => html`<${IsolatedCell}
+                    key=${cell_id}
+                    cell_input=${notebook.cell_inputs[cell_id]}
+                    cell_result=${notebook.cell_results[cell_id]}
+                    hidden=${true}
+                    sanitize_html=${sanitize_html}
+                />`
+            )}
+    </pluto-dashboard>`
+}
+
+/**
+ * An item in the dashboard editor. Drag the header to move it, and the corner to resize it. Positions snap to the grid.
+ * @param {{
+ *  item: DashboardItem,
+ *  columns: number,
+ *  title: string,
+ *  grid_ref: import("../imports/Preact.js").Ref<HTMLElement?>,
+ *  on_change: (item: DashboardItem) => void,
+ *  on_remove: () => void,
+ *  children: any,
+ * }} props
+ */
+const EditableDashboardItem = ({ item, columns, title, grid_ref, on_change, on_remove, children }) => {
+    const drag_ref = useRef(/** @type {{ mode: "move" | "resize", pointer_x: number, pointer_y: number, start: DashboardItem }?} */ (null))
+
+    const start_drag = (/** @type {"move" | "resize"} */ mode) => (/** @type {PointerEvent} */ e) => {
+        if (e.button !== 0 || (mode === "move" && e.target instanceof Element && e.target.closest("button"))) return
+        drag_ref.current = { mode, pointer_x: e.clientX, pointer_y: e.clientY, start: item }
+        const target = /** @type {HTMLElement} */ (e.currentTarget)
+        target.setPointerCapture(e.pointerId)
+        e.preventDefault()
+    }
+    const on_pointer_move = (/** @type {PointerEvent} */ e) => {
+        const drag = drag_ref.current
+        const grid = grid_ref.current
+        if (drag == null || grid == null) return
+        const column_width = (grid.getBoundingClientRect().width + grid_gap) / columns
+        const dx = Math.round((e.clientX - drag.pointer_x) / column_width)
+        const dy = Math.round((e.clientY - drag.pointer_y) / (row_height + grid_gap))
+        const { start } = drag
+        const next =
+            drag.mode === "move"
+                ? { ...start, x: Math.min(columns - start.w, Math.max(0, start.x + dx)), y: Math.max(0, start.y + dy) }
+                : { ...start, w: Math.min(columns - start.x, Math.max(1, start.w + dx)), h: Math.max(1, start.h + dy) }
+        if (next.x !== item.x || next.y !== item.y || next.w !== item.w || next.h !== item.h) on_change(next)
+    }
+    const end_drag = () => {
+        drag_ref.current = null
+    }
+
+    return html`<div class="dashboard-item editable" style=${item_style(item)}>
+        <header onPointerDown=${start_drag("move")} onPointerMove=${on_pointer_move} onPointerUp=${end_drag} onPointerCancel=${end_drag}>
+            <span class="dashboard-item-title" title=${title}>${title}</span>
+            <button class="close" title=${t("t_dashboard_remove")} onClick=${on_remove}><span></span></button>
+        </header>
+        ${children}
+        <span
+            class="dashboard-resize-handle"
+            title=${t("t_dashboard_resize")}
+            onPointerDown=${start_drag("resize")}
+            onPointerMove=${on_pointer_move}
+            onPointerUp=${end_drag}
+            onPointerCancel=${end_drag}
+        ></span>
+    </div>`
+}
+
+/**
+ * Choose which outputs are on the dashboard, and arrange them in the grid. Changes are saved in the notebook metadata when you click Save.
+ *
+ * Open with the "open pluto dashboard editor" event.
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  sanitize_html: boolean,
+ *  disable_input: boolean,
+ * }} props
+ */
+export const DashboardEditor = ({ notebook, sanitize_html, disable_input }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+    const [draft, set_draft] = useState(/** @type {DashboardLayout} */ ({ columns: default_columns, items: [] }))
+    const grid_ref = useRef(/** @type {HTMLElement?} */ (null))
+
+    useEventListener(
+        window,
+        "open pluto dashboard editor",
+        () => {
+            set_draft(dashboard_layout(notebook))
+            open()
+        },
+        [open, notebook]
+    )
+
+    const in_dashboard = new Set(draft.items.map((item) => item.cell_id))
+    const add = (/** @type {string} */ cell_id) => {
+        const bottom = Math.max(0, ...draft.items.map((item) => item.y + item.h))
+        set_draft({ ...draft, items: [...draft.items, { cell_id, x: 0, y: bottom, w: Math.min(6, draft.columns), h: 4 }] })
+    }
+    const remove = (/** @type {string} */ cell_id) => set_draft({ ...draft, items: draft.items.filter((item) => item.cell_id !== cell_id) })
+    const set_columns = (/** @type {number} */ columns) => {
+        if (!Number.isInteger(columns) || columns < 1 || columns > 24) return
+        const resized = draft.items.map((item) => {
+            const w = Math.min(columns, item.w)
+            return { ...item, w, x: Math.min(columns - w, item.x) }
+        })
+        set_draft({ columns, items: resized.reduce((items, item) => place_item(items, item), resized) })
+    }
+
+    const save = async () => {
+        await pluto_actions.update_notebook((nb) => {
+            nb.metadata["dashboard"] = { columns: draft.columns, items: draft.items.map(({ cell_id, x, y, w, h }) => ({ cell_id, x, y, w, h })) }
+        })
+        close()
+    }
+
+    const app_view_url = () => {
+        const url = new URL(window.location.href)
+        url.searchParams.set("dashboard", "true")
+        url.hash = ""
+        return url.href
+    }
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-dashboard-editor">
+        ${currently_open
+            ? html`<h1>${t("t_dashboard_title")}</h1>
+                  <div class="dashboard-editor-body">
+                      <aside>
+                          <label class="dashboard-columns">
+                              ${t("t_dashboard_columns")}
+                              <input type="number" min="1" max="24" value=${draft.columns} onChange=${(e) => set_columns(Number(e.target.value))} />
+                          </label>
+                          <p class="dashboard-help">${t("t_dashboard_help")}</p>
+                          <ul>
+                              ${notebook.cell_order.map(
+                                  (cell_id) => html`<li key=${cell_id}>
+                                      <label>
+                                          <input
+                                              type="checkbox"
+                                              checked=${in_dashboard.has(cell_id)}
+                                              onChange=${(e) => (e.target.checked ? add(cell_id) : remove(cell_id))}
+                                          />
+                                          <span>${cell_title(notebook, cell_id) || t("t_pin_untitled")}</span>
+                                      </label>
+                                  </li>`
+                              )}
+                          </ul>
+                      </aside>
+                      <div class="pluto-dashboard-grid editing" ref=${grid_ref} style=${grid_style(draft)}>
+                          ${draft.items.map(
+                              (item) => html`<${EditableDashboardItem}
+                                  key=${item.cell_id}
+                                  item=${item}
+                                  columns=${draft.columns}
+                                  title=${cell_title(notebook, item.cell_id) || t("t_pin_untitled")}
+                                  grid_ref=${grid_ref}
+                                  on_change=${(/** @type {DashboardItem} */ next) => set_draft({ ...draft, items: place_item(draft.items, next) })}
+                                  on_remove=${() => remove(item.cell_id)}
+                              >
+                                  ${
+                                      notebook.cell_results[item.cell_id] == null
+                                          ? null
+                                          : html`<${PinnedOutputBody}
+                                                cell_id=${item.cell_id}
+                                                cell_result=${notebook.cell_results[item.cell_id]}
+                                                sanitize_html=${sanitize_html}
+                                            />`
+                                  }
+                              </${EditableDashboardItem}>`
+                          )}
+                      </div>
+                  </div>
+                  <div class="final">
+                      ${notebook.metadata?.dashboard != null && pluto_actions.get_launch_params?.()?.notebook_id != null
+                          ? html`<a href=${app_view_url()} target="_blank">${t("t_dashboard_open_app_view")}</a>`
+                          : null}
+                      <button onClick=${close}>${t("t_dashboard_cancel")}</button>
+                      <button disabled=${disable_input} onClick=${save}>${t("t_dashboard_save")}</button>
+                  </div>`
+            : null}
+    </dialog>`
+}
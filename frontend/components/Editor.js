@@ -4,9 +4,12 @@ import immer, { applyPatches, produceWithPatches } from "../imports/immer.js"
 import _ from "../imports/lodash.js"
 
 import { empty_notebook_state, is_editor_embedded_inside_editor, set_disable_ui_css } from "../editor.js"
-import { create_pluto_connection, ws_address_from_base } from "../common/PlutoConnection.js"
+import { create_pluto_connection, ws_address_from_base, PlutoRequestError, RequestAbortedError, RequestTimeoutError } from "../common/PlutoConnection.js"
+import { create_offline_queue, rebase_patches } from "../common/OfflineQueue.js"
+import { create_session_recorder, replay_session_trace } from "../common/SessionTrace.js"
 import { init_feedback } from "../common/Feedback.js"
-import { serialize_cells, deserialize_cells, detect_deserializer } from "../common/Serialization.js"
+import { serialize_cells, deserialize_cells, detect_deserializer, uuidv4 } from "../common/Serialization.js"
+import { format_code } from "../common/CodeFormatting.js"
 
 import { FilePicker } from "./FilePicker.js"
 import { Preamble } from "./Preamble.js"
@@ -21,15 +24,7 @@ import { ExportBanner } from "./ExportBanner.js"
 import { Popup } from "./Popup.js"
 
 import { slice_utf8, length_utf8 } from "../common/UnicodeTools.js"
-import {
-    has_ctrl_or_cmd_pressed,
-    ctrl_or_cmd_name,
-    is_mac_keyboard,
-    in_textarea_or_input,
-    and,
-    control_name,
-    alt_or_options_name,
-} from "../common/KeyboardShortcuts.js"
+import { has_ctrl_or_cmd_pressed, in_textarea_or_input, command_for_event } from "../common/KeyboardShortcuts.js"
 import { PlutoActionsContext, PlutoBondsContext, PlutoJSInitializingContext, SetWithEmptyCallback } from "../common/PlutoContext.js"
 import { BackendLaunchPhase, count_stat } from "../common/Binder.js"
 import { setup_mathjax } from "../common/SetupMathJax.js"
@@ -52,12 +47,26 @@ import { getCurrentLanguage, t, th } from "../common/lang.js"
 import { PlutoLandUpload } from "./PlutoLandUpload.js"
 import { BigPkgTerminal } from "./PkgTerminalView.js"
 import { is_desktop, move_notebook, wait_for_file_move } from "./DesktopInterface.js"
+import { PresenceAvatars } from "./PresenceAvatars.js"
+import { NotebookCompare } from "./NotebookCompare.js"
+import { FindReplace } from "./FindReplace.js"
+import { RenameSymbol } from "./RenameSymbol.js"
+import { ShortcutsDialog } from "./ShortcutsDialog.js"
+import { SnippetsDialog } from "./SnippetsDialog.js"
+import { Outline } from "./Outline.js"
+import { DashboardEditor, DashboardView } from "./Dashboard.js"
+import { PinnedOutputs } from "./PinnedOutputs.js"
+import { CommandPalette } from "./CommandPalette.js"
+import { FindReferences } from "./FindReferences.js"
+import { apply_collab_message, empty_collab_state, get_peer_name, peer_color, peer_id, set_peer_name } from "../common/Collab.js"
 
 // This is imported asynchronously - uncomment for development
 // import environment from "../common/Environment.js"
 
 export const default_path = ""
 const DEBUG_DIFFING = false
+/** How long (ms) to collect `defined_names` requests from cells before sending them as one request. Cells lint at about the same time when the notebook opens. */
+const defined_names_batch_delay = 100
 
 // Be sure to keep this in sync with DEFAULT_CELL_METADATA in Cell.jl
 /** @type {CellMetaData} */
@@ -67,12 +76,6 @@ const DEFAULT_CELL_METADATA = {
     skip_as_script: false,
 }
 
-// from our friends at https://stackoverflow.com/a/2117523
-// i checked it and it generates Julia-legal UUIDs and that's all we need -SNOF
-const uuidv4 = () =>
-    //@ts-ignore
-    "10000000-1000-4000-8000-100000000000".replace(/[018]/g, (c) => (c ^ (crypto.getRandomValues(new Uint8Array(1))[0] & (15 >> (c / 4)))).toString(16))
-
 /**
  * @typedef {import('../imports/immer').Patch} Patch
  * */
@@ -85,7 +88,7 @@ const Main = ({ children }) => {
  * Map of status => Bool. In order of decreasing priority.
  */
 const statusmap = (/** @type {EditorState} */ state, /** @type {LaunchParameters} */ launch_params) => ({
-    disconnected: !(state.connected || state.initializing || state.static_preview),
+    disconnected: !(state.connected || state.initializing || state.static_preview || state.replaying_session),
     loading:
         (state.backend_launch_phase != null &&
             BackendLaunchPhase.wait_for_user < state.backend_launch_phase &&
@@ -119,9 +122,24 @@ const statusmap = (/** @type {EditorState} */ state, /** @type {LaunchParameters
     recording_waiting_to_start: state.recording_waiting_to_start,
     is_recording: state.is_recording,
     isolated_cell_view: launch_params.isolated_cell_ids != null && launch_params.isolated_cell_ids.length > 0,
+    dashboard_view: launch_params.dashboard === true,
     sanitize_html: state.notebook.process_status === ProcessStatus.waiting_for_permission,
 })
 
+/**
+ * Let the user know that a request to the server failed, see `PlutoRequestError`. Requests that were aborted on purpose are not shown.
+ */
+const show_request_error = (error) => {
+    if (error instanceof PlutoRequestError && !(error instanceof RequestAbortedError)) {
+        open_pluto_popup({
+            type: "warn",
+            body: html`${t(error instanceof RequestTimeoutError ? "t_request_timed_out" : "t_request_connection_lost", {
+                message_type: error.message_type,
+            })}`,
+        })
+    }
+}
+
 const first_true_key = (obj) => {
     for (let [k, v] of Object.entries(obj)) {
         if (v) {
@@ -236,6 +254,7 @@ const first_true_key = (obj) => {
  *  disable_ui: boolean,
  *  preamble_html: string?,
  *  isolated_cell_ids: string[]?,
+ *  dashboard: boolean,
  *  binder_url: string?,
  *  pluto_server_url: string?,
  *  slider_server_url: string?,
@@ -311,6 +330,12 @@ export const url_logo_small = get_included_external_source("pluto-logo-small")?.
  * binder_session_token: ?string,
  * refresh_target: ?string,
  * connected: boolean,
+ * offline_editing: boolean,
+ * pending_offline_changes: number,
+ * collab: import("../common/Collab.js").CollabData,
+ * receive_progress: import('../common/Frames.js').FrameProgress?,
+ * recording_session: boolean,
+ * replaying_session: boolean,
  * initializing: boolean,
  * moving_file: boolean,
  * scroller: {
@@ -327,6 +352,15 @@ export const url_logo_small = get_included_external_source("pluto-logo-small")?.
  * }}
  */
 
+/**
+ * `defined_names` requests from cells that are collected to be sent together, see `request_defined_names`.
+ * @typedef DefinedNamesBatch
+ * @type {{
+ * names: Set<string>,
+ * response: Promise<string[]?>,
+ * }}
+ */
+
 /**
  * @augments Component<EditorProps,EditorState>
  */
@@ -345,6 +379,7 @@ export class Editor extends Component {
             recently_deleted: [],
             recently_auto_disabled_cells: {},
             last_update_time: 0,
+            collab: empty_collab_state,
 
             disable_ui: launch_params.disable_ui,
             static_preview: launch_params.statefile != null,
@@ -358,6 +393,11 @@ export class Editor extends Component {
             binder_session_token: null,
             refresh_target: null,
             connected: false,
+            offline_editing: false,
+            pending_offline_changes: 0,
+            receive_progress: null,
+            recording_session: false,
+            replaying_session: false,
             initializing: true,
 
             moving_file: false,
@@ -385,6 +425,12 @@ export class Editor extends Component {
 
         this.setStatePromise = (fn) => new Promise((r) => this.setState(fn, r))
 
+        /**
+         * The notebook as it was when this page was opened, to compare with later (see NotebookCompare.js).
+         * @type {import("../common/NotebookDiff.js").NotebookVersion?}
+         */
+        this.opened_version = null
+
         // these are things that can be done to the local notebook
         this.real_actions = {
             get_notebook: () => this?.state?.notebook ?? {},
@@ -413,6 +459,20 @@ export class Editor extends Component {
                 )
             },
             get_unsubmitted_global_definitions: () => _.pick(this.state.unsumbitted_global_definitions, this.state.notebook.cell_order),
+            /**
+             * Push collaborative edits of a cell to the server, see Collab.js. Resolves to whether the server accepted them.
+             * @param {string} cell_id
+             * @param {{ entry_id: string, version: number, updates: import("../common/Collab.js").CollabUpdate[], base?: string }} body
+             * @returns {Promise<boolean>}
+             */
+            collab_push: async (cell_id, body) => {
+                const response = await this.client.send("collab_push", { cell_id, ...body }, { notebook_id: this.state.notebook.notebook_id })
+                return response?.message?.accepted === true
+            },
+            collab_set_selection: (cell_id, selection) => {
+                this.collab_selection = { cell_id, selection }
+                this.send_collab_presence_throttled()
+            },
             focus_on_neighbor: (cell_id, delta, line = delta === -1 ? Infinity : -1, ch = 0) => {
                 const i = this.state.notebook.cell_order.indexOf(cell_id)
                 const new_i = i + delta
@@ -428,17 +488,25 @@ export class Editor extends Component {
                     )
                 }
             },
-            add_deserialized_cells: async (data, index_or_id, deserializer = deserialize_cells) => {
+            add_deserialized_cells: async (
+                data,
+                index_or_id,
+                /** @type {(data: string) => Array<string | import("../common/Serialization.js").DeserializedCell>} */ deserializer = deserialize_cells
+            ) => {
                 let new_codes = deserializer(data)
                 /** @type {Array<CellInputData>} Create copies of the cells with fresh ids */
-                let new_cells = new_codes.map((code) => ({
-                    cell_id: uuidv4(),
-                    code: code,
-                    code_folded: false,
-                    metadata: {
-                        ...DEFAULT_CELL_METADATA,
-                    },
-                }))
+                let new_cells = new_codes.map((c) => {
+                    const { code, code_folded, metadata } = typeof c === "string" ? { code: c, code_folded: false, metadata: {} } : c
+                    return {
+                        cell_id: uuidv4(),
+                        code: code,
+                        code_folded: code_folded ?? false,
+                        metadata: {
+                            ...DEFAULT_CELL_METADATA,
+                            ...metadata,
+                        },
+                    }
+                })
 
                 let index
 
@@ -508,6 +576,64 @@ export class Editor extends Component {
                 )
                 await this.actions.set_and_run_multiple([cell_id])
             },
+            /**
+             * Change the code of multiple cells at once. With `run`, the new code is submitted in one `update_notebook` and the cells run. Otherwise, the new code is left as unsubmitted changes.
+             * @param {Record<string, string>} new_codes
+             * @param {boolean} run
+             */
+            set_code_multiple: async (new_codes, run = true) => {
+                await this.setStatePromise(
+                    immer((/** @type {EditorState} */ state) => {
+                        for (const [cell_id, code] of Object.entries(new_codes)) {
+                            state.cell_inputs_local[cell_id] = { code }
+                        }
+                    })
+                )
+                if (run) {
+                    await this.actions.set_and_run_multiple(Object.keys(new_codes))
+                } else {
+                    // Cells that are not rendered yet will start with the new local code.
+                    for (const [cell_id, code] of Object.entries(new_codes)) {
+                        window.dispatchEvent(new CustomEvent("pluto set local code", { detail: { cell_id, code } }))
+                    }
+                }
+            },
+            /**
+             * Format code with the server's formatter, or in the browser for Markdown and HTML cells. Throws an `Error` with a message for the user when the code could not be formatted.
+             * @param {string} code
+             * @returns {Promise<string>}
+             */
+            format_code: (code) =>
+                format_code(code, async (code) => {
+                    const { message } = await this.client.send("format_code", { code }, { notebook_id: this.state.notebook.notebook_id })
+                    if (!message.ok) throw new Error(message.why_not)
+                    return message.formatted
+                }),
+            /**
+             * Format the code of these cells, and leave the result as unsubmitted changes.
+             * @param {string[]} cell_ids
+             */
+            format_cells: async (cell_ids) => {
+                /** @type {Record<string, string>} */
+                const new_codes = {}
+                /** @type {Error?} */
+                let error = null
+                for (const cell_id of cell_ids) {
+                    const code = this.state.cell_inputs_local[cell_id]?.code ?? this.state.notebook.cell_inputs[cell_id]?.code
+                    if (code == null) continue
+                    try {
+                        const formatted = await this.actions.format_code(code)
+                        if (formatted !== code) new_codes[cell_id] = formatted
+                    } catch (e) {
+                        // Skip cells with syntax errors, but tell about the first problem.
+                        error = error ?? e
+                    }
+                }
+                await this.actions.set_code_multiple(new_codes, false)
+                if (error != null) {
+                    open_pluto_popup({ type: "warn", body: html`<p>${t("t_format_failed", { error: error.message })}</p>` })
+                }
+            },
             split_remote_cell: async (cell_id, boundaries, submit = false) => {
                 const cell = this.state.notebook.cell_inputs[cell_id]
 
@@ -673,8 +799,14 @@ export class Editor extends Component {
                             }
                         })
                     )
-                    const result = await this.client.send("run_multiple_cells", { cells: cell_ids }, { notebook_id: this.state.notebook.notebook_id })
-                    const { disabled_cells } = result.message
+                    const result = await this.client
+                        .send("run_multiple_cells", { cells: cell_ids }, { notebook_id: this.state.notebook.notebook_id })
+                        .catch((e) => {
+                            show_request_error(e)
+                            throw e
+                        })
+                    // the message is null when we are offline and the request was queued
+                    const disabled_cells = result.message?.disabled_cells ?? {}
                     if (Object.entries(disabled_cells).length > 0) {
                         await this.setStatePromise({
                             recently_auto_disabled_cells: disabled_cells,
@@ -705,6 +837,43 @@ export class Editor extends Component {
                     { notebook_id: this.state.notebook.notebook_id },
                     false
                 ),
+            /**
+             * Rows `offset + 1` up to `offset + count` of a table in the output of a cell. Resolves to `null` when the table is no longer shown.
+             * @returns {Promise<Array<[number, Array<any>]>?>}
+             */
+            request_table_rows: async (cell_id, objectid, offset, count) => {
+                const response = await this.client.send("table_rows", { cell_id, objectid, offset, count }, { notebook_id: this.state.notebook.notebook_id })
+                return response?.message?.rows ?? null
+            },
+            /**
+             * Which of the given names are defined in the notebook process, e.g. because they come from `Base` or from an imported package. Resolves to `null` when the notebook process can't tell.
+             *
+             * Requests from all cells that arrive within `defined_names_batch_delay` are sent to the server together.
+             * @param {string[]} names
+             * @returns {Promise<string[]?>}
+             */
+            request_defined_names: async (names) => {
+                if (this.defined_names_batch == null) {
+                    /** @type {Set<string>} */
+                    const batch_names = new Set()
+                    this.defined_names_batch = {
+                        names: batch_names,
+                        response: new Promise((resolve) => setTimeout(resolve, defined_names_batch_delay)).then(async () => {
+                            this.defined_names_batch = null
+                            const response = await this.client.send(
+                                "defined_names",
+                                { names: [...batch_names] },
+                                { notebook_id: this.state.notebook.notebook_id }
+                            )
+                            return response?.message?.defined ?? null
+                        }),
+                    }
+                }
+                const batch = this.defined_names_batch
+                names.forEach((name) => batch.names.add(name))
+                const defined = await batch.response
+                return defined == null ? null : defined.filter((name) => names.includes(name))
+            },
             request_js_link_response: (cell_id, link_id, input) => {
                 return this.client
                     .send(
@@ -783,6 +952,9 @@ all patches: ${JSON.stringify(patches, null, 1)}
 
                                 if (ignore) {
                                     console.info("Safe to ignore this patch failure...")
+                                } else if (this.state.replaying_session) {
+                                    // This is what we were trying to reproduce! Keep the state as it is, so that it can be inspected.
+                                    console.error("Failed to apply patches while replaying a session trace.")
                                 } else if (this.state.connected) {
                                     console.error("Trying to recover: Refetching notebook...")
                                     this.client.send(
@@ -879,6 +1051,25 @@ all patches: ${JSON.stringify(patches, null, 1)}
                             this.maybe_send_queued_bond_changes()
                         })
 
+                        break
+                    case "collab_state":
+                    case "collab_cell":
+                    case "collab_presence":
+                        let missed_something = false
+                        this.setState(
+                            (/** @type {EditorState} */ state) => {
+                                const collab = apply_collab_message(state.collab, update.type, message)
+                                // New updates for a collab entry that we don't know about: we missed its start.
+                                missed_something = collab === state.collab && update.type === "collab_cell" && message.entry != null
+                                return { collab }
+                            },
+                            () => {
+                                if (missed_something) this.request_collab_state()
+                            }
+                        )
+                        break
+                    case "collab_push_result":
+                    case "collab_presence_result":
                         break
                     default:
                         console.error("Received unknown update type!", update)
@@ -920,6 +1111,13 @@ all patches: ${JSON.stringify(patches, null, 1)}
             console.debug("Sending update_notebook request...")
             await this.client.send("update_notebook", { updates: [] }, { notebook_id: this.state.notebook.notebook_id }, false)
             console.debug("Received update_notebook request")
+            await replay_offline_changes()
+
+            this.opened_version ??= {
+                cell_inputs: this.state.notebook.cell_inputs,
+                cell_order: this.state.notebook.cell_order,
+                metadata: this.state.notebook.metadata,
+            }
 
             this.setState({
                 initializing: false,
@@ -929,6 +1127,8 @@ all patches: ${JSON.stringify(patches, null, 1)}
             })
 
             this.updateLang()
+            this.request_collab_state()
+            this.send_collab_presence()
 
             this.client.send("complete", { query: "sq" }, { notebook_id: this.state.notebook.notebook_id })
             this.client.send("complete", { query: "\\sq" }, { notebook_id: this.state.notebook.notebook_id })
@@ -937,8 +1137,12 @@ all patches: ${JSON.stringify(patches, null, 1)}
         }
 
         const on_connection_status = (val, hopeless) => {
-            this.setState({ connected: val })
-            if (hopeless) {
+            this.setState({
+                connected: val,
+                // While we are reconnecting, you can keep editing. Changes are queued and sent after reconnecting.
+                offline_editing: !val && !hopeless && !this.state.initializing,
+            })
+            if (hopeless && !this.state.replaying_session) {
                 // https://github.com/fonsp/Pluto.jl/issues/55
                 // https://github.com/fonsp/Pluto.jl/issues/2398
                 open_pluto_popup({
@@ -972,10 +1176,29 @@ all patches: ${JSON.stringify(patches, null, 1)}
                 },
                 false
             )
+            // wait for the fresh state to be applied before rebasing our offline changes on it
+            await this.setStatePromise({})
+            await replay_offline_changes()
+            this.request_collab_state()
 
             return true
         }
 
+        /**
+         * Send the changes that were made while we were disconnected. They are rebased onto the current notebook state: `update_notebook` patches that no longer apply (e.g. because another client deleted the cell) are dropped.
+         */
+        const replay_offline_changes = () =>
+            this.offline_queue?.replay(async ({ message_type, body, metadata }) => {
+                if (metadata.notebook_id !== this.state.notebook.notebook_id) return
+
+                if (message_type === "update_notebook") {
+                    await this.update_notebook((notebook) => rebase_patches(notebook, body.updates))
+                } else if (message_type === "run_multiple_cells") {
+                    const cells = body.cells.filter((cell_id) => this.state.notebook.cell_inputs[cell_id] != null)
+                    await this.client.send(message_type, { cells }, metadata)
+                }
+            })
+
         this.export_url = (/** @type {string} */ u) =>
             this.state.binder_session_url == null
                 ? `./${u}?id=${this.state.notebook.notebook_id}`
@@ -984,17 +1207,69 @@ all patches: ${JSON.stringify(patches, null, 1)}
         /** @type {import('../common/PlutoConnection').PlutoConnection} */
         this.client = /** @type {import('../common/PlutoConnection').PlutoConnection} */ ({})
 
+        /** @type {import('../common/OfflineQueue').OfflineQueue?} */
+        this.offline_queue = null
+
         this.connect = (/** @type {string | undefined} */ ws_address = undefined) => {
             const psu = this.props.launch_params.pluto_server_url
+            this.offline_queue =
+                this.offline_queue ??
+                create_offline_queue({
+                    notebook_id: this.state.notebook.notebook_id,
+                    on_change: (size) => this.setState({ pending_offline_changes: size }),
+                })
             return create_pluto_connection({
                 ws_address: ws_address ?? (psu ? ws_address_from_base(psu) : undefined),
                 on_unrequested_update: on_update,
                 on_connection_status: on_connection_status,
                 on_reconnect: on_reconnect,
                 connect_metadata: { notebook_id: this.state.notebook.notebook_id },
+                offline_queue: this.offline_queue,
+                on_receive_progress: (progress) => this.setState({ receive_progress: progress.done ? null : progress }),
             }).then(on_establish_connection)
         }
 
+        /** @type {import('../common/SessionTrace.js').SessionRecorder?} */
+        this.session_recorder = null
+        let stop_observing_session = () => {}
+
+        this.start_session_recording = () => {
+            if (this.session_recorder != null || this.client.observe_messages == null) return
+            this.session_recorder = create_session_recorder({ initial_notebook: this.state.notebook, version_info: this.client.version_info })
+            stop_observing_session = this.client.observe_messages(this.session_recorder.record)
+            this.setState({ recording_session: true })
+        }
+
+        /** @returns {import('../common/SessionTrace.js').SessionTrace?} */
+        this.stop_session_recording = () => {
+            const recorder = this.session_recorder
+            if (recorder == null) return null
+            stop_observing_session()
+            this.session_recorder = null
+            this.setState({ recording_session: false })
+            return recorder.finish()
+        }
+
+        /**
+         * Disconnect from the server, and replay a session trace from the notebook state at the start of the recording. Sent `update_notebook` messages are applied like local changes, received `notebook_diff` messages go through `on_update`, just like during the recorded session.
+         * @param {import('../common/SessionTrace.js').SessionTrace} trace
+         */
+        this.replay_session = async (trace, speed = 1) => {
+            this.stop_session_recording()
+            // Messages from the server would mix with the replay, so we disconnect for good.
+            await this.setStatePromise({ replaying_session: true, initializing: false })
+            this.on_disable_ui()
+            this.client.kill?.(false)
+
+            this.last_update_counter = -1
+            await this.setStatePromise({ notebook: trace.initial_notebook, cell_inputs_local: {} })
+            await replay_session_trace(trace, {
+                on_received: (message) => on_update(message, false),
+                on_sent: (message) => (message.type === "update_notebook" ? apply_notebook_patches(message.body.updates).then(() => {}) : undefined),
+                speed,
+            })
+        }
+
         this.on_disable_ui = () => {
             set_disable_ui_css(this.state.disable_ui, props.pluto_editor_element)
 
@@ -1007,9 +1282,9 @@ all patches: ${JSON.stringify(patches, null, 1)}
             Object.assign(
                 this.actions,
                 // if we have no pluto server...
-                this.state.disable_ui || (launch_params.slider_server_url != null && !this.state.connected)
+                this.state.disable_ui || this.state.replaying_session || (launch_params.slider_server_url != null && !this.state.connected)
                     ? // then use a modified set of actions
-                      launch_params.slider_server_url != null
+                      launch_params.slider_server_url != null && !this.state.replaying_session
                         ? slider_server_actions({
                               setStatePromise: this.setStatePromise,
                               actions: this.actions,
@@ -1027,6 +1302,47 @@ all patches: ${JSON.stringify(patches, null, 1)}
         }
         this.on_disable_ui()
 
+        /** @type {DefinedNamesBatch?} */
+        this.defined_names_batch = null
+
+        /** @type {Promise<any>?} */
+        this.collab_state_request = null
+        /** Get the whole collab state of the notebook from the server. After this, it is kept up to date by `collab_cell` and `collab_presence` messages. */
+        this.request_collab_state = () => {
+            if (this.collab_state_request != null || this.state.static_preview || this.state.replaying_session) return
+            this.collab_state_request = this.client
+                .send("collab_state", {}, { notebook_id: this.state.notebook.notebook_id }, false)
+                .catch((e) => console.warn("Failed to get collab state", e))
+                .finally(() => {
+                    this.collab_state_request = null
+                })
+        }
+        /** Where our cursor is, to show to other people in this notebook. */
+        this.collab_selection = { cell_id: null, selection: null }
+        /** Tell the other people in this notebook who we are and where our cursor is, see Collab.js. */
+        this.send_collab_presence = (leave = false) => {
+            if (!this.state.connected || this.state.static_preview || this.state.replaying_session) return
+            this.client
+                .send(
+                    "collab_presence",
+                    { peer_id, name: get_peer_name() || t("t_collab_anonymous"), color: peer_color, ...this.collab_selection, leave },
+                    { notebook_id: this.state.notebook.notebook_id },
+                    false
+                )
+                .catch((e) => console.warn("Failed to send presence", e))
+        }
+        this.send_collab_presence_throttled = _.throttle(() => this.send_collab_presence(), 150)
+        this.rename_collab_peer = () => {
+            const name = prompt(t("t_collab_your_name"), get_peer_name())
+            if (name == null) return
+            set_peer_name(name)
+            this.send_collab_presence()
+        }
+        // Presence entries expire on the server when they are not updated for a while.
+        setInterval(() => {
+            if (document.visibilityState === "visible") this.send_collab_presence()
+        }, 1000 * 20)
+
         setInterval(() => {
             if (!this.state.static_preview && document.visibilityState === "visible") {
                 // view stats on https://stats.plutojl.org/
@@ -1173,6 +1489,9 @@ all patches: ${JSON.stringify(patches, null, 1)}
                             last_update_time: Date.now(),
                         }),
                     ])
+                } catch (e) {
+                    show_request_error(e)
+                    throw e
                 } finally {
                     this.pending_local_updates--
                     // this property is used to tell our frontend tests that the updates are done
@@ -1310,68 +1629,42 @@ all patches: ${JSON.stringify(patches, null, 1)}
             // if (e.defaultPrevented) {
             //     return
             // }
-            if (e.key?.toLowerCase() === "q" && has_ctrl_or_cmd_pressed(e)) {
-                // This one can't be done as cmd+q on mac, because that closes chrome - Dral
+            // The shortcuts are defined in the command registry, see KeyboardShortcuts.js. Shortcuts in a cell editor are handled by CellInput.js.
+            const command = command_for_event(e)
+            if (command === "interrupt") {
                 if (Object.values(this.state.notebook.cell_results).some((c) => c.running || c.queued)) {
                     this.actions.interrupt_remote()
                 }
                 e.preventDefault()
-            } else if (e.key?.toLowerCase() === "s" && has_ctrl_or_cmd_pressed(e)) {
+            } else if (command === "submit_all_changes") {
                 const some_cells_ran = this.actions.set_and_run_all_changed_remote_cells()
                 if (!some_cells_ran) {
                     // all cells were in sync allready
                     // TODO: let user know that the notebook autosaves
                 }
                 e.preventDefault()
-            } else if (["BracketLeft", "BracketRight"].includes(e.code) && (is_mac_keyboard ? e.altKey && e.metaKey : e.ctrlKey && e.shiftKey)) {
-                this.fold_selected(e.code === "BracketLeft")
-            } else if (e.key === "Backspace" || e.key === "Delete") {
+            } else if (command === "find_in_notebook" || command === "replace_in_notebook") {
+                window.dispatchEvent(new CustomEvent("open pluto find", { detail: { replace: command === "replace_in_notebook" } }))
+                e.preventDefault()
+            } else if (command === "fold" || command === "unfold") {
+                this.fold_selected(command === "fold")
+            } else if (command === "delete_selected_cells") {
                 if (this.delete_selected()) {
                     e.preventDefault()
                 }
-            } else if (e.key === "Enter" && e.shiftKey) {
+            } else if (command === "run_cell") {
                 this.run_selected()
-            } else if (e.key === "ArrowUp" && e.altKey) {
+            } else if (command === "move_up") {
                 this.move_selected(e, -1)
-            } else if (e.key === "ArrowDown" && e.altKey) {
+            } else if (command === "move_down") {
                 this.move_selected(e, 1)
-            } else if ((e.key === "?" && has_ctrl_or_cmd_pressed(e)) || e.key === "F1") {
-                // On mac "cmd+shift+?" is used by chrome, so that is why this needs to be ctrl as well on mac
-                // Also pressing "ctrl+shift" on mac causes the key to show up as "/", this madness
-                // I hope we can find a better solution for this later - Dral
-
-                const fold_prefix = is_mac_keyboard ? `⌥${and}⌘` : `Ctrl${and}Shift`
-
-                const or = t("t_key_or")
-
-                alert(
-                    `
-⇧${and}Enter:   ${t("t_key_run")}
-${ctrl_or_cmd_name}${and}Enter:   ${t("t_key_run_add")}
-${ctrl_or_cmd_name}${and}S:   ${t("t_key_submit_all_changes")}
-Delete ${or} Backspace:   ${t("t_key_delete_or_backspace")}
-
-PageUp ${or} fn${and}↑:   ${t("t_key_page_up")}
-PageDown ${or} fn${and}↓:   ${t("t_key_page_down")}
-${control_name}${and}click:   ${t("t_key_ctrl_click")}
-${alt_or_options_name}${and}↑:   ${t("t_key_alt_up")}
-${alt_or_options_name}${and}↓:   ${t("t_key_alt_down")}
-
-${control_name}${and}/:   ${t("t_key_ctrl_slash")}
-${control_name}${and}M:   ${t("t_key_ctrl_m")}
-${fold_prefix}${and}[:   ${t("t_key_ctrl_m")}
-${fold_prefix}${and}]:   ${t("t_key_ctrl_m")}
-${control_name}${and}Q:   ${t("t_key_ctrl_q")}
-
-${t("t_key_selection_description")}
-${ctrl_or_cmd_name}${and}C:   ${t("t_key_ctrl_c")}
-${ctrl_or_cmd_name}${and}X:   ${t("t_key_ctrl_x")}
-${ctrl_or_cmd_name}${and}V:   ${t("t_key_ctrl_v")}
-
-${t("t_key_autosave_description")}`
-                )
+            } else if (command === "command_palette") {
+                window.dispatchEvent(new CustomEvent("open pluto command palette"))
+                e.preventDefault()
+            } else if (command === "show_shortcuts") {
+                window.dispatchEvent(new CustomEvent("open pluto shortcuts"))
                 e.preventDefault()
-            } else if (e.key === "Escape") {
+            } else if (command === "deselect") {
                 this.setState({
                     recording_waiting_to_start: false,
                     selected_cells: [],
@@ -1437,6 +1730,24 @@ ${t("t_key_autosave_description")}`
             }
         })
 
+        // Dropping a file with cells (like a Jupyter notebook) on the notebook adds its cells. Files dropped on a cell input are handled by CodeMirror.
+        const file_drop_for_me = (/** @type {DragEvent} */ e) =>
+            e.dataTransfer?.types.includes("Files") && !(e.target instanceof Element && e.target.closest(".cm-editor") != null)
+        document.addEventListener("dragover", (e) => {
+            if (file_drop_for_me(e)) e.preventDefault()
+        })
+        document.addEventListener("drop", async (e) => {
+            const file = e.dataTransfer?.files?.[0]
+            if (file == null || !file_drop_for_me(e)) return
+            e.preventDefault()
+            const text = await file.text()
+            const deserializer = detect_deserializer(text, { file_name: file.name })
+            if (deserializer != null) {
+                const drop_index = get_drop_index_for_paste(this.props.pluto_editor_element)
+                this.actions.add_deserialized_cells(text, drop_index, deserializer)
+            }
+        })
+
         window.addEventListener("beforeunload", (event) => {
             const unsaved_cells = this.state.notebook.cell_order.filter(
                 (id) => this.state.cell_inputs_local[id] && this.state.notebook.cell_inputs[id].code !== this.state.cell_inputs_local[id].code
@@ -1452,6 +1763,7 @@ ${t("t_key_autosave_description")}`
                 event.preventDefault()
                 event.returnValue = ""
             } else {
+                this.send_collab_presence(true)
                 console.warn("unloading 👉 disconnecting websocket")
                 //@ts-ignore
                 if (window.shutdown_binder != null) {
@@ -1562,6 +1874,18 @@ ${t("t_key_autosave_description")}`
                 </${PlutoActionsContext.Provider}>
             `
         }
+        if (status.dashboard_view) {
+            return html`
+                <${PlutoActionsContext.Provider} value=${this.actions}>
+                    <${PlutoBondsContext.Provider} value=${this.state.notebook.bonds}>
+                        <${PlutoJSInitializingContext.Provider} value=${this.js_init_set}>
+                            <${ProgressBar} notebook=${this.state.notebook} backend_launch_phase=${this.state.backend_launch_phase} status=${status}/>
+                            <${DashboardView} notebook=${notebook} sanitize_html=${status.sanitize_html} />
+                        </${PlutoJSInitializingContext.Provider}>
+                    </${PlutoBondsContext.Provider}>
+                </${PlutoActionsContext.Provider}>
+            `
+        }
         const warn_about_untrusted_code = this.client.session_options?.security?.warn_about_untrusted_code ?? true
 
         const restart = async (maybe_confirm = false) => {
@@ -1612,6 +1936,7 @@ ${t("t_key_autosave_description")}`
                     <${ProgressBar} notebook=${this.state.notebook} backend_launch_phase=${this.state.backend_launch_phase} status=${status}/>
                     <header id="pluto-nav" className=${export_menu_open ? "show_export" : ""}>
                         <${ExportBanner}
+                            notebook=${this.state.notebook}
                             notebook_id=${this.state.notebook.notebook_id}
                             print_title=${
                                 this.state.notebook.metadata?.frontmatter?.title ??
@@ -1686,6 +2011,28 @@ ${t("t_key_autosave_description")}`
                                     ? restart_button(t("t_process_give_permission_to_run_code"), true)
                                     : null
                             }</div>
+                            ${
+                                this.state.pending_offline_changes > 0
+                                    ? html`<div id="pending_offline_changes" title=${t("t_pending_offline_changes_description")}>
+                                          ${t("t_pending_offline_changes", { count: this.state.pending_offline_changes })}
+                                      </div>`
+                                    : null
+                            }
+                            <${PresenceAvatars}
+                                presence=${this.state.collab.presence}
+                                on_rename=${this.rename_collab_peer}
+                                on_jump_to_cell=${(cell_id) => window.dispatchEvent(new CustomEvent("cell_focus", { detail: { cell_id } }))}
+                            />
+                            ${this.state.replaying_session ? html`<div id="replaying_session">${t("t_replaying_session")}</div>` : null}
+                            ${
+                                this.state.receive_progress != null
+                                    ? html`<div id="receive_progress">
+                                          ${t("t_receiving_update", {
+                                              percent: Math.floor((100 * this.state.receive_progress.received) / this.state.receive_progress.total),
+                                          })}
+                                      </div>`
+                                    : null
+                            }
                             <button class="toggle_export" title=${t("t_export_action_ellipsis")} onClick=${() =>
             this.setState({ export_menu_open: !export_menu_open })}><span></span></button>
                         </nav>
@@ -1730,6 +2077,34 @@ ${t("t_key_autosave_description")}`
                         notebook=${notebook}
                         process_waiting_for_permission=${status.process_waiting_for_permission}
                     />
+                    <${FindReplace}
+                        notebook=${notebook}
+                        cell_inputs_local=${this.state.cell_inputs_local}
+                        disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)}
+                    />
+                    <${FindReferences} notebook=${notebook} cell_inputs_local=${this.state.cell_inputs_local} />
+                    <${RenameSymbol}
+                        notebook=${notebook}
+                        cell_inputs_local=${this.state.cell_inputs_local}
+                        disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)}
+                    />
+                    <${ShortcutsDialog} />
+                    <${SnippetsDialog} />
+                    <${CommandPalette}
+                        notebook=${notebook}
+                        selected_cells=${this.state.selected_cells}
+                        static_preview=${this.state.static_preview}
+                        disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)}
+                        on_open_export=${() => this.setState({ export_menu_open: true })}
+                    />
+                    <${Outline} notebook=${notebook} disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)} />
+                    <${PinnedOutputs} notebook=${notebook} sanitize_html=${status.sanitize_html} />
+                    <${DashboardEditor}
+                        notebook=${notebook}
+                        sanitize_html=${status.sanitize_html}
+                        disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)}
+                    />
+                    <${NotebookCompare} notebook=${notebook} opened_version=${this.opened_version} connected=${this.state.connected} />
                     <${PlutoLandUpload}
                         notebook_id=${notebook.notebook_id}
                         notebookexport_url=${this.export_url("notebookexport")}
@@ -1747,8 +2122,9 @@ ${t("t_key_autosave_description")}`
                         />
                         <${Notebook}
                             notebook=${notebook}
+                            collab=${this.state.collab}
                             cell_inputs_local=${this.state.cell_inputs_local}
-                            disable_input=${this.state.disable_ui || !this.state.connected /* && this.state.backend_launch_phase == null*/}
+                            disable_input=${this.state.disable_ui || !(this.state.connected || this.state.offline_editing)}
                             last_created_cell=${this.state.last_created_cell}
                             selected_cells=${this.state.selected_cells}
                             is_initializing=${this.state.initializing}
@@ -1796,6 +2172,15 @@ ${t("t_key_autosave_description")}`
                         backend_launch_logs=${this.state.backend_launch_logs}
                         notebook=${this.state.notebook}
                         sanitize_html=${status.sanitize_html}
+                        message_log=${this.client.message_log}
+                        observe_messages=${this.client.observe_messages}
+                        session_trace=${{
+                            recording: this.state.recording_session,
+                            replaying: this.state.replaying_session,
+                            start_recording: this.start_session_recording,
+                            stop_recording: this.stop_session_recording,
+                            replay: this.replay_session,
+                        }}
                     />
                     <${Popup} 
                         notebook=${this.state.notebook}
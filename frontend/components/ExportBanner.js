@@ -5,6 +5,7 @@ import { useEventListener } from "../common/useEventListener.js"
 import { html, useLayoutEffect, useRef } from "../imports/Preact.js"
 import { getCurrentLanguage, t, th } from "../common/lang.js"
 import * as desktop from "./DesktopInterface.js"
+import { serialize_ipynb, serialize_qmd } from "../common/Serialization.js"
 
 const Circle = ({ fill }) => html`
     <svg
@@ -63,6 +64,7 @@ export const exportNotebookDesktop = (
 }
 
 export const ExportBanner = ({
+    notebook,
     notebook_id,
     print_title,
     open,
@@ -168,6 +170,32 @@ export const ExportBanner = ({
                     <header role="none"><${Square} fill="#619b3d" />${t("t_export_card_pdf")}</header>
                     <section>${th("t_export_card_pdf_description")}</section>
                 </a>
+                <a
+                    href="#"
+                    class="export_card"
+                    download=${`${print_title.replace(/\.jl$/, "").replace(/\.plutojl$/, "")}.ipynb`}
+                    onClick=${(e) => {
+                        const url = URL.createObjectURL(new Blob([serialize_ipynb(notebook)], { type: "application/x-ipynb+json" }))
+                        e.currentTarget.href = url
+                        setTimeout(() => URL.revokeObjectURL(url), 1000)
+                    }}
+                >
+                    <header role="none"><${Circle} fill="#F37626" />${t("t_export_card_ipynb")}</header>
+                    <section>${th("t_export_card_ipynb_description")}</section>
+                </a>
+                <a
+                    href="#"
+                    class="export_card"
+                    download=${`${print_title.replace(/\.jl$/, "").replace(/\.plutojl$/, "")}.qmd`}
+                    onClick=${(e) => {
+                        const url = URL.createObjectURL(new Blob([serialize_qmd(notebook)], { type: "text/markdown" }))
+                        e.currentTarget.href = url
+                        setTimeout(() => URL.revokeObjectURL(url), 1000)
+                    }}
+                >
+                    <header role="none"><${Circle} fill="#447099" />${t("t_export_card_qmd")}</header>
+                    <section>${th("t_export_card_qmd_description")}</section>
+                </a>
                 ${html`
                     <div class="export_title">${t("t_export_category_record")}</div>
                     <a
@@ -208,6 +236,16 @@ export const ExportBanner = ({
                 >
                     <span></span>
                 </button>
+                <button
+                    title=${t("t_compare_with_ellipsis")}
+                    class="toggle_compare"
+                    onClick=${() => {
+                        onClose()
+                        window.dispatchEvent(new CustomEvent("open pluto notebook compare"))
+                    }}
+                >
+                    <span></span>
+                </button>
                 <button
                     title=${t("t_start_presentation")}
                     class="toggle_presentation"
@@ -0,0 +1,109 @@
+import { html, useMemo, useState } from "../imports/Preact.js"
+
+import { useEventListener } from "../common/useEventListener.js"
+import { cells_using_global, symbol_occurrences } from "./CellInput/rename_symbol.js"
+import { line_and_ch } from "../common/NotebookSearch.js"
+import { cl } from "../common/ClassTable.js"
+import { t } from "../common/lang.js"
+
+/**
+ * @param {import("./Editor.js").CellResultData?} result
+ * @param {boolean} changed Whether the cell has unsubmitted changes
+ */
+const run_state = (result, changed) =>
+    result?.running ? "running" : result?.queued ? "queued" : changed ? "changed" : result?.errored ? "errored" : result?.runtime == null ? "not_run" : "done"
+
+/**
+ * A list of every place where a variable is used: in all cells for a global variable, and in its own cell for a local variable. Opened with Shift+F12 in a cell, clicking a reference jumps to it.
+ *
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  cell_inputs_local: { [uuid: string]: { code: string } },
+ * }} props
+ */
+export const FindReferences = ({ notebook, cell_inputs_local }) => {
+    const [target, set_target] = useState(/** @type {import("./CellInput/rename_symbol.js").RenameTarget?} */ (null))
+
+    useEventListener(window, "open pluto find references", (/** @type {CustomEvent} */ e) => set_target(e.detail), [])
+    // The find panel opens in the same place.
+    useEventListener(window, "open pluto find", () => set_target(null), [])
+
+    const code_of = (/** @type {string} */ cell_id) => cell_inputs_local[cell_id]?.code ?? notebook.cell_inputs[cell_id]?.code ?? ""
+
+    const references = useMemo(() => {
+        if (target == null) return []
+        const cell_ids = target.local_definition != null ? [target.cell_id] : cells_using_global(notebook, code_of, target.name)
+        return cell_ids
+            .map((cell_id) => {
+                const code = code_of(cell_id)
+                try {
+                    return { cell_id, code, occurrences: symbol_occurrences(code, target.name, target.local_definition) }
+                } catch (e) {
+                    console.error("Could not find variables in cell", cell_id, e)
+                    return { cell_id, code, occurrences: [] }
+                }
+            })
+            .filter((r) => r.occurrences.length > 0)
+    }, [target, notebook.cell_order, notebook.cell_inputs, notebook.cell_dependencies, cell_inputs_local])
+
+    if (target == null) return null
+
+    const close = () => set_target(null)
+    const count = references.reduce((sum, r) => sum + r.occurrences.length, 0)
+
+    return html`<aside
+        id="find_references"
+        aria-label=${t("t_references_title", { name: target.name })}
+        onKeyDown=${(e) => {
+            if (e.key === "Escape") {
+                e.stopPropagation()
+                close()
+            }
+        }}
+    >
+        <div class="references-header">
+            <span>${t("t_references_title", { name: target.name })}</span>
+            <span class="references-count">${t("t_references_count", { count, cells: references.length })}</span>
+            <button title=${t("t_references_close")} onClick=${close}>✕</button>
+        </div>
+        ${references.length === 0
+            ? html`<p class="references-none">${t("t_references_none")}</p>`
+            : html`<ol class="references-cells">
+                  ${references.map(({ cell_id, code, occurrences }) => {
+                      const state = run_state(notebook.cell_results[cell_id], code !== notebook.cell_inputs[cell_id]?.code)
+                      return html`<li key=${cell_id}>
+                          <div class="references-cell">
+                              <span class=${cl({ "references-run-state": true, [state]: true })} title=${t(`t_references_state_${state}`)}></span>
+                              <code>${code.split("\n")[0].slice(0, 60)}</code>
+                          </div>
+                          <ol class="references-list">
+                              ${occurrences.map((occurrence) => {
+                                  const from = line_and_ch(code, occurrence.from)
+                                  const line_text = code.split("\n")[from.line]
+                                  const end = from.ch + occurrence.to - occurrence.from
+                                  return html`<li>
+                                      <button
+                                          onClick=${() =>
+                                              window.dispatchEvent(
+                                                  new CustomEvent("cell_focus", {
+                                                      detail: { cell_id, ...from, to: line_and_ch(code, occurrence.to) },
+                                                  })
+                                              )}
+                                      >
+                                          <span class="references-line">${from.line + 1}</span>
+                                          <code
+                                              >${line_text.slice(Math.max(0, from.ch - 40), from.ch).trimStart()}<mark>${line_text.slice(
+                                                  from.ch,
+                                                  end
+                                              )}</mark>${line_text.slice(end, end + 60)}</code
+                                          >
+                                          ${occurrence.is_definition ? html`<span class="references-definition">${t("t_references_definition")}</span>` : null}
+                                      </button>
+                                  </li>`
+                              })}
+                          </ol>
+                      </li>`
+                  })}
+              </ol>`}
+    </aside>`
+}
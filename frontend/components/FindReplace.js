@@ -0,0 +1,269 @@
+import { html, useContext, useEffect, useMemo, useRef, useState } from "../imports/Preact.js"
+
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { find_in_notebook, line_and_ch, max_matches, replace_in_text, search_regexp } from "../common/NotebookSearch.js"
+import { cl } from "../common/ClassTable.js"
+import { t } from "../common/lang.js"
+
+/** Only this many results are listed, but you can still step through all matches. */
+const max_listed_matches = 300
+
+const output_element = (/** @type {string} */ cell_id) => document.getElementById(cell_id)?.querySelector(":scope > pluto-output")
+
+/**
+ * The text of a cell output. Cells that are not rendered (yet) only have text when their output is text.
+ * @param {string} cell_id
+ * @param {import("./Editor.js").CellResultData?} result
+ */
+const output_text = (cell_id, result) => {
+    const element = output_element(cell_id)
+    if (element != null) return element.textContent
+    const body = result?.output?.body
+    return typeof body === "string" ? body.replace(/<[^>]*>/g, "") : null
+}
+
+/** Select a piece of text in a rendered output, counting characters like `textContent`. */
+const select_text_in = (/** @type {Element} */ element, /** @type {number} */ from, /** @type {number} */ to) => {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT)
+    const range = document.createRange()
+    let position = 0
+    let started = false
+    for (let node = walker.nextNode(); node != null; node = walker.nextNode()) {
+        const length = node.textContent?.length ?? 0
+        if (!started && from <= position + length) {
+            range.setStart(node, from - position)
+            started = true
+        }
+        if (started && to <= position + length) {
+            range.setEnd(node, to - position)
+            const selection = window.getSelection()
+            selection?.removeAllRanges()
+            selection?.addRange(range)
+            node.parentElement?.scrollIntoView({ behavior: "smooth", block: "center" })
+            return
+        }
+        position += length
+    }
+}
+
+/**
+ * A search panel for the whole notebook. It searches the code of every cell (also folded and not yet rendered cells), and optionally their outputs. Replacing changes the code of all affected cells in one `update_notebook`, and runs them.
+ *
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  cell_inputs_local: { [uuid: string]: { code: string } },
+ *  disable_input: boolean,
+ * }} props
+ */
+export const FindReplace = ({ notebook, cell_inputs_local, disable_input }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+
+    const [open, set_open] = useState(false)
+    const [show_replace, set_show_replace] = useState(false)
+    const [query, set_query] = useState("")
+    const [replacement, set_replacement] = useState("")
+    const [regex, set_regex] = useState(false)
+    const [case_sensitive, set_case_sensitive] = useState(false)
+    const [whole_word, set_whole_word] = useState(false)
+    const [in_outputs, set_in_outputs] = useState(false)
+    const [current, set_current] = useState(0)
+
+    const query_ref = useRef(/** @type {HTMLInputElement?} */ (null))
+
+    useEventListener(
+        window,
+        "open pluto find",
+        (/** @type {CustomEvent} */ e) => {
+            set_open(true)
+            set_show_replace(e.detail?.replace === true)
+            // Start with the selected text, like the browser search does.
+            const selected = window.getSelection()?.toString() ?? ""
+            if (selected !== "" && !selected.includes("\n")) set_query(selected)
+            requestAnimationFrame(() => {
+                query_ref.current?.focus()
+                query_ref.current?.select()
+            })
+        },
+        []
+    )
+    // The references panel opens in the same place.
+    useEventListener(window, "open pluto find references", () => set_open(false), [])
+
+    /** @type {{ re: RegExp?, error: string? }} */
+    const { re, error } = useMemo(() => {
+        try {
+            return { re: search_regexp({ query, regex, case_sensitive, whole_word }), error: null }
+        } catch (e) {
+            return { re: null, error: e.message }
+        }
+    }, [query, regex, case_sensitive, whole_word])
+
+    const code_of = (/** @type {string} */ cell_id) => cell_inputs_local[cell_id]?.code ?? notebook.cell_inputs[cell_id]?.code ?? ""
+
+    const matches = useMemo(
+        () =>
+            !open || re == null
+                ? []
+                : find_in_notebook({
+                      cell_order: notebook.cell_order,
+                      code_of,
+                      output_of: in_outputs ? (cell_id) => output_text(cell_id, notebook.cell_results[cell_id]) : null,
+                      re,
+                  }),
+        [open, re, notebook.cell_order, notebook.cell_inputs, cell_inputs_local, in_outputs ? notebook.cell_results : null]
+    )
+
+    useEffect(() => {
+        if (current >= matches.length) set_current(Math.max(0, matches.length - 1))
+    }, [matches.length])
+
+    /** Whether we went to a match since the search changed. */
+    const visited = useRef(false)
+    useEffect(() => {
+        visited.current = false
+    }, [re, in_outputs])
+
+    const go_to = (/** @type {number} */ index) => {
+        if (matches.length === 0) return
+        const i = (index + matches.length) % matches.length
+        set_current(i)
+        visited.current = true
+        const match = matches[i]
+        if (match.in === "code") {
+            const code = code_of(match.cell_id)
+            window.dispatchEvent(
+                new CustomEvent("cell_focus", {
+                    detail: {
+                        cell_id: match.cell_id,
+                        ...line_and_ch(code, match.from),
+                        to: line_and_ch(code, match.to),
+                        // Keep typing in the search box.
+                        focus: false,
+                    },
+                })
+            )
+        } else {
+            const element = output_element(match.cell_id)
+            if (element != null) select_text_in(element, match.from, match.to)
+        }
+    }
+
+    /** Replace in the code of these cells, and leave the new code as unsubmitted changes, which you can submit together with Ctrl+S. With `only`, only the match at that position is replaced. */
+    const replace = async (/** @type {string[]} */ cell_ids, /** @type {import("../common/NotebookSearch.js").SearchMatch?} */ only = null) => {
+        if (re == null || disable_input) return
+        /** @type {Record<string, string>} */
+        const new_codes = {}
+        for (const cell_id of cell_ids) {
+            const new_code = replace_in_text(code_of(cell_id), re, replacement, regex, only)
+            if (new_code !== code_of(cell_id)) new_codes[cell_id] = new_code
+        }
+        if (Object.keys(new_codes).length > 0) await pluto_actions.set_code_multiple(new_codes, false)
+    }
+
+    const current_match = matches[current]
+    const replace_current = () => {
+        if (current_match?.in === "code") replace([current_match.cell_id], current_match)
+    }
+    const replace_all = () => {
+        const code_matches = matches.filter((m) => m.in === "code")
+        const cell_ids = [...new Set(code_matches.map((m) => m.cell_id))]
+        // We replace in all cells, also after the `max_matches` that we found.
+        const count = `${code_matches.length}${matches.length >= max_matches ? "+" : ""}`
+        if (code_matches.length > 0 && confirm(t("t_find_replace_all_confirm", { count, cells: cell_ids.length }))) {
+            replace(matches.length >= max_matches ? notebook.cell_order : cell_ids)
+        }
+    }
+
+    const close = () => {
+        set_open(false)
+        window.getSelection()?.removeAllRanges()
+    }
+
+    if (!open) return null
+
+    const toggle = (/** @type {boolean} */ value, /** @type {(v: boolean) => void} */ set, /** @type {string} */ label, /** @type {string} */ title) =>
+        html`<button class=${cl({ "find-toggle": true, "active": value })} aria-pressed=${value} title=${title} onClick=${() => set(!value)}>${label}</button>`
+
+    return html`<aside
+        id="find_replace"
+        aria-label=${t("t_find_title")}
+        onKeyDown=${(e) => {
+            if (e.key === "Escape") {
+                e.stopPropagation()
+                close()
+            }
+        }}
+    >
+        <div class="find-row">
+            <button class="find-expand" title=${t("t_find_toggle_replace")} aria-expanded=${show_replace} onClick=${() => set_show_replace(!show_replace)}>
+                ${show_replace ? "▾" : "▸"}
+            </button>
+            <input
+                ref=${query_ref}
+                type="search"
+                class=${cl({ "find-query": true, "invalid": error != null })}
+                placeholder=${t("t_find_placeholder")}
+                title=${error ?? ""}
+                value=${query}
+                onInput=${(e) => set_query(e.target.value)}
+                onKeyDown=${(e) => {
+                    if (e.key === "Enter") {
+                        e.preventDefault()
+                        // The first Enter goes to the current match, the next ones step through the matches.
+                        go_to(e.shiftKey ? current - 1 : visited.current ? current + 1 : current)
+                    }
+                }}
+            />
+            ${toggle(case_sensitive, set_case_sensitive, "Aa", t("t_find_case_sensitive"))} ${toggle(whole_word, set_whole_word, "W", t("t_find_whole_word"))}
+            ${toggle(regex, set_regex, ".*", t("t_find_regex"))}
+            <span class="find-count">
+                ${query === "" ? "" : matches.length === 0 ? t("t_find_no_results") : t("t_find_count", { current: current + 1, count: matches.length })}
+                ${matches.length >= max_matches ? "+" : ""}
+            </span>
+            <button title=${t("t_find_previous")} disabled=${matches.length === 0} onClick=${() => go_to(current - 1)}>↑</button>
+            <button title=${t("t_find_next")} disabled=${matches.length === 0} onClick=${() => go_to(current + 1)}>↓</button>
+            <button title=${t("t_find_close")} onClick=${close}>✕</button>
+        </div>
+        ${show_replace
+            ? html`<div class="find-row">
+                  <input
+                      type="text"
+                      class="find-replacement"
+                      placeholder=${t("t_find_replace_placeholder")}
+                      value=${replacement}
+                      disabled=${disable_input}
+                      onInput=${(e) => set_replacement(e.target.value)}
+                      onKeyDown=${(e) => {
+                          if (e.key === "Enter") {
+                              e.preventDefault()
+                              replace_current()
+                          }
+                      }}
+                  />
+                  <button disabled=${disable_input || current_match?.in !== "code"} onClick=${replace_current}>${t("t_find_replace")}</button>
+                  <button disabled=${disable_input || !matches.some((m) => m.in === "code")} onClick=${replace_all}>${t("t_find_replace_all")}</button>
+              </div>`
+            : null}
+        <label class="find-in-outputs">
+            <input type="checkbox" checked=${in_outputs} onChange=${(e) => set_in_outputs(e.target.checked)} /> ${t("t_find_in_outputs")}
+        </label>
+        ${matches.length > 0
+            ? html`<ol class="find-results">
+                  ${matches.slice(0, max_listed_matches).map((match, i) => {
+                      const text = match.in === "code" ? code_of(match.cell_id) : output_text(match.cell_id, notebook.cell_results[match.cell_id]) ?? ""
+                      const line_start = text.lastIndexOf("\n", match.from - 1) + 1
+                      const line_end_index = text.indexOf("\n", match.to)
+                      const line_end = line_end_index === -1 ? text.length : line_end_index
+                      const before = text.slice(Math.max(line_start, match.from - 40), match.from)
+                      return html`<li class=${cl({ current: i === current, [match.in]: true })}>
+                          <button onClick=${() => go_to(i)}>
+                              <span class="find-result-where">${match.in === "code" ? t("t_find_in_code") : t("t_find_in_output")}</span>
+                              <code>${before}<mark>${text.slice(match.from, match.to)}</mark>${text.slice(match.to, Math.min(line_end, match.to + 60))}</code>
+                          </button>
+                      </li>`
+                  })}
+              </ol>`
+            : null}
+    </aside>`
+}
@@ -6,6 +6,7 @@ import { RawHTMLContainer, highlight } from "./CellOutput.js"
 import { PlutoActionsContext } from "../common/PlutoContext.js"
 import { cl } from "../common/ClassTable.js"
 import { t } from "../common/lang.js"
+import { RequestAbortedError } from "../common/PlutoConnection.js"
 
 /**
  * @param {{
@@ -19,6 +20,7 @@ import { t } from "../common/lang.js"
 export let LiveDocsTab = ({ focus_on_open, desired_doc_query, on_update_doc_query, notebook, sanitize_html = true }) => {
     let pluto_actions = useContext(PlutoActionsContext)
     let live_doc_search_ref = useRef(/** @type {HTMLInputElement?} */ (null))
+    let docs_request_ref = useRef(/** @type {AbortController?} */ (null))
 
     // This is all in a single state object so that we can update multiple field simultaneously
     let [state, set_state] = useState({
@@ -55,20 +57,31 @@ export let LiveDocsTab = ({ focus_on_open, desired_doc_query, on_update_doc_quer
             state.loading = true
             state.searched_query = new_query
         })
+        // The response to an older query should not overwrite the docs for this one.
+        docs_request_ref.current?.abort()
+        const controller = new AbortController()
+        docs_request_ref.current = controller
+
         Promise.race([
             observablehq.Promises.delay(2000, false),
-            pluto_actions.send("docs", { query: new_query.replace(/^\?/, "") }, { notebook_id: notebook.notebook_id }).then((u) => {
-                if (u.message.status === "⌛") {
+            pluto_actions
+                .send("docs", { query: new_query.replace(/^\?/, "") }, { notebook_id: notebook.notebook_id }, true, { signal: controller.signal })
+                .then((u) => {
+                    if (u.message.status === "⌛") {
+                        return false
+                    }
+                    if (u.message.status === "👍") {
+                        update_state((state) => {
+                            state.shown_query = new_query
+                            state.body = u.message.doc
+                        })
+                        return true
+                    }
+                })
+                .catch((e) => {
+                    if (!(e instanceof RequestAbortedError)) console.warn("Failed to fetch docs", e)
                     return false
-                }
-                if (u.message.status === "👍") {
-                    update_state((state) => {
-                        state.shown_query = new_query
-                        state.body = u.message.doc
-                    })
-                    return true
-                }
-            }),
+                }),
         ]).then(() => {
             update_state((state) => {
                 state.loading = false
@@ -6,12 +6,11 @@ import { ansi_to_html } from "../imports/AnsiUp.js"
 import { open_pluto_popup } from "../common/open_pluto_popup.js"
 import { t, th } from "../common/lang.js"
 import { InlineIonicon } from "./PlutoLandUpload.js"
+import { PROGRESS_LOG_LEVEL, STDOUT_LOG_LEVEL } from "../common/Logging.js"
 
 const LOGS_VISIBLE_START = 60
 const LOGS_VISIBLE_END = 20
 
-const PROGRESS_LOG_LEVEL = "LogLevel(-1)"
-const STDOUT_LOG_LEVEL = "LogLevel(-555)"
 // const RESIZE_THROTTLE = 60
 
 const is_progress_log = (log) => {
@@ -0,0 +1,247 @@
+import { html, useState, useEffect, useMemo } from "../imports/Preact.js"
+
+import { cl } from "../common/ClassTable.js"
+import { t } from "../common/lang.js"
+import { read_session_trace, session_trace_to_blob } from "../common/SessionTrace.js"
+
+export const ENABLE_MESSAGE_INSPECTOR = window.localStorage.getItem("ENABLE_MESSAGE_INSPECTOR") === "true"
+
+// The message inspector is a tool for debugging the protocol between the frontend and the server, so its tab is hidden by default. You can open it from the command palette, or use this to always show the tab.
+// @ts-ignore
+window.PLUTO_TOGGLE_MESSAGE_INSPECTOR = (val = !ENABLE_MESSAGE_INSPECTOR) => {
+    window.localStorage.setItem("ENABLE_MESSAGE_INSPECTOR", String(val))
+    window.location.reload()
+}
+
+/** Typed arrays (images, plots, etc.) are shown as a summary, otherwise a single message can be megabytes of JSON. */
+const json_replacer = (key, value) => (ArrayBuffer.isView(value) ? `${value.constructor.name}(${"length" in value ? value.length : value.byteLength})` : value)
+
+const to_json = (value) => JSON.stringify(value, json_replacer, 2)
+
+const max_shown_json_length = 20_000
+
+const pretty_size = (/** @type {number} */ bytes) =>
+    bytes < 1000 ? `${bytes} B` : bytes < 1_000_000 ? `${(bytes / 1000).toFixed(1)} kB` : `${(bytes / 1_000_000).toFixed(1)} MB`
+
+const file_timestamp = () => new Date().toISOString().replaceAll(":", "-")
+
+const download_blob = (/** @type {Blob} */ blob, /** @type {string} */ filename) => {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = filename
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const pretty_time = (/** @type {number} */ time) => {
+    const date = new Date(time)
+    return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, "0")}`
+}
+
+/**
+ * The JSON patches inside a message, if it has any: the patches that the server sent (`notebook_diff`), or that we sent (`update_notebook`).
+ * @param {import("../common/PlutoConnection.js").LoggedMessage} entry
+ * @returns {Array<{ op: string, path: Array<string | number>, value?: any }>?}
+ */
+const patches_of = (entry) =>
+    entry.direction === "received" && entry.message_type === "notebook_diff"
+        ? entry.message.message?.patches ?? null
+        : entry.direction === "sent" && entry.message_type === "update_notebook"
+        ? entry.message.body?.updates ?? null
+        : null
+
+/**
+ * Match every response to its request (by `request_id`), so that we can show the latency. Both directions are in the map: the request gives its response, and the response gives its request.
+ * @param {import("../common/PlutoConnection.js").LoggedMessage[]} entries
+ * @returns {Map<import("../common/PlutoConnection.js").LoggedMessage, import("../common/PlutoConnection.js").LoggedMessage>}
+ */
+export const pair_requests = (entries) => {
+    const sent_by_id = new Map()
+    const result = new Map()
+    for (const entry of entries) {
+        if (entry.request_id == null) continue
+        if (entry.direction === "sent") {
+            sent_by_id.set(entry.request_id, entry)
+        } else if (sent_by_id.has(entry.request_id)) {
+            const request = sent_by_id.get(entry.request_id)
+            result.set(entry, request)
+            result.set(request, entry)
+        }
+    }
+    return result
+}
+
+/**
+ * The messages in one direction whose type or request ID contains `filter`.
+ * @param {import("../common/PlutoConnection.js").LoggedMessage[]} entries
+ * @param {{ direction: "all" | "sent" | "received", filter: string }} options
+ */
+export const filter_messages = (entries, { direction, filter }) =>
+    entries.filter(
+        (entry) =>
+            (direction === "all" || entry.direction === direction) &&
+            (filter === "" || entry.message_type.includes(filter) || (entry.request_id ?? "").includes(filter))
+    )
+
+/**
+ * Keep a copy of the log that updates while the tab is open. We only observe messages while the tab is open, and we update at most once per frame, so that sending messages stays fast.
+ * @param {import("../common/Stack.js").Stack<import("../common/PlutoConnection.js").LoggedMessage>?} message_log
+ * @param {((observer: (entry: import("../common/PlutoConnection.js").LoggedMessage) => void) => () => void)?} observe_messages
+ */
+const useMessageLog = (message_log, observe_messages) => {
+    const [entries, set_entries] = useState(/** @type {import("../common/PlutoConnection.js").LoggedMessage[]} */ ([...(message_log?.get() ?? [])]))
+    useEffect(() => {
+        if (message_log == null || observe_messages == null) return
+        let frame = null
+        const unobserve = observe_messages(() => {
+            if (frame != null) return
+            frame = requestAnimationFrame(() => {
+                frame = null
+                set_entries([...message_log.get()])
+            })
+        })
+        return () => {
+            unobserve()
+            if (frame != null) cancelAnimationFrame(frame)
+        }
+    }, [message_log, observe_messages])
+    return entries
+}
+
+/**
+ * Record and replay session traces, see SessionTrace.js. Implemented by the Editor.
+ * @typedef SessionTraceControls
+ * @type {{
+ *  recording: boolean,
+ *  replaying: boolean,
+ *  start_recording: () => void,
+ *  stop_recording: () => import("../common/SessionTrace.js").SessionTrace?,
+ *  replay: (trace: import("../common/SessionTrace.js").SessionTrace, speed?: number) => Promise<void>,
+ * }}
+ */
+
+/**
+ * @param {{
+ * message_log: import("../common/Stack.js").Stack<import("../common/PlutoConnection.js").LoggedMessage>?,
+ * observe_messages: import("../common/PlutoConnection.js").PlutoConnection["observe_messages"]?,
+ * session_trace?: SessionTraceControls?,
+ * }} props
+ */
+export const MessageInspectorTab = ({ message_log, observe_messages, session_trace = null }) => {
+    const entries = useMessageLog(message_log, observe_messages)
+    const [filter, set_filter] = useState("")
+    const [direction, set_direction] = useState(/** @type {"all" | "sent" | "received"} */ ("all"))
+    const [selected, set_selected] = useState(/** @type {import("../common/PlutoConnection.js").LoggedMessage?} */ (null))
+    const [replay_speed, set_replay_speed] = useState(1)
+
+    const partners = useMemo(() => pair_requests(entries), [entries])
+    const shown = filter_messages(entries, { direction, filter })
+
+    const on_export = () => {
+        const trace = {
+            exported_at: new Date().toISOString(),
+            user_agent: navigator.userAgent,
+            // The log only keeps the most recent messages. Record a session (see SessionTrace.js) to get all of them.
+            max_messages: message_log?.max_size ?? null,
+            messages: entries,
+        }
+        download_blob(new Blob([to_json(trace)], { type: "application/json" }), `pluto_trace_${file_timestamp()}.json`)
+    }
+
+    const on_stop_recording = () => {
+        const trace = session_trace?.stop_recording()
+        if (trace != null) download_blob(session_trace_to_blob(trace), `pluto_session_${file_timestamp()}.plutotrace`)
+    }
+
+    const on_replay_file = async (/** @type {HTMLInputElement} */ input) => {
+        const file = input.files?.[0]
+        input.value = ""
+        if (file == null || session_trace == null) return
+        try {
+            await session_trace.replay(await read_session_trace(file), replay_speed)
+        } catch (e) {
+            console.error(e)
+            alert(t("t_message_inspector_replay_failed", { error: e.message }))
+        }
+    }
+
+    const latency_of = (entry) => {
+        const partner = partners.get(entry)
+        return partner == null ? null : Math.abs(entry.time - partner.time)
+    }
+
+    const selected_patches = selected == null ? null : patches_of(selected)
+    const selected_json = selected == null ? "" : to_json(selected_patches ?? selected.message)
+
+    return html`
+        <section class="message-inspector">
+            <div class="message-inspector-toolbar">
+                <input type="search" placeholder=${t("t_message_inspector_filter")} value=${filter} onInput=${(e) => set_filter(e.target.value)} />
+                <select value=${direction} onChange=${(e) => set_direction(e.target.value)}>
+                    <option value="all">${t("t_message_inspector_all")}</option>
+                    <option value="sent">${t("t_message_inspector_sent")}</option>
+                    <option value="received">${t("t_message_inspector_received")}</option>
+                </select>
+                <button
+                    onClick=${on_export}
+                    disabled=${entries.length === 0}
+                    title=${t("t_message_inspector_export_description", { count: message_log?.max_size })}
+                >
+                    ${t("t_message_inspector_export", { count: message_log?.max_size })}
+                </button>
+            </div>
+            ${session_trace == null
+                ? null
+                : html`<div class="message-inspector-toolbar">
+                      ${session_trace.recording
+                          ? html`<button class="recording" onClick=${on_stop_recording}>${t("t_message_inspector_stop_recording")}</button>`
+                          : html`<button
+                                title=${t("t_message_inspector_record_description")}
+                                onClick=${session_trace.start_recording}
+                                disabled=${session_trace.replaying}
+                            >
+                                ${t("t_message_inspector_record")}
+                            </button>`}
+                      <label class="message-inspector-file-button" title=${t("t_message_inspector_replay_description")}>
+                          ${t("t_message_inspector_replay")}
+                          <input type="file" accept=".plutotrace" onChange=${(e) => on_replay_file(e.target)} />
+                      </label>
+                      <select title=${t("t_message_inspector_speed")} value=${replay_speed} onChange=${(e) => set_replay_speed(Number(e.target.value))}>
+                          <option value="1">1×</option>
+                          <option value="10">10×</option>
+                          <option value="Infinity">∞</option>
+                      </select>
+                  </div>`}
+            ${shown.length === 0
+                ? html`<p class="message-inspector-empty">${t("t_message_inspector_empty")}</p>`
+                : html`<table class="message-inspector-list">
+                      <tbody>
+                          ${shown.map((entry) => {
+                              const latency = latency_of(entry)
+                              return html`<tr
+                                  class=${cl({ selected: entry === selected, [entry.direction]: true })}
+                                  onClick=${() => set_selected(entry === selected ? null : entry)}
+                              >
+                                  <td class="direction" title=${t(`t_message_inspector_${entry.direction}`)}>${entry.direction === "sent" ? "↑" : "↓"}</td>
+                                  <td class="time">${pretty_time(entry.time)}</td>
+                                  <td class="type">${entry.message_type}</td>
+                                  <td class="size">${pretty_size(entry.size)}</td>
+                                  <td class="latency">${latency == null ? "" : `${latency} ms`}</td>
+                              </tr>`
+                          })}
+                      </tbody>
+                  </table>`}
+            ${selected == null
+                ? null
+                : html`<div class="message-inspector-details">
+                      <p>
+                          <code>${selected.message_type}</code>
+                          ${selected.request_id == null ? null : html` · ${t("t_message_inspector_request_id")} <code>${selected.request_id}</code>`}
+                          ${selected_patches == null ? null : html` · ${t("t_message_inspector_patches", { count: selected_patches.length })}`}
+                      </p>
+                      <pre>${selected_json.length > max_shown_json_length ? `${selected_json.slice(0, max_shown_json_length)}\n…` : selected_json}</pre>
+                  </div>`}
+        </section>
+    `
+}
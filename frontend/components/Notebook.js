@@ -4,6 +4,7 @@ import { html, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState
 
 import { Cell } from "./Cell.js"
 import { nbpkg_fingerprint } from "./PkgStatusMark.js"
+import { other_peers } from "../common/Collab.js"
 
 /** Like `useMemo`, but explain to the console what invalidated the memo. */
 export const useMemoDebug = (fn, args) => {
@@ -44,6 +45,9 @@ const CellMemo = ({
     global_definition_locations,
     is_first_cell,
     inspecting_hidden_code,
+    collab_data,
+    remote_selections,
+    other_peers_present,
 }) => {
     const { body, last_run_timestamp, mime, persist_js_state, rootassignee } = cell_result?.output || {}
     const { queued, running, runtime, errored, depends_on_disabled_cells, logs, depends_on_skipped_cells } = cell_result || {}
@@ -67,6 +71,9 @@ const CellMemo = ({
                 global_definition_locations=${global_definition_locations}
                 is_first_cell=${is_first_cell}
                 inspecting_hidden_code=${inspecting_hidden_code}
+                collab_data=${collab_data}
+                remote_selections=${remote_selections}
+                other_peers_present=${other_peers_present}
             />
         `
     }, [
@@ -102,9 +109,14 @@ const CellMemo = ({
         global_definition_locations,
         is_first_cell,
         inspecting_hidden_code,
+        collab_data,
+        remote_selections,
+        other_peers_present,
     ])
 }
 
+const no_remote_selections = []
+
 /**
  * Rendering cell outputs can slow down the initial page load, so we delay rendering them using this heuristic function to determine the length of the delay (as a function of the number of cells in the notebook). Since using CodeMirror 6, cell inputs do not cause a slowdown when out-of-viewport, rendering is delayed until they come into view.
  * @param {Number} num_cells
@@ -118,6 +130,7 @@ const render_cell_outputs_minimum = 20
 /**
  * @param {{
  *  notebook: import("./Editor.js").NotebookData,
+ *  collab: import("../common/Collab.js").CollabData,
  *  cell_inputs_local: { [uuid: string]: { code: String } },
  *  on_update_doc_query: any,
  *  on_cell_input: any,
@@ -134,6 +147,7 @@ const render_cell_outputs_minimum = 20
  * */
 export const Notebook = ({
     notebook,
+    collab,
     cell_inputs_local,
     last_created_cell,
     selected_cells,
@@ -178,6 +192,19 @@ export const Notebook = ({
         [notebook?.cell_dependencies]
     )
 
+    const peers = useMemo(() => other_peers(collab), [collab?.presence])
+
+    // Cursors of other people, grouped by the cell that they are in.
+    const remote_selections_by_cell = useMemo(() => {
+        /** @type {{ [cell_id: string]: import("./CellInput/collab_plugin.js").RemoteSelection[] }} */
+        const result = {}
+        for (const [peer_id, { name, color, cell_id, selection }] of peers) {
+            if (cell_id == null || selection == null) continue
+            result[cell_id] = [...(result[cell_id] ?? []), { peer_id, name, color, ranges: selection }]
+        }
+        return result
+    }, [peers])
+
     useLayoutEffect(() => {
         let oldhash = window.location.hash
         if (oldhash.length > 1) {
@@ -222,6 +249,9 @@ export const Notebook = ({
                         global_definition_locations=${global_definition_locations}
                         is_first_cell=${i === 0}
                         inspecting_hidden_code=${inspecting_hidden_code}
+                        collab_data=${collab?.cells?.[cell_id] ?? null}
+                        remote_selections=${remote_selections_by_cell[cell_id] ?? no_remote_selections}
+                        other_peers_present=${peers.length > 0}
                     />`
                 )}
             ${
@@ -0,0 +1,209 @@
+import { html, useContext, useEffect, useMemo, useState } from "../imports/Preact.js"
+
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { diff_notebooks } from "../common/NotebookDiff.js"
+import { cl } from "../common/ClassTable.js"
+import { t } from "../common/lang.js"
+
+/**
+ * @typedef ComparedVersion
+ * @type {{
+ *  name: string,
+ *  version: import("../common/NotebookDiff.js").NotebookVersion,
+ * }}
+ */
+
+export const DiffLines = ({ lines }) =>
+    lines.length === 0
+        ? null
+        : html`<pre class="diff-lines">
+${lines.map((line) => html`<div class=${line.type}><span>${line.type === "insert" ? "+" : line.type === "delete" ? "-" : " "}</span>${line.text}</div>`)}</pre
+          >`
+
+const Hunk = ({ hunk, busy, on_accept, on_reject }) => html`<div class=${cl({ "diff-hunk": true, [hunk.kind]: true })}>
+    <div class="diff-hunk-header">
+        <span>${t(`t_compare_hunk_${hunk.kind}`)}</span>
+        <button onClick=${() => on_accept(hunk)} disabled=${busy} title=${t("t_compare_accept_description")}>${t("t_compare_accept")}</button>
+        <button onClick=${() => on_reject(hunk)} title=${t("t_compare_reject_description")}>${t("t_compare_reject")}</button>
+    </div>
+    <${DiffLines} lines=${hunk.lines} />
+</div>`
+
+/**
+ * Compare the notebook with another version of it (another notebook file, or a backup), and take over changes from that version one hunk at a time.
+ *
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  opened_version: import("../common/NotebookDiff.js").NotebookVersion?,
+ *  connected: boolean,
+ * }} props
+ */
+export const NotebookCompare = ({ notebook, opened_version, connected }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+
+    const [compared, set_compared] = useState(/** @type {ComparedVersion?} */ (null))
+    const [candidates, set_candidates] = useState(/** @type {Array<{ path: string, name: string, mtime: number }>} */ ([]))
+    const [rejected, set_rejected] = useState(/** @type {Set<string>} */ (new Set()))
+    const [show_unchanged, set_show_unchanged] = useState(false)
+    const [busy, set_busy] = useState(false)
+    const [run_after, set_run_after] = useState(false)
+
+    useEventListener(
+        window,
+        "open pluto notebook compare",
+        () => {
+            if (!connected) {
+                alert(t("t_compare_not_connected"))
+                return
+            }
+            open()
+        },
+        [open, connected]
+    )
+
+    useEffect(() => {
+        if (!currently_open) return
+        pluto_actions
+            .send("comparison_candidates", {}, { notebook_id: notebook.notebook_id })
+            .then(({ message }) => set_candidates(message.candidates))
+            .catch(console.warn)
+    }, [currently_open])
+
+    const start = (/** @type {ComparedVersion} */ version) => {
+        set_rejected(new Set())
+        set_compared(version)
+    }
+
+    const read_version = async (/** @type {string} */ name, /** @type {Record<string, string>} */ body) => {
+        set_busy(true)
+        try {
+            const { message } = await pluto_actions.send("read_notebook_version", body, { notebook_id: notebook.notebook_id })
+            if (message.ok) {
+                start({ name, version: message.version })
+            } else {
+                alert(t("t_compare_read_failed", { error: message.why_not }))
+            }
+        } finally {
+            set_busy(false)
+        }
+    }
+
+    const on_file = async (/** @type {HTMLInputElement} */ input) => {
+        const file = input.files?.[0]
+        input.value = ""
+        if (file == null) return
+        await read_version(file.name, { contents: await file.text() })
+    }
+
+    const diff = useMemo(
+        () =>
+            compared == null
+                ? null
+                : diff_notebooks({ cell_inputs: notebook.cell_inputs, cell_order: notebook.cell_order, metadata: notebook.metadata }, compared.version),
+        [compared, notebook.cell_inputs, notebook.cell_order, notebook.metadata]
+    )
+
+    const visible = (/** @type {import("../common/NotebookDiff.js").DiffHunk} */ hunk) => !rejected.has(hunk.key)
+
+    const accept = async (/** @type {import("../common/NotebookDiff.js").DiffHunk[]} */ hunks) => {
+        if (hunks.length === 0) return
+        set_busy(true)
+        try {
+            await pluto_actions.update_notebook((notebook) => {
+                for (const hunk of hunks) hunk.apply(notebook)
+            })
+            // Code changes are only saved to the file by `run_multiple_cells`, see `response_update_notebook`. With an empty list of cells, it saves the file without running the changed cells, like deleting a cell does.
+            if (hunks.some((hunk) => hunk.run != null)) {
+                const to_run = run_after ? hunks.flatMap((hunk) => hunk.run ?? []) : []
+                await pluto_actions.send("run_multiple_cells", { cells: to_run }, { notebook_id: notebook.notebook_id })
+            }
+        } catch (e) {
+            console.error(e)
+            alert(t("t_compare_accept_failed", { error: e.message }))
+        } finally {
+            set_busy(false)
+        }
+    }
+    const reject = (/** @type {import("../common/NotebookDiff.js").DiffHunk[]} */ hunks) =>
+        set_rejected(new Set([...rejected, ...hunks.map((hunk) => hunk.key)]))
+
+    const all_hunks = diff == null ? [] : [...diff.notebook_hunks, ...diff.cells.flatMap((cell) => cell.hunks)].filter(visible)
+    // Accepting all code hunks of a cell at once: the line numbers of later hunks depend on earlier ones, so we only take the first hunk of every cell, and the rest follows after the diff updates.
+    const accept_all = () =>
+        accept(all_hunks.filter((hunk, i) => hunk.kind !== "code" || all_hunks.findIndex((h) => h.kind === "code" && h.cell_id === hunk.cell_id) === i))
+
+    const stop = () => set_compared(null)
+
+    const render_hunk = (/** @type {import("../common/NotebookDiff.js").DiffHunk} */ hunk) =>
+        html`<${Hunk} key=${hunk.key} hunk=${hunk} busy=${busy} on_accept=${(h) => accept([h])} on_reject=${(h) => reject([h])} />`
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-notebook-compare">
+        <h1>${t("t_compare_title")}</h1>
+        ${compared == null
+            ? html`<div class="compare-sources">
+                  <p>${t("t_compare_description")}</p>
+                  <label class="compare-file-button">
+                      ${t("t_compare_open_file")}
+                      <input type="file" accept=".jl" disabled=${busy} onChange=${(e) => on_file(e.target)} />
+                  </label>
+                  ${opened_version == null
+                      ? null
+                      : html`<button onClick=${() => start({ name: t("t_compare_opened_version"), version: opened_version })}>
+                            ${t("t_compare_opened_version")}
+                        </button>`}
+                  ${candidates.length === 0
+                      ? html`<p class="compare-no-backups">${t("t_compare_no_backups")}</p>`
+                      : html`<p>${t("t_compare_backups")}</p>
+                            <ul class="compare-backups">
+                                ${candidates.map(
+                                    (c) => html`<li>
+                                        <button disabled=${busy} onClick=${() => read_version(c.name, { path: c.path })}>${c.name}</button>
+                                        <span>${new Date(c.mtime * 1000).toLocaleString()}</span>
+                                    </li>`
+                                )}
+                            </ul>`}
+              </div>`
+            : html`<div class="compare-toolbar">
+                      <span>${t("t_compare_comparing_with", { name: compared.name })}</span>
+                      <label
+                          ><input type="checkbox" checked=${show_unchanged} onChange=${(e) => set_show_unchanged(e.target.checked)} /> ${t(
+                              "t_compare_show_unchanged"
+                          )}</label
+                      >
+                      <label
+                          ><input type="checkbox" checked=${run_after} onChange=${(e) => set_run_after(e.target.checked)} /> ${t("t_compare_run_after")}</label
+                      >
+                      <button onClick=${accept_all} disabled=${busy || all_hunks.length === 0}>${t("t_compare_accept_all")}</button>
+                      <button onClick=${() => reject(all_hunks)} disabled=${all_hunks.length === 0}>${t("t_compare_reject_all")}</button>
+                      <button onClick=${stop}>${t("t_compare_other_version")}</button>
+                  </div>
+                  ${all_hunks.length === 0 ? html`<p class="compare-no-differences">${t("t_compare_no_differences")}</p>` : null}
+                  ${diff?.notebook_hunks.filter(visible).map(render_hunk)}
+                  ${diff?.cells.map((cell) => {
+                      const hunks = cell.hunks.filter(visible)
+                      if (hunks.length === 0 && !show_unchanged) return null
+                      return html`<section class=${cl({ "compare-cell": true, [cell.status]: true })} key=${cell.cell_id}>
+                          <header>
+                              <a
+                                  href=${`#${cell.cell_id}`}
+                                  onClick=${(e) => {
+                                      e.preventDefault()
+                                      if (notebook.cell_inputs[cell.cell_id] == null) return
+                                      close()
+                                      window.dispatchEvent(new CustomEvent("cell_focus", { detail: { cell_id: cell.cell_id } }))
+                                  }}
+                                  ><code>${cell.code.split("\n")[0].slice(0, 60) || cell.cell_id}</code></a
+                              >
+                              <span class="compare-cell-status">${t(`t_compare_cell_${cell.status}`)}</span>
+                          </header>
+                          ${hunks.map(render_hunk)}
+                      </section>`
+                  })}`}
+        <div class="final">
+            <button onClick=${close}>${t("t_compare_close")}</button>
+        </div>
+    </dialog>`
+}
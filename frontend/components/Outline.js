@@ -0,0 +1,256 @@
+import { html, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from "../imports/Preact.js"
+
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { is_noop_action } from "../common/SliderServerClient.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { outline_entries, section_move } from "../common/OutlineEntries.js"
+import { t } from "../common/lang.js"
+
+const OUTLINE_OPEN_STORAGE_KEY = "PLUTO_OUTLINE_OPEN"
+const SECTION_DRAG_TYPE = "text/pluto-outline-section"
+
+export const ENABLE_MINIMAP = localStorage.getItem("ENABLE_MINIMAP") === "true"
+
+// @ts-ignore
+window.PLUTO_TOGGLE_MINIMAP = (val = !ENABLE_MINIMAP) => {
+    window.localStorage.setItem("ENABLE_MINIMAP", String(val))
+    window.location.reload()
+}
+
+/**
+ * @param {import("./Editor.js").NotebookData} notebook
+ * @param {string[]} cell_ids
+ * @returns {"errored" | "running" | "queued" | null}
+ */
+const status_of = (notebook, cell_ids) => {
+    const results = cell_ids.map((id) => notebook.cell_results[id])
+    if (results.some((r) => r?.errored)) return "errored"
+    if (results.some((r) => r?.running)) return "running"
+    if (results.some((r) => r?.queued)) return "queued"
+    return null
+}
+
+/** @typedef {import("../common/OutlineEntries.js").OutlineEntry} OutlineEntry */
+
+const scroll_to = (/** @type {OutlineEntry} */ entry) => {
+    const cell = document.getElementById(entry.cell_id)
+    const target = entry.heading == null ? cell : cell?.querySelectorAll("pluto-output h1, pluto-output h2, pluto-output h3")[entry.heading.index] ?? cell
+    target?.scrollIntoView({ behavior: "smooth", block: "start" })
+}
+
+/**
+ * @typedef NotebookLayout
+ * @type {{
+ *  cells: Record<string, { top: number, height: number }>,
+ *  page_height: number,
+ * }}
+ */
+
+/**
+ * @typedef Viewport
+ * @type {{ top: number, height: number }}
+ */
+
+/**
+ * Where the cells are on the page. This only changes when a cell changes size, not when you scroll.
+ * @param {string[]} cell_order
+ * @returns {NotebookLayout}
+ */
+const measure_layout = (cell_order) => {
+    /** @type {NotebookLayout["cells"]} */
+    const cells = {}
+    for (const cell_id of cell_order) {
+        const rect = document.getElementById(cell_id)?.getBoundingClientRect()
+        if (rect == null) continue
+        cells[cell_id] = { top: rect.top + window.scrollY, height: rect.height }
+    }
+    return { cells, page_height: Math.max(1, document.documentElement.scrollHeight) }
+}
+
+/** @returns {Viewport} */
+const measure_viewport = () => ({ top: window.scrollY, height: window.innerHeight })
+
+/**
+ * The cell at the top of the screen.
+ * @param {string[]} cell_order
+ * @param {NotebookLayout} layout
+ * @param {Viewport} viewport
+ */
+const active_cell_of = (cell_order, layout, viewport) => {
+    let active_cell = cell_order[0] ?? null
+    for (const cell_id of cell_order) {
+        const position = layout.cells[cell_id]
+        if (position != null && position.top <= viewport.top + viewport.height * 0.3) active_cell = cell_id
+    }
+    return active_cell
+}
+
+/**
+ * Call `f` at most once per frame.
+ * @param {() => void} f
+ */
+const useOncePerFrame = (f) => {
+    const f_ref = useRef(f)
+    f_ref.current = f
+    const frame_ref = useRef(/** @type {number?} */ (null))
+    useEffect(() => () => frame_ref.current == null ? undefined : cancelAnimationFrame(frame_ref.current), [])
+    return () => {
+        if (frame_ref.current != null) return
+        frame_ref.current = requestAnimationFrame(() => {
+            frame_ref.current = null
+            f_ref.current()
+        })
+    }
+}
+
+/**
+ * A collapsible sidebar with the headings and definitions of the notebook, and a minimap strip on the right side of the screen (off by default, see `PLUTO_TOGGLE_MINIMAP`). Both show which cells are running or errored, and follow along as you scroll.
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  disable_input: boolean,
+ * }} props
+ */
+export const Outline = ({ notebook, disable_input }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const [open, set_open] = useState(localStorage.getItem(OUTLINE_OPEN_STORAGE_KEY) === "true")
+    const [layout, set_layout] = useState(/** @type {NotebookLayout?} */ (null))
+    const [viewport, set_viewport] = useState(/** @type {Viewport} */ (measure_viewport()))
+    const [dragging, set_dragging] = useState(/** @type {OutlineEntry?} */ (null))
+    const [drop_target, set_drop_target] = useState(/** @type {string?} */ (null))
+    const list_ref = useRef(/** @type {HTMLElement?} */ (null))
+
+    useEffect(() => {
+        localStorage.setItem(OUTLINE_OPEN_STORAGE_KEY, String(open))
+    }, [open])
+    useEventListener(window, "pluto toggle outline", () => set_open((o) => !o), [])
+
+    const entries = useMemo(() => (open ? outline_entries(notebook) : []), [open, notebook])
+    const can_reorder = !disable_input && !is_noop_action(pluto_actions.move_remote_cells)
+
+    // Cells are only measured when one of them changes size. Scrolling only changes the viewport, which is cheap to read.
+    const measuring = open || ENABLE_MINIMAP
+    const remeasure = useOncePerFrame(() => set_layout(measure_layout(notebook.cell_order)))
+    const update_viewport = useOncePerFrame(() => set_viewport(measure_viewport()))
+    useEventListener(window, "scroll", measuring ? update_viewport : () => {}, [measuring])
+    useEventListener(window, "resize", measuring ? update_viewport : () => {}, [measuring])
+    useEffect(() => {
+        if (!measuring) return
+        const observer = new ResizeObserver(remeasure)
+        for (const cell_id of notebook.cell_order) {
+            const cell = document.getElementById(cell_id)
+            if (cell != null) observer.observe(cell)
+        }
+        remeasure()
+        update_viewport()
+        return () => observer.disconnect()
+    }, [measuring, notebook.cell_order])
+
+    // Scroll spy: the last entry at or above the cell at the top of the screen.
+    const active_cell = layout == null ? null : active_cell_of(notebook.cell_order, layout, viewport)
+    const active_index = active_cell == null ? -1 : notebook.cell_order.indexOf(active_cell)
+    const active_key = entries.filter((e) => notebook.cell_order.indexOf(e.cell_id) <= active_index).pop()?.key ?? null
+    useLayoutEffect(() => {
+        list_ref.current?.querySelector(".active")?.scrollIntoView({ block: "nearest" })
+    }, [active_key])
+
+    const can_drop_on = (/** @type {string} */ cell_id) => dragging != null && section_move(notebook.cell_order, dragging, cell_id) != null
+    const drop_before = (/** @type {string?} */ cell_id) => {
+        const move = dragging == null ? null : section_move(notebook.cell_order, dragging, cell_id)
+        if (move == null) return
+        pluto_actions.move_remote_cells(move.cell_ids, move.index)
+        set_dragging(null)
+        set_drop_target(null)
+    }
+
+    const entry_view = (/** @type {OutlineEntry} */ entry) => {
+        const status = status_of(notebook, entry.heading == null ? [entry.cell_id] : entry.section)
+        const draggable = can_reorder && entry.heading != null
+        return html`<li
+            key=${entry.key}
+            class=${[
+                entry.heading == null ? "definitions" : `heading h${entry.heading.level}`,
+                entry.key === active_key ? "active" : "",
+                status ?? "",
+                drop_target === entry.key ? "drop-target" : "",
+                dragging?.key === entry.key ? "dragging" : "",
+            ].join(" ")}
+            style=${{ "--outline-depth": entry.depth }}
+            title=${status == null ? undefined : t(`t_outline_status_${status}`)}
+            draggable=${draggable ? "true" : "false"}
+            onDragStart=${(/** @type {DragEvent} */ e) => {
+                if (!draggable || e.dataTransfer == null) return
+                e.dataTransfer.setData(SECTION_DRAG_TYPE, entry.key)
+                e.dataTransfer.effectAllowed = "move"
+                set_dragging(entry)
+            }}
+            onDragEnd=${() => {
+                set_dragging(null)
+                set_drop_target(null)
+            }}
+            onDragOver=${(/** @type {DragEvent} */ e) => {
+                if (entry.heading == null || !can_drop_on(entry.cell_id)) return
+                e.preventDefault()
+                set_drop_target(entry.key)
+            }}
+            onDragLeave=${() => set_drop_target((k) => (k === entry.key ? null : k))}
+            onDrop=${(/** @type {DragEvent} */ e) => {
+                if (entry.heading == null || !can_drop_on(entry.cell_id)) return
+                e.preventDefault()
+                drop_before(entry.cell_id)
+            }}
+        >
+            <button onClick=${() => scroll_to(entry)}>
+                <span class="outline-status"></span>
+                ${entry.heading == null ? html`<code>${entry.names?.join(", ")}</code>` : entry.heading.text}
+            </button>
+        </li>`
+    }
+
+    const minimap = ENABLE_MINIMAP && layout != null && notebook.cell_order.length > 1
+    const percent = (/** @type {number} */ y) => `${(100 * y) / (layout?.page_height ?? 1)}%`
+
+    return html`
+        ${open
+            ? html`<aside class="pluto-outline" aria-label=${t("t_outline_title")}>
+                  <header>
+                      <h2>${t("t_outline_title")}</h2>
+                      <button class="close" title=${t("t_outline_close")} onClick=${() => set_open(false)}><span></span></button>
+                  </header>
+                  <ol ref=${list_ref}>
+                      ${entries.length === 0 ? html`<li class="empty">${t("t_outline_empty")}</li>` : entries.map(entry_view)}
+                      ${dragging == null
+                          ? null
+                          : html`<li
+                                class=${`drop-end ${drop_target === "end" ? "drop-target" : ""}`}
+                                onDragOver=${(/** @type {DragEvent} */ e) => {
+                                    e.preventDefault()
+                                    set_drop_target("end")
+                                }}
+                                onDragLeave=${() => set_drop_target((k) => (k === "end" ? null : k))}
+                                onDrop=${(/** @type {DragEvent} */ e) => {
+                                    e.preventDefault()
+                                    drop_before(null)
+                                }}
+                            >
+                                ${t("t_outline_drop_end")}
+                            </li>`}
+                  </ol>
+              </aside>`
+            : html`<button class="pluto-outline-toggle" title=${t("t_outline_open")} onClick=${() => set_open(true)}><span></span></button>`}
+        ${minimap
+            ? html`<nav class="pluto-minimap" aria-hidden="true">
+                  ${notebook.cell_order.map((cell_id) => {
+                      const position = layout.cells[cell_id]
+                      if (position == null) return null
+                      return html`<div
+                          key=${cell_id}
+                          class=${`minimap-cell ${status_of(notebook, [cell_id]) ?? ""}`}
+                          style=${{ top: percent(position.top), height: percent(position.height) }}
+                          onClick=${() => document.getElementById(cell_id)?.scrollIntoView({ behavior: "smooth", block: "start" })}
+                      ></div>`
+                  })}
+                  <div class="minimap-viewport" style=${{ top: percent(viewport.top), height: percent(viewport.height) }}></div>
+              </nav>`
+            : null}
+    `
+}
@@ -0,0 +1,126 @@
+import { html, render, useContext, useEffect, useMemo, useRef, useState } from "../imports/Preact.js"
+
+import { CellOutput } from "./CellOutput.js"
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { nothing_actions } from "../common/SliderServerClient.js"
+import { output_history } from "../common/OutputHistory.js"
+import { copy_stylesheets } from "../common/copy_stylesheets.js"
+import { t } from "../common/lang.js"
+
+const format_time = (/** @type {number} */ timestamp) => new Date(timestamp * 1000).toLocaleTimeString()
+
+/**
+ * A previous output of a cell, shown in an iframe where scripts can not run (`sandbox` without `allow-scripts`). It is rendered from this page, with sanitized HTML, so we don't run its scripts either. Being in its own document, it does not get mixed up with the notebook: duplicate `id`s, `<bond>`s and published objects of the current output are not a problem.
+ *
+ * It gets actions that do nothing, so that its "more" buttons do not change the notebook.
+ * @param {{
+ *  cell_id: string,
+ *  entry: import("../common/OutputHistory.js").OutputHistoryEntry,
+ * }} props
+ */
+const OutputSnapshot = ({ cell_id, entry }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const snapshot_actions = useMemo(() => nothing_actions({ actions: pluto_actions }), [pluto_actions])
+
+    const iframe_ref = useRef(/** @type {HTMLIFrameElement?} */ (null))
+    const [doc, set_doc] = useState(/** @type {Document?} */ (null))
+    const [height, set_height] = useState(0)
+
+    const on_load = () => {
+        const doc = iframe_ref.current?.contentDocument
+        if (doc == null) return
+        copy_stylesheets(doc)
+        doc.body.classList.add("pluto-output-snapshot")
+        set_doc(doc)
+    }
+
+    useEffect(() => {
+        if (doc == null) return
+        render(
+            html`<${PlutoActionsContext.Provider} value=${snapshot_actions}>
+                <${CellOutput} key=${entry.output.last_run_timestamp} errored=${entry.errored} ...${entry.output} sanitize_html=${true} cell_id=${cell_id} />
+            </${PlutoActionsContext.Provider}>`,
+            doc.body
+        )
+    }, [doc, entry, snapshot_actions])
+
+    useEffect(() => {
+        const win = doc?.defaultView
+        if (doc == null || win == null) return
+        const observer = new win.ResizeObserver(() => set_height(doc.documentElement.scrollHeight))
+        observer.observe(doc.body)
+        return () => {
+            observer.disconnect()
+            // Unmount the output, so that its effects are cleaned up
+            render([], doc.body)
+        }
+    }, [doc])
+
+    return html`<iframe
+        ref=${iframe_ref}
+        sandbox="allow-same-origin"
+        srcdoc="<!DOCTYPE html><html><head></head><body></body></html>"
+        title=${t("t_output_history_scrubber")}
+        style=${{ height: `${height}px` }}
+        onLoad=${on_load}
+    ></iframe>`
+}
+
+/**
+ * A button to show a previous output of the cell next to the current output, with a slider to go through the history (see `common/OutputHistory.js`). The previous output is shown as an isolated snapshot, see `OutputSnapshot`.
+ * @param {{
+ *  cell_id: string,
+ *  output: import("../common/OutputHistory.js").CellOutputData,
+ *  comparing: boolean,
+ *  set_comparing: (comparing: boolean) => void,
+ * }} props
+ */
+export const OutputHistoryScrubber = ({ cell_id, output, comparing, set_comparing }) => {
+    const previous = output_history(cell_id).filter((entry) => entry.output.last_run_timestamp !== output?.last_run_timestamp)
+    /** Counted from the most recent previous output, so that a new run keeps showing the output just before the current one. */
+    const [runs_ago, set_runs_ago] = useState(1)
+    useEffect(() => {
+        if (previous.length === 0) set_comparing(false)
+    }, [previous.length])
+
+    const clamped_runs_ago = Math.min(Math.max(1, runs_ago), previous.length)
+    // Missing when there are no previous outputs
+    const entry = previous.at(-clamped_runs_ago)
+    if (entry == null) return null
+
+    if (!comparing) {
+        return html`<button
+            class="output-history-toggle"
+            title=${t("t_output_history_compare", { count: previous.length })}
+            onClick=${() => {
+                set_runs_ago(1)
+                set_comparing(true)
+            }}
+        >
+            <span></span>
+        </button>`
+    }
+
+    return html`<pluto-output-history>
+        <header>
+            <button title=${t("t_output_history_older")} disabled=${clamped_runs_ago >= previous.length} onClick=${() => set_runs_ago(clamped_runs_ago + 1)}>
+                ◀
+            </button>
+            <input
+                type="range"
+                min="1"
+                max=${previous.length}
+                step="1"
+                value=${previous.length + 1 - clamped_runs_ago}
+                aria-label=${t("t_output_history_scrubber")}
+                onInput=${(e) => set_runs_ago(previous.length + 1 - Number(e.target.value))}
+            />
+            <button title=${t("t_output_history_newer")} disabled=${clamped_runs_ago <= 1} onClick=${() => set_runs_ago(clamped_runs_ago - 1)}>▶</button>
+            <span class="output-history-label">
+                ${t("t_output_history_runs_ago", { count: clamped_runs_ago })} · ${format_time(entry.output.last_run_timestamp)}
+            </span>
+            <button class="close" title=${t("t_output_history_close")} onClick=${() => set_comparing(false)}><span></span></button>
+        </header>
+        <${OutputSnapshot} cell_id=${cell_id} entry=${entry} />
+    </pluto-output-history>`
+}
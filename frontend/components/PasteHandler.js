@@ -2,6 +2,7 @@ import { t } from "../common/lang.js"
 import { useEventListener } from "../common/useEventListener.js"
 import { html, useEffect, useRef } from "../imports/Preact.js"
 import { link_edit } from "./welcome/Open.js"
+import { ipynb_to_notebook_file } from "../common/Serialization.js"
 
 const detectNotebook = (inputtext) => {
     // Add a newline in the end for the case user didn't copy it
@@ -18,6 +19,9 @@ const detectNotebook = (inputtext) => {
     return text.slice(from, to)
 }
 
+// Jupyter notebooks are converted to a Pluto notebook file before uploading.
+const detectNotebookOrIpynb = (inputtext) => ipynb_to_notebook_file(inputtext) ?? detectNotebook(inputtext)
+
 const readMovedText = (movedDataTransferItem) =>
     new Promise((resolve, reject) => {
         try {
@@ -52,7 +56,7 @@ export const PasteHandler = ({ on_start_navigation }) => {
         }
         switch (ev.type) {
             case "paste":
-                notebook = detectNotebook(ev.clipboardData.getData("text/plain"))
+                notebook = detectNotebookOrIpynb(ev.clipboardData.getData("text/plain"))
                 break
             case "dragstart": {
                 ev.dataTransfer.dropEffect = "move"
@@ -65,8 +69,8 @@ export const PasteHandler = ({ on_start_navigation }) => {
             case "drop": {
                 ev.preventDefault()
                 notebook = ev.dataTransfer.types.includes("Files")
-                    ? await readFile(ev.dataTransfer.files[0]).then(({ file }) => file)
-                    : detectNotebook(await readMovedText(ev.dataTransfer.items[0]))
+                    ? await readFile(ev.dataTransfer.files[0]).then(({ file }) => ipynb_to_notebook_file(file) ?? file)
+                    : detectNotebookOrIpynb(await readMovedText(ev.dataTransfer.items[0]))
                 break
             }
         }
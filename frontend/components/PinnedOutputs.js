@@ -0,0 +1,202 @@
+import { html, render, useContext, useEffect, useRef, useState } from "../imports/Preact.js"
+
+import { CellOutput, register_output_elements } from "./CellOutput.js"
+import { useCellApi } from "./Cell.js"
+import { PlutoActionsContext, PlutoBondsContext } from "../common/PlutoContext.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { cell_title } from "../common/CellTitle.js"
+import { copy_stylesheets } from "../common/copy_stylesheets.js"
+import { t } from "../common/lang.js"
+
+/**
+ * A live copy of a cell's output. The wrapper element has the same API as `<pluto-cell>` (see `useCellApi`), so that scripts in the output can use `getPublishedObject` and the cell metadata functions.
+ *
+ * `@bind` widgets in the copy work like the original: they set the bond with the actions from `PlutoActionsContext`, and they show the value from `PlutoBondsContext`. So the original and the copy stay in sync.
+ * @param {{
+ *  cell_id: string,
+ *  cell_result: import("./Editor.js").CellResultData,
+ *  sanitize_html: boolean,
+ * }} props
+ */
+export const PinnedOutputBody = ({ cell_id, cell_result, sanitize_html }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const node_ref = useRef(null)
+    const cell_api_ready = useCellApi(node_ref, cell_result.published_object_keys, pluto_actions)
+
+    return html`<pluto-pinned-output ref=${node_ref} data-cell-id=${cell_id}>
+        ${cell_api_ready
+            ? html`<${CellOutput} errored=${cell_result.errored} ...${cell_result.output} sanitize_html=${sanitize_html} cell_id=${cell_id} />`
+            : null}
+    </pluto-pinned-output>`
+}
+
+const scroll_to_cell = (/** @type {string} */ cell_id) => document.getElementById(cell_id)?.scrollIntoView({ behavior: "smooth", block: "center" })
+
+/**
+ * A floating panel with a pinned output. Drag the header to move it, and the bottom right corner to resize it.
+ * @param {{
+ *  cell_id: string,
+ *  index: number,
+ *  title: string,
+ *  cell_result: import("./Editor.js").CellResultData,
+ *  sanitize_html: boolean,
+ *  on_close: () => void,
+ * }} props
+ */
+const PinnedPanel = ({ cell_id, index, title, cell_result, sanitize_html, on_close }) => {
+    // New panels are stacked on the right, a bit lower than the previous one.
+    const [position, set_position] = useState({ x: Math.max(0, window.innerWidth - 440 - 24 * index), y: 80 + 24 * index })
+    const drag_ref = useRef(/** @type {{ pointer_x: number, pointer_y: number, x: number, y: number }?} */ (null))
+
+    return html`<pluto-pinned-panel style=${`left: ${position.x}px; top: ${position.y}px;`}>
+        <header
+            onPointerDown=${(/** @type {PointerEvent} */ e) => {
+                if (e.button !== 0 || (e.target instanceof Element && e.target.closest("button"))) return
+                drag_ref.current = { pointer_x: e.clientX, pointer_y: e.clientY, ...position }
+                // @ts-ignore
+                e.currentTarget.setPointerCapture(e.pointerId)
+            }}
+            onPointerMove=${(/** @type {PointerEvent} */ e) => {
+                const drag = drag_ref.current
+                if (drag == null) return
+                set_position({
+                    x: Math.min(Math.max(0, drag.x + e.clientX - drag.pointer_x), window.innerWidth - 60),
+                    y: Math.min(Math.max(0, drag.y + e.clientY - drag.pointer_y), window.innerHeight - 30),
+                })
+            }}
+            onPointerUp=${() => {
+                drag_ref.current = null
+            }}
+            onPointerCancel=${() => {
+                drag_ref.current = null
+            }}
+        >
+            <span class="pinned-title" title=${title}>${title}</span>
+            <button class="scroll_to_cell" title=${t("t_pin_scroll_to_cell")} onClick=${() => scroll_to_cell(cell_id)}><span></span></button>
+            <button
+                class="pop_out_output"
+                title=${t("t_pin_pop_out")}
+                onClick=${() => window.dispatchEvent(new CustomEvent("pluto pop out output", { detail: { cell_id } }))}
+            >
+                <span></span>
+            </button>
+            <button class="close" title=${t("t_pin_close")} onClick=${on_close}><span></span></button>
+        </header>
+        <${PinnedOutputBody} cell_id=${cell_id} cell_result=${cell_result} sanitize_html=${sanitize_html} />
+    </pluto-pinned-panel>`
+}
+
+/**
+ * Set up an empty popup window to show an output: it gets the same stylesheets as this page, and the custom elements that outputs use.
+ * @param {Window} win
+ * @param {string} title
+ */
+const prepare_popup = (win, title) => {
+    const doc = win.document
+    copy_stylesheets(doc)
+    doc.title = title
+    doc.body.replaceChildren()
+    doc.body.classList.add("pluto-popped-out")
+    register_output_elements(win)
+}
+
+/**
+ * Pinned outputs: a live copy of a cell output in a floating panel, or in a separate browser window.
+ *
+ * Open with the "pluto pin output" and "pluto pop out output" events, with `{ cell_id }` as detail.
+ *
+ * A popped out window is rendered from this page, with the same actions and bonds. So it does not need its own connection to the server: it updates together with the notebook. Scripts in the output still run in this page, so a script that uses `document` directly sees this page, not the popup.
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  sanitize_html: boolean,
+ * }} props
+ */
+export const PinnedOutputs = ({ notebook, sanitize_html }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const pluto_bonds = useContext(PlutoBondsContext)
+
+    const [pinned, set_pinned] = useState(/** @type {string[]} */ ([]))
+    const [popped_out, set_popped_out] = useState(/** @type {string[]} */ ([]))
+    const windows_ref = useRef(/** @type {Map<string, Window>} */ (new Map()))
+
+    useEventListener(
+        window,
+        "pluto pin output",
+        (/** @type {CustomEvent} */ e) => {
+            const cell_id = e.detail.cell_id
+            const win = windows_ref.current.get(cell_id)
+            if (win != null && !win.closed) win.focus()
+            else set_pinned((ids) => (ids.includes(cell_id) ? ids : [...ids, cell_id]))
+        },
+        []
+    )
+
+    useEventListener(
+        window,
+        "pluto pop out output",
+        (/** @type {CustomEvent} */ e) => {
+            const cell_id = e.detail.cell_id
+            const existing = windows_ref.current.get(cell_id)
+            if (existing != null && !existing.closed) return existing.focus()
+
+            // This needs to happen right away (not in an effect), while we are still handling the click, or the popup gets blocked.
+            const win = window.open("", `pluto-output-${cell_id}`, "popup,width=640,height=480")
+            if (win == null) return alert(t("t_pin_popup_blocked"))
+
+            prepare_popup(win, cell_title(notebook, cell_id) || t("t_pin_untitled"))
+            win.addEventListener("pagehide", () => {
+                // Unmount the output, so that its effects are cleaned up
+                render([], win.document.body)
+                windows_ref.current.delete(cell_id)
+                set_popped_out((ids) => ids.filter((id) => id !== cell_id))
+            })
+            windows_ref.current.set(cell_id, win)
+            set_pinned((ids) => ids.filter((id) => id !== cell_id))
+            set_popped_out((ids) => [...ids.filter((id) => id !== cell_id), cell_id])
+        },
+        [notebook]
+    )
+
+    // Popped out windows do not outlive the notebook.
+    const close_windows = () => {
+        for (const win of windows_ref.current.values()) win.close()
+    }
+    useEventListener(window, "pagehide", close_windows, [])
+    useEffect(() => close_windows, [])
+
+    // Render the popped out outputs into their windows, every time that this component renders.
+    useEffect(() => {
+        for (const cell_id of popped_out) {
+            const win = windows_ref.current.get(cell_id)
+            if (win == null || win.closed) continue
+            const cell_result = notebook.cell_results[cell_id]
+            if (cell_result == null) {
+                win.close()
+                continue
+            }
+            render(
+                html`<${PlutoActionsContext.Provider} value=${pluto_actions}>
+                    <${PlutoBondsContext.Provider} value=${pluto_bonds}>
+                        <${PinnedOutputBody} cell_id=${cell_id} cell_result=${cell_result} sanitize_html=${sanitize_html} />
+                    </${PlutoBondsContext.Provider}>
+                </${PlutoActionsContext.Provider}>`,
+                win.document.body
+            )
+        }
+    })
+
+    return html`${pinned
+        .filter((cell_id) => notebook.cell_results[cell_id] != null)
+        .map(
+            (cell_id, index) =>
+                html`<${PinnedPanel}
+                    key=${cell_id}
+                    cell_id=${cell_id}
+                    index=${index}
+                    title=${cell_title(notebook, cell_id) || t("t_pin_untitled")}
+                    cell_result=${notebook.cell_results[cell_id]}
+                    sanitize_html=${sanitize_html}
+                    on_close=${() => set_pinned((ids) => ids.filter((id) => id !== cell_id))}
+                />`
+        )}`
+}
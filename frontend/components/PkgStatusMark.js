@@ -143,7 +143,7 @@ export const PkgStatusMark = ({ package_name, pluto_actions, notebook_id, nbpkg
 
     useEffect(() => {
         let available_version_promise = pluto_actions.get_avaible_versions({ package_name, notebook_id }) ?? Promise.resolve([])
-        available_version_promise.then(set_available_versions_msg)
+        available_version_promise.then(set_available_versions_msg).catch(console.warn)
     }, [package_name])
 
     const { status, hint_raw } = package_status({
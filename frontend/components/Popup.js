@@ -178,8 +178,8 @@ const PkgPopup = ({ notebook, recent_event, clear_recent_event, disable_input })
         if (recent_event == null) {
             set_pkg_status(null)
         } else if (recent_event?.type === "nbpkg") {
-            ;(pluto_actions.get_avaible_versions({ package_name: recent_event.package_name, notebook_id: notebook.notebook_id }) ?? Promise.resolve([])).then(
-                ({ versions, url }) => {
+            ;(pluto_actions.get_avaible_versions({ package_name: recent_event.package_name, notebook_id: notebook.notebook_id }) ?? Promise.resolve([]))
+                .then(({ versions, url }) => {
                     if (still_valid) {
                         set_pkg_status(
                             package_status({
@@ -191,8 +191,8 @@ const PkgPopup = ({ notebook, recent_event, clear_recent_event, disable_input })
                             })
                         )
                     }
-                }
-            )
+                })
+                .catch(console.warn)
         }
         return () => {
             still_valid = false
@@ -0,0 +1,41 @@
+import { html } from "../imports/Preact.js"
+import { t } from "../common/lang.js"
+import { peer_id } from "../common/Collab.js"
+
+const initials = (/** @type {string} */ name) =>
+    name
+        .split(/\s+/)
+        .filter((word) => word.length > 0)
+        .slice(0, 2)
+        .map((word) => word[0].toUpperCase())
+        .join("")
+
+/**
+ * The people that have this notebook open, shown in the header. Only shown when there is someone other than you.
+ * @param {{
+ *  presence: { [peer_id: string]: import("../common/Collab.js").CollabPeerData },
+ *  on_rename: () => void,
+ *  on_jump_to_cell: (cell_id: string) => void,
+ * }} props
+ */
+export const PresenceAvatars = ({ presence, on_rename, on_jump_to_cell }) => {
+    const peers = Object.entries(presence ?? {})
+    if (!peers.some(([id, _]) => id !== peer_id)) return null
+
+    // You come first.
+    peers.sort(([a, _a], [b, _b]) => (a === peer_id ? -1 : b === peer_id ? 1 : 0))
+
+    return html`<div id="presence_avatars">
+        ${peers.map(([id, { name, color, cell_id }]) => {
+            const is_me = id === peer_id
+            return html`<button
+                class=${is_me ? "presence-avatar me" : "presence-avatar"}
+                style=${{ backgroundColor: color }}
+                title=${is_me ? t("t_collab_you", { name }) : name}
+                onClick=${() => (is_me ? on_rename() : cell_id != null && on_jump_to_cell(cell_id))}
+            >
+                ${initials(name) || "?"}
+            </button>`
+        })}
+    </div>`
+}
@@ -0,0 +1,111 @@
+import { html, useContext, useMemo, useRef, useState } from "../imports/Preact.js"
+
+import { PlutoActionsContext } from "../common/PlutoContext.js"
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { line_hunks } from "../common/NotebookDiff.js"
+import { is_valid_identifier, rename_edits, replace_ranges } from "./CellInput/rename_symbol.js"
+import { DiffLines } from "./NotebookCompare.js"
+import { t } from "../common/lang.js"
+
+/**
+ * The F2 "Rename symbol" dialog. A global variable is renamed in every cell that defines or uses it, a local variable only inside its own cell. The dialog shows a preview of all edits, which are applied together.
+ *
+ * @param {{
+ *  notebook: import("./Editor.js").NotebookData,
+ *  cell_inputs_local: { [uuid: string]: { code: string } },
+ *  disable_input: boolean,
+ * }} props
+ */
+export const RenameSymbol = ({ notebook, cell_inputs_local, disable_input }) => {
+    const pluto_actions = useContext(PlutoActionsContext)
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+
+    const [target, set_target] = useState(/** @type {import("./CellInput/rename_symbol.js").RenameTarget?} */ (null))
+    const [new_name, set_new_name] = useState("")
+    const [run_after, set_run_after] = useState(true)
+    const input_ref = useRef(/** @type {HTMLInputElement?} */ (null))
+
+    useEventListener(
+        window,
+        "open pluto rename symbol",
+        (/** @type {CustomEvent} */ e) => {
+            if (disable_input) return
+            set_target(e.detail)
+            set_new_name(e.detail.name)
+            open()
+            requestAnimationFrame(() => input_ref.current?.select())
+        },
+        [open, disable_input]
+    )
+
+    const code_of = (/** @type {string} */ cell_id) => cell_inputs_local[cell_id]?.code ?? notebook.cell_inputs[cell_id]?.code ?? ""
+
+    /** The cells to change, with their current code and the places to rename. Computed from the code when the dialog opened, so that it does not change while you are typing. */
+    const edits = useMemo(() => (target == null || !currently_open ? [] : rename_edits(notebook, code_of, target)), [target, currently_open])
+
+    const problem =
+        target == null
+            ? null
+            : !is_valid_identifier(new_name)
+            ? t("t_rename_invalid_name")
+            : new_name === target.name
+            ? ""
+            : edits.length === 0
+            ? t("t_rename_nothing_found")
+            : target.local_definition == null &&
+              Object.values(notebook.cell_dependencies ?? {}).some((deps) => new_name in deps.downstream_cells_map || new_name in deps.upstream_cells_map)
+            ? t("t_rename_already_used", { name: new_name })
+            : null
+
+    const new_codes = problem != null ? {} : Object.fromEntries(edits.map(({ cell_id, code, ranges }) => [cell_id, replace_ranges(code, ranges, new_name)]))
+
+    const apply = async () => {
+        if (problem != null) return
+        close()
+        await pluto_actions.set_code_multiple(new_codes, run_after)
+    }
+
+    const count = edits.reduce((sum, edit) => sum + edit.ranges.length, 0)
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-rename-symbol">
+        ${target == null
+            ? null
+            : html`<h1>${t(target.local_definition == null ? "t_rename_title_global" : "t_rename_title_local", { name: target.name })}</h1>
+                  <form
+                      method="dialog"
+                      onSubmit=${(e) => {
+                          e.preventDefault()
+                          apply()
+                      }}
+                  >
+                      <input
+                          ref=${input_ref}
+                          type="text"
+                          class="rename-new-name"
+                          value=${new_name}
+                          aria-label=${t("t_rename_new_name")}
+                          spellcheck=${false}
+                          onInput=${(e) => set_new_name(e.target.value)}
+                      />
+                      <p class="rename-summary">${problem || t("t_rename_summary", { count, cells: edits.length })}</p>
+                      <label
+                          ><input type="checkbox" checked=${run_after} onChange=${(e) => set_run_after(e.target.checked)} /> ${t("t_rename_run_after")}</label
+                      >
+                      ${problem == null
+                          ? html`<div class="rename-preview">
+                                ${edits.map(
+                                    ({ cell_id, code }) => html`<section key=${cell_id}>
+                                        <header><code>${code.split("\n")[0].slice(0, 60)}</code></header>
+                                        <${DiffLines} lines=${line_hunks(code, new_codes[cell_id]).flatMap((hunk) => hunk.lines)} />
+                                    </section>`
+                                )}
+                            </div>`
+                          : null}
+                      <div class="final">
+                          <button type="button" onClick=${close}>${t("t_rename_cancel")}</button>
+                          <button type="submit" disabled=${problem != null}>${t("t_rename_apply")}</button>
+                      </div>
+                  </form>`}
+    </dialog>`
+}
@@ -0,0 +1,166 @@
+import { html, useRef, useState } from "../imports/Preact.js"
+
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import {
+    conflicting_commands,
+    format_key,
+    is_customized,
+    key_from_event,
+    keys_for,
+    normalize_key,
+    reset_all_keys,
+    set_keys_for,
+    shortcut_commands,
+} from "../common/KeyboardShortcuts.js"
+import { t } from "../common/lang.js"
+
+const sections = /** @type {const} */ (["run", "edit", "navigate", "selection"])
+
+/**
+ * The keyboard shortcuts help (F1), rendered from the command registry in `common/KeyboardShortcuts.js`. The "Customize" button turns it into a shortcut editor, where you can search commands, record new keys and see which keys are used twice.
+ */
+export const ShortcutsDialog = () => {
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+    const [editing, set_editing] = useState(false)
+    const [search, set_search] = useState("")
+    /** The command that we are recording a new key for. */
+    const [recording, set_recording] = useState(/** @type {string?} */ (null))
+    // The registry is not Preact state, so we re-render when it changes.
+    const [_version, set_version] = useState(0)
+    const search_ref = useRef(/** @type {HTMLInputElement?} */ (null))
+
+    useEventListener(
+        window,
+        "open pluto shortcuts",
+        (/** @type {CustomEvent} */ e) => {
+            set_editing(e.detail?.edit === true)
+            set_recording(null)
+            set_search("")
+            open()
+        },
+        [open]
+    )
+    useEventListener(window, "pluto key bindings changed", () => set_version((v) => v + 1), [])
+
+    useEventListener(
+        dialog_ref.current,
+        "keydown",
+        (/** @type {KeyboardEvent} */ e) => {
+            if (recording == null) return
+            e.preventDefault()
+            e.stopPropagation()
+            if (e.key === "Escape") return set_recording(null)
+            const key = key_from_event(e)
+            if (key == null) return
+            const keys = keys_for(recording)
+            if (!keys.some((k) => normalize_key(k) === key)) set_keys_for(recording, [...keys, key])
+            set_recording(null)
+        },
+        [recording]
+    )
+
+    const matches_search = (/** @type {import("../common/KeyboardShortcuts.js").ShortcutCommand} */ command) => {
+        const query = search.trim().toLowerCase()
+        return (
+            query === "" ||
+            t(command.description).toLowerCase().includes(query) ||
+            keys_for(command.id).some((key) => format_key(key).toLowerCase().includes(query))
+        )
+    }
+
+    const key_chip = (/** @type {import("../common/KeyboardShortcuts.js").ShortcutCommand} */ command, /** @type {string} */ key) => {
+        const conflicts = conflicting_commands(command.id, key)
+        const title = conflicts.length === 0 ? undefined : t("t_shortcuts_conflict", { commands: conflicts.map((c) => t(c.description)).join(", ") })
+        return html`<kbd class=${conflicts.length === 0 ? "" : "conflict"} title=${title}
+            >${format_key(key)}${editing && !command.fixed
+                ? html`<button
+                      class="remove-key"
+                      title=${t("t_shortcuts_remove", { key: format_key(key) })}
+                      onClick=${() =>
+                          set_keys_for(
+                              command.id,
+                              keys_for(command.id).filter((k) => k !== key)
+                          )}
+                  >
+                      ×
+                  </button>`
+                : null}</kbd
+        >`
+    }
+
+    const command_row = (/** @type {import("../common/KeyboardShortcuts.js").ShortcutCommand} */ command) => {
+        const keys = keys_for(command.id)
+        const conflicts = keys.flatMap((key) => conflicting_commands(command.id, key))
+        return html`<tr key=${command.id} class=${command.fixed ? "fixed" : ""}>
+            <td class="keys">
+                ${keys.length === 0 ? html`<em>${t("t_shortcuts_none")}</em>` : keys.map((key) => key_chip(command, key))}
+                ${editing && !command.fixed
+                    ? recording === command.id
+                        ? html`<span class="recording">${t("t_shortcuts_press_keys")}</span>`
+                        : html`<button class="add-key" title=${t("t_shortcuts_add")} onClick=${() => set_recording(command.id)}>+</button>`
+                    : null}
+            </td>
+            <td class="description">
+                ${t(command.description)}
+                ${editing && conflicts.length > 0
+                    ? html`<div class="conflict-message">
+                          ${t("t_shortcuts_conflict", { commands: [...new Set(conflicts.map((c) => t(c.description)))].join(", ") })}
+                      </div>`
+                    : null}
+                ${editing && command.fixed ? html`<div class="fixed-message">${t("t_shortcuts_fixed")}</div>` : null}
+            </td>
+            <td class="reset">
+                ${editing && is_customized(command.id)
+                    ? html`<button onClick=${() => set_keys_for(command.id, null)}>${t("t_shortcuts_reset")}</button>`
+                    : null}
+            </td>
+        </tr>`
+    }
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-shortcuts">
+        ${currently_open
+            ? html`<h1>${t("t_shortcuts_title")}</h1>
+                  ${editing
+                      ? html`<input
+                            ref=${search_ref}
+                            type="search"
+                            class="shortcuts-search"
+                            placeholder=${t("t_shortcuts_search")}
+                            aria-label=${t("t_shortcuts_search")}
+                            value=${search}
+                            onInput=${(e) => set_search(e.target.value)}
+                        />`
+                      : null}
+                  <div class="shortcuts-list">
+                      ${sections.map((section) => {
+                          const commands = shortcut_commands.filter((c) => c.section === section && (!editing || matches_search(c)))
+                          return commands.length === 0
+                              ? null
+                              : html`<section key=${section}>
+                                    <h2>${t(`t_shortcuts_section_${section}`)}</h2>
+                                    ${section === "selection" && !editing ? html`<p>${t("t_key_selection_description")}</p>` : null}
+                                    <table>
+                                        ${commands.map(command_row)}
+                                    </table>
+                                </section>`
+                      })}
+                  </div>
+                  ${editing ? null : html`<p class="shortcuts-footer">${t("t_key_autosave_description")}</p>`}
+                  <div class="final">
+                      ${editing
+                          ? html`<button onClick=${() => reset_all_keys()}>${t("t_shortcuts_reset_all")}</button>
+                                <button onClick=${() => set_editing(false)}>${t("t_shortcuts_done")}</button>`
+                          : html`<button
+                                    onClick=${() => {
+                                        set_editing(true)
+                                        requestAnimationFrame(() => search_ref.current?.focus())
+                                    }}
+                                >
+                                    ${t("t_shortcuts_customize")}
+                                </button>
+                                <button onClick=${close}>${t("t_shortcuts_close")}</button>`}
+                  </div>`
+            : null}
+    </dialog>`
+}
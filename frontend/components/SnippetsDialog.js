@@ -0,0 +1,94 @@
+import { html, useState } from "../imports/Preact.js"
+
+import { useDialog } from "../common/useDialog.js"
+import { useEventListener } from "../common/useEventListener.js"
+import { builtin_snippets, get_user_snippets, set_user_snippets } from "./CellInput/snippets.js"
+import { t } from "../common/lang.js"
+
+/**
+ * Edit your own autocomplete snippets (see `CellInput/snippets.js`). Changes are only saved when you click Save.
+ */
+export const SnippetsDialog = () => {
+    const [dialog_ref, open, close, _toggle, currently_open] = useDialog()
+    const [draft, set_draft] = useState(/** @type {import("./CellInput/snippets.js").Snippet[]} */ ([]))
+
+    useEventListener(
+        window,
+        "open pluto snippets",
+        () => {
+            set_draft(get_user_snippets())
+            open()
+        },
+        [open]
+    )
+
+    const update = (/** @type {number} */ index, /** @type {Partial<import("./CellInput/snippets.js").Snippet>} */ changes) =>
+        set_draft(draft.map((s, i) => (i === index ? { ...s, ...changes } : s)))
+
+    const labels = draft.map((s) => s.label.trim())
+    const is_duplicate = (/** @type {number} */ index) => labels.indexOf(labels[index]) !== index
+    const can_save = labels.every((label, i) => label !== "" && !is_duplicate(i))
+
+    const save = () => {
+        set_user_snippets(
+            draft.map(({ label, detail, template }) =>
+                detail?.trim() ? { label: label.trim(), detail: detail.trim(), template } : { label: label.trim(), template }
+            )
+        )
+        close()
+    }
+
+    return html`<dialog ref=${dialog_ref} class="pluto-modal pluto-snippets">
+        ${currently_open
+            ? html`<h1>${t("t_snippets_title")}</h1>
+                  <p class="snippets-help">${t("t_snippets_help")}</p>
+                  <div class="snippets-list">
+                      ${draft.length === 0 ? html`<p><em>${t("t_snippets_none")}</em></p>` : null}
+                      ${draft.map(
+                          (snippet, i) => html`<fieldset>
+                              <div class="snippet-header">
+                                  <input
+                                      type="text"
+                                      class=${labels[i] === "" || is_duplicate(i) ? "invalid" : ""}
+                                      placeholder=${t("t_snippets_label")}
+                                      aria-label=${t("t_snippets_label")}
+                                      title=${is_duplicate(i) ? t("t_snippets_duplicate") : undefined}
+                                      value=${snippet.label}
+                                      onInput=${(e) => update(i, { label: e.target.value })}
+                                  />
+                                  <input
+                                      type="text"
+                                      placeholder=${t("t_snippets_detail")}
+                                      aria-label=${t("t_snippets_detail")}
+                                      value=${snippet.detail ?? ""}
+                                      onInput=${(e) => update(i, { detail: e.target.value })}
+                                  />
+                                  <button title=${t("t_snippets_remove")} onClick=${() => set_draft(draft.filter((_s, j) => j !== i))}>×</button>
+                              </div>
+                              <textarea
+                                  rows=${Math.min(10, snippet.template.split("\n").length + 1)}
+                                  spellcheck="false"
+                                  aria-label=${t("t_snippets_template")}
+                                  value=${snippet.template}
+                                  onInput=${(e) => update(i, { template: e.target.value })}
+                              ></textarea>
+                          </fieldset>`
+                      )}
+                      <button onClick=${() => set_draft([...draft, { label: "", template: "" }])}>${t("t_snippets_add")}</button>
+                  </div>
+                  <details class="snippets-builtin">
+                      <summary>${t("t_snippets_builtin")}</summary>
+                      <dl>
+                          ${builtin_snippets.map(
+                              (s) => html`<dt>${s.label}</dt>
+                                  <dd><pre>${s.template}</pre></dd>`
+                          )}
+                      </dl>
+                  </details>
+                  <div class="final">
+                      <button onClick=${close}>${t("t_snippets_cancel")}</button>
+                      <button disabled=${!can_save} onClick=${save}>${t("t_snippets_save")}</button>
+                  </div>`
+            : null}
+    </dialog>`
+}
@@ -1,9 +1,10 @@
-import { html, useRef, useState, useContext, useEffect, useLayoutEffect } from "../imports/Preact.js"
+import { html, useRef, useState, useContext, useEffect, useLayoutEffect, useMemo, createContext } from "../imports/Preact.js"
 
 import { ANSITextOutput, OutputBody, PlutoImage } from "./CellOutput.js"
 import { PlutoActionsContext } from "../common/PlutoContext.js"
 import { useEventListener } from "../common/useEventListener.js"
 import { is_noop_action } from "../common/SliderServerClient.js"
+import { tree_access_path } from "../common/TreeAccessPath.js"
 import { t } from "../common/lang.js"
 
 // this is different from OutputBody because:
@@ -97,13 +98,173 @@ const prefix = ({ prefix, prefix_short }) => {
 }
 
 const actions_show_more = ({ pluto_actions, cell_id, node_ref, objectid, dim }) => {
-    const actions = pluto_actions ?? node_ref.current.closest("pluto-cell")._internal_pluto_actions
-    return actions.reshow_cell(cell_id ?? node_ref.current.closest("pluto-cell").id, objectid, dim)
+    const cell = node_ref.current.closest("pluto-cell, pluto-pinned-output")
+    const actions = pluto_actions ?? cell._internal_pluto_actions
+    return actions.reshow_cell(cell_id ?? cell.dataset.cellId ?? cell.id, objectid, dim)
+}
+
+/** Whether this tree is inside another tree: only the outermost tree gets a toolbar and keyboard navigation. */
+const NestedTreeContext = createContext(false)
+
+/** The rows that you can move to with the arrow keys: the ones that are not inside a collapsed tree. */
+const navigable_rows = (/** @type {HTMLElement} */ root) =>
+    /** @type {HTMLElement[]} */ (Array.from(root.querySelectorAll("p-r[tabindex]"))).filter((row) => row.closest("pluto-tree.collapsed") == null)
+
+/** Mark the keys and values that contain the query, and expand the trees around them. */
+const search_tree = (/** @type {HTMLElement} */ root, /** @type {string} */ query) => {
+    root.querySelectorAll(".tree-search-match").forEach((el) => el.classList.remove("tree-search-match", "tree-search-current"))
+    const q = query.trim().toLowerCase()
+    if (q === "") return []
+    const matches = /** @type {HTMLElement[]} */ (Array.from(root.querySelectorAll("p-k, p-v"))).filter(
+        (el) => el.querySelector("pluto-tree, pluto-tree-pair") == null && (el.textContent ?? "").toLowerCase().includes(q)
+    )
+    for (const match of matches) {
+        match.classList.add("tree-search-match")
+        for (
+            let tree = match.closest("pluto-tree.collapsed");
+            tree != null && root.contains(tree);
+            tree = tree.parentElement?.closest("pluto-tree.collapsed") ?? null
+        ) {
+            tree.classList.remove("collapsed")
+        }
+    }
+    return matches
+}
+
+/** Trees with more items than this (counting the items of nested trees), or with more items to load, get a toolbar. */
+const toolbar_item_threshold = 10
+
+/** The number of items in a tree and its nested trees, counting up to `limit + 1`. */
+const tree_item_count = (body, limit = toolbar_item_threshold) => {
+    let count = 0
+    const visit = (body) => {
+        for (const r of body?.elements ?? []) {
+            if (count > limit) return
+            if (r === "more") {
+                count = limit + 1
+                return
+            }
+            count++
+            for (const [pair_body, mime] of body.type === "Dict" ? r : [r[1]]) {
+                if (mime === "application/vnd.pluto.tree+object") visit(pair_body)
+            }
+        }
+    }
+    visit(body)
+    return count
+}
+
+/**
+ * The toolbar of the outermost tree: search, expand or collapse everything, and copy the access path of the row that has focus.
+ * @param {{ root_ref: { current: HTMLElement? }, body: any, current_path: string? }} props
+ */
+const TreeToolbar = ({ root_ref, body, current_path }) => {
+    const [query, set_query] = useState("")
+    const [match_count, set_match_count] = useState(0)
+    const matches_ref = useRef(/** @type {HTMLElement[]} */ ([]))
+    const current_ref = useRef(-1)
+
+    // The tree is rendered again when more items are loaded, so we search again.
+    useLayoutEffect(() => {
+        if (root_ref.current == null) return
+        matches_ref.current = search_tree(root_ref.current, query)
+        current_ref.current = -1
+        set_match_count(matches_ref.current.length)
+    }, [query, body])
+
+    const go_to_match = (/** @type {number} */ delta) => {
+        const matches = matches_ref.current
+        if (matches.length === 0) return
+        matches[current_ref.current]?.classList.remove("tree-search-current")
+        current_ref.current = (current_ref.current + delta + matches.length) % matches.length
+        const match = matches[current_ref.current]
+        match.classList.add("tree-search-current")
+        match.scrollIntoView({ block: "nearest" })
+    }
+
+    const set_all_collapsed = (/** @type {boolean} */ collapsed) =>
+        root_ref.current?.querySelectorAll("pluto-tree").forEach((tree) => tree.classList.toggle("collapsed", collapsed))
+
+    return html`<div class="pluto-tree-toolbar">
+        <input
+            type="search"
+            placeholder=${t("t_tree_search")}
+            aria-label=${t("t_tree_search")}
+            value=${query}
+            onInput=${(e) => set_query(e.target.value)}
+            onKeyDown=${(e) => {
+                if (e.key === "Enter") {
+                    e.preventDefault()
+                    go_to_match(e.shiftKey ? -1 : 1)
+                }
+            }}
+        />
+        ${query.trim() === "" ? null : html`<span class="tree-match-count">${t("t_tree_matches", { count: match_count })}</span>`}
+        <button onClick=${() => set_all_collapsed(false)}>${t("t_tree_expand_all")}</button>
+        <button onClick=${() => set_all_collapsed(true)}>${t("t_tree_collapse_all")}</button>
+        ${current_path == null
+            ? null
+            : html`<code class="tree-access-path" title=${t("t_tree_access_path")}>${current_path}</code>
+                  <button title=${t("t_tree_copy_path_shortcut")} onClick=${() => navigator.clipboard.writeText(current_path)}>
+                      ${t("t_tree_copy_path")}
+                  </button>`}
+    </div>`
 }
 
 export const TreeView = ({ mime, body, cell_id, persist_js_state, sanitize_html = true }) => {
     let pluto_actions = useContext(PlutoActionsContext)
+    const nested = useContext(NestedTreeContext)
     const node_ref = useRef(/** @type {HTMLElement?} */ (null))
+    const [current_path, set_current_path] = useState(/** @type {string?} */ (null))
+
+    const onfocusin = (/** @type {FocusEvent} */ e) => {
+        const row = e.target instanceof HTMLElement && e.target.matches("p-r[tabindex]") ? e.target : null
+        const value = row?.querySelector(":scope > p-v")
+        set_current_path(value == null ? null : tree_access_path(value))
+    }
+
+    const onkeydown = (/** @type {KeyboardEvent} */ e) => {
+        const root = node_ref.current
+        const target = e.target
+        if (root == null || !(target instanceof HTMLElement) || !(target === root || target.matches("p-r[tabindex], pluto-tree-prefix"))) return
+        if (e.ctrlKey || e.metaKey || e.altKey) return
+        const rows = navigable_rows(root)
+        const row = target.closest("p-r[tabindex]")
+        const index = row == null || !root.contains(row) ? -1 : rows.indexOf(/** @type {HTMLElement} */ (row))
+        const value_tree = row?.querySelector(":scope > p-v > pluto-tree")
+        const focus = (/** @type {HTMLElement?} */ el) => (el ?? /** @type {HTMLElement?} */ (root.querySelector(":scope > pluto-tree-prefix")))?.focus()
+
+        switch (e.key) {
+            case "ArrowDown":
+                if (index + 1 < rows.length) focus(rows[index + 1])
+                break
+            case "ArrowUp":
+                focus(index > 0 ? rows[index - 1] : null)
+                break
+            case "Home":
+                focus(rows[0])
+                break
+            case "End":
+                focus(rows[rows.length - 1])
+                break
+            case "ArrowRight":
+                if (value_tree == null) break
+                if (value_tree.classList.contains("collapsed")) value_tree.classList.remove("collapsed")
+                else focus(navigable_rows(/** @type {HTMLElement} */ (value_tree))[0] ?? null)
+                break
+            case "ArrowLeft":
+                if (value_tree != null && !value_tree.classList.contains("collapsed")) value_tree.classList.add("collapsed")
+                else focus(/** @type {HTMLElement?} */ (row?.parentElement?.closest("p-r[tabindex]") ?? null))
+                break
+            case "c":
+                if (current_path == null) return
+                navigator.clipboard.writeText(current_path)
+                break
+            default:
+                return
+        }
+        e.preventDefault()
+    }
 
     const onclick = (e) => {
         // TODO: this could be reactified but no rush
@@ -142,8 +303,10 @@ export const TreeView = ({ mime, body, cell_id, persist_js_state, sanitize_html
     switch (body.type) {
         case "Pair":
             const r = body.key_value
-            return html`<pluto-tree-pair class=${body.type}
-                ><p-r><p-k>${mimepair_output(r[0])}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r></pluto-tree-pair
+            return html`<${NestedTreeContext.Provider} value=${true}
+                ><pluto-tree-pair class=${body.type}
+                    ><p-r tabindex="-1"><p-k>${mimepair_output(r[0])}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r></pluto-tree-pair
+                ></${NestedTreeContext.Provider}
             >`
         case "circular":
             return html`<em>circular reference</em>`
@@ -152,32 +315,46 @@ export const TreeView = ({ mime, body, cell_id, persist_js_state, sanitize_html
         case "Tuple":
             inner = html`<${prefix} prefix=${body.prefix} prefix_short=${body.prefix_short} /><pluto-tree-items class=${body.type}
                     >${body.elements.map((r) =>
-                        r === "more" ? more : html`<p-r>${body.type === "Set" ? "" : html`<p-k>${r[0]}</p-k>`}<p-v>${mimepair_output(r[1])}</p-v></p-r>`
+                        r === "more"
+                            ? more
+                            : html`<p-r tabindex="-1">${body.type === "Set" ? "" : html`<p-k>${r[0]}</p-k>`}<p-v>${mimepair_output(r[1])}</p-v></p-r>`
                     )}</pluto-tree-items
                 >`
             break
         case "Dict":
             inner = html`<${prefix} prefix=${body.prefix} prefix_short=${body.prefix_short} /><pluto-tree-items class=${body.type}
                     >${body.elements.map((r) =>
-                        r === "more" ? more : html`<p-r><p-k>${mimepair_output(r[0])}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`
+                        r === "more" ? more : html`<p-r tabindex="-1"><p-k>${mimepair_output(r[0])}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`
                     )}</pluto-tree-items
                 >`
             break
         case "NamedTuple":
             inner = html`<${prefix} prefix=${body.prefix} prefix_short=${body.prefix_short} /><pluto-tree-items class=${body.type}
                     >${body.elements.map((r) =>
-                        r === "more" ? more : html`<p-r><p-k>${r[0]}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`
+                        r === "more" ? more : html`<p-r tabindex="-1"><p-k>${r[0]}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`
                     )}</pluto-tree-items
                 >`
             break
         case "struct":
             inner = html`<${prefix} prefix=${body.prefix} prefix_short=${body.prefix_short} /><pluto-tree-items class=${body.type}
-                    >${body.elements.map((r) => html`<p-r><p-k>${r[0]}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`)}</pluto-tree-items
+                    >${body.elements.map((r) => html`<p-r tabindex="-1"><p-k>${r[0]}</p-k><p-v>${mimepair_output(r[1])}</p-v></p-r>`)}</pluto-tree-items
                 >`
             break
     }
 
-    return html`<pluto-tree class="collapsed ${body.type}" onclick=${onclick} ref=${node_ref}>${inner}</pluto-tree>`
+    const show_toolbar = !nested && tree_item_count(body) > toolbar_item_threshold
+
+    return html`<${NestedTreeContext.Provider} value=${true}
+        ><pluto-tree
+            class="collapsed ${body.type}"
+            tabindex=${nested ? undefined : "0"}
+            onclick=${onclick}
+            onfocusin=${nested ? undefined : onfocusin}
+            onkeydown=${nested ? undefined : onkeydown}
+            ref=${node_ref}
+            >${show_toolbar ? html`<${TreeToolbar} root_ref=${node_ref} body=${body} current_path=${current_path} />` : null}${inner}</pluto-tree
+        ></${NestedTreeContext.Provider}
+    >`
 }
 
 const EmptyCols = ({ colspan = 999 }) => html`<thead>
@@ -197,9 +374,78 @@ const EmptyRows = ({ colspan = 999 }) => html`<tr class="empty">
     </td>
 </tr>`
 
+/** Tables with more loaded rows than this are shown in a scroll box, where only the rows in view are rendered. */
+const virtualize_row_threshold = 50
+/** Tables with more rows than this get a toolbar to filter and copy rows. */
+const toolbar_row_threshold = 10
+const row_height_estimate = 26
+/** How many rows to ask for when you scroll to the end of a large table. */
+const table_page_rows = 100
+/** How many rows to render above and below the visible rows, so that scrolling does not show empty space. */
+const overscan_rows = 15
+
+/** The plain text of a table cell, used to sort, filter and copy. */
+const cell_text = (/** @type {[any, string]} */ [body, mime]) => {
+    if (typeof body !== "string") return ""
+    if (mime === "text/plain") {
+        // Strings are shown with quotes, like `"hello"`
+        if (/^".*"$/s.test(body)) {
+            try {
+                return JSON.parse(body)
+            } catch (e) {}
+        }
+        return body
+    }
+    if (mime === "text/html") return new DOMParser().parseFromString(body, "text/html").body.textContent ?? ""
+    return ""
+}
+
+const as_number = (/** @type {string} */ text) => (text.trim() === "" ? NaN : Number(text))
+
+/** Numbers are sorted by value and before text, text is sorted like a person would (`x2` before `x10`). */
+const compare_cell_texts = (/** @type {string} */ a, /** @type {string} */ b) => {
+    const x = as_number(a)
+    const y = as_number(b)
+    if (!isNaN(x) && !isNaN(y)) return x - y
+    if (!isNaN(x)) return -1
+    if (!isNaN(y)) return 1
+    return a.localeCompare(b, undefined, { numeric: true })
+}
+
+/**
+ * @param {string[][]} lines
+ * @param {"," | "\t"} separator
+ */
+const to_delimited = (lines, separator) =>
+    lines
+        .map((line) =>
+            line
+                .map((text) => (separator === "\t" ? text.replace(/[\t\r\n]+/g, " ") : /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text))
+                .join(separator)
+        )
+        .join("\n")
+
+/**
+ * A table from Tables.jl. The rows that we received can be sorted (click a column name) and filtered, and you can select rows (click, Shift-click or Ctrl-click the row numbers) to copy them as CSV or TSV. `Ctrl+C` copies the selected rows as TSV, which you can paste into a spreadsheet.
+ *
+ * Large tables are shown in a scroll box that only renders the rows in view. When you scroll to the bottom, we ask the server for the next rows with `request_table_rows`, and add them to the rows that we have.
+ */
 export const TableView = ({ mime, body, cell_id, persist_js_state, sanitize_html }) => {
     let pluto_actions = useContext(PlutoActionsContext)
-    const node_ref = useRef(null)
+    const node_ref = useRef(/** @type {HTMLElement?} */ (null))
+    const scroller_ref = useRef(/** @type {HTMLElement?} */ (null))
+    const row_height_ref = useRef(row_height_estimate)
+
+    const [sort, set_sort] = useState(/** @type {{ column: number, descending: boolean }?} */ (null))
+    const [filter, set_filter] = useState("")
+    const [selected, set_selected] = useState(/** @type {Set<number>} */ (new Set()))
+    const anchor_ref = useRef(/** @type {number?} */ (null))
+    const [scroll, set_scroll] = useState({ top: 0, height: 500 })
+    const [loading_more, set_loading_more] = useState(false)
+    /** Rows that we loaded after the ones in `body`. They are forgotten when we get a new `body`. */
+    const [extra, set_extra] = useState(/** @type {{ body: any, rows: Array<[number, Array<any>]> }} */ ({ body: null, rows: [] }))
+    const body_ref = useRef(body)
+    body_ref.current = body
 
     const mimepair_output = (pair) =>
         html`<${SimpleOutputBody} cell_id=${cell_id} mime=${pair[1]} body=${pair[0]} persist_js_state=${persist_js_state} sanitize_html=${sanitize_html} />`
@@ -213,6 +459,129 @@ export const TableView = ({ mime, body, cell_id, persist_js_state, sanitize_html
                 dim,
             })}
     />`
+
+    // The rows are `[row_number, cells]`. When the table is truncated, there is a "more" row, followed by the last row.
+    /** @type {Array<[number, Array<any>] | "more">} */
+    const all_rows = body.rows ?? []
+    const more_index = all_rows.indexOf("more")
+    const loaded_rows = useMemo(
+        () =>
+            /** @type {Array<[number, Array<any>]>} */ ([
+                ...(more_index !== -1 ? all_rows.slice(0, more_index) : all_rows),
+                ...(extra.body === body ? extra.rows : []),
+            ]),
+        [body, extra]
+    )
+    const body_last_row = /** @type {[number, Array<any>]?} */ (more_index !== -1 ? all_rows[more_index + 1] ?? null : null)
+    const total_rows = body.total_rows ?? body_last_row?.[0] ?? loaded_rows.length
+    const truncated = more_index !== -1 && loaded_rows.length < total_rows
+    const last_row = truncated ? body_last_row : null
+
+    const texts = useMemo(() => loaded_rows.map((row) => row[1].map((x) => (x === "more" ? "" : cell_text(x)))), [loaded_rows])
+
+    /** Indices into `loaded_rows`, filtered and sorted. */
+    const view = useMemo(() => {
+        let indices = loaded_rows.map((_row, i) => i)
+        const query = filter.trim().toLowerCase()
+        if (query !== "") {
+            indices = indices.filter((i) => texts[i].some((text) => text.toLowerCase().includes(query)))
+        }
+        if (sort != null) {
+            const { column, descending } = sort
+            indices.sort((i, j) => {
+                const c = column === -1 ? loaded_rows[i][0] - loaded_rows[j][0] : compare_cell_texts(texts[i][column], texts[j][column])
+                return descending ? -c : c
+            })
+        }
+        return indices
+    }, [texts, filter, sort])
+
+    const rearranged = sort != null || filter.trim() !== ""
+    const virtualized = truncated || loaded_rows.length > virtualize_row_threshold
+    const can_load_more = truncated && !is_noop_action(pluto_actions?.request_table_rows) && cell_id !== "cell_id_not_known"
+
+    const load_more = () => {
+        const cell = /** @type {HTMLElement?} */ (node_ref.current?.closest("pluto-cell, pluto-pinned-output") ?? null)
+        if (loading_more || !can_load_more || cell == null) return
+        set_loading_more(true)
+        const actions = pluto_actions ?? /** @type {any} */ (cell)._internal_pluto_actions
+        const for_body = body
+        Promise.resolve(actions.request_table_rows(cell_id ?? cell.dataset.cellId ?? cell.id, body.objectid, loaded_rows.length, table_page_rows))
+            .then((rows) => {
+                if (rows != null && body_ref.current === for_body) {
+                    set_extra((extra) => ({ body: for_body, rows: [...(extra.body === for_body ? extra.rows : []), ...rows] }))
+                }
+            })
+            .catch((e) => console.error("Failed to load more rows", e))
+            .finally(() => set_loading_more(false))
+    }
+
+    const on_scroll = (/** @type {Event} */ e) => {
+        const el = /** @type {HTMLElement} */ (e.currentTarget)
+        set_scroll({ top: el.scrollTop, height: el.clientHeight })
+        // Sorting or filtering only looks at the rows that we have, so loading more while you look at those would be confusing.
+        if (!rearranged && el.scrollTop + el.clientHeight >= el.scrollHeight - 5 * row_height_ref.current) load_more()
+    }
+
+    const row_height = row_height_ref.current
+    const start = virtualized ? Math.max(0, Math.floor(scroll.top / row_height) - overscan_rows) : 0
+    const end = virtualized ? Math.min(view.length, Math.ceil((scroll.top + scroll.height) / row_height) + overscan_rows) : view.length
+
+    // Rows can be taller than we guessed (e.g. with nested data), so we use the real height for the next scroll.
+    useLayoutEffect(() => {
+        const rows = scroller_ref.current?.querySelectorAll("tbody > tr.data-row")
+        if (rows == null || rows.length < 2) return
+        const measured = (rows[rows.length - 1].getBoundingClientRect().bottom - rows[0].getBoundingClientRect().top) / rows.length
+        if (measured > 0) row_height_ref.current = measured
+    })
+
+    const select_row = (/** @type {MouseEvent} */ e, /** @type {number} */ row_number) => {
+        if (e.shiftKey && anchor_ref.current != null) {
+            const numbers = view.map((i) => loaded_rows[i][0])
+            const [a, b] = [numbers.indexOf(anchor_ref.current), numbers.indexOf(row_number)].sort((x, y) => x - y)
+            if (a !== -1) return set_selected(new Set(numbers.slice(a, b + 1)))
+        }
+        anchor_ref.current = row_number
+        if (e.ctrlKey || e.metaKey) {
+            const next = new Set(selected)
+            next.has(row_number) ? next.delete(row_number) : next.add(row_number)
+            set_selected(next)
+        } else {
+            set_selected(selected.size === 1 && selected.has(row_number) ? new Set() : new Set([row_number]))
+        }
+    }
+
+    /** The selected rows, or all rows in view when nothing is selected. */
+    const copy_rows = (/** @type {"," | "\t"} */ separator) => {
+        const rows = selected.size > 0 ? view.filter((i) => selected.has(loaded_rows[i][0])) : view
+        const names = body?.schema?.names
+        const lines = rows.map((i) => texts[i].filter((_text, c) => loaded_rows[i][1][c] !== "more"))
+        const header = names == null ? [] : [names.filter((name) => name !== "more")]
+        return navigator.clipboard.writeText(to_delimited([...header, ...lines], separator))
+    }
+
+    const on_keydown = (/** @type {KeyboardEvent} */ e) => {
+        if (selected.size === 0) return
+        if (e.key === "Escape") {
+            set_selected(new Set())
+        } else if ((e.ctrlKey || e.metaKey) && e.key === "c" && (window.getSelection()?.isCollapsed ?? true)) {
+            e.preventDefault()
+            copy_rows("\t")
+        }
+    }
+
+    const sort_header = (/** @type {string} */ name, /** @type {number} */ column) => {
+        const sorted = sort?.column === column ? (sort.descending ? "descending" : "ascending") : null
+        return html`<th
+            class=${`sortable ${sorted ?? ""}`}
+            aria-sort=${sorted ?? "none"}
+            title=${t("t_table_sort")}
+            onClick=${() => set_sort(sorted == null ? { column, descending: false } : sorted === "ascending" ? { column, descending: true } : null)}
+        >
+            ${name}
+        </th>`
+    }
+
     // More than the columns, not big enough to break Firefox (https://bugzilla.mozilla.org/show_bug.cgi?id=675417)
     const maxcolspan = 3 + (body?.schema?.names?.length ?? 1)
     const thead =
@@ -220,30 +589,70 @@ export const TableView = ({ mime, body, cell_id, persist_js_state, sanitize_html
             ? html`<${EmptyCols} colspan=${maxcolspan} />`
             : html`<thead>
                   <tr class="schema-names">
-                      ${["", ...body.schema.names].map((x) => html`<th>${x === "more" ? more(2) : x}</th>`)}
+                      ${sort_header("", -1)} ${body.schema.names.map((x, i) => (x === "more" ? html`<th>${more(2)}</th>` : sort_header(x, i)))}
                   </tr>
                   <tr class="schema-types">
                       ${["", ...body.schema.types].map((x) => html`<th>${x === "more" ? null : x}</th>`)}
                   </tr>
               </thead>`
 
+    const data_row = (/** @type {[number, any[]]} */ row) =>
+        html`<tr key=${row[0]} class=${`data-row ${selected.has(row[0]) ? "selected" : ""}`}>
+            <th onClick=${(e) => select_row(e, row[0])}>${row[0]}</th>
+            ${row[1].map((x) => html`<td><div>${x === "more" ? null : mimepair_output(x)}</div></td>`)}
+        </tr>`
+    const spacer = (/** @type {number} */ rows) =>
+        rows > 0
+            ? html`<tr class="spacer" style=${{ height: `${rows * row_height}px` }}>
+                  <td colspan=${maxcolspan}></td>
+              </tr>`
+            : null
+
     const tbody = html`<tbody>
-        ${(body.rows?.length ?? 0) !== 0
-            ? body.rows.map(
-                  (row) =>
-                      html`<tr>
-                          ${row === "more"
-                              ? html`<td class="pluto-tree-more-td" colspan=${maxcolspan}>${more(1)}</td>`
-                              : html`<th>${row[0]}</th>
-                                    ${row[1].map((x) => html`<td><div>${x === "more" ? null : mimepair_output(x)}</div></td>`)}`}
-                      </tr>`
-              )
+        ${all_rows.length !== 0
+            ? html`${spacer(start)} ${view.slice(start, end).map((i) => data_row(loaded_rows[i]))} ${spacer(view.length - end)}
+              ${truncated
+                  ? html`<tr key=${`more-${loaded_rows.length}`}>
+                            <td class="pluto-tree-more-td" colspan=${maxcolspan}>
+                                <${More} disable=${!can_load_more || loading_more} on_click_more=${load_more} />
+                            </td>
+                        </tr>
+                        ${last_row == null || rearranged ? null : data_row(last_row)}`
+                  : null}`
             : html`<${EmptyRows} colspan=${maxcolspan} />`}
     </tbody>`
 
-    return html`<table class="pluto-table" ref=${node_ref}>
+    const table = html`<table class="pluto-table" ref=${node_ref}>
         ${thead}${tbody}
     </table>`
+
+    const toolbar =
+        truncated || loaded_rows.length > toolbar_row_threshold
+            ? html`<div class="pluto-table-toolbar">
+                  <input
+                      type="search"
+                      placeholder=${t("t_table_filter")}
+                      aria-label=${t("t_table_filter")}
+                      value=${filter}
+                      onInput=${(e) => set_filter(e.target.value)}
+                  />
+                  <span class="pluto-table-count">
+                      ${truncated
+                          ? t("t_table_rows_loaded", {
+                                shown: view.length.toLocaleString(),
+                                loaded: loaded_rows.length.toLocaleString(),
+                                total: total_rows.toLocaleString(),
+                            })
+                          : t("t_table_rows", { shown: view.length.toLocaleString(), total: total_rows.toLocaleString() })}
+                  </span>
+                  <button onClick=${() => copy_rows(",")}>${t(selected.size > 0 ? "t_table_copy_selection_csv" : "t_table_copy_csv")}</button>
+                  <button onClick=${() => copy_rows("\t")}>${t(selected.size > 0 ? "t_table_copy_selection_tsv" : "t_table_copy_tsv")}</button>
+              </div>`
+            : null
+
+    return html`<pluto-table-view tabindex="-1" onKeyDown=${on_keydown}>
+        ${toolbar} ${virtualized ? html`<div class="pluto-table-scroller" ref=${scroller_ref} onScroll=${on_scroll}>${table}</div>` : table}
+    </pluto-table-view>`
 }
 
 export let DivElement = ({ cell_id, style, classname, children, persist_js_state = false, sanitize_html = true }) => {
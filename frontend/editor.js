@@ -33,7 +33,7 @@ const falsey = (x) => x === "false"
 
 const from_attribute = (element, name) => {
     const val = element.getAttribute(name) ?? element.getAttribute(name.replaceAll("_", "-"))
-    if (name === "disable_ui") {
+    if (name === "disable_ui" || name === "dashboard") {
         return truthy(val) ? true : falsey(val) ? false : null
     } else if (name === "isolated_cell_id") {
         return val == null ? null : val.split(",")
@@ -67,6 +67,7 @@ include("./analysis/Parse.jl")
 include("./analysis/is_just_text.jl")
 include("./analysis/DependencyCache.jl")
 include("./analysis/MoreAnalysis.jl")
+include("./analysis/Formatting.jl")
 
 include("./evaluation/WorkspaceManager.jl")
 include("./evaluation/MacroAnalysis.jl")
@@ -78,11 +79,13 @@ include("./evaluation/RunBonds.jl")
 
 module DownloadCool include("./webserver/data_url.jl") end
 include("./webserver/MsgPack.jl")
+include("./webserver/Frames.jl")
 include("./webserver/SessionActions.jl")
 include("./webserver/Static.jl")
 include("./webserver/Authentication.jl")
 include("./webserver/Router.jl")
 include("./webserver/Dynamic.jl")
+include("./webserver/Collab.jl")
 include("./webserver/REPLTools.jl")
 include("./webserver/WebServer.jl")
 
@@ -0,0 +1,49 @@
+# Formatting cell code, for the "Format cell" command in the editor. Markdown and HTML cells are formatted in the browser, see `frontend/common/CodeFormatting.js`.
+
+"""
+The code formatters that the editor can use, as `name => formatter` pairs. They are tried in order, and the first one that returns a `String` wins. See [`register_formatter!`](@ref).
+
+If none of them can format the code, we use JuliaFormatter.jl, if it is installed in the environment that Pluto runs in.
+"""
+const code_formatters = Pair{String,Function}[]
+
+"""
+```julia
+register_formatter!(name::String, formatter::Function)
+```
+
+Add a code formatter for the "Format cell" command in the editor. `formatter(code::String)` should return the formatted code, or `nothing` to let the next formatter try. Formatters that are registered later are tried first, and a formatter with the same `name` is replaced.
+
+# Example
+```julia
+import JuliaFormatter
+Pluto.register_formatter!("BlueStyle", code -> JuliaFormatter.format_text(code; style=JuliaFormatter.BlueStyle()))
+```
+"""
+function register_formatter!(name::String, formatter::Function)
+    filter!(p -> first(p) != name, code_formatters)
+    pushfirst!(code_formatters, name => formatter)
+    nothing
+end
+
+function juliaformatter_formatter(code::String)
+    id = Base.identify_package("JuliaFormatter")
+    id === nothing && return nothing
+    JuliaFormatter = Base.require(id)
+    Base.invokelatest(JuliaFormatter.format_text, code)
+end
+
+"""
+Format the code of a cell with the first formatter that can. Returns `(formatted_code, formatter_name)`, or `nothing` if no formatter is available.
+"""
+function format_code(code::String)
+    for (name, formatter) in [code_formatters; "JuliaFormatter" => juliaformatter_formatter]
+        result = formatter(code)
+        if result isa AbstractString
+            # Formatters like to end files with a newline, but cells don't.
+            formatted = endswith(code, '\n') ? String(result) : String(rstrip(result, '\n'))
+            return (formatted, name)
+        end
+    end
+    nothing
+end
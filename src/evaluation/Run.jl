@@ -609,6 +609,8 @@ function update_from_file(session::ServerSession, notebook::Notebook; kwargs...)
 		delete!(notebook.cells_dict, c)
 	end
 	for c in changed
+		# the file wins over unsubmitted code that is being edited collaboratively
+		clear_collab_entry!(session, notebook, c)
 		notebook.cells_dict[c].code = just_loaded.cells_dict[c].code
 		notebook.cells_dict[c].metadata = just_loaded.cells_dict[c].metadata
 	end
@@ -115,6 +115,7 @@ function generate_html(;
         preamble_html_js::AbstractString="undefined",
         notebook_id_js::AbstractString="undefined", 
         isolated_cell_ids_js::AbstractString="undefined",
+        dashboard::Bool=false,
 
         header_html::AbstractString="",
     )::String
@@ -127,6 +128,7 @@ function generate_html(;
     <script data-pluto-file="launch-parameters">
     window.pluto_notebook_id = $(notebook_id_js);
     window.pluto_isolated_cell_ids = $(isolated_cell_ids_js);
+    window.pluto_dashboard = $(dashboard ? "true" : "false");
     window.pluto_notebookfile = $(notebookfile_js);
     window.pluto_disable_ui = $(disable_ui ? "true" : "false");
     window.pluto_slider_server_url = $(slider_server_url_js);
@@ -74,6 +74,9 @@ Base.@kwdef mutable struct Notebook
     bonds::Dict{Symbol,BondValue}=Dict{Symbol,BondValue}()
 
     metadata::Dict{String, Any}=copy(DEFAULT_NOTEBOOK_METADATA)
+
+    # state for real-time collaborative editing, see `src/webserver/Collab.jl`. This is not saved to the notebook file.
+    collab::Dict{String,Any}=Dict{String,Any}("cells" => Dict{String,Any}(), "presence" => Dict{String,Any}())
 end
 
 function _initial_nb_status()
@@ -12,6 +12,9 @@ const table_column_display_limit = 8
 const table_column_display_limit_increase = 30
 
 const tree_display_extra_items = Dict{UUID,Dict{ObjectDimPair,Int64}}() # this is Int64 on 32 bit computers as well
+"The tables (see `table_data`) in the output of each cell, so that the frontend can ask for more rows with `table_rows`."
+const table_display_objects = Dict{UUID,Dict{ObjectID,Any}}()
+const table_rows_max_count = 1000
 
 # This is not a struct to make it easier to pass these objects between processes.
 const FormattedCellResult = NamedTuple{(:output_formatted, :errored, :interrupted, :process_exited, :runtime, :published_objects, :has_pluto_hook_features),Tuple{PlutoRunner.MimedOutput,Bool,Bool,Bool,Union{UInt64,Nothing},Dict{String,Any},Bool}}
@@ -29,6 +32,7 @@ function formatted_result_of(
     currently_running_cell_id[] = cell_id
 
     extra_items = if showmore === nothing
+        table_display_objects[cell_id] = Dict{ObjectID,Any}()
         tree_display_extra_items[cell_id] = Dict{ObjectDimPair,Int64}()
     else
         old = get!(() -> Dict{ObjectDimPair,Int64}(), tree_display_extra_items, cell_id)
@@ -74,6 +78,25 @@ function formatted_result_of(
 end
 
 
+"""
+Rows `offset + 1` up to `offset + count` of a table in the output of a cell, formatted like the rows in `table_data`. The frontend uses this to load more rows of a large table, without formatting the whole output again. Returns `nothing` if the table is no longer shown.
+"""
+function table_rows(notebook_id::UUID, cell_id::UUID, objectid::ObjectID, offset::Integer, count::Integer, workspace::Module=Main)
+    x = get(get(table_display_objects, cell_id, Dict{ObjectID,Any}()), objectid, nothing)
+    x === nothing && return nothing
+
+    context = IOContext(
+        default_iocontext,
+        :extra_items => get(tree_display_extra_items, cell_id, Dict{ObjectDimPair,Int64}()),
+        :module => workspace,
+        :pluto_notebook_id => notebook_id,
+        :pluto_cell_id => cell_id,
+    )
+    with_logger_and_io_to_logs(get_cell_logger(notebook_id, cell_id)) do
+        table_rows_page(x, max(0, offset), clamp(count, 0, table_rows_max_count), IOContext(context, :compact => true))
+    end
+end
+
 """
 Format `val` using the richest possible output, return formatted string and used MIME type.
 
@@ -68,26 +68,37 @@ const integrations = Integration[
                 end
             end
 
-            function table_data(x::Any, io::Context)
-                rows = Tables.rows(x)
-                my_row_limit = get_my_display_limit(x, 1, 0, io, table_row_display_limit, table_row_display_limit_increase)
-
+            "A function that formats a row of the table `x`, with as many columns as the frontend asked for."
+            function table_row_formatter(x::Any, rows, io::Context)
                 # TODO: the commented line adds support for lazy loading columns, but it uses the same extra_items counter as the rows. So clicking More Rows will also give more columns, and vice versa, which isn't ideal. To fix, maybe use (objectid,dimension) as index instead of (objectid)?
 
                 my_column_limit = get_my_display_limit(x, 2, 0, io, table_column_display_limit, table_column_display_limit_increase)
                 # my_column_limit = table_column_display_limit
 
                 # additional 5 so that we don't cut off 1 or 2 itmes - that's silly
-                truncate_rows = my_row_limit + 5 < length(rows)
                 truncate_columns = if isempty(rows)
                     false
                 else
                     my_column_limit + 5 < length(first(rows))
                 end
 
-                row_data_for(row) = maptruncated(row, "more", my_column_limit; truncate=truncate_columns) do el
+                row -> maptruncated(row, "more", my_column_limit; truncate=truncate_columns) do el
                     format_output_default(el, io)
                 end
+            end
+
+            function table_data(x::Any, io::Context)
+                rows = Tables.rows(x)
+                my_row_limit = get_my_display_limit(x, 1, 0, io, table_row_display_limit, table_row_display_limit_increase)
+
+                # additional 5 so that we don't cut off 1 or 2 itmes - that's silly
+                truncate_rows = my_row_limit + 5 < length(rows)
+                row_data_for = table_row_formatter(x, rows, io)
+
+                cell_id = get(io, :pluto_cell_id, nothing)
+                if cell_id !== nothing
+                    get!(Dict{ObjectID,Any}, table_display_objects, cell_id)[objectid(x)] = x
+                end
 
                 # ugliest code in Pluto:
 
@@ -122,9 +133,20 @@ const integrations = Integration[
                     :objectid => objectid2str(x),
                     :schema => schema_data,
                     :rows => row_data,
+                    :total_rows => length(rows),
                 )
             end
 
+            function table_rows_page(x::Any, offset::Integer, count::Integer, io::Context)
+                rows = Tables.rows(x)
+                row_data_for = table_row_formatter(x, rows, io)
+                Any[
+                    (i, row_data_for(row))
+                    # not rows[i] because `getindex` is not guaranteed to exist
+                    for (i, row) in zip(offset + 1 : offset + count, Iterators.drop(rows, offset))
+                ]
+            end
+
 
             #=
             If the object we're trying to fileview provides rowaccess, let's try to show it. This is guaranteed to be fast
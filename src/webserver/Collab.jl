@@ -0,0 +1,203 @@
+# Real-time collaborative editing of cell code, when multiple clients are connected to the same notebook. See `frontend/components/CellInput/collab_plugin.js` for the client side.
+#
+# The unsubmitted code of a cell that is being edited by more than one client is kept in `notebook.collab["cells"]` as a *base text* and a list of updates (CodeMirror `ChangeSet`s in their JSON form). The server is the authority that decides the order of updates: a client can only push updates that are based on the latest version, otherwise it needs to rebase its updates (which CodeMirror's `collab` extension does for us) and try again. This is the same "central authority" setup as the CodeMirror collab example.
+#
+# The collab state is not part of the shared state (see `notebook_to_js`): every keystroke would cause a full `notebook_diff` for every client. Instead, changes are broadcast as small `collab_cell` and `collab_presence` messages, and a client asks for the whole collab state with a `collab_state` request when it connects.
+#
+# A collab entry only lives until the cell's code is set (submitted, or changed in the notebook file). After that, the cell's code is the source of truth again.
+
+"Updates are folded into the base text when there are more than this many, to keep the shared state small."
+const COLLAB_MAX_UPDATES = Ref(200)
+"The number of updates that are kept after folding, so that clients that are a little bit behind can still catch up."
+const COLLAB_KEEP_UPDATES = Ref(50)
+"Presence entries (cursor, name and color of a client) are removed when they were not updated for this many seconds."
+const COLLAB_PRESENCE_EXPIRY = Ref(60.0)
+
+"""
+Apply a CodeMirror `ChangeSet` (in its JSON form) to `text`. CodeMirror counts positions in UTF-16 code units, so we do the same.
+
+A `ChangeSet` is a list of sections: a number means *keep this many code units*, an array `[deleted_length, inserted_lines...]` means *replace this many code units by these lines*.
+"""
+function apply_changeset(text::String, changes::AbstractVector)::String
+    units = transcode(UInt16, text)
+    result = UInt16[]
+    position = 0
+    for section in changes
+        if section isa Integer
+            append!(result, @view units[position + 1 : position + section])
+            position += section
+        else
+            append!(result, transcode(UInt16, join(section[2:end], "\n")))
+            position += section[1]
+        end
+    end
+    append!(result, @view units[position + 1 : end])
+    transcode(String, result)
+end
+
+collab_latest_version(entry) = entry["base_version"] + length(entry["updates"])
+
+"Fold the oldest updates of a collab entry into its base text. Returns whether anything was folded."
+function compact_collab_entry!(entry)::Bool
+    updates = entry["updates"]
+    length(updates) > COLLAB_MAX_UPDATES[] || return false
+
+    new_base_version = collab_latest_version(entry) - COLLAB_KEEP_UPDATES[]
+    text = entry["base"]
+    for version in entry["base_version"] + 1 : new_base_version
+        text = apply_changeset(text, updates[string(version)]["changes"])
+        delete!(updates, string(version))
+    end
+    entry["base"] = text
+    entry["base_version"] = new_base_version
+    true
+end
+
+"What clients get to see of a peer: everything except `last_seen`, which only the server needs."
+collab_peer_to_js(peer) = Dict{String,Any}(k => v for (k, v) in peer if k != "last_seen")
+
+function collab_state_to_js(notebook::Notebook)
+    Dict{String,Any}(
+        "cells" => notebook.collab["cells"],
+        "presence" => Dict{String,Any}(peer_id => collab_peer_to_js(peer) for (peer_id, peer) in notebook.collab["presence"]),
+    )
+end
+
+"""
+Tell all clients of the notebook about a changed collab entry. `entry` is the full entry (when it is new, or its base text changed), an entry with only the new updates, or `nothing` when the entry was removed.
+"""
+function send_collab_cell!(session::ServerSession, notebook::Notebook, cell_id::String, entry)
+    putnotebookupdates!(session, notebook, UpdateMessage(:collab_cell, Dict(:cell_id => cell_id, :entry => entry), notebook))
+end
+
+function send_collab_presence!(session::ServerSession, notebook::Notebook, peer_id::String)
+    peer = get(notebook.collab["presence"], peer_id, nothing)
+    putnotebookupdates!(session, notebook, UpdateMessage(:collab_presence, Dict(:peer_id => peer_id, :peer => peer === nothing ? nothing : collab_peer_to_js(peer)), notebook))
+end
+
+"""
+Stop collaborative editing of a cell, because its code was set. Clients will show the new code of the cell.
+"""
+function clear_collab_entry!(session::ServerSession, notebook::Notebook, cell_id::Union{String,UUID})
+    cell_id = string(cell_id)
+    if haskey(notebook.collab["cells"], cell_id)
+        delete!(notebook.collab["cells"], cell_id)
+        send_collab_cell!(session, notebook, cell_id, nothing)
+    end
+end
+
+function prune_collab_state!(session::ServerSession, notebook::Notebook)
+    cells = notebook.collab["cells"]
+    for cell_id in collect(keys(cells))
+        if !haskey(notebook.cells_dict, UUID(cell_id))
+            delete!(cells, cell_id)
+        end
+    end
+    presence = notebook.collab["presence"]
+    now = time()
+    for (peer_id, peer) in collect(presence)
+        if now - peer["last_seen"] > COLLAB_PRESENCE_EXPIRY[]
+            delete!(presence, peer_id)
+            send_collab_presence!(session, notebook, peer_id)
+        end
+    end
+end
+
+"""
+A client pushes updates to the unsubmitted code of a cell. The body looks like:
+
+```julia
+Dict(
+    "cell_id" => "...",
+    "entry_id" => "...", # identifies this editing session of the cell, a new one is started when the cell gets a new base text
+    "version" => 12, # the version that the updates are based on
+    "updates" => [Dict("client_id" => "...", "changes" => [...])],
+    "base" => "...", # only when starting a new editing session (`version == 0`)
+)
+```
+
+Updates that are not based on the latest version are rejected. The client will receive the missing updates in a `collab_cell` message, rebase, and push again.
+"""
+responses[:collab_push] = function response_collab_push(🙋::ClientRequest)
+    require_notebook(🙋)
+    notebook = 🙋.notebook
+    prune_collab_state!(🙋.session, notebook)
+
+    cell_id = 🙋.body["cell_id"]
+    version = 🙋.body["version"]
+    cells = notebook.collab["cells"]
+
+    is_new = !haskey(cells, cell_id) && version == 0 && haskey(notebook.cells_dict, UUID(cell_id)) && get(🙋.body, "base", nothing) isa String
+    if is_new
+        cells[cell_id] = Dict{String,Any}(
+            "id" => 🙋.body["entry_id"],
+            "base" => 🙋.body["base"],
+            "base_version" => 0,
+            "updates" => Dict{String,Any}(),
+            # The code of the cell when collaborating started. If the cell gets different code, that wins over the collab entry.
+            "submitted_code" => notebook.cells_dict[UUID(cell_id)].code,
+        )
+    end
+
+    entry = get(cells, cell_id, nothing)
+    accepted = entry !== nothing && entry["id"] == 🙋.body["entry_id"] && version == collab_latest_version(entry)
+    if accepted
+        new_updates = Dict{String,Any}()
+        for update in 🙋.body["updates"]
+            new_version = string(collab_latest_version(entry) + 1)
+            entry["updates"][new_version] = new_updates[new_version] = Dict{String,Any}(
+                "client_id" => update["client_id"],
+                "changes" => update["changes"],
+            )
+        end
+        compacted = compact_collab_entry!(entry)
+
+        send_collab_cell!(🙋.session, notebook, cell_id, if is_new || compacted
+            entry
+        else
+            Dict{String,Any}("id" => entry["id"], "base_version" => entry["base_version"], "updates" => new_updates)
+        end)
+    end
+
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:collab_push_result, Dict(:accepted => accepted), notebook, nothing, 🙋.initiator))
+end
+
+"""
+A client tells the others who they are, and where their cursor is. With `"leave" => true`, the client is removed.
+
+This is also sent regularly to keep the client's presence from expiring. Then nothing changed, and nothing is broadcast.
+"""
+responses[:collab_presence] = function response_collab_presence(🙋::ClientRequest)
+    require_notebook(🙋)
+    notebook = 🙋.notebook
+    prune_collab_state!(🙋.session, notebook)
+
+    peer_id = 🙋.body["peer_id"]
+    presence = notebook.collab["presence"]
+    old_peer = get(presence, peer_id, nothing)
+    changed = if get(🙋.body, "leave", false) === true
+        delete!(presence, peer_id)
+        old_peer !== nothing
+    else
+        peer = presence[peer_id] = Dict{String,Any}(
+            "name" => 🙋.body["name"],
+            "color" => 🙋.body["color"],
+            "cell_id" => get(🙋.body, "cell_id", nothing),
+            "selection" => get(🙋.body, "selection", nothing),
+            "last_seen" => time(),
+        )
+        old_peer === nothing || collab_peer_to_js(old_peer) != collab_peer_to_js(peer)
+    end
+
+    changed && send_collab_presence!(🙋.session, notebook, peer_id)
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:collab_presence_result, Dict(), notebook, nothing, 🙋.initiator))
+end
+
+"""
+The whole collab state of the notebook, for a client that just connected. After this, the client stays up to date with `collab_cell` and `collab_presence` messages.
+"""
+responses[:collab_state] = function response_collab_state(🙋::ClientRequest)
+    require_notebook(🙋)
+    prune_collab_state!(🙋.session, 🙋.notebook)
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:collab_state, collab_state_to_js(🙋.notebook), 🙋.notebook, nothing, 🙋.initiator))
+end
@@ -257,8 +257,10 @@ const effects_of_changed_state = Dict(
             Firebasey.applypatch!(request.notebook, patch)
 
             if length(rest) == 0
+                clear_collab_entry!(request.session, request.notebook, cell_id)
                 [CodeChanged(), FileChanged()]
             elseif length(rest) == 1 && Symbol(rest[1]) == :code
+                clear_collab_entry!(request.session, request.notebook, cell_id)
                 [CodeChanged(), FileChanged()]
             else
                 [FileChanged()]
@@ -396,6 +398,7 @@ responses[:current_time] = function response_current_time(🙋::ClientRequest)
 end
 
 responses[:connect] = function response_connect(🙋::ClientRequest)
+    🙋.initiator.client.frame_encodings = String.(get(🙋.body, "frame_encodings", String[]))
     putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:👋, Dict(
         :notebook_exists => (🙋.notebook !== nothing),
         :session_options => 🙋.session.options,
@@ -532,6 +535,29 @@ responses[:reshow_cell] = function response_reshow_cell(🙋::ClientRequest)
     send_notebook_changes!(🙋 |> without_initiator)
 end
 
+"""
+More rows of a large table in the output of a cell, see `PlutoRunner.table_rows`. Unlike `reshow_cell`, this does not format the whole output again: only the requested rows are sent back.
+"""
+responses[:table_rows] = function response_table_rows(🙋::ClientRequest)
+    require_notebook(🙋)
+    @assert will_run_code(🙋.notebook)
+
+    rows = WorkspaceManager.eval_fetch_in_workspace(
+        (🙋.session, 🙋.notebook),
+        quote
+            PlutoRunner.table_rows(
+                $(🙋.notebook.notebook_id),
+                $(UUID(🙋.body["cell_id"])),
+                $(parse(PlutoRunner.ObjectID, 🙋.body["objectid"], base=16)),
+                $(convert(Int64, 🙋.body["offset"])),
+                $(convert(Int64, 🙋.body["count"])),
+                @__MODULE__,
+            )
+        end
+    )
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:table_rows, Dict(:rows => rows), 🙋.notebook, nothing, 🙋.initiator))
+end
+
 responses[:request_js_link_response] = function response_request_js_link_response(🙋::ClientRequest)
     require_notebook(🙋)
     @assert will_run_code(🙋.notebook)
@@ -618,5 +644,64 @@ responses[:pkg_update] = function response_pkg_update(🙋::ClientRequest)
 end
 
 
+###
+# COMPARING WITH OTHER VERSIONS
+###
 
+"Other versions of this notebook that can be compared with the current one: the backups that Pluto made of the notebook file (see [`backup_filename`](@ref))."
+function comparison_candidates(notebook::Notebook)::Vector{String}
+    dir = dirname(notebook.path)
+    prefix = basename(without_pluto_file_extension(notebook.path)) * " backup "
+    isdir(dir) || return String[]
+    filter(readdir(dir; join=true)) do path
+        name = basename(path)
+        startswith(name, prefix) && endswith(name, ".jl") && isfile(path)
+    end
+end
 
+"The part of a notebook that is saved to the file, in the same form as `notebook_to_js`."
+function notebook_version_to_js(notebook::Notebook)
+    Dict{String,Any}(
+        "cell_inputs" => Dict{String,Dict{String,Any}}(
+            string(id) => Dict{String,Any}(
+                "cell_id" => string(cell.cell_id),
+                "code" => cell.code,
+                "code_folded" => cell.code_folded,
+                "metadata" => cell.metadata,
+            )
+        for (id, cell) in notebook.cells_dict),
+        "cell_order" => string.(notebook.cell_order),
+        "metadata" => notebook.metadata,
+    )
+end
+
+responses[:comparison_candidates] = function response_comparison_candidates(🙋::ClientRequest)
+    require_notebook(🙋)
+    candidates = [
+        Dict(:path => path, :name => basename(path), :mtime => mtime(path))
+        for path in comparison_candidates(🙋.notebook)
+    ]
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:comparison_candidates, Dict(
+        :candidates => sort(candidates; by=c -> c[:mtime], rev=true),
+    ), nothing, nothing, 🙋.initiator))
+end
+
+"""
+Read another version of the notebook, to compare it with the current one. The body contains either `"path"` (one of the [`comparison_candidates`](@ref)), or `"contents"`: the contents of a notebook file that was opened in the browser.
+"""
+responses[:read_notebook_version] = function response_read_notebook_version(🙋::ClientRequest)
+    require_notebook(🙋)
+    response = try
+        other = if haskey(🙋.body, "path")
+            path = 🙋.body["path"]
+            path ∈ comparison_candidates(🙋.notebook) || throw(ArgumentError("This file is not a backup of the notebook."))
+            load_notebook_nobackup(path; skip_nbpkg=true)
+        else
+            load_notebook_nobackup(IOBuffer(🙋.body["contents"]), "compared notebook.jl"; skip_nbpkg=true)
+        end
+        Dict(:ok => true, :version => notebook_version_to_js(other))
+    catch ex
+        Dict(:ok => false, :why_not => sprint(showerror, ex))
+    end
+    putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:notebook_version, response, nothing, nothing, 🙋.initiator))
+end
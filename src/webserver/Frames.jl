@@ -0,0 +1,57 @@
+# Large messages (e.g. a notebook_diff with a big plot) are compressed and split into chunks before they are sent to the client. The client reassembles them in a Web Worker, see `frontend/common/Frames.js`.
+
+import Zlib_jll
+
+"Messages larger than this (in bytes) are compressed, if the client supports it."
+const FRAME_COMPRESSION_THRESHOLD = Ref(64 * 1024)
+"Frames larger than this (in bytes) are split into chunks, so that the client can report progress."
+const FRAME_CHUNK_SIZE = Ref(1024 * 1024)
+
+const frame_id_counter = Threads.Atomic{Int}(0)
+
+"Compress `data` in the zlib format, which is what `DecompressionStream(\"deflate\")` in the browser expects."
+function zlib_compress(data::Vector{UInt8})::Vector{UInt8}
+    bound = ccall((:compressBound, Zlib_jll.libz), Culong, (Culong,), length(data))
+    out = Vector{UInt8}(undef, bound)
+    out_length = Ref{Culong}(bound)
+    # level 1: we care more about speed than about size
+    status = ccall((:compress2, Zlib_jll.libz), Cint, (Ptr{UInt8}, Ref{Culong}, Ptr{UInt8}, Culong, Cint), out, out_length, data, length(data), 1)
+    status == 0 || error("zlib compression failed with status $(status)")
+    resize!(out, out_length[])
+end
+
+"""
+Turn a serialized message into the frames that are sent to the client. `encodings` are the frame encodings that the client said it supports when it connected (see `responses[:connect]`). Clients that don't support framing (`encodings` is empty) always get the message as a single frame.
+
+A large message is compressed (if the client supports `"deflate"`) and split into chunks. Every chunk is sent as its own MsgPack frame:
+
+```julia
+Dict(
+    :pluto_frame => Dict(:id => 12, :index => 0, :count => 3, :encoding => "deflate", :size => 2_500_000),
+    :data => UInt8[...],
+)
+```
+"""
+function message_frames(serialized::Vector{UInt8}, encodings::Vector{String})::Vector{Vector{UInt8}}
+    compress = "deflate" ∈ encodings && length(serialized) > FRAME_COMPRESSION_THRESHOLD[]
+    chunk_size = FRAME_CHUNK_SIZE[]
+    if isempty(encodings) || (!compress && length(serialized) <= chunk_size)
+        return [serialized]
+    end
+
+    data = compress ? zlib_compress(serialized) : serialized
+    count = cld(length(data), chunk_size)
+    id = Threads.atomic_add!(frame_id_counter, 1)
+    map(1:count) do i
+        pack(Dict(
+            :pluto_frame => Dict(
+                :id => id,
+                :index => i - 1,
+                :count => count,
+                :encoding => compress ? "deflate" : "none",
+                :size => length(data),
+            ),
+            :data => data[(i - 1) * chunk_size + 1 : min(i * chunk_size, length(data))],
+        ))
+    end
+end
@@ -67,11 +67,11 @@ end
 # https://github.com/JuliaWeb/HTTP.jl/issues/382
 const flushtoken = Token()
 
-function send_message(stream::HTTP.WebSocket, msg)
-    HTTP.send(stream, serialize_message(msg))
+function send_frame(stream::HTTP.WebSocket, frame::Vector{UInt8})
+    HTTP.send(stream, frame)
 end
-function send_message(stream::IO, msg)
-    write(stream, serialize_message(msg))
+function send_frame(stream::IO, frame::Vector{UInt8})
+    write(stream, frame)
 end
 
 function is_stream_open(stream::HTTP.WebSocket)
@@ -81,6 +81,28 @@ function is_stream_open(io::IO)
     isopen(io)
 end
 
+"""
+The stream of a client that connects with HTTP long-polling instead of a WebSocket, because the WebSocket upgrade was blocked (e.g. by a proxy). See `create_longpoll_transport` in the frontend.
+
+Messages for the client are stored in the `outbox`, they are picked up by the client's next `GET /longpoll` request.
+"""
+mutable struct LongPollStream
+    outbox::Channel{Vector{UInt8}}
+    last_seen::Float64
+end
+LongPollStream() = LongPollStream(Channel{Vector{UInt8}}(Inf), time())
+
+"If a long-polling client did not fetch its messages for this many seconds, then we consider it disconnected."
+const LONGPOLL_EXPIRY = Ref(60.0)
+
+function send_frame(stream::LongPollStream, frame::Vector{UInt8})
+    put!(stream.outbox, frame)
+end
+function is_stream_open(stream::LongPollStream)
+    isopen(stream.outbox) && time() - stream.last_seen < LONGPOLL_EXPIRY[]
+end
+Base.close(stream::LongPollStream) = close(stream.outbox)
+
 function flushclient(client::ClientSession)
     take!(flushtoken)
     while isready(client.pendingupdates)
@@ -94,7 +116,9 @@ function flushclient(client::ClientSession)
                         (lag > 0) && sleep(lag * (0.5 + rand())) # sleep(0) would yield to the process manager which we dont want
                     end
 
-                    send_message(client.stream, next_to_send)
+                    for frame in message_frames(serialize_message(next_to_send), client.frame_encodings)
+                        send_frame(client.stream, frame)
+                    end
                 else
                     put!(flushtoken)
                     return false
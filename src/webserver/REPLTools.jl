@@ -105,6 +105,74 @@ responses[:complete_symbols] = function response_complete_symbols(🙋::ClientRe
     putclientupdates!(🙋.session, 🙋.initiator, msg)
 end
 
+"""
+Which of the given `names` are defined in the notebook process, e.g. because they come from `Base` or from an imported package. Used by the frontend to warn about undefined variables before running a cell. Returns `nothing` when the notebook process is not available (or busy), since then we can't tell.
+"""
+responses[:defined_names] = function response_defined_names(🙋::ClientRequest)
+    if 🙋.notebook === nothing
+        msg = UpdateMessage(:defined_names, Dict(:defined => nothing, :error => "Request called without a notebook"), nothing, nothing, 🙋.initiator)
+        return putclientupdates!(🙋.session, 🙋.initiator, msg)
+    end
+    names = String[n for n in 🙋.body["names"] if n isa String]
+
+    workspace = WorkspaceManager.get_workspace((🙋.session, 🙋.notebook); allow_creation=false)
+
+    defined = if will_run_code(🙋.notebook) && workspace isa WorkspaceManager.Workspace && isready(workspace.dowork_token)
+        Malt.remote_eval_fetch(workspace.worker, quote
+            let m = getfield(Main, $(QuoteNode(workspace.module_name)))
+                filter(n -> isdefined(m, Symbol(n)), $(names))
+            end
+        end)
+    else
+        nothing
+    end
+
+    msg = UpdateMessage(:defined_names, Dict(:defined => defined), 🙋.notebook, nothing, 🙋.initiator)
+
+    putclientupdates!(🙋.session, 🙋.initiator, msg)
+end
+
+"How long the server waits for a code formatter, in seconds. The first time that JuliaFormatter.jl is used, it needs to be loaded, which can take a while."
+const format_code_timeout = Ref(20.0)
+
+"The task that runs the code formatter for the last `format_code` request."
+const running_formatter_task = Ref{Union{Nothing,Task}}(nothing)
+
+"""
+Format the code in the body with [`format_code`](@ref). The notebook is not changed: the editor applies the result to the cell, as an unsubmitted change.
+
+Formatting happens in a separate task, so that other messages from this client are handled in the meantime. If it takes longer than [`format_code_timeout`](@ref), we respond with an error. The task can not be stopped, so we don't start a new one until it finishes: until then, requests get an error right away.
+"""
+responses[:format_code] = function response_format_code(🙋::ClientRequest)
+    code = 🙋.body["code"]
+    previous_task = running_formatter_task[]
+    if previous_task !== nothing && !istaskdone(previous_task)
+        response = Dict(:ok => false, :why_not => "The code formatter is still busy with a previous request. Try again later.")
+        return putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:formatted_code, response, nothing, nothing, 🙋.initiator))
+    end
+
+    formatter_task = running_formatter_task[] = Threads.@spawn try
+        result = format_code(code)
+        if result === nothing
+            Dict(:ok => false, :why_not => "No code formatter is available. Install JuliaFormatter.jl in the environment that runs Pluto, or register a formatter with `Pluto.register_formatter!`.")
+        else
+            formatted, formatter = result
+            Dict(:ok => true, :formatted => formatted, :formatter => formatter)
+        end
+    catch ex
+        Dict(:ok => false, :why_not => sprint(showerror, ex))
+    end
+
+    @asynclog begin
+        response = if timedwait(() -> istaskdone(formatter_task), format_code_timeout[]; pollint=0.05) === :ok
+            fetch(formatter_task)
+        else
+            Dict(:ok => false, :why_not => "The code formatter did not finish within $(format_code_timeout[]) seconds.")
+        end
+        putclientupdates!(🙋.session, 🙋.initiator, UpdateMessage(:formatted_code, response, nothing, nothing, 🙋.initiator))
+    end
+end
+
 responses[:docs] = function response_docs(🙋::ClientRequest)
     require_notebook(🙋)
     query = 🙋.body["query"]
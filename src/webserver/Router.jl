@@ -211,6 +211,48 @@ function http_router_for(session::ServerSession)
     end
     HTTP.register!(router, "POST", "/notebookupload", serve_notebookupload)
     
+    # Fallback for clients that can't open a WebSocket, see `LongPollStream`.
+    longpoll_streams = Dict{String,LongPollStream}()
+    longpoll_wait_time = 20.0
+    function serve_longpoll(request::HTTP.Request)
+        query = HTTP.queryparams(HTTP.URI(request.target))
+        stream_id = get(query, "stream_id", "")
+        if isempty(stream_id)
+            return error_response(400, "Bad query", "Please <a href='https://github.com/fonsp/Pluto.jl/issues'>report this error</a>!", "Missing stream_id")
+        end
+        
+        filter!(p -> is_stream_open(p.second), longpoll_streams)
+        stream = get!(LongPollStream, longpoll_streams, stream_id)
+        stream.last_seen = time()
+        
+        if request.method == "POST"
+            # The request body is a single message, MsgPack-encoded by send(...) in PlutoConnection.js
+            try
+                process_ws_message(session, unpack(request.body), stream)
+                HTTP.Response(204)
+            catch ex
+                @warn "Processing long-polling message failed for unknown reason:" exception = (ex, stacktrace(catch_backtrace()))
+                HTTP.Response(500)
+            end
+        else
+            if get(query, "wait", "false") == "true"
+                timedwait(() -> isready(stream.outbox), longpoll_wait_time; pollint=0.05)
+            end
+            frames = Vector{UInt8}[]
+            while isready(stream.outbox)
+                push!(frames, take!(stream.outbox))
+            end
+            stream.last_seen = time()
+            
+            response = HTTP.Response(200, pack(frames))
+            HTTP.setheader(response, "Content-Type" => "application/octet-stream")
+            HTTP.setheader(response, "Cache-Control" => "no-store")
+            response
+        end
+    end
+    HTTP.register!(router, "GET", "/longpoll", serve_longpoll)
+    HTTP.register!(router, "POST", "/longpoll", serve_longpoll)
+    
     function serve_asset(request::HTTP.Request)
         uri = HTTP.URI(request.target)
         filepath = project_relative_path(frontend_directory(), relpath(HTTP.unescapeuri(uri.path), "/"))
@@ -147,6 +147,264 @@ end
         end
     end
 
+    @testset "Collaborative editing" begin
+        @testset "apply_changeset" begin
+            @test Pluto.apply_changeset("hello", [5, [0, " world"]]) == "hello world"
+            @test Pluto.apply_changeset("hello world", [[5, "bye"], 6]) == "bye world"
+            @test Pluto.apply_changeset("ab", [1, [0, "x", "y"], 1]) == "ax\nyb"
+            @test Pluto.apply_changeset("ab", [[2]]) == ""
+            # Positions are in UTF-16 code units: 🍕 takes two of them, é takes one.
+            @test Pluto.apply_changeset("🍕 = 1", [2, [4, " = 2"]]) == "🍕 = 2"
+            @test Pluto.apply_changeset("🍕 = 1", [[2], 4]) == " = 1"
+            @test Pluto.apply_changeset("é🍕x", [3, [1, "y"]]) == "é🍕y"
+            @test Pluto.apply_changeset("é🍕x", [1, [2, "🍍"], 1]) == "é🍍x"
+        end
+
+        🍭 = ServerSession()
+        buffer = IOBuffer()
+        client = ClientSession(:collabby, buffer)
+        🍭.connected_clients[client.id] = client
+
+        notebook = Notebook([Cell("x = 1")])
+        🍭.notebooks[notebook.notebook_id] = notebook
+        client.connected_notebook = notebook
+        cell_id = string(notebook.cells[1].cell_id)
+
+        # Handle a request, and return the messages that were sent to our client
+        function collab_request(type, body)
+            Pluto.responses[type](Pluto.ClientRequest(
+                session=🍭,
+                notebook=notebook,
+                body=stringify_keys(body),
+                initiator=Pluto.Initiator(client, Symbol(get_unique_short_id())),
+            ))
+            io = IOBuffer(take!(buffer))
+            received = Dict[]
+            while !eof(io)
+                push!(received, Pluto.unpack(io))
+            end
+            received
+        end
+        push(version, updates; entry_id="e1", base=nothing) = collab_request(:collab_push, Dict(
+            "cell_id" => cell_id,
+            "entry_id" => entry_id,
+            "version" => version,
+            "updates" => updates,
+            (base === nothing ? () : ("base" => base,))...,
+        ))
+        accepted(received) = only(filter(m -> m["type"] == "collab_push_result", received))["message"]["accepted"]
+        broadcasts(received, type="collab_cell") = filter(m -> m["type"] == type, received)
+        entry() = notebook.collab["cells"][cell_id]
+        function collab_text(entry)
+            text = entry["base"]
+            for version in entry["base_version"] + 1 : Pluto.collab_latest_version(entry)
+                text = Pluto.apply_changeset(text, entry["updates"][string(version)]["changes"])
+            end
+            text
+        end
+
+        @testset "Pushing and rebasing" begin
+            # Updates for an entry that does not exist are rejected
+            received = push(3, [])
+            @test accepted(received) == false
+            @test isempty(broadcasts(received))
+
+            # Start a collab session: the whole entry is broadcast
+            received = push(0, []; base="x = 1")
+            @test accepted(received) == true
+            new_entry = only(broadcasts(received))["message"]["entry"]
+            @test new_entry["base"] == "x = 1"
+            @test new_entry["submitted_code"] == "x = 1"
+
+            # New updates: only those are broadcast
+            received = push(0, [Dict("client_id" => "a", "changes" => [5, [0, "0"]])])
+            @test accepted(received) == true
+            message = only(broadcasts(received))["message"]
+            @test message["cell_id"] == cell_id
+            @test !haskey(message["entry"], "base")
+            @test collect(keys(message["entry"]["updates"])) == ["1"]
+            @test collab_text(entry()) == "x = 10"
+
+            # Client b did not see version 1 yet, so its update is rejected...
+            received = push(0, [Dict("client_id" => "b", "changes" => [[1, "y"], 4])])
+            @test accepted(received) == false
+            @test isempty(broadcasts(received))
+            @test Pluto.collab_latest_version(entry()) == 1
+
+            # ...and it pushes again after rebasing on version 1
+            received = push(1, [Dict("client_id" => "b", "changes" => [[1, "y"], 5])])
+            @test accepted(received) == true
+            @test collab_text(entry()) == "y = 10"
+
+            # Updates for another collab session of the cell are rejected
+            @test accepted(push(2, [Dict("client_id" => "c", "changes" => [6, [0, "!"]])]; entry_id="e2")) == false
+            @test collab_text(entry()) == "y = 10"
+        end
+
+        @testset "Compaction" begin
+            old_max, old_keep = Pluto.COLLAB_MAX_UPDATES[], Pluto.COLLAB_KEEP_UPDATES[]
+            Pluto.COLLAB_MAX_UPDATES[] = 3
+            Pluto.COLLAB_KEEP_UPDATES[] = 1
+            try
+                received = push(2, [
+                    Dict("client_id" => "a", "changes" => [6, [0, "0"]]),
+                    Dict("client_id" => "a", "changes" => [7, [0, "0"]]),
+                ])
+                @test accepted(received) == true
+                @test entry()["base_version"] == 3
+                @test entry()["base"] == "y = 100"
+                @test collect(keys(entry()["updates"])) == ["4"]
+                @test collab_text(entry()) == "y = 1000"
+                # The base text changed, so the whole entry is broadcast
+                @test only(broadcasts(received))["message"]["entry"]["base"] == "y = 100"
+
+                # Version numbers keep counting after compaction
+                @test accepted(push(3, [Dict("client_id" => "b", "changes" => [7, [0, "!"]])])) == false
+                @test accepted(push(4, [Dict("client_id" => "b", "changes" => [8, [0, "!"]])])) == true
+                @test collab_text(entry()) == "y = 1000!"
+            finally
+                Pluto.COLLAB_MAX_UPDATES[] = old_max
+                Pluto.COLLAB_KEEP_UPDATES[] = old_keep
+            end
+        end
+
+        @testset "Presence" begin
+            presence(; kwargs...) = collab_request(:collab_presence, merge(
+                Dict("peer_id" => "p1", "name" => "Fons", "color" => "red", "cell_id" => cell_id, "selection" => [[1, 1]]),
+                Dict(string(k) => v for (k, v) in kwargs),
+            ))
+
+            received = presence()
+            peer = only(broadcasts(received, "collab_presence"))["message"]
+            @test peer["peer_id"] == "p1"
+            @test peer["peer"]["name"] == "Fons"
+            @test !haskey(peer["peer"], "last_seen")
+            @test length(broadcasts(received, "collab_presence_result")) == 1
+
+            # A heartbeat without changes is not broadcast
+            @test isempty(broadcasts(presence(), "collab_presence"))
+            @test only(broadcasts(presence(selection=[[2, 2]]), "collab_presence"))["message"]["peer"]["selection"] == [[2, 2]]
+
+            state = only(broadcasts(collab_request(:collab_state, Dict()), "collab_state"))["message"]
+            @test state["cells"][cell_id]["id"] == "e1"
+            @test haskey(state["presence"], "p1")
+
+            received = presence(leave=true)
+            @test only(broadcasts(received, "collab_presence"))["message"]["peer"] === nothing
+            @test isempty(notebook.collab["presence"])
+        end
+
+        @testset "Setting the code ends the collab session" begin
+            @test haskey(notebook.collab["cells"], cell_id)
+            request = Pluto.ClientRequest(session=🍭, notebook=notebook)
+            patch = Firebasey.ReplacePatch(["cell_inputs", cell_id, "code"], "x = 2")
+            Pluto.effects_of_changed_state["cell_inputs"][Pluto.Wildcard()](cell_id, "code"; request, patch)
+
+            @test notebook.cells[1].code == "x = 2"
+            @test !haskey(notebook.collab["cells"], cell_id)
+            received = Pluto.unpack(take!(buffer))
+            @test received["type"] == "collab_cell"
+            @test received["message"]["entry"] === nothing
+
+            # A new collab session can be started, with the new code
+            received = push(0, []; entry_id="e3", base="x = 2")
+            @test accepted(received) == true
+            @test entry()["submitted_code"] == "x = 2"
+        end
+    end
+
+    @testset "Defined names" begin
+        🍭 = ServerSession()
+        buffer = IOBuffer()
+        client = ClientSession(:namey, buffer)
+        🍭.connected_clients[client.id] = client
+
+        notebook = Notebook([Cell("using Dates"), Cell("x = 1")])
+        🍭.notebooks[notebook.notebook_id] = notebook
+        client.connected_notebook = notebook
+
+        function defined_names(notebook, names)
+            Pluto.responses[:defined_names](Pluto.ClientRequest(
+                session=🍭,
+                notebook=notebook,
+                body=Dict("names" => names),
+                initiator=Pluto.Initiator(client, Symbol(get_unique_short_id())),
+            ))
+            received = Pluto.unpack(take!(buffer))
+            @test received["type"] == "defined_names"
+            received["message"]
+        end
+
+        # Without a notebook process, we can't tell
+        @test defined_names(notebook, ["sqrt"])["defined"] === nothing
+
+        # Without a notebook, we still get a response
+        response = defined_names(nothing, ["sqrt"])
+        @test response["defined"] === nothing
+        @test haskey(response, "error")
+
+        update_save_run!(🍭, notebook, notebook.cells)
+        @test sort(defined_names(notebook, ["sqrt", "Date", "x", "not_defined_anywhere", "🍕"])["defined"]) == sort(["sqrt", "Date", "x"])
+        @test defined_names(notebook, String[])["defined"] == []
+
+        WorkspaceManager.unmake_workspace((🍭, notebook))
+    end
+
+    @testset "Comparing with other versions" begin
+        🍭 = ServerSession()
+        buffer = IOBuffer()
+        client = ClientSession(:comparey, buffer)
+        🍭.connected_clients[client.id] = client
+
+        dir = mktempdir()
+        notebook = Notebook([Cell("x = 1"), Cell("y = x + 1")], joinpath(dir, "compared.jl"))
+        🍭.notebooks[notebook.notebook_id] = notebook
+        Pluto.save_notebook(notebook)
+
+        # A backup with different code, and files that are not backups of this notebook
+        original_code = read(notebook.path, String)
+        write(joinpath(dir, "compared backup 1.jl"), replace(original_code, "x = 1" => "x = 2"))
+        write(joinpath(dir, "compared notes.txt"), "not a notebook")
+        write(joinpath(dir, "other backup 1.jl"), original_code)
+        mkdir(joinpath(dir, "compared backup 2.jl"))
+
+        @test Pluto.comparison_candidates(notebook) == [joinpath(dir, "compared backup 1.jl")]
+
+        function request(type, body)
+            Pluto.responses[type](Pluto.ClientRequest(
+                session=🍭,
+                notebook=notebook,
+                body=body,
+                initiator=Pluto.Initiator(client, Symbol(get_unique_short_id())),
+            ))
+            Pluto.unpack(take!(buffer))["message"]
+        end
+
+        candidates = request(:comparison_candidates, Dict())["candidates"]
+        @test length(candidates) == 1
+        @test candidates[1]["name"] == "compared backup 1.jl"
+
+        response = request(:read_notebook_version, Dict("path" => candidates[1]["path"]))
+        @test response["ok"]
+        version = response["version"]
+        @test version["cell_order"] == string.(notebook.cell_order)
+        @test version["cell_inputs"][string(notebook.cells[1].cell_id)]["code"] == "x = 2"
+        @test version["cell_inputs"][string(notebook.cells[2].cell_id)]["code"] == "y = x + 1"
+
+        # Uploaded contents
+        response = request(:read_notebook_version, Dict("contents" => original_code))
+        @test response["ok"]
+        @test response["version"]["cell_inputs"][string(notebook.cells[1].cell_id)]["code"] == "x = 1"
+
+        # Only backups of this notebook can be read from disk
+        response = request(:read_notebook_version, Dict("path" => joinpath(dir, "other backup 1.jl")))
+        @test !response["ok"]
+        @test occursin("not a backup", response["why_not"])
+
+        # Reading the version does not change the notebook
+        @test read(notebook.path, String) == original_code
+    end
+
     @testset "Docs" begin
         @test occursin("square root", Pluto.PlutoRunner.doc_fetcher("sqrt", Main)[1])
         @test occursin("square root", Pluto.PlutoRunner.doc_fetcher("Base.sqrt", Main)[1])
@@ -0,0 +1,102 @@
+using Test
+import Pluto
+import Pluto: ServerSession, ClientSession, format_code, register_formatter!, code_formatters
+
+@testset "Formatting" begin
+    original_formatters = copy(code_formatters)
+    original_timeout = Pluto.format_code_timeout[]
+
+    try
+        empty!(code_formatters)
+
+        @testset "Registered formatters" begin
+            register_formatter!("upper", code -> uppercase(code))
+            @test format_code("x = 1") == ("X = 1", "upper")
+
+            # Formatters that are registered later are tried first
+            register_formatter!("skip", code -> nothing)
+            register_formatter!("reverse", code -> reverse(code))
+            @test format_code("abc") == ("cba", "reverse")
+
+            # The same name replaces the formatter, and it goes to the front
+            register_formatter!("upper", code -> uppercase(code) * "!")
+            @test count(p -> first(p) == "upper", code_formatters) == 1
+            @test format_code("abc") == ("ABC!", "upper")
+
+            # A formatter that returns `nothing` lets the next one try
+            empty!(code_formatters)
+            register_formatter!("upper", code -> uppercase(code))
+            register_formatter!("skip", code -> nothing)
+            @test format_code("abc") == ("ABC", "upper")
+        end
+
+        @testset "Trailing newlines" begin
+            empty!(code_formatters)
+            register_formatter!("newline", code -> strip(code) * "\n\n")
+            @test format_code("x") == ("x", "newline")
+            @test format_code("x\n") == ("x\n\n", "newline")
+        end
+
+        @testset "No formatter" begin
+            empty!(code_formatters)
+            if Base.identify_package("JuliaFormatter") === nothing
+                @test format_code("x") === nothing
+            else
+                @test format_code("x  =  1")[2] == "JuliaFormatter"
+            end
+        end
+
+        @testset "Response" begin
+            🍭 = ServerSession()
+            buffer = IOBuffer()
+            client = ClientSession(:formatty, buffer)
+            🍭.connected_clients[client.id] = client
+
+            function format_response(code)
+                Pluto.responses[:format_code](Pluto.ClientRequest(
+                    session=🍭,
+                    notebook=nothing,
+                    body=Dict("code" => code),
+                    initiator=Pluto.Initiator(client, :format_request),
+                ))
+                # The response is sent from a separate task
+                @test Pluto.WorkspaceManager.poll(() -> buffer.size > 0, 10)
+                received = Pluto.unpack(take!(buffer))
+                @test received["type"] == "formatted_code"
+                @test received["request_id"] == "format_request"
+                received["message"]
+            end
+
+            empty!(code_formatters)
+            register_formatter!("upper", code -> uppercase(code))
+            @test format_response("x") == Dict("ok" => true, "formatted" => "X", "formatter" => "upper")
+
+            register_formatter!("broken", code -> error("Oh no"))
+            response = format_response("x")
+            @test response["ok"] == false
+            @test occursin("Oh no", response["why_not"])
+
+            # A formatter that takes too long
+            Pluto.format_code_timeout[] = 0.5
+            register_formatter!("slow", code -> (sleep(3); code))
+            response = format_response("x")
+            @test response["ok"] == false
+            @test occursin("did not finish", response["why_not"])
+
+            # The slow formatter is still running, so we don't start another one
+            empty!(code_formatters)
+            register_formatter!("upper", code -> uppercase(code))
+            response = format_response("x")
+            @test response["ok"] == false
+            @test occursin("still busy", response["why_not"])
+
+            # Until it finishes
+            @test Pluto.WorkspaceManager.poll(() -> istaskdone(Pluto.running_formatter_task[]), 10)
+            @test format_response("x") == Dict("ok" => true, "formatted" => "X", "formatter" => "upper")
+        end
+    finally
+        empty!(code_formatters)
+        append!(code_formatters, original_formatters)
+        Pluto.format_code_timeout[] = original_timeout
+    end
+end
@@ -346,7 +346,32 @@ end
         @test manyrowssize < 50 * smallsize
         @test manycolssize < 50 * smallsize
 
-        # TODO: test lazy loading more rows/cols
+        @test notebook.cells[4].output.body[:total_rows] == 3
+        @test notebook.cells[5].output.body[:total_rows] == 20
+        @test notebook.cells[6].output.body[:total_rows] == 2000
+        @test notebook.cells[12].output.body[:total_rows] == 120
+
+        @testset "Loading more rows" begin
+            cell = notebook.cells[6]
+            objectid = parse(Pluto.PlutoRunner.ObjectID, cell.output.body[:objectid], base=16)
+            table_rows(offset, count; objectid=objectid) = Pluto.WorkspaceManager.eval_fetch_in_workspace((🍭, notebook), quote
+                PlutoRunner.table_rows($(notebook.notebook_id), $(cell.cell_id), $objectid, $offset, $count)
+            end)
+
+            page = table_rows(10, 100)
+            @test first.(page) == 11:110
+            # the same columns as the rows that were already shown
+            @test length(last(page[1])) == length(last(cell.output.body[:rows][1]))
+
+            @test first.(table_rows(1990, 100)) == 1991:2000
+            @test isempty(table_rows(2000, 100))
+            @test length(table_rows(0, 10^6)) == Pluto.PlutoRunner.table_rows_max_count
+
+            # a table that is not in the output of this cell
+            @test table_rows(0, 10; objectid=objectid + 1) === nothing
+        end
+
+        # TODO: test lazy loading more cols
 
         cleanup(🍭, notebook)
         🍭.options.evaluation.workspace_use_distributed = false
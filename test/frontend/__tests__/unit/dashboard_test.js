@@ -0,0 +1,59 @@
+import { dashboard_layout, default_columns, place_item } from "../../../../frontend/common/DashboardLayout.js"
+
+const notebook_with = (dashboard, cell_ids = ["a", "b", "c"]) => ({
+    metadata: { dashboard },
+    cell_inputs: Object.fromEntries(cell_ids.map((cell_id) => [cell_id, { cell_id, code: "" }])),
+})
+
+const item = (cell_id, x, y, w = 1, h = 1) => ({ cell_id, x, y, w, h })
+
+describe("The stored layout", () => {
+    test("No layout", () => {
+        expect(dashboard_layout(notebook_with(undefined))).toEqual({ columns: default_columns, items: [] })
+        expect(dashboard_layout(notebook_with({ columns: "wide", items: "none" }))).toEqual({ columns: default_columns, items: [] })
+    })
+
+    test("Cells that were deleted are left out", () => {
+        const layout = dashboard_layout(notebook_with({ columns: 6, items: [item("a", 0, 0), item("deleted", 1, 0), null, item("c", 2, 0)] }))
+        expect(layout.columns).toBe(6)
+        expect(layout.items.map((i) => i.cell_id)).toEqual(["a", "c"])
+    })
+
+    test("Positions and sizes are whole numbers inside the grid", () => {
+        const layout = dashboard_layout(
+            notebook_with({
+                columns: 4,
+                items: [
+                    { cell_id: "a", x: 1.4, y: -2, w: 2.6, h: 0 },
+                    { cell_id: "b", x: 3, y: 1, w: 10, h: 2 },
+                    { cell_id: "c", x: 3, y: "top", w: 2, h: null },
+                ],
+            })
+        )
+        expect(layout.items).toEqual([
+            item("a", 1, 0, 3, 1),
+            // As wide as the grid
+            item("b", 0, 1, 4, 2),
+            // Moved left to fit
+            item("c", 2, 0, 2, 1),
+        ])
+    })
+})
+
+describe("Placing an item", () => {
+    test("Items that overlap are pushed down", () => {
+        const items = [item("a", 0, 0, 2, 2), item("b", 2, 0, 2, 1), item("c", 0, 2, 4, 1)]
+        // `b` moves to the left, on top of `a`
+        expect(place_item(items, item("b", 1, 1, 2, 1))).toEqual([item("b", 1, 1, 2, 1), item("a", 0, 2, 2, 2), item("c", 0, 4, 4, 1)])
+    })
+
+    test("Items that don't overlap stay", () => {
+        const items = [item("a", 0, 0), item("b", 1, 0), item("c", 0, 5)]
+        expect(place_item(items, item("a", 2, 0))).toEqual([item("b", 1, 0), item("a", 2, 0), item("c", 0, 5)])
+    })
+
+    test("Resizing", () => {
+        const items = [item("a", 0, 0, 1, 1), item("b", 1, 0, 1, 1), item("c", 1, 1, 1, 1)]
+        expect(place_item(items, item("a", 0, 0, 2, 2))).toEqual([item("a", 0, 0, 2, 2), item("b", 1, 2), item("c", 1, 3)])
+    })
+})
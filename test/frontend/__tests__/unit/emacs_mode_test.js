@@ -0,0 +1,105 @@
+/**
+ * @jest-environment jsdom
+ */
+import { EditorSelection, EditorState, EditorView, history } from "../../../../frontend/imports/CodemirrorPlutoSetup.js"
+import { emacs_mode } from "../../../../frontend/components/CellInput/emacs_mode.js"
+
+let views = []
+
+/** A cell editor in Emacs mode, with the cursor at the `|` in `doc`. */
+const create_editor = (doc, { submit = jest.fn(() => true), focus_on_neighbor = jest.fn() } = {}) => {
+    const cursor = Math.max(0, doc.indexOf("|"))
+    const view = new EditorView({
+        state: EditorState.create({
+            doc: doc.replace("|", ""),
+            selection: EditorSelection.cursor(cursor),
+            extensions: [history(), emacs_mode({ submit, focus_on_neighbor })],
+        }),
+        parent: document.body,
+    })
+    views.push(view)
+    return { view, submit }
+}
+
+const key_codes = { a: 65, e: 69, g: 71, k: 75, s: 83, w: 87, x: 88, y: 89 }
+/** Press a key like `Ctrl-k` or `Alt-w`. */
+const press = (view, shortcut) => {
+    const parts = shortcut.split("-")
+    const key = parts.pop()
+    view.contentDOM.dispatchEvent(
+        new KeyboardEvent("keydown", {
+            key,
+            keyCode: key_codes[key],
+            ctrlKey: parts.includes("Ctrl"),
+            altKey: parts.includes("Alt"),
+            bubbles: true,
+            cancelable: true,
+        })
+    )
+}
+
+/** The document, with a `|` at the cursor. */
+const text_with_cursor = (view) => {
+    const doc = view.state.doc.toString()
+    const head = view.state.selection.main.head
+    return doc.slice(0, head) + "|" + doc.slice(head)
+}
+
+afterEach(() => {
+    views.forEach((view) => view.destroy())
+    views = []
+})
+
+describe("emacs_mode", () => {
+    test("Ctrl-k kills to the end of the line, and then the line break", () => {
+        const { view } = create_editor("a = |1\nb = 2")
+        press(view, "Ctrl-k")
+        expect(text_with_cursor(view)).toBe("a = |\nb = 2")
+        press(view, "Ctrl-k")
+        expect(text_with_cursor(view)).toBe("a = |b = 2")
+        // Consecutive kills are yanked together
+        press(view, "Ctrl-e")
+        press(view, "Ctrl-y")
+        expect(text_with_cursor(view)).toBe("a = b = 21\n|")
+    })
+
+    test("Moving the cursor starts a new kill", () => {
+        const { view } = create_editor("|one\ntwo")
+        press(view, "Ctrl-k")
+        view.dispatch({ selection: EditorSelection.cursor(1) })
+        press(view, "Ctrl-k")
+        expect(view.state.doc.toString()).toBe("\n")
+        press(view, "Ctrl-y")
+        // Only the last kill is yanked
+        expect(view.state.doc.toString()).toBe("\ntwo")
+    })
+
+    test("Ctrl-w kills the selection, Alt-w copies it", () => {
+        const { view } = create_editor("hello world")
+        view.dispatch({ selection: EditorSelection.range(0, 5) })
+        press(view, "Alt-w")
+        expect(view.state.doc.toString()).toBe("hello world")
+        expect(view.state.selection.main.empty).toBe(true)
+
+        view.dispatch({ selection: EditorSelection.range(5, 11) })
+        press(view, "Ctrl-w")
+        expect(text_with_cursor(view)).toBe("hello|")
+        press(view, "Ctrl-y")
+        expect(text_with_cursor(view)).toBe("hello world|")
+    })
+
+    test("The kill ring is shared between cells", () => {
+        const first = create_editor("|x = 1").view
+        const second = create_editor("|").view
+        press(first, "Ctrl-k")
+        press(second, "Ctrl-y")
+        expect(second.state.doc.toString()).toBe("x = 1")
+    })
+
+    test("Ctrl-x Ctrl-s submits the cell", () => {
+        const { view, submit } = create_editor("|x = 1")
+        press(view, "Ctrl-x")
+        press(view, "Ctrl-s")
+        expect(submit).toHaveBeenCalledTimes(1)
+    })
+})
@@ -0,0 +1,73 @@
+import { deflateSync } from "zlib"
+import { create_frame_assembler } from "../../../../frontend/common/Frames.js"
+import { pack } from "../../../../frontend/common/MsgPack.js"
+
+/** Split a message into frames, like `message_frames` in src/webserver/Frames.jl does. */
+const message_frames = (message, { id = 1, chunk_size = 10, compress = false } = {}) => {
+    // These are Node.js `Buffer`s, so that `data` is packed as MsgPack binary, like a `Vector{UInt8}` in Julia.
+    const serialized = pack(message)
+    const data = compress ? deflateSync(serialized) : serialized
+    const count = Math.ceil(data.length / chunk_size)
+    return Array.from({ length: count }, (_, index) =>
+        pack({
+            pluto_frame: { id, index, count, encoding: compress ? "deflate" : "none", size: data.length },
+            data: data.slice(index * chunk_size, (index + 1) * chunk_size),
+        })
+    )
+}
+
+const message = { type: "notebook_diff", message: { patches: [{ op: "replace", path: ["cell_results", "a"], value: "🍕".repeat(20) }] } }
+
+describe("Frames", () => {
+    test("A frame without a header is a whole message", async () => {
+        const assemble = create_frame_assembler(() => {})
+        expect(await assemble(pack(message))).toEqual(message)
+    })
+
+    test("Chunks are reassembled", async () => {
+        const on_progress = jest.fn()
+        const assemble = create_frame_assembler(on_progress)
+        const frames = message_frames(message)
+        expect(frames.length).toBeGreaterThan(2)
+
+        for (const frame of frames.slice(0, -1)) expect(await assemble(frame)).toBeUndefined()
+        expect(await assemble(frames[frames.length - 1])).toEqual(message)
+
+        expect(on_progress).toHaveBeenCalledTimes(frames.length)
+        const last = on_progress.mock.calls[frames.length - 1][0]
+        expect(last.done).toBe(true)
+        expect(last.received).toBe(last.total)
+    })
+
+    test("Compressed chunks are decompressed", async () => {
+        const assemble = create_frame_assembler(() => {})
+        const frames = message_frames(message, { compress: true })
+        const results = []
+        for (const frame of frames) results.push(await assemble(frame))
+        expect(results.pop()).toEqual(message)
+        expect(results.every((r) => r === undefined)).toBe(true)
+    })
+
+    test("Chunks of different messages can be interleaved", async () => {
+        const assemble = create_frame_assembler(() => {})
+        const other = { type: "pong", message: { text: "hello world, this is long enough for a few chunks" } }
+        const a = message_frames(message, { id: 1 })
+        const b = message_frames(other, { id: 2 })
+
+        const results = []
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (i < a.length) results.push(await assemble(a[i]))
+            if (i < b.length) results.push(await assemble(b[i]))
+        }
+        expect(results.filter((r) => r !== undefined)).toEqual(a.length <= b.length ? [message, other] : [other, message])
+    })
+
+    test("A message with a single chunk does not report progress", async () => {
+        const on_progress = jest.fn()
+        const assemble = create_frame_assembler(on_progress)
+        const frames = message_frames(message, { chunk_size: 10_000 })
+        expect(frames).toHaveLength(1)
+        expect(await assemble(frames[0])).toEqual(message)
+        expect(on_progress).not.toHaveBeenCalled()
+    })
+})
@@ -0,0 +1,45 @@
+import { fuzzy_match } from "../../../../frontend/common/FuzzyMatch.js"
+
+/** The characters of `text` that matched. */
+const matched = (query, text) =>
+    fuzzy_match(query, text)
+        ?.indices.map((i) => text[i])
+        .join("") ?? null
+
+describe("fuzzy_match", () => {
+    test("An empty query matches everything", () => {
+        expect(fuzzy_match("", "Run all cells")).toEqual({ score: 0, indices: [] })
+        expect(fuzzy_match("   ", "Run all cells")).toEqual({ score: 0, indices: [] })
+    })
+
+    test("Characters need to appear in order, ignoring case", () => {
+        expect(matched("rac", "Run all changed cells")).toBe("Rac")
+        expect(fuzzy_match("rac", "Run all changed cells").indices).toEqual([0, 4, 8])
+        expect(matched("RUN", "run cell")).toBe("run")
+        expect(fuzzy_match("car", "Run all changed cells")).toBeNull()
+        expect(fuzzy_match("xyz", "Run all cells")).toBeNull()
+        expect(fuzzy_match("run all cells!", "Run all cells")).toBeNull()
+    })
+
+    test("Spaces in the query don't need to match", () => {
+        expect(fuzzy_match("ab c", "abc")?.indices).toEqual([0, 1, 2])
+        expect(fuzzy_match("a  b", "abc")?.indices).toEqual([0, 1])
+        expect(fuzzy_match("run  cells", "Run all cells")?.indices).toEqual([0, 1, 2, 8, 9, 10, 11, 12])
+        expect(matched(" run ", "Run all cells")).toBe("Run")
+    })
+
+    test("Substrings score higher than scattered matches", () => {
+        const substring = fuzzy_match("cell", "Delete cell")
+        const scattered = fuzzy_match("cell", "Collapse all outputs")
+        expect(substring?.indices).toEqual([7, 8, 9, 10])
+        expect(scattered).not.toBeNull()
+        expect(substring.score).toBeGreaterThan(scattered.score)
+    })
+
+    test("Matches at the start of a word score higher", () => {
+        expect(fuzzy_match("cell", "Cells").score).toBeGreaterThan(fuzzy_match("cell", "Excellent").score)
+        expect(fuzzy_match("fc", "Format cell").score).toBeGreaterThan(fuzzy_match("fc", "Fetch").score)
+        // camelCase counts as a word start
+        expect(fuzzy_match("ca", "runCellAbove").indices).toEqual([3, 7])
+    })
+})
@@ -0,0 +1,131 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+    codemirror_bindings,
+    command_for_event,
+    conflicting_commands,
+    format_key,
+    is_customized,
+    key_from_event,
+    keys_for,
+    keys_of_event,
+    normalize_key,
+    reset_all_keys,
+    set_keys_for,
+} from "../../../../frontend/common/KeyboardShortcuts.js"
+
+const keydown = (key, code, modifiers = {}) => new KeyboardEvent("keydown", { key, code, ...modifiers })
+
+afterEach(() => reset_all_keys())
+
+describe("Normalizing keys", () => {
+    test("Modifiers are written in one order, with one name", () => {
+        expect(normalize_key("Shift-Ctrl-f")).toBe("Ctrl-Shift-f")
+        expect(normalize_key("Cmd-Shift-F")).toBe("Meta-Shift-f")
+        expect(normalize_key("s-Meta-f")).toBe("Meta-Shift-f")
+        expect(normalize_key("Control-Option-x")).toBe("Alt-Ctrl-x")
+        expect(normalize_key("a-c-ArrowUp")).toBe("Alt-Ctrl-ArrowUp")
+    })
+
+    test("Key names", () => {
+        expect(normalize_key("F2")).toBe("F2")
+        expect(normalize_key("Ctrl- ")).toBe("Ctrl-Space")
+        // The `-` key
+        expect(normalize_key("Ctrl--")).toBe("Ctrl--")
+        expect(normalize_key("Ctrl-Shift-[")).toBe("Ctrl-Shift-[")
+    })
+
+    test("Formatting keys for the user", () => {
+        expect(format_key("shift-ctrl-f")).toBe("Ctrl+Shift+F")
+        expect(format_key("Alt-ArrowUp")).toBe("Alt+↑")
+        expect(format_key("Escape")).toBe("Esc")
+    })
+})
+
+describe("Keyboard events", () => {
+    test("Letters", () => {
+        expect(keys_of_event(keydown("F", "KeyF", { ctrlKey: true, shiftKey: true }))).toEqual(["Ctrl-Shift-f"])
+        expect(keys_of_event(keydown("s", "KeyS", { metaKey: true }))).toEqual(["Meta-s"])
+    })
+
+    test("Characters that need Shift match the character and the physical key", () => {
+        expect(keys_of_event(keydown("?", "Slash", { ctrlKey: true, shiftKey: true }))).toEqual(["Ctrl-?", "Ctrl-Shift-/"])
+        expect(keys_of_event(keydown("/", "Slash", { ctrlKey: true }))).toEqual(["Ctrl-/"])
+        // On a keyboard layout where Alt changes the character
+        expect(keys_of_event(keydown("[", "Digit8", { altKey: true }))).toEqual(["Alt-[", "Alt-8"])
+    })
+
+    test("Recording a key", () => {
+        expect(key_from_event(keydown("Shift", "ShiftLeft", { shiftKey: true }))).toBeNull()
+        expect(key_from_event(keydown("Control", "ControlLeft", { ctrlKey: true }))).toBeNull()
+        expect(key_from_event(keydown("?", "Slash", { ctrlKey: true, shiftKey: true }))).toBe("Ctrl-Shift-/")
+        expect(key_from_event(keydown("F2", "F2"))).toBe("F2")
+    })
+})
+
+describe("Commands", () => {
+    test("Default keys", () => {
+        expect(keys_for("run_cell")).toEqual(["Shift-Enter"])
+        expect(keys_for("not a command")).toEqual([])
+        expect(command_for_event(keydown("Enter", "Enter", { shiftKey: true }))).toBe("run_cell")
+        expect(command_for_event(keydown("F", "KeyF", { ctrlKey: true, shiftKey: true }))).toBe("find_in_notebook")
+        expect(command_for_event(keydown("?", "Slash", { ctrlKey: true, shiftKey: true }))).toBe("show_shortcuts")
+        expect(command_for_event(keydown("x", "KeyX"))).toBeNull()
+        // Fixed commands are handled by the browser
+        expect(command_for_event(keydown("c", "KeyC", { ctrlKey: true }))).toBeNull()
+    })
+
+    test("Changing keys", () => {
+        const listener = jest.fn()
+        window.addEventListener("pluto key bindings changed", listener)
+
+        set_keys_for("format_cell", ["shift-ctrl-L"])
+        expect(is_customized("format_cell")).toBe(true)
+        expect(keys_for("format_cell")).toEqual(["shift-ctrl-L"])
+        expect(JSON.parse(localStorage.getItem("PLUTO_KEY_BINDINGS"))).toEqual({ format_cell: ["shift-ctrl-L"] })
+        expect(command_for_event(keydown("L", "KeyL", { ctrlKey: true, shiftKey: true }))).toBe("format_cell")
+        expect(command_for_event(keydown("F", "KeyF", { altKey: true, shiftKey: true }))).toBeNull()
+
+        set_keys_for("format_cell", null)
+        expect(is_customized("format_cell")).toBe(false)
+        expect(keys_for("format_cell")).toEqual(["Alt-Shift-f"])
+        expect(listener).toHaveBeenCalledTimes(2)
+        window.removeEventListener("pluto key bindings changed", listener)
+    })
+
+    test("Resetting all keys", () => {
+        set_keys_for("run_cell", ["Ctrl-r"])
+        set_keys_for("interrupt", [])
+        reset_all_keys()
+        expect(keys_for("run_cell")).toEqual(["Shift-Enter"])
+        expect(keys_for("interrupt")).toEqual(["Ctrl-q"])
+        expect(localStorage.getItem("PLUTO_KEY_BINDINGS")).toBeNull()
+    })
+
+    test("Conflicts", () => {
+        expect(conflicting_commands("format_cell", "Shift-Enter").map((c) => c.id)).toEqual(["run_cell"])
+        // Keys are compared after normalizing
+        expect(conflicting_commands("format_cell", "s-Enter").map((c) => c.id)).toEqual(["run_cell"])
+        expect(conflicting_commands("run_cell", "Shift-Enter")).toEqual([])
+        expect(conflicting_commands("run_cell", "Ctrl-Alt-Shift-F12")).toEqual([])
+
+        set_keys_for("fold", ["Ctrl-q"])
+        expect(conflicting_commands("run_cell", "Ctrl-q").map((c) => c.id)).toEqual(["interrupt", "fold"])
+        // A key that a command no longer uses is free
+        set_keys_for("interrupt", ["Ctrl-i"])
+        expect(conflicting_commands("run_cell", "Ctrl-q").map((c) => c.id)).toEqual(["fold"])
+    })
+
+    test("CodeMirror bindings", () => {
+        const run = () => true
+        set_keys_for("format_cell", ["Alt-f", "F9"])
+        expect(codemirror_bindings({ format_cell: run, rename_symbol: run })).toEqual([
+            { key: "Alt-f", run },
+            // Also with capslock
+            { key: "Alt-F", run },
+            { key: "F9", run },
+            { key: "F2", run },
+        ])
+    })
+})
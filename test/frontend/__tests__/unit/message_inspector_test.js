@@ -0,0 +1,36 @@
+/**
+ * @jest-environment jsdom
+ */
+import { filter_messages, pair_requests } from "../../../../frontend/components/MessageInspectorTab.js"
+
+const logged = (direction, message_type, request_id, time = 0) => ({ direction, time, message_type, request_id, size: 0, message: {} })
+
+const request = logged("sent", "complete", "abc", 100)
+const response = logged("received", "complete", "abc", 150)
+const update = logged("sent", "update_notebook", "def", 200)
+const diff = logged("received", "notebook_diff", null, 300)
+const entries = [request, update, diff, response]
+
+test("Responses are paired with their request", () => {
+    const partners = pair_requests(entries)
+    expect(partners.get(request)).toBe(response)
+    expect(partners.get(response)).toBe(request)
+    // No response yet
+    expect(partners.has(update)).toBe(false)
+    // Not a response
+    expect(partners.has(diff)).toBe(false)
+
+    // A response to a request that is no longer in the log
+    const orphan = logged("received", "docs", "ghi")
+    expect(pair_requests([orphan]).size).toBe(0)
+})
+
+test("Filtering", () => {
+    expect(filter_messages(entries, { direction: "all", filter: "" })).toEqual(entries)
+    expect(filter_messages(entries, { direction: "sent", filter: "" })).toEqual([request, update])
+    expect(filter_messages(entries, { direction: "received", filter: "" })).toEqual([diff, response])
+    // By type or by request ID
+    expect(filter_messages(entries, { direction: "all", filter: "notebook" })).toEqual([update, diff])
+    expect(filter_messages(entries, { direction: "all", filter: "ab" })).toEqual([request, response])
+    expect(filter_messages(entries, { direction: "received", filter: "complete" })).toEqual([response])
+})
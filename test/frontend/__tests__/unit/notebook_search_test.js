@@ -0,0 +1,96 @@
+import { find_in_notebook, find_in_text, line_and_ch, replace_in_text, search_regexp } from "../../../../frontend/common/NotebookSearch.js"
+
+const options = { query: "", regex: false, case_sensitive: false, whole_word: false }
+
+/** The matched parts of `text`. */
+const found = (text, search) => find_in_text(text, search_regexp({ ...options, ...search })).map(({ from, to }) => text.slice(from, to))
+
+describe("Searching", () => {
+    test("An empty search has no regexp", () => {
+        expect(search_regexp(options)).toBeNull()
+    })
+
+    test("Plain text", () => {
+        expect(found("x = 1; X + x", { query: "x" })).toEqual(["x", "X", "x"])
+        expect(found("x = 1; X + x", { query: "x", case_sensitive: true })).toEqual(["x", "x"])
+        // Special characters are not a regexp
+        expect(found("a.b + a*b + a.b", { query: "a.b" })).toEqual(["a.b", "a.b"])
+        expect(found("f(x) + f (x)", { query: "f(x)" })).toEqual(["f(x)"])
+    })
+
+    test("Whole words", () => {
+        expect(found("x + xs + x_1 + ax + x", { query: "x", whole_word: true })).toEqual(["x", "x"])
+        // Julia identifiers can contain unicode characters and `!`
+        expect(found("push!(x) + push(x)", { query: "push", whole_word: true })).toEqual(["push"])
+        expect(found("αβ + β", { query: "β", whole_word: true })).toEqual(["β"])
+        expect(found("a.b + ab", { query: "a.b", whole_word: true })).toEqual(["a.b"])
+    })
+
+    test("Regular expressions", () => {
+        expect(found("x1 + y22 + z", { query: "[a-z]\\d+", regex: true })).toEqual(["x1", "y22"])
+        expect(found("f(x) + g(y)", { query: "f|g", regex: true, whole_word: true })).toEqual(["f", "g"])
+        expect(() => search_regexp({ ...options, query: "(", regex: true })).toThrow(SyntaxError)
+        // Empty matches are skipped
+        expect(found("a\nb", { query: "^", regex: true })).toEqual([])
+        expect(found("a\nb", { query: "^\\w", regex: true })).toEqual(["a", "b"])
+    })
+
+    test("The number of matches is limited", () => {
+        const re = search_regexp({ ...options, query: "a" })
+        expect(find_in_text("aaaaa", re, 3)).toEqual([
+            { from: 0, to: 1 },
+            { from: 1, to: 2 },
+            { from: 2, to: 3 },
+        ])
+    })
+
+    test("In all cells, in notebook order", () => {
+        const codes = { a: "x = 1", b: "y = x", c: "z" }
+        const outputs = { a: "1", b: "x", c: null }
+        const re = search_regexp({ ...options, query: "x" })
+
+        expect(find_in_notebook({ cell_order: ["b", "c", "a"], code_of: (id) => codes[id], output_of: null, re })).toEqual([
+            { cell_id: "b", in: "code", from: 4, to: 5 },
+            { cell_id: "a", in: "code", from: 0, to: 1 },
+        ])
+        expect(find_in_notebook({ cell_order: ["a", "b", "c"], code_of: (id) => codes[id], output_of: (id) => outputs[id], re })).toEqual([
+            { cell_id: "a", in: "code", from: 0, to: 1 },
+            { cell_id: "b", in: "code", from: 4, to: 5 },
+            { cell_id: "b", in: "output", from: 0, to: 1 },
+        ])
+    })
+})
+
+describe("Replacing", () => {
+    test("Plain text", () => {
+        const re = search_regexp({ ...options, query: "x", whole_word: true })
+        expect(replace_in_text("x + xs + f(x)", re, "value", false)).toBe("value + xs + f(value)")
+        // `$` in the replacement is plain text
+        expect(replace_in_text("x + 1", re, "$1$&", false)).toBe("$1$& + 1")
+    })
+
+    test("Only one match", () => {
+        const re = search_regexp({ ...options, query: "x" })
+        expect(replace_in_text("x + x + x", re, "y", false, { from: 4, to: 5 })).toBe("x + y + x")
+        expect(replace_in_text("x + x + x", re, "y", false, { from: 2, to: 3 })).toBe("x + x + x")
+    })
+
+    test("Regular expressions with groups", () => {
+        const re = search_regexp({ ...options, query: "(\\w+)\\[(\\d+)\\]", regex: true })
+        expect(replace_in_text("a[1] + b[22]", re, "$1[$2 + 1]", true)).toBe("a[1 + 1] + b[22 + 1]")
+        expect(replace_in_text("a[1]", re, "<$&> $$ $3", true)).toBe("<a[1]> $ ")
+
+        const named = search_regexp({ ...options, query: "(?<name>\\w+)\\.(?<field>\\w+)", regex: true })
+        expect(replace_in_text("p.x + q.y", named, "getfield($<name>, :$<field>)", true)).toBe("getfield(p, :x) + getfield(q, :y)")
+        expect(replace_in_text("p.x + q.y", named, "$<name>", true, { from: 6, to: 9 })).toBe("p.x + q")
+    })
+})
+
+test("line_and_ch", () => {
+    const text = "a = 1\nb = 2\n\nc"
+    expect(line_and_ch(text, 0)).toEqual({ line: 0, ch: 0 })
+    expect(line_and_ch(text, 4)).toEqual({ line: 0, ch: 4 })
+    expect(line_and_ch(text, 6)).toEqual({ line: 1, ch: 0 })
+    expect(line_and_ch(text, 10)).toEqual({ line: 1, ch: 4 })
+    expect(line_and_ch(text, 13)).toEqual({ line: 3, ch: 0 })
+})
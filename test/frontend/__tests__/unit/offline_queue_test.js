@@ -0,0 +1,141 @@
+import "fake-indexeddb/auto"
+import immer from "../../../../frontend/imports/immer.js"
+import { create_offline_queue, rebase_patches } from "../../../../frontend/common/OfflineQueue.js"
+
+let notebook_count = 0
+/** A queue for a new notebook, so that tests don't see each other's messages. */
+const create_queue = (notebook_id = `notebook ${notebook_count++}`) => {
+    const on_change = jest.fn()
+    return { queue: create_offline_queue({ notebook_id, on_change }), on_change, notebook_id }
+}
+
+const update = (path, value) => ({ message_type: "update_notebook", body: { updates: [{ op: "replace", path, value }] }, metadata: {}, no_broadcast: false })
+
+/** Replay the queue, and return the messages that were handled. */
+const replay_all = async (queue) => {
+    const handled = []
+    await queue.replay(async (message) => {
+        handled.push(message)
+    })
+    return handled
+}
+
+describe("Offline queue", () => {
+    test("Messages are replayed in order, and then removed", async () => {
+        const { queue, on_change } = create_queue()
+        await queue.push(update(["a"], 1))
+        await queue.push(update(["b"], 2))
+        expect(queue.size()).toBe(2)
+        expect(on_change.mock.calls).toEqual([[1], [2]])
+
+        const handled = await replay_all(queue)
+        expect(handled.map((m) => m.body.updates[0].path)).toEqual([["a"], ["b"]])
+        expect(handled[0].time).toEqual(expect.any(Number))
+        expect(queue.size()).toBe(0)
+        expect(on_change).toHaveBeenLastCalledWith(0)
+        expect(await replay_all(queue)).toEqual([])
+    })
+
+    test("The queue survives a page refresh", async () => {
+        const { queue, notebook_id } = create_queue()
+        await queue.push(update(["a"], 1))
+
+        const { queue: after_refresh, on_change } = create_queue(notebook_id)
+        const handled = await replay_all(after_refresh)
+        expect(handled.map((m) => m.body.updates[0].value)).toEqual([1])
+        expect(on_change).toHaveBeenCalledWith(1)
+
+        // The replayed messages are removed from storage too
+        const { queue: after_second_refresh } = create_queue(notebook_id)
+        expect(await replay_all(after_second_refresh)).toEqual([])
+    })
+
+    test("Every notebook has its own queue", async () => {
+        const { queue: first } = create_queue()
+        const { queue: second } = create_queue()
+        await first.push(update(["a"], 1))
+        expect(await replay_all(second)).toEqual([])
+        expect(await replay_all(first)).toHaveLength(1)
+    })
+
+    test("When a replay fails, the remaining messages stay in the queue", async () => {
+        const { queue, notebook_id } = create_queue()
+        await queue.push(update(["a"], 1))
+        await queue.push(update(["b"], 2))
+        await queue.push(update(["c"], 3))
+
+        let calls = 0
+        const failing = queue.replay(async () => {
+            if (++calls === 2) throw new Error("Connection lost")
+        })
+        await expect(failing).rejects.toThrow("Connection lost")
+        expect(queue.size()).toBe(2)
+
+        const handled = await replay_all(queue)
+        expect(handled.map((m) => m.body.updates[0].value)).toEqual([2, 3])
+
+        const { queue: after_refresh } = create_queue(notebook_id)
+        expect(await replay_all(after_refresh)).toEqual([])
+    })
+
+    test("Only one replay at a time, and messages queued during a replay wait for the next one", async () => {
+        const { queue } = create_queue()
+        await queue.push(update(["a"], 1))
+
+        const handled = []
+        const first = queue.replay(async (message) => {
+            handled.push(message.body.updates[0].value)
+            await queue.push(update(["b"], 2))
+        })
+        const second = queue.replay(async () => {
+            throw new Error("This replay should not start")
+        })
+        expect(second).toBe(first)
+        await first
+        expect(handled).toEqual([1])
+        expect(queue.size()).toBe(1)
+
+        expect((await replay_all(queue)).map((m) => m.body.updates[0].value)).toEqual([2])
+    })
+})
+
+describe("Rebasing offline changes", () => {
+    const notebook = {
+        cell_order: ["a", "b"],
+        cell_inputs: {
+            a: { cell_id: "a", code: "x = 1" },
+            b: { cell_id: "b", code: "y = 2" },
+        },
+    }
+
+    test("Changes are applied to the new state", () => {
+        const rebased = immer(notebook, (draft) =>
+            rebase_patches(draft, [
+                { op: "replace", path: ["cell_inputs", "a", "code"], value: "x = 10" },
+                { op: "add", path: ["cell_inputs", "c"], value: { cell_id: "c", code: "z = 3" } },
+                { op: "replace", path: ["cell_order"], value: ["a", "c", "b"] },
+            ])
+        )
+        expect(rebased.cell_inputs.a.code).toBe("x = 10")
+        expect(rebased.cell_inputs.c.code).toBe("z = 3")
+        expect(rebased.cell_order).toEqual(["a", "c", "b"])
+    })
+
+    test("Changes to cells that were deleted in the meantime are dropped", () => {
+        jest.spyOn(console, "warn").mockImplementation(() => {})
+        // Another client deleted cell b while we were offline
+        const current = { cell_order: ["a"], cell_inputs: { a: notebook.cell_inputs.a } }
+        const rebased = immer(current, (draft) =>
+            rebase_patches(draft, [
+                { op: "replace", path: ["cell_inputs", "b", "code"], value: "y = 20" },
+                { op: "replace", path: ["cell_inputs", "a", "code"], value: "x = 10" },
+                // Our cell order still has cell b
+                { op: "replace", path: ["cell_order"], value: ["b", "a"] },
+            ])
+        )
+        expect(rebased.cell_inputs).toEqual({ a: { cell_id: "a", code: "x = 10" } })
+        expect(rebased.cell_order).toEqual(["a"])
+        expect(console.warn).toHaveBeenCalledTimes(1)
+        jest.restoreAllMocks()
+    })
+})
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment jsdom
+ */
+import { outline_entries, section_move } from "../../../../frontend/common/OutlineEntries.js"
+
+/** A notebook with these cells, as `[cell_id, code, defined_names, output_html]`. */
+const create_notebook = (cells) => ({
+    cell_order: cells.map(([cell_id]) => cell_id),
+    cell_inputs: Object.fromEntries(cells.map(([cell_id, code]) => [cell_id, { cell_id, code }])),
+    cell_results: Object.fromEntries(
+        cells.map(([cell_id, , , body]) => [cell_id, { output: body == null ? { mime: "text/plain", body: "" } : { mime: "text/html", body } }])
+    ),
+    cell_dependencies: Object.fromEntries(
+        cells.map(([cell_id, , names = []]) => [cell_id, { downstream_cells_map: Object.fromEntries(names.map((n) => [n, []])) }])
+    ),
+})
+
+const notebook = create_notebook([
+    ["title", 'md"""\n# Analysis\n"""'],
+    ["intro", 'md"Some text"'],
+    ["data", "data = load()", ["data"]],
+    ["cleaning", 'md"""\n## Cleaning\n\n### Outliers\n"""'],
+    ["clean", "clean = f(data)", ["clean"]],
+    ["plots", 'md"""\n## Plots\n"""', [], "<h2>Plots</h2>"],
+    ["plot", "plot(clean)"],
+])
+
+/** Where the cells end up after `move_remote_cells(cell_ids, index)`, like in Editor.js. */
+const move_cells = (cell_order, { cell_ids, index }) => [
+    ...cell_order.slice(0, index).filter((x) => !cell_ids.includes(x)),
+    ...cell_ids,
+    ...cell_order.slice(index).filter((x) => !cell_ids.includes(x)),
+]
+
+describe("Outline entries", () => {
+    test("Headings and definitions", () => {
+        const entries = outline_entries(notebook)
+        expect(entries.map((e) => [e.key, e.depth, e.heading?.text ?? e.names])).toEqual([
+            ["title-0", 0, "Analysis"],
+            // Definitions are nested under the last heading
+            ["data", 1, ["data"]],
+            ["cleaning-0", 1, "Cleaning"],
+            ["cleaning-1", 2, "Outliers"],
+            ["clean", 3, ["clean"]],
+            ["plots-0", 1, "Plots"],
+        ])
+    })
+
+    test("Sections go up to the next heading of the same or a higher level", () => {
+        const sections = Object.fromEntries(outline_entries(notebook).map((e) => [e.key, e.section]))
+        expect(sections["title-0"]).toEqual(notebook.cell_order)
+        expect(sections["cleaning-0"]).toEqual(["cleaning", "clean"])
+        expect(sections["cleaning-1"]).toEqual(["cleaning", "clean"])
+        expect(sections["plots-0"]).toEqual(["plots", "plot"])
+        expect(sections["data"]).toEqual(["data"])
+    })
+
+    test("Headings come from the HTML output, when there is one", () => {
+        const with_output = create_notebook([
+            ["a", 'md"""\n# Old title\n"""', [], "<div><h1>New title</h1><h4>Too deep</h4></div>"],
+            ["b", 'html"<h2>Section</h2>"', [], "<h2> Section </h2><h2></h2>"],
+        ])
+        expect(outline_entries(with_output).map((e) => e.heading?.text)).toEqual(["New title", "Section"])
+    })
+})
+
+describe("Moving sections", () => {
+    const entry = (key) => outline_entries(notebook).find((e) => e.key === key)
+
+    test("Up", () => {
+        const move = section_move(notebook.cell_order, entry("plots-0"), "cleaning")
+        expect(move).toEqual({ cell_ids: ["plots", "plot"], index: 3 })
+        expect(move_cells(notebook.cell_order, move)).toEqual(["title", "intro", "data", "plots", "plot", "cleaning", "clean"])
+    })
+
+    test("Down, and to the end", () => {
+        const to_end = section_move(notebook.cell_order, entry("cleaning-0"), null)
+        expect(to_end).toEqual({ cell_ids: ["cleaning", "clean"], index: 7 })
+        expect(move_cells(notebook.cell_order, to_end)).toEqual(["title", "intro", "data", "plots", "plot", "cleaning", "clean"])
+    })
+
+    test("Not into the section itself", () => {
+        expect(section_move(notebook.cell_order, entry("cleaning-0"), "clean")).toBeNull()
+        expect(section_move(notebook.cell_order, entry("cleaning-0"), "cleaning")).toBeNull()
+        expect(section_move(notebook.cell_order, entry("title-0"), "plots")).toBeNull()
+    })
+})
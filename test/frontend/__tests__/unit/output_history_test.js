@@ -0,0 +1,67 @@
+import { forget_cell, max_history_size, max_outputs_per_cell, output_history, record_output } from "../../../../frontend/common/OutputHistory.js"
+
+let timestamp = 1
+/** An output of about `size` bytes, see `estimate_size` */
+const output = (size = 100) => ({ body: "x".repeat(size / 2), mime: "text/plain", last_run_timestamp: timestamp++ })
+
+const used_cells = new Set()
+const record = (cell_id, out) => {
+    used_cells.add(cell_id)
+    record_output(cell_id, out, false)
+    return out
+}
+const outputs_of = (cell_id) => output_history(cell_id).map((entry) => entry.output)
+
+afterEach(() => {
+    used_cells.forEach(forget_cell)
+    used_cells.clear()
+})
+
+describe("OutputHistory", () => {
+    test("Records new outputs", () => {
+        const a = record("cell", output())
+        record("cell", a)
+        record("cell", { ...output(), last_run_timestamp: undefined })
+        const b = record("cell", output())
+        expect(outputs_of("cell")).toEqual([a, b])
+        expect(output_history("another cell")).toEqual([])
+    })
+
+    test("Keeps a few outputs per cell", () => {
+        const outputs = Array.from({ length: max_outputs_per_cell + 3 }, () => record("cell", output()))
+        record("another cell", output())
+        expect(outputs_of("cell")).toEqual(outputs.slice(3))
+        expect(outputs_of("another cell")).toHaveLength(1)
+    })
+
+    test("Forgets the oldest outputs of the notebook when the history gets too big", () => {
+        const big = 0.4 * max_history_size
+        record("a", output(big))
+        const small = record("b", output())
+        const a2 = record("a", output(big))
+        const c = record("c", output(big))
+        // a1 is the oldest output that is not the current output of its cell
+        expect(outputs_of("a")).toEqual([a2])
+        expect(outputs_of("b")).toEqual([small])
+        expect(outputs_of("c")).toEqual([c])
+    })
+
+    test("Never forgets the current output of a cell", () => {
+        const big = 0.4 * max_history_size
+        const currents = ["a", "b", "c", "d"].map((cell_id) => record(cell_id, output(big)))
+        // Together, these are over the limit, but they are all current outputs.
+        expect(["a", "b", "c", "d"].map((cell_id) => outputs_of(cell_id))).toEqual(currents.map((out) => [out]))
+
+        // The next run of a cell makes its previous output old, so it can be forgotten.
+        const b2 = record("b", output(big))
+        expect(outputs_of("b")).toEqual([b2])
+        expect(outputs_of("a")).toEqual([currents[0]])
+    })
+
+    test("Forgets a cell", () => {
+        record("cell", output())
+        record("cell", output())
+        forget_cell("cell")
+        expect(output_history("cell")).toEqual([])
+    })
+})
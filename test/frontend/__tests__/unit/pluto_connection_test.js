@@ -0,0 +1,259 @@
+/**
+ * @jest-environment jsdom
+ */
+import { ConnectionLostError, create_pluto_connection, RequestAbortedError, RequestTimeoutError } from "../../../../frontend/common/PlutoConnection.js"
+import { create_memory_transport_factory } from "../../../../frontend/common/Transports.js"
+import { pack, unpack } from "../../../../frontend/common/MsgPack.js"
+import { queued_response } from "../../../../frontend/common/OfflineQueue.js"
+
+/**
+ * A fake Pluto server: it responds to requests like `serialize_message_to_stream` in src/webserver/PutUpdates.jl does. `handlers[type]` returns the message of the response, or `undefined` to not respond.
+ */
+const create_fake_server = (handlers = {}) => {
+    const server = {
+        /** Every request that the server received, unpacked. */
+        received: [],
+        /** Send a message that nobody asked for, like a `notebook_diff` caused by another client. */
+        push: (message) => server.reply?.(pack(message)),
+        reply: null,
+        on_frame: (frame, reply) => {
+            server.reply = reply
+            const request = unpack(frame)
+            server.received.push(request)
+            const handler = handlers[request.type] ?? default_handlers[request.type] ?? (() => ({}))
+            const message = handler(request.body)
+            if (message === undefined) return
+            reply(pack({ type: request.type, message, initiator_id: request.client_id, request_id: request.request_id }))
+        },
+    }
+    return server
+}
+
+const default_handlers = {
+    connect: () => ({
+        session_options: { server: {} },
+        version_info: { julia: "1.11.0", pluto: "0.20.0", dismiss_update_notification: false },
+        notebook_exists: true,
+    }),
+}
+
+const connect = async (server, options = {}) => {
+    const connection = create_pluto_connection({
+        on_unrequested_update: () => {},
+        on_reconnect: async () => true,
+        on_connection_status: () => {},
+        ws_address: "ws://localhost:1234/",
+        transport_factory: create_memory_transport_factory(server),
+        ...options,
+    })
+    await jest.advanceTimersByTimeAsync(10)
+    return await connection
+}
+
+let clients = []
+const connect_and_remember = async (server, options) => {
+    const client = await connect(server, options)
+    clients.push(client)
+    return client
+}
+
+beforeEach(() => {
+    jest.useFakeTimers()
+    // The connection logs a lot, and warns that there is no Web Worker to decode messages in.
+    jest.spyOn(console, "log").mockImplementation(() => {})
+    jest.spyOn(console, "warn").mockImplementation(() => {})
+})
+
+afterEach(() => {
+    clients.forEach((client) => client.kill(false))
+    clients = []
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+})
+
+describe("PlutoConnection", () => {
+    test("Connects to the server", async () => {
+        const server = create_fake_server()
+        const client = await connect_and_remember(server, { connect_metadata: { notebook_id: "abc" } })
+
+        expect(client.version_info.julia).toBe("1.11.0")
+        expect(client.notebook_exists).toBe(true)
+        const hello = server.received.find((m) => m.type === "connect")
+        expect(hello.notebook_id).toBe("abc")
+        expect(hello.body.frame_encodings).toContain("none")
+    })
+
+    test("Resolves a request with its response", async () => {
+        const server = create_fake_server({ current_time: () => ({ time: 1234 }) })
+        const client = await connect_and_remember(server)
+
+        const response = client.send("current_time", {}, {})
+        await jest.advanceTimersByTimeAsync(10)
+        expect((await response).message.time).toBe(1234)
+    })
+
+    test("Responses go to on_unrequested_update only when they are broadcast", async () => {
+        const on_unrequested_update = jest.fn()
+        const server = create_fake_server()
+        const client = await connect_and_remember(server, { on_unrequested_update })
+
+        const quiet = client.send("reshow_cell", {}, {}, true)
+        const loud = client.send("run_multiple_cells", {}, {}, false)
+        await jest.advanceTimersByTimeAsync(10)
+        await Promise.all([quiet, loud])
+
+        expect(on_unrequested_update.mock.calls.map(([update, by_me]) => [update.type, by_me])).toEqual([["run_multiple_cells", true]])
+    })
+
+    test("Messages from the server that nobody asked for go to on_unrequested_update", async () => {
+        const on_unrequested_update = jest.fn()
+        const server = create_fake_server()
+        await connect_and_remember(server, { on_unrequested_update })
+
+        server.push({ type: "notebook_diff", message: { patches: [] }, initiator_id: "someone else" })
+        await jest.advanceTimersByTimeAsync(10)
+
+        expect(on_unrequested_update).toHaveBeenCalledTimes(1)
+        const [update, by_me] = on_unrequested_update.mock.calls[0]
+        expect(update.type).toBe("notebook_diff")
+        expect(by_me).toBe(false)
+    })
+
+    test("Requests time out according to their policy", async () => {
+        const server = create_fake_server({ complete: () => undefined })
+        const client = await connect_and_remember(server)
+
+        const response = client.send("complete", { query: "sq" }, {})
+        const result = expect(response).rejects.toBeInstanceOf(RequestTimeoutError)
+        await jest.advanceTimersByTimeAsync(10_001)
+        await result
+    })
+
+    test("Requests fail when the connection is lost, and the client reconnects", async () => {
+        const on_reconnect = jest.fn(async () => true)
+        const on_connection_status = jest.fn()
+        const server = create_fake_server({ docs: () => undefined })
+        const client = await connect_and_remember(server, { on_reconnect, on_connection_status })
+
+        const response = client.send("docs", {}, {})
+        const result = expect(response).rejects.toBeInstanceOf(ConnectionLostError)
+        // Close the transport, but allow reconnecting
+        client.kill(true)
+        await result
+        expect(on_connection_status).toHaveBeenLastCalledWith(false, false)
+
+        await jest.advanceTimersByTimeAsync(1000)
+        expect(on_reconnect).toHaveBeenCalledTimes(1)
+        expect(on_connection_status).toHaveBeenLastCalledWith(true, false)
+        expect(server.received.filter((m) => m.type === "connect")).toHaveLength(2)
+    })
+
+    const update = (path, value) => ({ updates: [{ op: "add", path: [path], value }] })
+
+    test("Batched notebook updates are sent with the shortest timeout", async () => {
+        const server = create_fake_server({ update_notebook: () => undefined })
+        const client = await connect_and_remember(server)
+
+        const first = client.send("update_notebook", update("a", 1), { notebook_id: "abc" }, false)
+        const second = client.send("update_notebook", update("b", 2), { notebook_id: "abc" }, false, { timeout_ms: 100 })
+        const results = Promise.all([expect(first).rejects.toBeInstanceOf(RequestTimeoutError), expect(second).rejects.toBeInstanceOf(RequestTimeoutError)])
+        await jest.advanceTimersByTimeAsync(200)
+        await results
+
+        const updates = server.received.filter((m) => m.type === "update_notebook")
+        expect(updates).toHaveLength(1)
+        expect(updates[0].body.updates).toHaveLength(2)
+    })
+
+    test("Aborting one batched notebook update does not cancel the others", async () => {
+        const server = create_fake_server({ update_notebook: () => ({ response: "ok" }) })
+        const client = await connect_and_remember(server)
+
+        // Aborted before the batch is sent
+        const controller = new AbortController()
+        const aborted = client.send("update_notebook", update("a", 1), { notebook_id: "abc" }, false, { signal: controller.signal })
+        const other = client.send("update_notebook", update("b", 2), { notebook_id: "abc" }, false)
+        const aborted_result = expect(aborted).rejects.toBeInstanceOf(RequestAbortedError)
+        controller.abort()
+        await aborted_result
+        await jest.advanceTimersByTimeAsync(10)
+        expect((await other).message).toEqual({ response: "ok" })
+
+        const updates = server.received.filter((m) => m.type === "update_notebook")
+        expect(updates.map((m) => m.body.updates.map((u) => u.path))).toEqual([[["b"]]])
+
+        // Aborted while waiting for the response
+        const slow_server = create_fake_server({ update_notebook: () => undefined })
+        const slow_client = await connect_and_remember(slow_server)
+        const slow_controller = new AbortController()
+        const slow_aborted = slow_client.send("update_notebook", update("c", 3), { notebook_id: "abc" }, false, { signal: slow_controller.signal })
+        const slow_other = slow_client.send("update_notebook", update("d", 4), { notebook_id: "abc" }, false, { timeout_ms: 100 })
+        const slow_results = Promise.all([
+            expect(slow_aborted).rejects.toBeInstanceOf(RequestAbortedError),
+            // Still waiting for the response, until it times out
+            expect(slow_other).rejects.toBeInstanceOf(RequestTimeoutError),
+        ])
+        await jest.advanceTimersByTimeAsync(10)
+        slow_controller.abort()
+        await jest.advanceTimersByTimeAsync(100)
+        await slow_results
+    })
+
+    test("Pinging continues after a failure, and stops when the client is killed", async () => {
+        let answer_pings = false
+        const server = create_fake_server({ ping: () => (answer_pings ? {} : undefined) })
+        const client = await connect(server)
+        const ping_count = () => server.received.filter((m) => m.type === "ping").length
+
+        expect(ping_count()).toBe(1)
+        // The first ping times out after 30 seconds, and we try again 28 seconds later.
+        answer_pings = true
+        await jest.advanceTimersByTimeAsync(30_000 + 28_000 + 10)
+        expect(ping_count()).toBe(2)
+
+        await jest.advanceTimersByTimeAsync(28_000 + 10)
+        expect(ping_count()).toBe(3)
+
+        client.kill(false)
+        await jest.advanceTimersByTimeAsync(5 * 60_000)
+        expect(ping_count()).toBe(3)
+    })
+
+    test("A new connection does not start a second ping loop", async () => {
+        const server = create_fake_server()
+        const client = await connect_and_remember(server)
+        const ping_count = () => server.received.filter((m) => m.type === "ping").length
+
+        client.kill(true)
+        await jest.advanceTimersByTimeAsync(1000)
+        expect(server.received.filter((m) => m.type === "connect")).toHaveLength(2)
+        const after_reconnect = ping_count()
+
+        await jest.advanceTimersByTimeAsync(28_000 + 10)
+        expect(ping_count()).toBe(after_reconnect + 1)
+    })
+
+    test("Notebook updates are queued while disconnected, but updates that were already sent are not", async () => {
+        const offline_queue = { size: () => 0, push: jest.fn(async () => {}), replay: async () => {} }
+        const server = create_fake_server({ update_notebook: () => undefined })
+        const client = await connect_and_remember(server, { offline_queue })
+
+        // The server might have applied this update before the connection was lost, so it should not be sent again.
+        const sent = client.send("update_notebook", { updates: [{ op: "add", path: ["a"], value: 1 }] }, { notebook_id: "abc" }, false)
+        const result = expect(sent).rejects.toBeInstanceOf(ConnectionLostError)
+        await jest.advanceTimersByTimeAsync(10)
+        client.kill(true)
+        await result
+        expect(offline_queue.push).not.toHaveBeenCalled()
+
+        // While reconnecting
+        const later = { updates: [{ op: "add", path: ["b"], value: 2 }] }
+        const queued = client.send("update_notebook", later, { notebook_id: "abc" }, false)
+        await jest.advanceTimersByTimeAsync(10)
+        expect(await queued).toBe(queued_response)
+        expect(offline_queue.push.mock.calls).toEqual([
+            [{ message_type: "update_notebook", body: later, metadata: { notebook_id: "abc" }, no_broadcast: false }],
+        ])
+        expect(server.received.filter((m) => m.type === "update_notebook")).toHaveLength(1)
+    })
+})
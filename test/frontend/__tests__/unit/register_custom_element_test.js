@@ -0,0 +1,54 @@
+/**
+ * @jest-environment jsdom
+ */
+import { html } from "../../../../frontend/imports/Preact.js"
+import { register_custom_element } from "../../../../frontend/common/register_custom_element.js"
+
+const Greeting = ({ name }) => html`<b>Hello ${name}</b>`
+
+/** A second window, like a popped out output. */
+const create_other_window = () => {
+    const iframe = document.createElement("iframe")
+    document.body.append(iframe)
+    return /** @type {Window} */ (iframe.contentWindow)
+}
+
+describe("register_custom_element", () => {
+    test("Defines the element in this window", () => {
+        register_custom_element(Greeting, "test-greeting", ["name"])
+        const element = document.createElement("test-greeting")
+        element.setAttribute("name", "Pluto")
+        document.body.append(element)
+        expect(element.innerHTML).toBe("<b>Hello Pluto</b>")
+
+        element.setAttribute("name", "Julia")
+        expect(element.innerHTML).toBe("<b>Hello Julia</b>")
+    })
+
+    test("Defines the element in another window", () => {
+        const win = create_other_window()
+        register_custom_element(Greeting, "test-other-greeting", ["name"], win)
+        expect(win.customElements.get("test-other-greeting")).toBeDefined()
+        // This window is not changed
+        expect(customElements.get("test-other-greeting")).toBeUndefined()
+        expect(typeof customElements.define).toBe("function")
+        expect(Object.hasOwn(customElements, "define")).toBe(false)
+
+        const element = win.document.createElement("test-other-greeting")
+        expect(element).toBeInstanceOf(win.HTMLElement)
+        element.setAttribute("name", "Pluto")
+        win.document.body.append(element)
+        expect(element.innerHTML).toBe("<b>Hello Pluto</b>")
+
+        // Properties and attributes stay in sync, like in this window
+        element.name = "Julia"
+        expect(element.getAttribute("name")).toBe("Julia")
+        expect(element.innerHTML).toBe("<b>Hello Julia</b>")
+    })
+
+    test("Registering twice does nothing", () => {
+        const win = create_other_window()
+        register_custom_element(Greeting, "test-twice", ["name"], win)
+        expect(() => register_custom_element(Greeting, "test-twice", ["name"], win)).not.toThrow()
+    })
+})
@@ -0,0 +1,152 @@
+import {
+    cells_using_global,
+    is_valid_identifier,
+    rename_edits,
+    replace_ranges,
+    symbol_at,
+    symbol_occurrences,
+} from "../../../../frontend/components/CellInput/rename_symbol.js"
+import { ScopeStateField } from "../../../../frontend/components/CellInput/scopestate_statefield.js"
+import { EditorState, julia } from "../../../../frontend/imports/CodemirrorPlutoSetup.js"
+
+/** The code after renaming `name` to `new_name`, like the rename dialog does. */
+const renamed = (code, name, new_name, local_definition = null) => replace_ranges(code, symbol_occurrences(code, name, local_definition), new_name)
+
+/** The range of the `n`th appearance of `text` in `code`. */
+const range_of = (code, text, n = 0) => {
+    let from = -1
+    for (let i = 0; i <= n; i++) from = code.indexOf(text, from + 1)
+    return { from, to: from + text.length }
+}
+
+describe("Renaming a global", () => {
+    test("Definitions and usages", () => {
+        expect(renamed("x = 1", "x", "y")).toBe("y = 1")
+        expect(renamed("x + f(x) * x[1]", "x", "y")).toBe("y + f(y) * y[1]")
+        expect(renamed("a, x = 1, 2", "x", "y")).toBe("a, y = 1, 2")
+        expect(renamed("function x(a)\n    a\nend", "x", "y")).toBe("function y(a)\n    a\nend")
+
+        const code = "x = 1\nz = x + 1"
+        expect(symbol_occurrences(code, "x").map((r) => r.is_definition)).toEqual([true, false])
+    })
+
+    test("Locals that shadow the global are left alone", () => {
+        expect(renamed("f(x) = x + 1", "x", "y")).toBe("f(x) = x + 1")
+        expect(renamed("x = 1\nfunction f(a)\n    let x = 2\n        x + a\n    end + x\nend", "x", "y")).toBe(
+            "y = 1\nfunction f(a)\n    let x = 2\n        x + a\n    end + y\nend"
+        )
+        expect(renamed("[x for x in 1:3] .+ x", "x", "y")).toBe("[x for x in 1:3] .+ y")
+        expect(renamed("for x in 1:3\n    println(x)\nend\nx", "x", "y")).toBe("for x in 1:3\n    println(x)\nend\ny")
+    })
+
+    test("Names that are not the variable are left alone", () => {
+        expect(renamed("a.x + x", "x", "y")).toBe("a.x + y")
+        expect(renamed("f(x=x)", "x", "y")).toBe("f(x=y)")
+        expect(renamed(":x => x", "x", "y")).toBe(":x => y")
+        expect(renamed("quote x end + x", "x", "y")).toBe("quote x end + y")
+        expect(renamed("import Foo: x\nx", "x", "y")).toBe("import Foo: x\ny")
+        expect(renamed("xs = x_1 + xx", "x", "y")).toBe("xs = x_1 + xx")
+    })
+})
+
+describe("Renaming a local", () => {
+    test("Only inside its scope", () => {
+        const code = "x = 0\nlet x = 1\n    x + 2\nend\nx"
+        expect(renamed(code, "x", "y", range_of(code, "x", 1))).toBe("x = 0\nlet y = 1\n    y + 2\nend\nx")
+    })
+
+    test("Inner scopes that shadow it are left alone", () => {
+        const code = "function f(x)\n    y = x\n    for x in 1:3\n        y += x\n    end\n    x\nend"
+        const argument = range_of(code, "x")
+        expect(renamed(code, "x", "a", argument)).toBe("function f(a)\n    y = a\n    for x in 1:3\n        y += x\n    end\n    a\nend")
+
+        const loop_variable = range_of(code, "x", 2)
+        expect(renamed(code, "x", "a", loop_variable)).toBe("function f(x)\n    y = x\n    for a in 1:3\n        y += a\n    end\n    x\nend")
+    })
+
+    test("Assigning again is the same variable", () => {
+        const code = "let\n    x = 1\n    x = x + 1\n    x\nend"
+        const occurrences = symbol_occurrences(code, "x", range_of(code, "x"))
+        expect(occurrences.length).toBe(4)
+        expect(occurrences.map((r) => r.is_definition)).toEqual([true, true, false, false])
+    })
+})
+
+describe("The symbol at the cursor", () => {
+    const create_state = (doc) => EditorState.create({ doc, extensions: [julia(), ScopeStateField] })
+
+    test("Globals and locals", () => {
+        const doc = "x = 1\nf(x) = x + 1"
+        const state = create_state(doc)
+        expect(symbol_at(state, 0)).toEqual({ name: "x", local_definition: null })
+        // The `x` in the body of `f` is the argument
+        expect(symbol_at(state, range_of(doc, "x", 2).from)).toEqual({ name: "x", local_definition: range_of(doc, "x", 1) })
+        // Not on a variable
+        expect(symbol_at(state, doc.indexOf("1"))).toBeNull()
+    })
+})
+
+test("Valid names", () => {
+    expect(is_valid_identifier("x")).toBe(true)
+    expect(is_valid_identifier("push!")).toBe(true)
+    expect(is_valid_identifier("α₁")).toBe(true)
+    expect(is_valid_identifier("x′")).toBe(true)
+    expect(is_valid_identifier("1x")).toBe(false)
+    expect(is_valid_identifier("a b")).toBe(false)
+    expect(is_valid_identifier("end")).toBe(false)
+    expect(is_valid_identifier("")).toBe(false)
+})
+
+const deps = (upstream, downstream) => ({ upstream_cells_map: upstream, downstream_cells_map: downstream })
+
+test("The cells that use a global", () => {
+    const notebook = {
+        cell_order: ["a", "b", "c", "d"],
+        cell_inputs: { a: { code: "x = 1" }, b: { code: "y = x" }, c: { code: "z = 2" }, d: { code: "w = 3" } },
+        cell_dependencies: {
+            a: deps({}, { x: ["b"] }),
+            b: deps({ x: ["a"] }, { y: [] }),
+            c: deps({}, { z: [] }),
+            d: deps({}, { w: [] }),
+        },
+    }
+    const code_of = (cell_id) => notebook.cell_inputs[cell_id].code
+    expect(cells_using_global(notebook, code_of, "x")).toEqual(["a", "b"])
+    expect(cells_using_global(notebook, code_of, "q")).toEqual([])
+
+    // Unsubmitted code that mentions the name is included too
+    const local_code_of = (cell_id) => (cell_id === "d" ? "w = x + 3" : code_of(cell_id))
+    expect(cells_using_global(notebook, local_code_of, "x")).toEqual(["a", "b", "d"])
+})
+
+describe("The edits to rename", () => {
+    const notebook = {
+        cell_order: ["a", "b", "c"],
+        cell_inputs: { a: { code: "x = 1" }, b: { code: "f(x) = x + 1" }, c: { code: "y = f(x)\nlet x = 2\n    x\nend" } },
+        cell_dependencies: {
+            a: deps({}, { x: ["c"] }),
+            b: deps({}, { f: ["c"] }),
+            c: deps({ x: ["a"], f: ["b"] }, { y: [] }),
+        },
+    }
+    const code_of = (cell_id) => notebook.cell_inputs[cell_id].code
+    const new_codes = (target, new_name) =>
+        Object.fromEntries(rename_edits(notebook, code_of, target).map(({ cell_id, code, ranges }) => [cell_id, replace_ranges(code, ranges, new_name)]))
+
+    test("A global, in every cell that uses it", () => {
+        // Cell b only has a local `x`, so it does not change
+        expect(new_codes({ cell_id: "a", name: "x", local_definition: null }, "z")).toEqual({
+            a: "z = 1",
+            c: "y = f(z)\nlet x = 2\n    x\nend",
+        })
+    })
+
+    test("A local, only in its own cell", () => {
+        const code = code_of("c")
+        const local_definition = range_of(code, "x", 1)
+        expect(new_codes({ cell_id: "c", name: "x", local_definition }, "z")).toEqual({
+            c: "y = f(x)\nlet z = 2\n    z\nend",
+        })
+        expect(new_codes({ cell_id: "b", name: "x", local_definition: range_of(code_of("b"), "x") }, "z")).toEqual({ b: "f(z) = z + 1" })
+    })
+})
@@ -0,0 +1,228 @@
+import {
+    deserialize_cells,
+    deserialize_ipynb,
+    deserialize_qmd,
+    deserialize_repl,
+    detect_deserializer,
+    ipynb_to_notebook_file,
+    serialize_ipynb,
+    serialize_qmd,
+} from "../../../../frontend/common/Serialization.js"
+import { STDOUT_LOG_LEVEL } from "../../../../frontend/common/Logging.js"
+
+/** A notebook like `NotebookData`, with only the fields that the serializers use. */
+const create_notebook = (cells) => {
+    const cell_ids = cells.map((_, i) => `00000000-0000-0000-0000-00000000000${i}`)
+    return {
+        cell_order: cell_ids,
+        cell_inputs: Object.fromEntries(
+            cells.map(({ code, code_folded = false, metadata = {} }, i) => [cell_ids[i], { cell_id: cell_ids[i], code, code_folded, metadata }])
+        ),
+        cell_results: Object.fromEntries(cells.map(({ result }, i) => [cell_ids[i], result]).filter(([, result]) => result != null)),
+    }
+}
+
+/** The code of the cells in a Pluto notebook file, in the notebook order. */
+const notebook_file_cells = (/** @type {string} */ file) => {
+    const [body, order] = file.split("# ╔═╡ Cell order:\n")
+    const codes = Object.fromEntries(
+        body
+            .split(/^# ╔═╡ (\S+)\n/m)
+            .slice(1)
+            .reduce((pairs, part, i, parts) => (i % 2 === 0 ? [...pairs, [part, parts[i + 1].replace(/\n+$/, "")]] : pairs), [])
+    )
+    return [...order.matchAll(/^# ╠═(\S+)$/gm)].map(([, cell_id]) => codes[cell_id])
+}
+
+const cells = [
+    { code: 'md"""\n# Title\n\nSome *text*.\n"""' },
+    { code: "x = 1\ny = 2", code_folded: true },
+    { code: "function f(x)\n    x + 1\nend" },
+    { code: 'md"With \\"quotes\\""' },
+]
+
+describe("Jupyter notebooks", () => {
+    test("Round trip", () => {
+        const ipynb = serialize_ipynb(create_notebook(cells))
+        expect(deserialize_ipynb(ipynb)).toEqual([
+            'md"""\n# Title\n\nSome *text*.\n"""',
+            "x = 1\ny = 2",
+            "function f(x)\n    x + 1\nend",
+            'md"""\nWith "quotes"\n"""',
+        ])
+
+        const file = ipynb_to_notebook_file(ipynb)
+        expect(file.startsWith("### A Pluto.jl notebook ###\n")).toBe(true)
+        expect(notebook_file_cells(file)).toEqual(deserialize_ipynb(ipynb))
+    })
+
+    test("Math and dollar signs in Markdown", () => {
+        const markdown = [
+            "Inline math: $\\alpha + x^2$, and a block:",
+            "$$\n\\frac{1}{2}\n$$",
+            "It costs $5, or \\$6.",
+            'A backslash before quotes: \\"""',
+        ].join("\n\n")
+        const ipynb = JSON.stringify({ nbformat: 4, nbformat_minor: 5, metadata: {}, cells: [{ cell_type: "markdown", source: markdown }] })
+
+        const [code] = deserialize_ipynb(ipynb)
+        expect(code).toBe(
+            [
+                'md"""',
+                // Math is left alone
+                "Inline math: $\\alpha + x^2$, and a block:",
+                "",
+                "$$\n\\frac{1}{2}\n$$",
+                "",
+                // Other `$`s would interpolate
+                "It costs \\$5, or \\$6.",
+                "",
+                'A backslash before quotes: \\\\\\"\\"\\"',
+                '"""',
+            ].join("\n")
+        )
+
+        const exported = JSON.parse(serialize_ipynb(create_notebook([{ code }])))
+        expect(exported.cells[0].cell_type).toBe("markdown")
+        // The same Markdown, except for the escaped `$`
+        expect(exported.cells[0].source.join("")).toBe(markdown.replace("costs $5", "costs \\$5"))
+    })
+
+    test("The format", () => {
+        const ipynb = JSON.parse(serialize_ipynb(create_notebook(cells)))
+        expect(ipynb.nbformat).toBe(4)
+        expect(ipynb.metadata.kernelspec.language).toBe("julia")
+        expect(ipynb.cells.map((cell) => cell.cell_type)).toEqual(["markdown", "code", "code", "markdown"])
+        // Lines keep their newline
+        expect(ipynb.cells[1].source).toEqual(["x = 1\n", "y = 2"])
+        expect(ipynb.cells[1].metadata).toEqual({ jupyter: { source_hidden: true } })
+        expect(ipynb.cells[2].metadata).toEqual({})
+    })
+
+    test("Text outputs are exported", () => {
+        const notebook = create_notebook([
+            {
+                code: 'println("hello"); 1 + 1',
+                result: {
+                    logs: [
+                        { level: STDOUT_LOG_LEVEL, msg: ["hello\n", "text/plain"] },
+                        { level: "Info", msg: ["not printed", "text/plain"] },
+                    ],
+                    output: { mime: "text/plain", body: "2" },
+                },
+            },
+            { code: 'html"<b>hi</b>"', result: { logs: [], output: { mime: "text/html", body: "<b>hi</b>" } } },
+            {
+                code: "sqrt(-1)",
+                result: {
+                    logs: [],
+                    output: {
+                        mime: "application/vnd.pluto.stacktrace+object",
+                        body: {
+                            msg: "DomainError: sqrt was called with a negative number",
+                            stacktrace: [{ call: "sqrt(x::Int64)", file: "math.jl", line: 33 }],
+                        },
+                    },
+                },
+            },
+        ])
+        const [printed, html, errored] = JSON.parse(serialize_ipynb(notebook)).cells.map((cell) => cell.outputs)
+
+        expect(printed).toEqual([
+            { output_type: "stream", name: "stdout", text: ["hello\n"] },
+            { output_type: "execute_result", execution_count: null, data: { "text/plain": ["2"] }, metadata: {} },
+        ])
+        expect(html).toEqual([])
+        expect(errored).toEqual([
+            {
+                output_type: "error",
+                ename: "DomainError",
+                evalue: "sqrt was called with a negative number",
+                traceback: ["DomainError: sqrt was called with a negative number", "[1] sqrt(x::Int64) @ math.jl:33"],
+            },
+        ])
+    })
+
+    test("Importing", () => {
+        const ipynb = JSON.stringify({
+            nbformat: 4,
+            nbformat_minor: 5,
+            metadata: {},
+            cells: [
+                { cell_type: "markdown", source: ['Some text with """quotes"""'] },
+                { cell_type: "code", source: "]add Example\nusing Example\r\n", outputs: [] },
+                { cell_type: "code", source: [], outputs: [] },
+                { cell_type: "raw", source: "raw text" },
+                { cell_type: "code", source: "# ╔═╡ not a cell\nx = 1", outputs: [] },
+            ],
+        })
+        expect(deserialize_ipynb(ipynb)).toEqual([
+            'md"""\nSome text with \\"\\"\\"quotes\\"\\"\\"\n"""',
+            // IJulia's Pkg mode and shell mode lines are commented out
+            "# ]add Example\nusing Example",
+            "# raw text",
+            "# ╔═╡ not a cell\nx = 1",
+        ])
+        // Cell delimiters in the code don't split cells
+        expect(notebook_file_cells(ipynb_to_notebook_file(ipynb))).toEqual([
+            'md"""\nSome text with \\"\\"\\"quotes\\"\\"\\"\n"""',
+            "# ]add Example\nusing Example",
+            "# raw text",
+            "# not a cell\nx = 1",
+        ])
+    })
+
+    test("Other files are not Jupyter notebooks", () => {
+        expect(ipynb_to_notebook_file("x = 1")).toBeNull()
+        expect(ipynb_to_notebook_file('{ "cells": [] }')).toBeNull()
+        expect(ipynb_to_notebook_file("{ not json")).toBeNull()
+        expect(deserialize_ipynb("x = 1")).toEqual([])
+    })
+})
+
+describe("Quarto documents", () => {
+    test("Round trip", () => {
+        const notebook = create_notebook([
+            { code: 'md"""\n# Title\n\nSome *text*.\n"""', code_folded: true },
+            { code: "x = 1", metadata: { disabled: true } },
+            { code: 'md"""\n```julia\nexample\n```\n"""', code_folded: true },
+            { code: 'println("hi")', code_folded: true, metadata: { show_logs: false, skip_as_script: true } },
+        ])
+        notebook.metadata = { frontmatter: { title: "Hello" } }
+
+        const qmd = serialize_qmd(notebook)
+        expect(qmd.startsWith('---\nengine: "julia"\ntitle: "Hello"\n---\n')).toBe(true)
+        expect(detect_deserializer(qmd)).toBe(deserialize_qmd)
+
+        const cells = deserialize_qmd(qmd)
+        expect(cells.map((cell) => cell.code)).toEqual(notebook.cell_order.map((cell_id) => notebook.cell_inputs[cell_id].code))
+        expect(cells.map((cell) => cell.code_folded)).toEqual([true, false, true, true])
+        expect(cells[1].metadata).toEqual({ disabled: true, show_logs: true, skip_as_script: false })
+        expect(cells[3].metadata).toEqual({ disabled: false, show_logs: false, skip_as_script: true })
+    })
+
+    test("Chunk options in the header", () => {
+        const [cell] = deserialize_qmd("```{julia, eval=FALSE, echo=false}\nx = 1\n```\n")
+        expect(cell).toEqual({ code: "x = 1", code_folded: true, metadata: { disabled: true, show_logs: true, skip_as_script: false } })
+    })
+
+    test("Detecting documents", () => {
+        const chunk = "```{julia}\nx = 1\n```"
+        // A single chunk could be an example in a Markdown cell
+        expect(detect_deserializer(`Example:\n\n${chunk}\n`)).toBeNull()
+        expect(detect_deserializer(`Example:\n\n${chunk}\n\n${chunk}\n`)).toBe(deserialize_qmd)
+        expect(detect_deserializer(`---\ntitle: Hi\n---\n\n${chunk}\n`)).toBe(deserialize_qmd)
+        expect(detect_deserializer("---\r\ntitle: Hi\r\n---\r\n\r\n```{julia}\r\nx = 1\r\n```\r\n")).toBe(deserialize_qmd)
+        expect(detect_deserializer("---\ntitle: Hi\n---\n\nNo code\n")).toBeNull()
+
+        // Dropped Markdown files are documents, even without code
+        expect(detect_deserializer("# Notes\n\nNo code", { file_name: "notes.md" })).toBe(deserialize_qmd)
+        expect(deserialize_qmd("# Notes\n\nNo code")).toEqual([{ code: 'md"""\n# Notes\n\nNo code\n"""', code_folded: true }])
+        expect(detect_deserializer(`Example:\n\n${chunk}\n`, { file_name: "example.qmd" })).toBe(deserialize_qmd)
+        expect(detect_deserializer("x = 1", { file_name: "script.jl" })).toBeNull()
+
+        expect(detect_deserializer("julia> 1 + 1\n2")).toBe(deserialize_repl)
+        expect(detect_deserializer("# ╔═╡ 00000000-0000-0000-0000-000000000000\nx = 1\n")).toBe(deserialize_cells)
+        expect(detect_deserializer("x = 1")).toBeNull()
+    })
+})
@@ -0,0 +1,141 @@
+import { pack } from "../../../../frontend/common/MsgPack.js"
+import { create_session_recorder, read_session_trace, replay_session_trace, session_trace_to_blob } from "../../../../frontend/common/SessionTrace.js"
+
+const initial_notebook = {
+    notebook_id: "abc",
+    cell_order: ["a"],
+    cell_inputs: { a: { cell_id: "a", code: "x = 1" } },
+}
+
+const logged = (direction, time, message_type, message) => ({ direction, time, message_type, request_id: null, size: 0, message })
+
+/** A trace with these events, as `[time, direction, message_type]`. */
+const create_trace = (events) => ({
+    pluto_session_trace: 1,
+    recorded_at: new Date(0).toISOString(),
+    version_info: null,
+    initial_notebook,
+    events: events.map(([time, direction, message_type]) => ({ time, direction, message_type, request_id: null, message: { type: message_type, time } })),
+})
+
+describe("Recording", () => {
+    test("Only sent messages and notebook diffs are recorded, with the time since the start", () => {
+        jest.spyOn(Date, "now").mockReturnValue(1000)
+        const recorder = create_session_recorder({ initial_notebook, version_info: { pluto: "0.20.0" } })
+        jest.restoreAllMocks()
+
+        recorder.record(logged("sent", 1100, "update_notebook", { body: { updates: [] } }))
+        recorder.record(logged("received", 1200, "update_notebook", {}))
+        recorder.record(logged("received", 1300, "notebook_diff", { message: { patches: [] } }))
+        recorder.record(logged("received", 1400, "pong", {}))
+        expect(recorder.size()).toBe(2)
+
+        const trace = recorder.finish()
+        expect(trace.pluto_session_trace).toBe(1)
+        expect(trace.recorded_at).toBe(new Date(1000).toISOString())
+        expect(trace.version_info).toEqual({ pluto: "0.20.0" })
+        expect(trace.initial_notebook).toBe(initial_notebook)
+        expect(trace.events.map((e) => [e.time, e.direction, e.message_type])).toEqual([
+            [100, "sent", "update_notebook"],
+            [300, "received", "notebook_diff"],
+        ])
+    })
+})
+
+describe("Reading and writing", () => {
+    test("Round trip", async () => {
+        const trace = create_trace([
+            [0, "sent", "update_notebook"],
+            [10, "received", "notebook_diff"],
+        ])
+        trace.events[1].message.image = new Uint8Array([1, 2, 3])
+
+        const read = await read_session_trace(session_trace_to_blob(trace))
+        expect(read).toEqual(trace)
+        expect(read.events[1].message.image).toBeInstanceOf(Uint8Array)
+    })
+
+    test("Other files are rejected", async () => {
+        await expect(read_session_trace(new Blob([pack({ hello: "world" })]))).rejects.toThrow("not a Pluto session trace")
+        await expect(read_session_trace(new Blob([pack(null)]))).rejects.toThrow("not a Pluto session trace")
+
+        const newer = { ...create_trace([]), pluto_session_trace: 2 }
+        await expect(read_session_trace(session_trace_to_blob(newer))).rejects.toThrow("newer version of Pluto")
+    })
+})
+
+describe("Replaying", () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => jest.useRealTimers())
+
+    const trace = create_trace([
+        [0, "sent", "update_notebook"],
+        [100, "received", "notebook_diff"],
+        [300, "sent", "run_multiple_cells"],
+    ])
+
+    const replay = (options = {}) => {
+        const handled = []
+        const on_event = (direction) => (message) => {
+            handled.push([Date.now(), direction, message.type])
+        }
+        const done = replay_session_trace(trace, { on_received: on_event("received"), on_sent: on_event("sent"), ...options })
+        return { handled, done }
+    }
+
+    test("Events are replayed in order, with the original timing", async () => {
+        const start = Date.now()
+        const { handled, done } = replay()
+        await jest.advanceTimersByTimeAsync(0)
+        expect(handled).toHaveLength(1)
+        await jest.advanceTimersByTimeAsync(100)
+        expect(handled).toHaveLength(2)
+        await jest.advanceTimersByTimeAsync(200)
+        await done
+        expect(handled.map(([time, ...rest]) => [time - start, ...rest])).toEqual([
+            [0, "sent", "update_notebook"],
+            [100, "received", "notebook_diff"],
+            [300, "sent", "run_multiple_cells"],
+        ])
+    })
+
+    test("Faster", async () => {
+        const start = Date.now()
+        const { handled, done } = replay({ speed: 10 })
+        await jest.advanceTimersByTimeAsync(30)
+        await done
+        expect(handled.map(([time]) => time - start)).toEqual([0, 10, 30])
+    })
+
+    test("The next event waits for the previous one to be handled", async () => {
+        const handled = []
+        const done = replay_session_trace(trace, {
+            on_sent: async (message) => {
+                await new Promise((resolve) => setTimeout(resolve, 1000))
+                handled.push(message.type)
+            },
+            on_received: (message) => {
+                handled.push(message.type)
+            },
+        })
+        await jest.advanceTimersByTimeAsync(999)
+        expect(handled).toEqual([])
+        await jest.advanceTimersByTimeAsync(1)
+        expect(handled).toEqual(["update_notebook"])
+        await jest.advanceTimersByTimeAsync(100)
+        expect(handled).toEqual(["update_notebook", "notebook_diff"])
+        await jest.advanceTimersByTimeAsync(1200)
+        await done
+        expect(handled).toEqual(["update_notebook", "notebook_diff", "run_multiple_cells"])
+    })
+
+    test("Stops when aborted", async () => {
+        const controller = new AbortController()
+        const { handled, done } = replay({ signal: controller.signal })
+        await jest.advanceTimersByTimeAsync(150)
+        controller.abort()
+        await jest.advanceTimersByTimeAsync(1000)
+        await done
+        expect(handled.map(([, , type]) => type)).toEqual(["update_notebook", "notebook_diff"])
+    })
+})
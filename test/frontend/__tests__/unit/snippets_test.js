@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+import { builtin_snippets, get_user_snippets, set_user_snippets, snippet_completion } from "../../../../frontend/components/CellInput/snippets.js"
+import { EditorState, autocomplete, julia } from "../../../../frontend/imports/CodemirrorPlutoSetup.js"
+
+const section = { name: "Snippets" }
+const complete = snippet_completion(section)
+
+/** The completion result with the cursor at the end of `doc`. */
+const result_at_end = (doc, explicit = false) => {
+    const state = EditorState.create({ doc, extensions: [julia()] })
+    return complete(new autocomplete.CompletionContext(state, doc.length, explicit))
+}
+const labels = (result) => result.options.map((o) => o.label)
+
+afterEach(() => {
+    set_user_snippets([])
+})
+
+describe("Completing snippets", () => {
+    test("The word before the cursor", () => {
+        const result = result_at_end("x = @bi")
+        expect(result.from).toBe(4)
+        expect(labels(result)).toEqual(builtin_snippets.map((s) => s.label))
+        expect(result.options[0]).toMatchObject({ type: "c_snippet", section, detail: "slider" })
+
+        expect(result_at_end("x = ")).toBeNull()
+        expect(result_at_end("x = ", true).from).toBe(4)
+    })
+
+    test("Not in strings, comments and field access", () => {
+        expect(result_at_end('"fun')).toBeNull()
+        expect(result_at_end("# fun")).toBeNull()
+        expect(result_at_end("Base.fun")).toBeNull()
+    })
+})
+
+describe("User snippets", () => {
+    test("Stored in localStorage, without invalid entries", () => {
+        localStorage.setItem("PLUTO_USER_SNIPPETS", JSON.stringify([{ label: "df", template: "DataFrame()" }, { label: "no template" }, null]))
+        window.dispatchEvent(new CustomEvent("pluto snippets changed"))
+        expect(get_user_snippets()).toEqual([{ label: "df", template: "DataFrame()" }])
+
+        localStorage.setItem("PLUTO_USER_SNIPPETS", "not json")
+        window.dispatchEvent(new CustomEvent("pluto snippets changed"))
+        expect(get_user_snippets()).toEqual([])
+    })
+
+    test("The completions are cached until the snippets change", () => {
+        const before = result_at_end("d").options
+        expect(result_at_end("d").options).toBe(before)
+
+        set_user_snippets([{ label: "df", template: "DataFrame(${1:a} = ${2:[1, 2]})" }])
+        const after = result_at_end("d").options
+        expect(after).not.toBe(before)
+        expect(labels({ options: after })[0]).toBe("df")
+        expect(result_at_end("d").options).toBe(after)
+    })
+
+    test("A user snippet replaces the built-in snippet with the same label", () => {
+        set_user_snippets([{ label: "for", detail: "mine", template: "for x in xs\n\t${}\nend" }])
+        const options = result_at_end("fo").options.filter((o) => o.label === "for")
+        expect(options).toHaveLength(1)
+        expect(options[0].detail).toBe("mine")
+    })
+
+    test("Changes in another tab", () => {
+        const before = result_at_end("d").options
+        // `set_user_snippets` in another tab only changes localStorage
+        localStorage.setItem("PLUTO_USER_SNIPPETS", JSON.stringify([{ label: "df", template: "DataFrame()" }]))
+        window.dispatchEvent(new StorageEvent("storage", { key: "PLUTO_USER_SNIPPETS" }))
+        expect(get_user_snippets()).toEqual([{ label: "df", template: "DataFrame()" }])
+        expect(result_at_end("d").options).not.toBe(before)
+
+        // Other keys don't matter
+        const after = result_at_end("d").options
+        window.dispatchEvent(new StorageEvent("storage", { key: "something else" }))
+        expect(result_at_end("d").options).toBe(after)
+    })
+
+    test("PLUTO_ADD_SNIPPET", () => {
+        // @ts-ignore
+        window.PLUTO_ADD_SNIPPET("df", "DataFrame()")
+        // @ts-ignore
+        window.PLUTO_ADD_SNIPPET("df", "DataFrame(${1:a} = ${})", "data frame")
+        expect(get_user_snippets()).toEqual([{ label: "df", detail: "data frame", template: "DataFrame(${1:a} = ${})" }])
+    })
+})
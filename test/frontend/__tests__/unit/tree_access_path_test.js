@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+import { tree_access_path } from "../../../../frontend/common/TreeAccessPath.js"
+
+// The HTML of trees, like in `components/TreeView.js`. Keys are the repr of the key, and values are HTML.
+const tree = (type, rows) =>
+    `<pluto-tree class="${type}"><pluto-tree-prefix></pluto-tree-prefix><pluto-tree-items class="${type}">${rows
+        .map(([key, value]) => (key == null ? `<p-r><p-v>${value}</p-v></p-r>` : `<p-r><p-k>${key}</p-k><p-v>${value}</p-v></p-r>`))
+        .join("")}</pluto-tree-items></pluto-tree>`
+const pair = (key, value) => `<pluto-tree-pair class="Pair"><p-r><p-k>${key}</p-k><p-v>${value}</p-v></p-r></pluto-tree-pair>`
+
+/** The `p-v` elements of a cell output with this body, in document order. */
+const values_in_output = (body, assignee = "x") => {
+    const output = document.createElement("pluto-output")
+    output.innerHTML = `<assignee>${assignee}</assignee>${body}`
+    document.body.replaceChildren(output)
+    return Array.from(output.querySelectorAll("p-v"))
+}
+const paths = (body, assignee) => values_in_output(body, assignee).map(tree_access_path)
+
+describe("Access paths", () => {
+    test("Integer keys", () => {
+        expect(
+            paths(
+                tree("Array", [
+                    ["1", "10"],
+                    ["2", "20"],
+                ])
+            )
+        ).toEqual(["x[1]", "x[2]"])
+        expect(paths(tree("Tuple", [["1", "10"]]))).toEqual(["x[1]"])
+        expect(paths(tree("Dict", [["-3", "10"]]))).toEqual(["x[-3]"])
+    })
+
+    test("String keys are written as they are shown, with their escapes", () => {
+        expect(
+            paths(
+                tree("Dict", [
+                    ['"a"', "1"],
+                    ['"a\\"b"', "2"],
+                    ['"\\\\n\\$"', "3"],
+                ])
+            )
+        ).toEqual(['x["a"]', 'x["a\\"b"]', 'x["\\\\n\\$"]'])
+    })
+
+    test("Symbol keys", () => {
+        expect(
+            paths(
+                tree("Dict", [
+                    [":x", "1"],
+                    [':var"a b"', "2"],
+                ])
+            )
+        ).toEqual(["x[:x]", 'x[:var"a b"]'])
+    })
+
+    test("Fields", () => {
+        expect(
+            paths(
+                tree("NamedTuple", [
+                    ["a", "1"],
+                    ["β!", "2"],
+                ])
+            )
+        ).toEqual(["x.a", "x.β!"])
+        // Field names that are not identifiers are written as `var"..."`, which is a raw string
+        expect(
+            paths(
+                tree("struct", [
+                    ["a b", "1"],
+                    ['a"b', "2"],
+                    ["a\\", "3"],
+                    ['a\\"b', "4"],
+                    ["2x", "5"],
+                ])
+            )
+        ).toEqual(['x.var"a b"', 'x.var"a\\"b"', 'x.var"a\\\\"', 'x.var"a\\\\\\"b"', 'x.var"2x"'])
+    })
+
+    test("Pairs", () => {
+        expect(paths(pair(":a", "1"))).toEqual(["x.second"])
+        const [key_tree_value] = values_in_output(pair(tree("Array", [["1", "10"]]), "2"))
+        expect(tree_access_path(key_tree_value)).toEqual("x.first[1]")
+    })
+
+    test("Nested trees", () => {
+        const body = tree("Dict", [['"data"', tree("Array", [["1", tree("NamedTuple", [["name", "a"]])]])]])
+        expect(paths(body, "const data")).toEqual(['data["data"]', 'data["data"][1]', 'data["data"][1].name'])
+        // Without an assignee, the path starts at the output
+        expect(paths(tree("Array", [["1", "10"]]), "")).toEqual(["[1]"])
+    })
+})
+
+describe("Values that can not be indexed", () => {
+    test("Elements of a Set", () => {
+        expect(paths(tree("Set", [[null, "1"]]))).toEqual([null])
+    })
+
+    test("Keys of a Dict that are trees", () => {
+        // The value inside the key, and the value of the key, which can't be written from the text of the key
+        expect(paths(tree("Dict", [[tree("Tuple", [["1", "10"]]), "1"]]))).toEqual([null, null])
+    })
+
+    test("Inside a table", () => {
+        const [value] = values_in_output(`<table><tr><td>${tree("Array", [["1", "10"]])}</td></tr></table>`)
+        expect(tree_access_path(value)).toBeNull()
+    })
+})
@@ -0,0 +1,192 @@
+/**
+ * @jest-environment jsdom
+ */
+import { EditorSelection, EditorState, EditorView, history } from "../../../../frontend/imports/CodemirrorPlutoSetup.js"
+import { vim_mode, VimStateField } from "../../../../frontend/components/CellInput/vim_mode.js"
+
+let views = []
+
+/** A cell editor in Vim mode, with the cursor at the `|` in `doc`. */
+const create_editor = (doc, { submit = jest.fn(() => true), focus_on_neighbor = jest.fn() } = {}) => {
+    const cursor = Math.max(0, doc.indexOf("|"))
+    const view = new EditorView({
+        state: EditorState.create({
+            doc: doc.replace("|", ""),
+            selection: EditorSelection.cursor(cursor),
+            extensions: [history(), vim_mode({ submit, focus_on_neighbor })],
+        }),
+        parent: document.body,
+    })
+    views.push(view)
+    return { view, submit, focus_on_neighbor }
+}
+
+const press = (view, key, options = {}) => view.contentDOM.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...options }))
+/** Type every character of `keys` as a key press. */
+const type = (view, keys) => [...keys].forEach((key) => press(view, key))
+
+/** The document, with a `|` at the cursor. */
+const text_with_cursor = (view) => {
+    const doc = view.state.doc.toString()
+    const head = view.state.selection.main.head
+    return doc.slice(0, head) + "|" + doc.slice(head)
+}
+const mode = (view) => view.state.field(VimStateField).mode
+
+afterEach(() => {
+    views.forEach((view) => view.destroy())
+    views = []
+})
+
+describe("vim_mode", () => {
+    test("Motions", () => {
+        const { view } = create_editor("|foo bar baz\n  qux")
+        type(view, "w")
+        expect(text_with_cursor(view)).toBe("foo |bar baz\n  qux")
+        type(view, "e")
+        expect(text_with_cursor(view)).toBe("foo ba|r baz\n  qux")
+        type(view, "$")
+        expect(text_with_cursor(view)).toBe("foo bar ba|z\n  qux")
+        type(view, "0")
+        expect(text_with_cursor(view)).toBe("|foo bar baz\n  qux")
+        type(view, "G")
+        expect(text_with_cursor(view)).toBe("foo bar baz\n  |qux")
+        type(view, "gg")
+        expect(text_with_cursor(view)).toBe("|foo bar baz\n  qux")
+    })
+
+    test("Counts", () => {
+        const { view } = create_editor("|one two three four")
+        type(view, "2w")
+        expect(text_with_cursor(view)).toBe("one two |three four")
+        type(view, "3x")
+        expect(text_with_cursor(view)).toBe("one two |ee four")
+        type(view, "0d2w")
+        expect(text_with_cursor(view)).toBe("|ee four")
+        type(view, "2d2w")
+        // Deleting words does not join lines, and the cursor stays on a character.
+        expect(text_with_cursor(view)).toBe("|")
+    })
+
+    test("dw and cw", () => {
+        const { view } = create_editor("|foo bar\nbaz")
+        type(view, "dw")
+        expect(text_with_cursor(view)).toBe("|bar\nbaz")
+        // `dw` on the last word of a line does not join the lines
+        type(view, "dw")
+        expect(text_with_cursor(view)).toBe("|\nbaz")
+
+        const other = create_editor("|foo bar").view
+        // `cw` does not remove the space after the word, like `ce`
+        type(other, "cw")
+        expect(text_with_cursor(other)).toBe("| bar")
+        expect(mode(other)).toBe("insert")
+    })
+
+    test("dd, yy and p", () => {
+        const { view } = create_editor("a\n|b\nc")
+        type(view, "dd")
+        expect(text_with_cursor(view)).toBe("a\n|c")
+        type(view, "p")
+        expect(text_with_cursor(view)).toBe("a\nc\n|b")
+        type(view, "ggyyP")
+        expect(text_with_cursor(view)).toBe("|a\na\nc\nb")
+        type(view, "G2dd")
+        // Deleting the last line moves the cursor to the line above
+        expect(text_with_cursor(view)).toBe("a\na\n|c")
+        type(view, "u")
+        expect(view.state.doc.toString()).toBe("a\na\nc\nb")
+    })
+
+    test("x and p paste characters after the cursor", () => {
+        const { view } = create_editor("|ab")
+        type(view, "xp")
+        expect(text_with_cursor(view)).toBe("b|a")
+    })
+
+    test("The register is shared between cells", () => {
+        const first = create_editor("|hello").view
+        const second = create_editor("|world").view
+        type(first, "yy")
+        type(second, "p")
+        expect(second.state.doc.toString()).toBe("world\nhello")
+    })
+
+    test("J joins lines", () => {
+        const { view } = create_editor("|foo\n    bar\n\nbaz")
+        type(view, "J")
+        expect(text_with_cursor(view)).toBe("foo| bar\n\nbaz")
+        type(view, "3J")
+        expect(view.state.doc.toString()).toBe("foo bar baz")
+    })
+
+    test("Visual line mode", () => {
+        const { view } = create_editor("a\n|b\nc\nd")
+        type(view, "V")
+        expect(mode(view)).toBe("visual line")
+        type(view, "j")
+        expect(view.state.sliceDoc(view.state.selection.main.from, view.state.selection.main.to)).toBe("b\nc")
+        type(view, "d")
+        expect(mode(view)).toBe("normal")
+        expect(text_with_cursor(view)).toBe("a\n|d")
+    })
+
+    test("Visual mode", () => {
+        const { view } = create_editor("|foo bar")
+        type(view, "vey")
+        expect(mode(view)).toBe("normal")
+        type(view, "$p")
+        expect(view.state.doc.toString()).toBe("foo barfoo")
+    })
+
+    test("Insert mode", () => {
+        const { view } = create_editor("fo|o")
+        type(view, "a")
+        expect(mode(view)).toBe("insert")
+        // Keys are not handled by Vim mode in Insert mode
+        expect(press(view, "x")).toBe(true)
+        press(view, "Escape")
+        expect(mode(view)).toBe("normal")
+        // The cursor moves back onto the last character that was typed before it
+        expect(text_with_cursor(view)).toBe("fo|o")
+    })
+
+    test("j and k move to the neighboring cell at the edge of the cell", () => {
+        const { view, focus_on_neighbor } = create_editor("a\n|bc")
+        type(view, "l")
+        type(view, "j")
+        expect(focus_on_neighbor).toHaveBeenLastCalledWith({ cell_delta: 1, line: 0, character: 1 })
+        type(view, "k")
+        expect(text_with_cursor(view)).toBe("|a\nbc")
+        type(view, "k")
+        expect(focus_on_neighbor).toHaveBeenLastCalledWith({ cell_delta: -1, line: Infinity, character: 0 })
+        expect(focus_on_neighbor).toHaveBeenCalledTimes(2)
+
+        // With a count, the cursor stays in the cell
+        type(view, "5j")
+        expect(text_with_cursor(view)).toBe("a\n|bc")
+        expect(focus_on_neighbor).toHaveBeenCalledTimes(2)
+    })
+
+    test(":w submits the cell", () => {
+        const { view, submit } = create_editor("|x = 1")
+        type(view, ":w")
+        expect(submit).not.toHaveBeenCalled()
+        press(view, "Enter")
+        expect(submit).toHaveBeenCalledTimes(1)
+    })
+
+    test("Read-only cells can't be changed", () => {
+        const view = new EditorView({
+            state: EditorState.create({
+                doc: "abc",
+                extensions: [EditorState.readOnly.of(true), vim_mode({ submit: () => true, focus_on_neighbor: () => {} })],
+            }),
+            parent: document.body,
+        })
+        views.push(view)
+        type(view, "xddp")
+        expect(view.state.doc.toString()).toBe("abc")
+        expect(view.state.field(VimStateField).message).not.toBeNull()
+    })
+})
@@ -9,4 +9,5 @@ module.exports = {
             },
         ],
     ],
+    plugins: ['babel-plugin-transform-import-meta'],
 }
@@ -0,0 +1,17 @@
+// The frontend loads CodeMirror from a bundle on a CDN, see frontend/imports/CodemirrorPlutoSetup.js. The unit tests use the same CodeMirror packages from npm, see `moduleNameMapper` in jest.config.js.
+//
+// Only the packages that the tested modules use are included.
+
+export * from "@codemirror/state"
+export * from "@codemirror/view"
+export * from "@codemirror/commands"
+export * as autocomplete from "@codemirror/autocomplete"
+export { syntaxTree } from "@codemirror/language"
+export { NodeWeakMap, parseMixed } from "@lezer/common"
+export { julia } from "@plutojl/lang-julia"
+export { parseCode } from "@lezer/markdown"
+export { html, htmlLanguage } from "@codemirror/lang-html"
+export { javascript, javascriptLanguage } from "@codemirror/lang-javascript"
+export { markdown, markdownLanguage } from "@codemirror/lang-markdown"
+export { python, pythonLanguage } from "@codemirror/lang-python"
+export { sql, PostgreSQL } from "@codemirror/lang-sql"
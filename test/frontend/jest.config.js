@@ -1,4 +1,20 @@
 module.exports = {
     testTimeout: 300000,
     slowTestThreshold: 30,
+    // The frontend imports some packages from a CDN. For the unit tests, we use the same packages from npm.
+    moduleNameMapper: {
+        "^https://cdn\\.jsdelivr\\.net/gh/fonsp/msgpack-lite@.*$": "<rootDir>/node_modules/msgpack-lite",
+        "^https://cdn\\.jsdelivr\\.net/npm/@observablehq/stdlib@.*$": "<rootDir>/node_modules/@observablehq/stdlib",
+        "^https://esm\\.sh/seamless-scroll-polyfill@.*$": "<rootDir>/node_modules/seamless-scroll-polyfill",
+        "^https://cdn\\.jsdelivr\\.net/npm/lodash-es@.*$": "<rootDir>/node_modules/lodash",
+        "^https://esm\\.sh/preact@[^/]*/hooks\\?.*$": "<rootDir>/node_modules/preact/hooks",
+        "^https://esm\\.sh/preact@[^/]*\\?.*$": "<rootDir>/node_modules/preact",
+        "^https://esm\\.sh/htm@.*$": "<rootDir>/node_modules/htm",
+        "^https://cdn\\.jsdelivr\\.net/npm/immer@.*$": "<rootDir>/node_modules/immer",
+        "^https://cdn\\.jsdelivr\\.net/gh/JuliaPluto/codemirror-pluto-setup@.*$": "<rootDir>/helpers/codemirror_pluto_setup.js",
+    },
+    // Load the CommonJS version of these packages, also in tests that use `@jest-environment jsdom`.
+    testEnvironmentOptions: {
+        customExportConditions: ["node", "require", "default"],
+    },
 }
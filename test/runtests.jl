@@ -67,6 +67,7 @@ verify_no_running_processes()
 @timeit_include("MethodSignatures.jl")
 @timeit_include("MoreAnalysis.jl")
 @timeit_include("is_just_text.jl")
+@timeit_include("Formatting.jl")
 @timeit_include("webserver_utils.jl")
 @timeit_include("DependencyCache.jl")
 @timeit_include("Throttled.jl")
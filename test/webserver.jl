@@ -62,6 +62,137 @@ end
 end
 
 
+@testset "Frames" begin
+    function zlib_decompress(data::Vector{UInt8}, original_length::Integer)
+        out = Vector{UInt8}(undef, original_length)
+        out_length = Ref{Culong}(original_length)
+        status = ccall((:uncompress, Pluto.Zlib_jll.libz), Cint, (Ptr{UInt8}, Ref{Culong}, Ptr{UInt8}, Culong), out, out_length, data, length(data))
+        @assert status == 0
+        resize!(out, out_length[])
+    end
+
+    # What `create_frame_assembler` in frontend/common/Frames.js does
+    function reassemble(frames, original_length)
+        chunks = Pluto.unpack.(frames)
+        headers = [c["pluto_frame"] for c in chunks]
+        @test length(unique(h["id"] for h in headers)) == 1
+        @test [h["index"] for h in headers] == 0:length(frames)-1
+        @test all(h["count"] == length(frames) for h in headers)
+        data = reduce(vcat, [c["data"] for c in chunks])
+        @test length(data) == headers[1]["size"]
+        encoding = headers[1]["encoding"]
+        encoding == "deflate" ? zlib_decompress(data, original_length) : data
+    end
+
+    old_threshold, old_chunk_size = Pluto.FRAME_COMPRESSION_THRESHOLD[], Pluto.FRAME_CHUNK_SIZE[]
+    try
+        Pluto.FRAME_COMPRESSION_THRESHOLD[] = 100
+        Pluto.FRAME_CHUNK_SIZE[] = 100
+
+        small = Pluto.pack(Dict("type" => "pong"))
+        big = Pluto.pack(Dict("type" => "notebook_diff", "message" => repeat("🍕 hello ", 50)))
+        @test length(small) < 100 < length(big)
+
+        # Clients that don't support framing get the message as it is
+        @test Pluto.message_frames(big, String[]) == [big]
+        # Small messages are not compressed or split
+        @test Pluto.message_frames(small, ["none", "deflate"]) == [small]
+
+        @testset "Chunk boundaries" for len in [99, 100, 101, 200, 201]
+            message = rand(UInt8, len)
+            frames = Pluto.message_frames(message, ["none"])
+            if len <= 100
+                @test frames == [message]
+            else
+                @test length(frames) == cld(len, 100)
+                @test Pluto.unpack(frames[1])["pluto_frame"]["encoding"] == "none"
+                @test reassemble(frames, len) == message
+            end
+        end
+
+        @testset "Compressed" begin
+            frames = Pluto.message_frames(big, ["none", "deflate"])
+            @test Pluto.unpack(frames[1])["pluto_frame"]["encoding"] == "deflate"
+            # It compresses well, so it fits in fewer chunks than the raw message
+            @test length(frames) < cld(length(big), 100)
+            @test reassemble(frames, length(big)) == big
+
+            # Without "deflate", the same message is split into raw chunks
+            raw_frames = Pluto.message_frames(big, ["none"])
+            @test length(raw_frames) == cld(length(big), 100)
+            @test reassemble(raw_frames, length(big)) == big
+        end
+
+        # Every message gets its own id, so that chunks of different messages don't get mixed up
+        id(frames) = Pluto.unpack(frames[1])["pluto_frame"]["id"]
+        @test id(Pluto.message_frames(big, ["none"])) != id(Pluto.message_frames(big, ["none"]))
+    finally
+        Pluto.FRAME_COMPRESSION_THRESHOLD[], Pluto.FRAME_CHUNK_SIZE[] = old_threshold, old_chunk_size
+    end
+end
+
+@testset "Long-polling" begin
+    stream = Pluto.LongPollStream()
+    @test Pluto.is_stream_open(stream)
+    Pluto.send_frame(stream, UInt8[1, 2, 3])
+    @test take!(stream.outbox) == UInt8[1, 2, 3]
+    stream.last_seen -= Pluto.LONGPOLL_EXPIRY[] + 1
+    @test !Pluto.is_stream_open(stream)
+    stream.last_seen = time()
+    close(stream)
+    @test !Pluto.is_stream_open(stream)
+
+    port = 13434
+    host = "localhost"
+    local_url(suffix) = "http://$host:$port/$suffix"
+
+    options = Pluto.Configuration.from_flat_kwargs(;
+        port,
+        launch_browser=false,
+        workspace_use_distributed=false,
+        require_secret_for_access=false,
+        require_secret_for_open_links=false,
+    )
+    🍭 = Pluto.ServerSession(; options)
+    server = Pluto.run!(🍭)
+
+    @test HTTP.get(local_url("longpoll"); status_exception=false).status == 400
+
+    # The first request does not wait, and there are no messages yet
+    response = HTTP.get(local_url("longpoll?stream_id=abc&wait=false"))
+    @test response.status == 200
+    @test Pluto.unpack(response.body) == []
+
+    hello = Dict(
+        "type" => "connect",
+        "client_id" => "longpolly",
+        "request_id" => "r1",
+        "body" => Dict("frame_encodings" => ["none"]),
+    )
+    @test HTTP.post(local_url("longpoll?stream_id=abc"), [], Pluto.pack(hello)).status == 204
+    @test 🍭.connected_clients[:longpolly].stream isa Pluto.LongPollStream
+
+    # The response to our message is waiting for us
+    frames = Pluto.unpack(HTTP.get(local_url("longpoll?stream_id=abc&wait=true")).body)
+    @test length(frames) == 1
+    response = Pluto.unpack(frames[1])
+    @test response["type"] == "👋"
+    @test response["request_id"] == "r1"
+    @test response["initiator_id"] == "longpolly"
+
+    # A waiting request returns as soon as a message arrives
+    waiting = @async Pluto.unpack(HTTP.get(local_url("longpoll?stream_id=abc&wait=true")).body)
+    sleep(0.5)
+    @test !istaskdone(waiting)
+    ping = Dict("type" => "ping", "client_id" => "longpolly", "request_id" => "r2", "body" => Dict())
+    HTTP.post(local_url("longpoll?stream_id=abc"), [], Pluto.pack(ping))
+    frames = fetch(waiting)
+    @test length(frames) == 1
+    @test Pluto.unpack(frames[1])["request_id"] == "r2"
+
+    close(server)
+end
+
 @testset "Exports" begin
     port, socket = 
         @inferred Pluto.port_serversocket(Sockets.ip"0.0.0.0", nothing, 5543)